@@ -64,7 +64,8 @@ class BaseFactory {
                         ...prototypes.enumServices.values,
                         ...prototypes.enumRejectCodes.values,
                         ...prototypes.enumInventory.values,
-                        ...prototypes.enumTxStatus.values
+                        ...prototypes.enumTxStatus.values,
+                        ...prototypes.enumClaimHashMethod.values
                     };
 
                     // prototypes
@@ -320,6 +321,10 @@ class BaseFactory {
             addrPayloadProto: protoNetwork.lookupType("network.AddrPayload"),
             rejectPayloadProto: protoNetwork.lookupType("network.RejectPayload"),
             getBlocksPayloadProto: protoNetwork.lookupType("network.GetBlocksPayload"),
+            compactBlockPayloadProto: protoNetwork.lookupType("network.CompactBlockPayload"),
+            getBlockTxnPayloadProto: protoNetwork.lookupType("network.GetBlockTxnPayload"),
+            blockTxnPayloadProto: protoNetwork.lookupType("network.BlockTxnPayload"),
+            headersPayloadProto: protoNetwork.lookupType("network.HeadersPayload"),
 
             // part of messages
             peerInfoProto: protoNetwork.lookupType("network.PeerInfo"),
@@ -333,6 +338,7 @@ class BaseFactory {
             enumRejectCodes: protoNetwork.lookup("network.RejectCodes"),
             enumInventory: protoStructures.lookup("structures.InventoryTypes"),
             enumTxStatus: protoStructures.lookup("structures.TxStatuses"),
+            enumClaimHashMethod: protoStructures.lookup("structures.ClaimHashMethod"),
 
             // Structures
             transactionProto: protoStructures.lookupType("structures.Transaction"),
@@ -4,6 +4,10 @@ const assert = require('assert');
 const CONCILIUM_TYPE_RR = 0;
 const CONCILIUM_TYPE_POS = 1;
 
+const REWARD_POLICY_PROPOSER = 0;
+const REWARD_POLICY_STAKE = 1;
+const REWARD_POLICY_SIGNERS = 2;
+
 const {deepCloneObject} = require('../utils');
 
 // common parameters
@@ -21,9 +25,26 @@ const {deepCloneObject} = require('../utils');
 //        },
 //        isEnabled: true,
 //
+//        how block fees are distributed (REWARD_POLICY_PROPOSER if omitted)
+//        rewardPolicy: REWARD_POLICY_PROPOSER | REWARD_POLICY_STAKE | REWARD_POLICY_SIGNERS,
+//
 //        SN hash of document with concilium description.
 //        document: 'cf60920089b7db942206e6484ea7df51b01e7b1f77dd99c1ecdc766cf5c6a77a'
-//    }
+//    },
+//
+//    proposals of members to change parameters (fees, document, quorum for RR, nMinAmountToJoin for PoS)
+//    arrProposals: [
+//        {
+//            nProposalId: 0,
+//            objChanges: {fees: {feeTxSize: 222}},
+//            nHeightToApply: 1e4,
+//            _creator: '324234234',
+//            arrVotes: ['324234234'],
+//            isAccepted: false, // majority of members voted
+//            isApplied: false, // changes applied (at nHeightToApply or later)
+//            proposalTx: '0d6a6b...'
+//        }
+//    ]
 //};
 
 module.exports = class BaseConciliumDefinition {
@@ -87,6 +108,74 @@ module.exports = class BaseConciliumDefinition {
         return this._data.parameters.fees ? this._data.parameters.fees.feeInternalTx : undefined;
     }
 
+    /**
+     * REWARD_POLICY_PROPOSER - all fees to block creator
+     * REWARD_POLICY_STAKE - pro-rata by stake of members (@see getMembersStakes)
+     * REWARD_POLICY_SIGNERS - equally among witnesses that signed block
+     *
+     * @returns {Number}
+     */
+    getRewardPolicy() {
+        return this._data.parameters.rewardPolicy || REWARD_POLICY_PROPOSER;
+    }
+
+    /**
+     *
+     * @returns {Array} of {address, amount}
+     */
+    getMembersStakes() {
+        throw new Error('Implement!');
+    }
+
+    /**
+     *
+     * @returns {Array} of proposals (see def above)
+     */
+    getProposals() {
+        return Array.isArray(this._data.arrProposals) ? this._data.arrProposals : [];
+    }
+
+    /**
+     *
+     * @param {Number} nProposalId
+     * @returns {Object | undefined}
+     */
+    getProposal(nProposalId) {
+        return this.getProposals().find(objProposal => objProposal.nProposalId === nProposalId);
+    }
+
+    /**
+     * Contract applies accepted proposal only with its next call (at or after nHeightToApply),
+     * so definition should apply it self when read at that height
+     *
+     * @param {Number} nHeight - current (stable) height
+     */
+    applyProposals(nHeight) {
+        for (let objProposal of this._getProposalsToApply(nHeight)) {
+            const {fees, quorum, nMinAmountToJoin, document} = objProposal.objChanges;
+            if (fees) this._data.parameters.fees = {...this._data.parameters.fees, ...fees};
+            if (document !== undefined) this._data.parameters.document = document;
+            if (quorum !== undefined) this._data.quorum = quorum;
+            if (nMinAmountToJoin !== undefined) this._data.nMinAmountToJoin = nMinAmountToJoin;
+
+            objProposal.isApplied = true;
+        }
+    }
+
+    /**
+     *
+     * @param {Number} nHeight
+     * @returns {Boolean}
+     */
+    hasProposalsToApply(nHeight) {
+        return this._getProposalsToApply(nHeight).length > 0;
+    }
+
+    _getProposalsToApply(nHeight) {
+        return this.getProposals().filter(objProposal =>
+            objProposal.isAccepted && !objProposal.isApplied && objProposal.nHeightToApply <= nHeight);
+    }
+
     validateBlock(block) {
         throw new Error('Implement!');
     }
@@ -116,6 +205,18 @@ module.exports = class BaseConciliumDefinition {
         return CONCILIUM_TYPE_RR;
     }
 
+    static get REWARD_POLICY_PROPOSER() {
+        return REWARD_POLICY_PROPOSER;
+    }
+
+    static get REWARD_POLICY_STAKE() {
+        return REWARD_POLICY_STAKE;
+    }
+
+    static get REWARD_POLICY_SIGNERS() {
+        return REWARD_POLICY_SIGNERS;
+    }
+
     /**
      * Redefine this to change proposing behavior
      *
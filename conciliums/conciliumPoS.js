@@ -26,7 +26,16 @@ const debug = debugLib('conciliumPoS:');
 //        {
 //            address: '324234234',
 //            amount: 1e8,
-//            nHeightToRelease: 1e4
+//            nHeightToRelease: 1e4,
+//
+//            // stakes delegated to this member (add weight to its share)
+//            arrDelegations: [
+//                {
+//                    address: '435345345',
+//                    amount: 1e8,
+//                    nHeightToRelease: 1e4
+//                }
+//            ]
 //        }
 //    ]
 //};
@@ -37,25 +46,29 @@ module.exports = ({Constants}) =>
          *
          * @param {Object} data - posDef see above
          * @param {Number} nSeqLength - length of sequence to be formed for each epoche
+         * @param {Boolean} bCountDelegations - delegated stakes add weight (only after HEIGHT_FORK_DELEGATION)
          */
-        constructor(data, nSeqLength) {
+        constructor(data, nSeqLength, bCountDelegations = true) {
             super(data, nSeqLength);
 
             assert(data.nMinAmountToJoin, 'Specify nMinAmountToJoin');
 
+            this._bCountDelegations = bCountDelegations;
+
             this._setType(BaseConciliumDefinition.CONCILIUM_TYPE_POS);
 
             if (!Array.isArray(this._data.arrMembers)) this._data.arrMembers = [];
 
-            this._totalSharesAmount = this._data.arrMembers.reduce((accum, m) => accum + m.amount, 0);
+            const arrWeights = this._data.arrMembers.map(m => this._getMemberWeight(m));
+            this._totalSharesAmount = arrWeights.reduce((accum, nWeight) => accum + nWeight, 0);
 
-            let nGcd = GCD(this._data.arrMembers.map(m => m.amount));
+            let nGcd = GCD(arrWeights);
             if (this._totalSharesAmount >= 1e9 && nGcd < 1e6) {
                 nGcd = 1e6;
             } else if (this._totalSharesAmount >= 1e6 && nGcd < 1e3) nGcd = 1000;
 
             this._totalSharesAmount /= nGcd;
-            this._arrShares = this._data.arrMembers.map(m => m.amount / nGcd);
+            this._arrShares = arrWeights.map(nWeight => nWeight / nGcd);
 
 
             // we need 50% +1
@@ -97,6 +110,49 @@ module.exports = ({Constants}) =>
                 Buffer.from(objRecord.address, 'hex') : objRecord.address.toString('hex'));
         }
 
+        /**
+         *
+         * @returns {Array} of {address, amount}
+         */
+        getMembersStakes() {
+            return this._data.arrMembers.map(objMember => ({
+                address: objMember.address,
+                amount: this._getMemberWeight(objMember)
+            }));
+        }
+
+        /**
+         * Member itself and its delegators, with their stakes. To share member's reward
+         *
+         * @param {String} strAddress - member address
+         * @returns {Array | undefined} of {address, amount}. undefined - not a member
+         */
+        getStakeholders(strAddress) {
+            const objMember = this._data.arrMembers.find(objRecord => objRecord.address === strAddress);
+            if (!objMember) return undefined;
+
+            return [
+                {address: objMember.address, amount: objMember.amount},
+                ...this._getDelegations(objMember).map(({address, amount}) => ({address, amount}))
+            ];
+        }
+
+        _getDelegations(objMember) {
+            return Array.isArray(objMember.arrDelegations) ? objMember.arrDelegations : [];
+        }
+
+        /**
+         * Own stake of member plus delegated to it (@see constructor bCountDelegations)
+         *
+         * @param {Object} objMember - record from arrMembers
+         * @returns {Number}
+         * @private
+         */
+        _getMemberWeight(objMember) {
+            if (!this._bCountDelegations) return objMember.amount;
+            return this._getDelegations(objMember).reduce((accum, {amount}) => accum + amount, objMember.amount);
+        }
+
         /**
          * @see constructor
          *
@@ -47,6 +47,15 @@ module.exports = ({Constants}) =>
             return this._data.addresses.map(addr => bConvertToBuffer ? Buffer.from(addr, 'hex') : addr.toString('hex'));
         }
 
+        /**
+         * All members of RR concilium have equal stakes
+         *
+         * @returns {Array} of {address, amount}
+         */
+        getMembersStakes() {
+            return this.getAddresses(false).map(address => ({address, amount: 1}));
+        }
+
         setQuorum(quorum) {
             this._data.quorum = quorum;
         }
@@ -37,6 +37,8 @@ module.exports = {
         DEV_FOUNDATION_ADDRESS: '087b7b06bfc8f198eb25655c358355692187f9d1',
         CONCILIUM_DEFINITION_CONTRACT_ADDRESS: 'a46b92916bc8db1d4b403198f557b987b88f5ae2',
         GENESIS_BLOCK: '2bf44e4c0602b8b3c9184fd78bb44b049cfb483727c765638ec0b08afaec3509',
+        CHECKPOINTS: [],
+        ASSUMED_VALID_BLOCK: undefined,
 
         // how much we suppress creating empty blocks
 
@@ -53,7 +55,39 @@ module.exports = {
             HEIGHT_FORK_SERIALIZER: 8970,
             HEIGHT_FORK_CHANGE: 8992,
             HEIGHT_FORK_SERIALIZER_FIX2: 9145,
-            HEIGHT_FORK_SERIALIZER_FIX3: 55700
+            HEIGHT_FORK_SERIALIZER_FIX3: 55700,
+
+            // M-of-N multisig outputs (and claims with multiple signatures)
+            HEIGHT_FORK_MULTISIG: 150000,
+
+            // absolute (tx nLockTime, output nNotBeforeHeight) & relative (output nRelativeLockHeight) timelocks
+            HEIGHT_FORK_TIMELOCKS: 150000,
+
+            // claims signed with SIGHASH_NONE, SIGHASH_SINGLE or SIGHASH_ANYONECANPAY (hash method byte in claimProof)
+            HEIGHT_FORK_SIGHASH: 150000,
+
+            HEIGHT_FORK_BIGINT_AMOUNTS: 160000,
+
+            // contracts could "emit" events (logs of receipt), paid as storage
+            HEIGHT_FORK_CONTRACT_LOGS: 160000,
+
+            // contract code metered by operations (instead of TIMEOUT_CODE)
+            HEIGHT_FORK_CODE_METERING: 170000,
+
+            // owner could replace contract code with upgradeCode tx
+            HEIGHT_FORK_CONTRACT_UPGRADE: 170000,
+
+            // invocation of unknown contract method (or with wrong arguments count) is rejected
+            HEIGHT_FORK_CONTRACT_ABI: 170000,
+
+            // "slashWitness" of concilium contract requires valid evidence of equivocation
+            HEIGHT_FORK_SLASHING: 180000,
+
+            // block fees distributed among concilium members according to its "rewardPolicy"
+            HEIGHT_FORK_REWARD_POLICY: 190000,
+
+            // rewards of PoS concilium members are shared with their delegators
+            HEIGHT_FORK_DELEGATION: 200000
         },
 
         WITNESS_UTXOS_JOIN: 5,
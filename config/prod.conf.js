@@ -12,6 +12,15 @@ module.exports = {
         CONCILIUM_DEFINITION_CONTRACT_ADDRESS: '6ab4ab8161f954be88af699435f3514485ab8f9a',
         GENESIS_BLOCK: '8b6d259ee3ee1acd524654d9b27286188c982e3764f1ef3f6db98c6382e6d777',
 
+        // content hash of trusted chainstate snapshot. Snapshot with other hash wouldn't be imported
+        SNAPSHOT_CHECKPOINT: undefined,
+
+        // {hash, height} of blocks, branches conflicting with them will be rejected
+        CHECKPOINTS: [],
+
+        // hash of block, signatures of its ancestors are assumed valid (checked by whole network)
+        ASSUMED_VALID_BLOCK: undefined,
+
         strIdent: 'Prod',
 
         network: 0x12882304,
@@ -62,6 +71,12 @@ module.exports = {
         // we expect that peer will respond with requested INV within this period
         INV_REQUEST_HOLDOFF: 1 * 60 * 1000,
 
+        // headers first sync: max headers waiting for bodies (rest will be requested after download)
+        MAX_HEADERS_TO_DOWNLOAD: 10000,
+
+        // headers first sync: after this rounds of MSG_HEADERS without new headers, peer is synced with MSG_GET_BLOCKS
+        MAX_HEADERS_IDLE_ROUNDS: 3,
+
         messageTypes: {
             MSG_VERSION: 'version',
             MSG_VERACK: 'verack',
@@ -76,6 +91,11 @@ module.exports = {
             MSG_GET_MEMPOOL: 'getmempool',
             MSG_PING: 'ping',
             MSG_PONG: 'pong',
+            MSG_CMPCT_BLOCK: 'cmpctblock',
+            MSG_GET_BLOCK_TXN: 'getblocktxn',
+            MSG_BLOCK_TXN: 'blocktxn',
+            MSG_GET_HEADERS: 'getheaders',
+            MSG_HEADERS: 'headers',
 
             MSG_WITNESS_HANDSHAKE: 'w_handshake',
             MSG_WITNESS_NEXT_ROUND: 'w_nextround',
@@ -98,6 +118,9 @@ module.exports = {
             COMMIT: 30000
         },
 
+        // how many finished rounds BftConsensus keeps for getConsensusStats
+        CONSENSUS_STATS_HISTORY_LENGTH: 100,
+
         // maximum time offset for nodes we tolerate
         TOLERATED_TIME_DIFF: 60 * 60 * 1000,
 
@@ -120,14 +143,22 @@ module.exports = {
             // contract send moneys
             INTERNAL_TX_FEE: 300,
 
-            STORAGE_PER_BYTE_FEE: 10
+            STORAGE_PER_BYTE_FEE: 10,
+
+            // every statement of contract code (@see node/codeMetering.js)
+            CODE_OPERATION_FEE: 1
         },
 
         MEMPOOL_TX_QTY: 500,
         MEMPOOL_TX_LIFETIME: 24 * 60 * 60 * 1000,
         MEMPOOL_BAD_TX_CACHE: 10 * 60 * 1000,
 
-        // TODO: review it. Heavy code will be terminated on slow nodes. And node become unsynced
+        // replacing tx (RBF) should pay at least this much (per Kbyte of replaced txns) above replaced ones
+        MEMPOOL_RBF_INCREMENT_PER_KB: 4000,
+
+        // last resort for non metered code (before HEIGHT_FORK_CODE_METERING & constant calls)
+        // Heavy code will be terminated on slow nodes. And node become unsynced
+        // For metered code it's only a safety bound (single native call, like regexp, is charged once)
         TIMEOUT_CODE: 10000,
 
         TX_STATUS_OK: 1,
@@ -140,6 +171,8 @@ module.exports = {
 
         DB_TXINDEX_DIR: 'txindex',
         DB_WALLET_DIR: 'wallet',
+        DB_MEMPOOL_DIR: 'mempool',
+        DB_SNAPSHOT_DIR: 'snapshots',
 
         concilium: {
             HEIGHT_TO_RELEASE_ADD_ON: 1000,
@@ -150,7 +183,40 @@ module.exports = {
             HEIGHT_FORK_SERIALIZER: 3775,
             HEIGHT_FORK_CHANGE: 3775,
             HEIGHT_FORK_SERIALIZER_FIX2: 6100,
-            HEIGHT_FORK_SERIALIZER_FIX3: 48000
+            HEIGHT_FORK_SERIALIZER_FIX3: 48000,
+
+            // M-of-N multisig outputs (and claims with multiple signatures)
+            HEIGHT_FORK_MULTISIG: 1400000,
+
+            // absolute (tx nLockTime, output nNotBeforeHeight) & relative (output nRelativeLockHeight) timelocks
+            HEIGHT_FORK_TIMELOCKS: 1400000,
+
+            // claims signed with SIGHASH_NONE, SIGHASH_SINGLE or SIGHASH_ANYONECANPAY (hash method byte in claimProof)
+            HEIGHT_FORK_SIGHASH: 1400000,
+
+            // integer (BigInt) fee calculation & strict integer amounts for contract "send"
+            HEIGHT_FORK_BIGINT_AMOUNTS: 1500000,
+
+            // contracts could "emit" events (logs of receipt), paid as storage
+            HEIGHT_FORK_CONTRACT_LOGS: 1500000,
+
+            // contract code metered by operations (instead of TIMEOUT_CODE)
+            HEIGHT_FORK_CODE_METERING: 1600000,
+
+            // owner could replace contract code with upgradeCode tx
+            HEIGHT_FORK_CONTRACT_UPGRADE: 1600000,
+
+            // invocation of unknown contract method (or with wrong arguments count) is rejected
+            HEIGHT_FORK_CONTRACT_ABI: 1600000,
+
+            // "slashWitness" of concilium contract requires valid evidence of equivocation
+            HEIGHT_FORK_SLASHING: 1700000,
+
+            // block fees distributed among concilium members according to its "rewardPolicy"
+            HEIGHT_FORK_REWARD_POLICY: 1800000,
+
+            // rewards of PoS concilium members are shared with their delegators
+            HEIGHT_FORK_DELEGATION: 1900000
         },
 
         BLOCK_CREATION_TIME_LIMIT: 1500,
@@ -162,6 +228,30 @@ module.exports = {
         CONTRACT_V_V8: 0,
 
         WITNESS_UTXOS_JOIN: 30,
-        MAX_UTXO_PER_TX: 1000
+        MAX_UTXO_PER_TX: 1000,
+
+        // nLockTime below it is block height, otherwise - timestamp (seconds)
+        LOCKTIME_THRESHOLD: 500000000,
+
+        // maximum owners of M-of-N multisig output
+        MULTISIG_MAX_ADDRESSES: 16,
+
+        // HD accounts use BIP44-style path m/44'/HD_COIN_TYPE'/0'/<change>/<index>
+        HD_COIN_TYPE: 8223,
+
+        // how many consecutive unused addresses stops HD account rescan
+        HD_GAP_LIMIT: 20,
+
+        // max records returned by single getAddressHistory call
+        ADDRESS_HISTORY_MAX_LIMIT: 1000,
+
+        // max logs returned by single getLogs call (larger range is rejected)
+        LOGS_MAX_LIMIT: 1000,
+
+        // coins (above sent amount) available for single simulateContractCall. It bounds code operations of simulation
+        SIMULATION_MAX_COINS: 1e7,
+
+        // max active subscriptions per WebSocket RPC connection
+        WS_MAX_SUBSCRIPTIONS: 20
     }
 };
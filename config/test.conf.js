@@ -9,6 +9,8 @@ module.exports = {
 
         CONCILIUM_DEFINITION_CONTRACT_ADDRESS: undefined,
         GENESIS_BLOCK: undefined,
+        CHECKPOINTS: [],
+        ASSUMED_VALID_BLOCK: undefined,
 
         strIdent: 'Test',
 
@@ -43,7 +45,9 @@ module.exports = {
             // contract send moneys
             INTERNAL_TX_FEE: 300,
 
-            STORAGE_PER_BYTE_FEE: 10
+            STORAGE_PER_BYTE_FEE: 10,
+
+            CODE_OPERATION_FEE: 1
         },
         TIMEOUT_CODE: 100000
     }
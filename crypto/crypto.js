@@ -8,6 +8,8 @@ const EC = elliptic.ec;
 const sha3 = require('js-sha3');
 const BN = require('bn.js');
 
+const arrWordlist = require('./wordlists/english.json');
+
 const ec = new EC('secp256k1');
 
 /**
@@ -63,6 +65,270 @@ class KeyPair {
 
 }
 
+// BIP32 constants
+const HARDENED_OFFSET = 0x80000000;
+const XPRV_VERSION = 0x0488ade4;
+const XPUB_VERSION = 0x0488b21e;
+const MASTER_SECRET = Buffer.from('Bitcoin seed');
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const sha256 = (buffer) => createHash('sha256').update(buffer).digest();
+const hmacSha512 = (key, buffer) => crypto.createHmac('sha512', key).update(buffer).digest();
+
+/**
+ *
+ * @param {Buffer} buffer
+ * @return {String}
+ */
+const base58CheckEncode = (buffer) => {
+    const buffPayload = Buffer.concat([buffer, sha256(sha256(buffer)).slice(0, 4)]);
+
+    let strResult = '';
+    let bnValue = new BN(buffPayload);
+    while (!bnValue.isZero()) {
+        strResult = BASE58_ALPHABET[bnValue.modn(58)] + strResult;
+        bnValue = bnValue.divn(58);
+    }
+
+    // leading zeroes are encoded as '1'
+    for (let i = 0; i < buffPayload.length && buffPayload[i] === 0; i++) strResult = BASE58_ALPHABET[0] + strResult;
+
+    return strResult;
+};
+
+/**
+ *
+ * @param {String} str
+ * @return {Buffer}
+ */
+const base58CheckDecode = (str) => {
+    let bnValue = new BN(0);
+    for (let char of str) {
+        const nDigit = BASE58_ALPHABET.indexOf(char);
+        if (nDigit < 0) throw new Error(`Bad base58 character: ${char}`);
+        bnValue = bnValue.muln(58).addn(nDigit);
+    }
+
+    let nLeadingZeroes = 0;
+    while (nLeadingZeroes < str.length && str[nLeadingZeroes] === BASE58_ALPHABET[0]) nLeadingZeroes++;
+
+    const buffPayload = Buffer.concat([
+        Buffer.alloc(nLeadingZeroes),
+        bnValue.isZero() ? Buffer.alloc(0) : bnValue.toArrayLike(Buffer, 'be')
+    ]);
+    const buffData = buffPayload.slice(0, -4);
+    if (!sha256(sha256(buffData)).slice(0, 4).equals(buffPayload.slice(-4))) {
+        throw new Error('Bad base58 checksum');
+    }
+
+    return buffData;
+};
+
+/**
+ * BIP32 node. Holds private key (could be neutered, i.e. public only) & chain code
+ * Addresses are derived as for other keys (@see CryptoLib.getAddress), but fingerprints follow BIP32
+ * to stay compatible with other wallets
+ */
+class HdKey {
+
+    /**
+     *
+     * @param {Buffer} privateKey - 32 bytes. could be omitted for public only (neutered) key
+     * @param {Buffer} publicKey - 33 bytes compact public key. it will be calculated if privateKey present
+     * @param {Buffer} chainCode - 32 bytes
+     * @param {Number} nDepth
+     * @param {Number} nIndex - index of this key in parent
+     * @param {Number} nParentFingerprint
+     */
+    constructor({privateKey, publicKey, chainCode, nDepth = 0, nIndex = 0, nParentFingerprint = 0}) {
+        if (!privateKey && !publicKey) throw new Error('HdKey: privateKey or publicKey required');
+
+        this._privateKey = privateKey;
+        this._publicKey = privateKey ?
+            Buffer.from(ec.keyFromPrivate(privateKey).getPublic(true, 'hex'), 'hex') :
+            publicKey;
+        this._chainCode = chainCode;
+        this._nDepth = nDepth;
+        this._nIndex = nIndex;
+        this._nParentFingerprint = nParentFingerprint;
+    }
+
+    /**
+     *
+     * @param {Buffer} buffSeed - @see CryptoLib.mnemonicToSeed
+     * @return {HdKey}
+     */
+    static fromSeed(buffSeed) {
+        const buffI = hmacSha512(MASTER_SECRET, buffSeed);
+        const bnKey = new BN(buffI.slice(0, 32));
+        if (bnKey.isZero() || bnKey.cmp(ec.n) >= 0) throw new Error('HdKey: bad seed');
+
+        return new this({privateKey: buffI.slice(0, 32), chainCode: buffI.slice(32)});
+    }
+
+    /**
+     *
+     * @param {String} strExtendedKey - base58 encoded xprv or xpub
+     * @return {HdKey}
+     */
+    static fromExtendedKey(strExtendedKey) {
+        const buff = base58CheckDecode(strExtendedKey);
+        if (buff.length !== 78) throw new Error('HdKey: bad extended key length');
+
+        const nVersion = buff.readUInt32BE(0);
+        const objParams = {
+            nDepth: buff[4],
+            nParentFingerprint: buff.readUInt32BE(5),
+            nIndex: buff.readUInt32BE(9),
+            chainCode: buff.slice(13, 45)
+        };
+
+        if (nVersion === XPRV_VERSION) {
+            if (buff[45] !== 0) throw new Error('HdKey: bad private key');
+            return new this({...objParams, privateKey: buff.slice(46)});
+        } else if (nVersion === XPUB_VERSION) {
+            return new this({...objParams, publicKey: buff.slice(45)});
+        }
+        throw new Error(`HdKey: unknown version ${nVersion.toString(16)}`);
+    }
+
+    get privateKey() {
+        return this._privateKey ? this._privateKey.toString('hex') : undefined;
+    }
+
+    get publicKey() {
+        return this._publicKey.toString('hex');
+    }
+
+    get address() {
+        return CryptoLib.getAddress(this.publicKey);
+    }
+
+    get fingerprint() {
+        return Buffer.from(CryptoLib.ripemd160(sha256(this._publicKey)), 'hex').readUInt32BE(0);
+    }
+
+    /**
+     *
+     * @return {KeyPair}
+     */
+    get keyPair() {
+        return this._privateKey ?
+            CryptoLib.keyPairFromPrivate(this.privateKey) :
+            CryptoLib.keyPairFromPublic(this.publicKey);
+    }
+
+    isNeutered() {
+        return !this._privateKey;
+    }
+
+    /**
+     *
+     * @return {HdKey} - public only copy of key
+     */
+    neutered() {
+        return new HdKey({
+            publicKey: this._publicKey,
+            chainCode: this._chainCode,
+            nDepth: this._nDepth,
+            nIndex: this._nIndex,
+            nParentFingerprint: this._nParentFingerprint
+        });
+    }
+
+    /**
+     *
+     * @param {Number} nIndex - >= HARDENED_OFFSET for hardened derivation (private key required)
+     * @return {HdKey}
+     */
+    deriveChild(nIndex) {
+        const bHardened = nIndex >= HARDENED_OFFSET;
+        const buffIndex = Buffer.allocUnsafe(4);
+        buffIndex.writeUInt32BE(nIndex, 0);
+
+        let buffData;
+        if (bHardened) {
+            if (this.isNeutered()) throw new Error('HdKey: hardened derivation requires private key');
+            buffData = Buffer.concat([Buffer.alloc(1), this._privateKey, buffIndex]);
+        } else {
+            buffData = Buffer.concat([this._publicKey, buffIndex]);
+        }
+
+        const buffI = hmacSha512(this._chainCode, buffData);
+        const bnIL = new BN(buffI.slice(0, 32));
+
+        // probability is lower than 1 in 2^127, BIP32 suggests to proceed with next index
+        if (bnIL.cmp(ec.n) >= 0) throw new Error(`HdKey: invalid child ${nIndex}, use next one`);
+
+        const objParams = {
+            chainCode: buffI.slice(32),
+            nDepth: this._nDepth + 1,
+            nIndex,
+            nParentFingerprint: this.fingerprint
+        };
+
+        if (!this.isNeutered()) {
+            const bnChild = bnIL.add(new BN(this._privateKey)).umod(ec.n);
+            if (bnChild.isZero()) throw new Error(`HdKey: invalid child ${nIndex}, use next one`);
+
+            return new HdKey({...objParams, privateKey: bnChild.toArrayLike(Buffer, 'be', 32)});
+        }
+
+        const point = ec.g.mul(bnIL).add(ec.keyFromPublic(this._publicKey).getPublic());
+        if (point.isInfinity()) throw new Error(`HdKey: invalid child ${nIndex}, use next one`);
+
+        return new HdKey({...objParams, publicKey: Buffer.from(point.encode('hex', true), 'hex')});
+    }
+
+    /**
+     * Path starting with "m/" is allowed only for master key, otherwise it's relative to this key
+     *
+     * @param {String} strPath - like "m/44'/0'/0'/0/1" or "0/1"
+     * @return {HdKey}
+     */
+    derivePath(strPath) {
+        const arrParts = strPath.split('/');
+        if (arrParts[0] === 'm') {
+            if (this._nDepth !== 0) throw new Error('HdKey: absolute path for non master key');
+            arrParts.shift();
+        }
+
+        return arrParts.filter(strPart => strPart.length).reduce((hdKey, strPart) => {
+            const bHardened = strPart.endsWith('\'') || strPart.endsWith('h');
+            const nIndex = parseInt(bHardened ? strPart.slice(0, -1) : strPart, 10);
+            if (!Number.isInteger(nIndex) || nIndex < 0 || nIndex >= HARDENED_OFFSET) {
+                throw new Error(`HdKey: bad path element "${strPart}"`);
+            }
+
+            return hdKey.deriveChild(bHardened ? nIndex + HARDENED_OFFSET : nIndex);
+        }, this);
+    }
+
+    /**
+     *
+     * @param {Boolean} bPublic - force xpub for private key
+     * @return {String} - xprv or xpub
+     */
+    toExtendedKey(bPublic = false) {
+        const bPrivate = !bPublic && !this.isNeutered();
+        const buff = Buffer.allocUnsafe(78);
+
+        buff.writeUInt32BE(bPrivate ? XPRV_VERSION : XPUB_VERSION, 0);
+        buff.writeUInt8(this._nDepth, 4);
+        buff.writeUInt32BE(this._nParentFingerprint, 5);
+        buff.writeUInt32BE(this._nIndex, 9);
+        this._chainCode.copy(buff, 13);
+        if (bPrivate) {
+            buff.writeUInt8(0, 45);
+            this._privateKey.copy(buff, 46);
+        } else {
+            this._publicKey.copy(buff, 45);
+        }
+
+        return base58CheckEncode(buff);
+    }
+}
+
 // algorithm used to symmtrical encryption/decryption (for storing privateKeys)
 const ALGO = 'aes256';
 const LENGTH = 16;
@@ -359,6 +625,92 @@ class CryptoLib {
         };
     }
 
+    /**
+     * BIP39 mnemonic
+     *
+     * @param {Number} nStrength - bits of entropy. multiple of 32 in range [128, 256]
+     * @return {String}
+     */
+    static createMnemonic(nStrength = 128) {
+        if (nStrength % 32 || nStrength < 128 || nStrength > 256) throw new Error('Bad mnemonic strength');
+
+        return this.entropyToMnemonic(this.randomBytes(nStrength / 8));
+    }
+
+    /**
+     *
+     * @param {Buffer} buffEntropy
+     * @return {String}
+     */
+    static entropyToMnemonic(buffEntropy) {
+        const strBits = this._bytesToBits(buffEntropy) + this._mnemonicChecksumBits(buffEntropy);
+
+        return strBits.match(/.{11}/g).map(strChunk => arrWordlist[parseInt(strChunk, 2)]).join(' ');
+    }
+
+    /**
+     *
+     * @param {String} strMnemonic
+     * @return {boolean}
+     */
+    static validateMnemonic(strMnemonic) {
+        const arrWords = strMnemonic.normalize('NFKD').trim().split(/\s+/);
+        if (arrWords.length % 3 || arrWords.length < 12 || arrWords.length > 24) return false;
+
+        const arrIndexes = arrWords.map(strWord => arrWordlist.indexOf(strWord));
+        if (arrIndexes.some(nIndex => nIndex < 0)) return false;
+
+        const strBits = arrIndexes.map(nIndex => nIndex.toString(2).padStart(11, '0')).join('');
+        const nEntropyBits = strBits.length / 33 * 32;
+        const buffEntropy = Buffer.from(
+            strBits.slice(0, nEntropyBits).match(/.{8}/g).map(strByte => parseInt(strByte, 2))
+        );
+
+        return this._mnemonicChecksumBits(buffEntropy) === strBits.slice(nEntropyBits);
+    }
+
+    /**
+     *
+     * @param {String} strMnemonic
+     * @param {String} strPassphrase - optional BIP39 passphrase
+     * @return {Buffer} - 64 bytes seed
+     */
+    static mnemonicToSeed(strMnemonic, strPassphrase = '') {
+        return crypto.pbkdf2Sync(
+            Buffer.from(strMnemonic.normalize('NFKD').trim().split(/\s+/).join(' '), 'utf8'),
+            Buffer.from(`mnemonic${strPassphrase}`.normalize('NFKD'), 'utf8'),
+            2048,
+            64,
+            'sha512'
+        );
+    }
+
+    /**
+     *
+     * @param {Buffer} buffSeed
+     * @return {HdKey}
+     */
+    static hdKeyFromSeed(buffSeed) {
+        return HdKey.fromSeed(buffSeed);
+    }
+
+    /**
+     *
+     * @param {String} strExtendedKey - xprv or xpub
+     * @return {HdKey}
+     */
+    static hdKeyFromExtendedKey(strExtendedKey) {
+        return HdKey.fromExtendedKey(strExtendedKey);
+    }
+
+    static _bytesToBits(buffer) {
+        return [...buffer].map(nByte => nByte.toString(2).padStart(8, '0')).join('');
+    }
+
+    static _mnemonicChecksumBits(buffEntropy) {
+        return this._bytesToBits(sha256(buffEntropy)).slice(0, buffEntropy.length * 8 / 32);
+    }
+
     static randomBytes(length) {
         return crypto.randomBytes(length);
     }
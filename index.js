@@ -30,6 +30,7 @@ process.on('warning', e => console.warn(e.stack));
     if (objUserParams.conciliumDefContract) {
         factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS = objUserParams.conciliumDefContract;
     }
+    if (objUserParams.snapshotHash) factory.Constants.SNAPSHOT_CHECKPOINT = objUserParams.snapshotHash;
 
     let commonOptions = {
         ...setImpliedParameters(objUserParams),
@@ -45,6 +46,12 @@ process.on('warning', e => console.warn(e.stack));
     // this will completely erase DB, and resync it from neighbors
     await clearDb(commonOptions);
 
+    // if there is export task - program will terminate after completion!
+    await exportSnapshot(commonOptions);
+
+    // replace chainstate with snapshot, node will sync rest of blocks from last applied ones
+    await importSnapshot(commonOptions);
+
     let node;
     if (objUserParams.privateKey) {
         const decryptedPk = await readPrivateKeyFromFile(factory.Crypto, objUserParams.privateKey);
@@ -85,6 +92,9 @@ async function rebuildDb(objCmdLineParams) {
 
     try {
         const storage = new factory.Storage({...objCmdLineParams, mutex: new factory.Mutex()});
+        if (storage.isPruningEnabled() || await storage.hasPrunedBlocks()) {
+            throw new Error('Rebuild DB is impossible: bodies of old blocks are pruned. Use importSnapshot instead');
+        }
         await storage.dropAllForReIndex();
 
         const node = new factory.Node({...objCmdLineParams, workerSuspended: true, networkSuspended: true});
@@ -97,6 +107,44 @@ async function rebuildDb(objCmdLineParams) {
     }
 }
 
+async function exportSnapshot(objCmdLineParams) {
+    const {exportSnapshot: strFileName} = objCmdLineParams;
+    if (!strFileName) return;
+
+    try {
+        const storage = new factory.Storage({...objCmdLineParams, mutex: new factory.Mutex()});
+        const {hash, arrLastAppliedHashes, nRecords, strFilePath} = await storage.exportSnapshot(strFileName);
+        await storage.close();
+
+        console.log(`Snapshot "${strFilePath}" created. ${nRecords} records. Content hash: ${hash}`);
+        console.log(`Last applied blocks: ${arrLastAppliedHashes}`);
+        process.exit(0);
+    } catch (e) {
+        console.error(e);
+        process.exit(1);
+    }
+}
+
+async function importSnapshot(objCmdLineParams) {
+    const {importSnapshot: strFileName} = objCmdLineParams;
+    if (!strFileName) return;
+
+    try {
+        if (!factory.Constants.SNAPSHOT_CHECKPOINT) throw new Error('No snapshot checkpoint configured');
+
+        const storage = new factory.Storage({...objCmdLineParams, mutex: new factory.Mutex()});
+        const {nRecords, arrLastAppliedHashes} =
+            await storage.importSnapshot(strFileName, factory.Constants.SNAPSHOT_CHECKPOINT);
+        await storage.close();
+
+        console.log(`Snapshot "${strFileName}" imported. ${nRecords} records`);
+        console.log(`Will sync from: ${arrLastAppliedHashes}`);
+    } catch (e) {
+        console.error(e);
+        process.exit(1);
+    }
+}
+
 async function clearDb(objCmdLineParams) {
     try {
         const storage = new factory.Storage({...objCmdLineParams, mutex: new factory.Mutex()});
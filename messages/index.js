@@ -8,6 +8,11 @@ const MsgTxWrapper = require('./node/msgTx');
 const MsgInvWrapper = require('./node/msgInv');
 const MsgGetDataWrapper = require('./node/msgGetData');
 const MsgGetBlocksWrapper = require('./node/msgGetBlocks');
+const MsgCompactBlockWrapper = require('./node/msgCompactBlock');
+const MsgGetBlockTxnWrapper = require('./node/msgGetBlockTxn');
+const MsgBlockTxnWrapper = require('./node/msgBlockTxn');
+const MsgGetHeadersWrapper = require('./node/msgGetHeaders');
+const MsgHeadersWrapper = require('./node/msgHeaders');
 
 const PeerInfoWrapper = require('./includes/peerInfo');
 
@@ -25,8 +30,13 @@ module.exports = (factory, objPrototypes) => {
         versionPayloadProto,
         addrPayloadProto,
         rejectPayloadProto,
-        getBlocksPayloadProto
+        getBlocksPayloadProto,
+        compactBlockPayloadProto,
+        getBlockTxnPayloadProto,
+        blockTxnPayloadProto,
+        headersPayloadProto
     } = objPrototypes;
+    const {blockProto, blockHeaderProto} = objPrototypes;
     const {witnessMessageProto, witnessNextRoundProto, witnessBlockVoteProto} = objPrototypes;
     const {peerInfoProto} = objPrototypes;
 
@@ -45,6 +55,13 @@ module.exports = (factory, objPrototypes) => {
         MsgInv,
         MsgGetData: MsgGetDataWrapper(Constants, Crypto, MsgInv),
         MsgGetBlocks: MsgGetBlocksWrapper(Constants, ArrayOfHashes, MsgCommon, getBlocksPayloadProto),
+        MsgCompactBlock: MsgCompactBlockWrapper(Constants, Crypto, MsgCommon, Block, Transaction,
+            compactBlockPayloadProto, blockProto, blockHeaderProto
+        ),
+        MsgGetBlockTxn: MsgGetBlockTxnWrapper(Constants, MsgCommon, getBlockTxnPayloadProto),
+        MsgBlockTxn: MsgBlockTxnWrapper(Constants, MsgCommon, Transaction, blockTxnPayloadProto),
+        MsgGetHeaders: MsgGetHeadersWrapper(Constants, ArrayOfHashes, MsgCommon, getBlocksPayloadProto),
+        MsgHeaders: MsgHeadersWrapper(Constants, MsgCommon, headersPayloadProto, blockHeaderProto),
 
         PeerInfo: PeerInfoWrapper(Constants, peerInfoProto),
 
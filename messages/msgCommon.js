@@ -19,7 +19,12 @@ module.exports = (Constants, Crypto, MessageProto) => {
         MSG_GET_BLOCKS,
         MSG_GET_MEMPOOL,
         MSG_PING,
-        MSG_PONG
+        MSG_PONG,
+        MSG_CMPCT_BLOCK,
+        MSG_GET_BLOCK_TXN,
+        MSG_BLOCK_TXN,
+        MSG_GET_HEADERS,
+        MSG_HEADERS
     } = Constants.messageTypes;
 
     return class MessageCommon {
@@ -208,5 +213,25 @@ module.exports = (Constants, Crypto, MessageProto) => {
             return this.message === MSG_PONG;
         }
 
+        isCompactBlock() {
+            return this.message === MSG_CMPCT_BLOCK;
+        }
+
+        isGetBlockTxn() {
+            return this.message === MSG_GET_BLOCK_TXN;
+        }
+
+        isBlockTxn() {
+            return this.message === MSG_BLOCK_TXN;
+        }
+
+        isGetHeaders() {
+            return this.message === MSG_GET_HEADERS;
+        }
+
+        isHeaders() {
+            return this.message === MSG_HEADERS;
+        }
+
     };
 };
@@ -0,0 +1,69 @@
+/**
+ * Response to MSG_GET_BLOCK_TXN
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Transaction} Transaction
+ * @param {Object} BlockTxnPayloadProto - protobuf compiled BlockTxnPayload prototype
+ * @return {{new(*): MessageBlockTxn}}
+ */
+module.exports = (Constants, MessageCommon, Transaction, BlockTxnPayloadProto) => {
+    const {MSG_BLOCK_TXN} = Constants.messageTypes;
+
+    return class MessageBlockTxn extends MessageCommon {
+
+        /**
+         *
+         * @param {Object | Buffer} data - {blockHash, txns: [Transaction]}
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isBlockTxn()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_BLOCK_TXN}" got "${this.message}"`);
+                }
+
+                this._data = {...BlockTxnPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {};
+
+                if (typeof data === 'object') {
+                    const {blockHash, txns} = data;
+                    this._data = BlockTxnPayloadProto.create({
+                        blockHash: Buffer.isBuffer(blockHash) ? blockHash : Buffer.from(blockHash, 'hex'),
+                        txns: txns.map(tx => tx.encode())
+                    });
+                }
+                this.message = MSG_BLOCK_TXN;
+            }
+        }
+
+        /**
+         *
+         * @return {String}
+         */
+        get blockHash() {
+            return this._data.blockHash.toString('hex');
+        }
+
+        /**
+         *
+         * @return {Array} of Transaction (in order of requested indexes)
+         */
+        get txns() {
+            return this._data.txns.map(buffTx => new Transaction(buffTx));
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = BlockTxnPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
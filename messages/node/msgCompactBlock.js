@@ -0,0 +1,150 @@
+/**
+ * Block header with short ids of txns instead of txns (receiver has most of them in mempool)
+ *
+ * @param {Object} Constants
+ * @param {Crypto} Crypto
+ * @param {Object} MessageCommon
+ * @param {Block} Block
+ * @param {Transaction} Transaction
+ * @param {Object} CompactBlockPayloadProto - protobuf compiled CompactBlockPayload prototype
+ * @param {Object} BlockProto - protobuf compiled Block prototype
+ * @param {Object} BlockHeaderProto - protobuf compiled BlockHeader prototype
+ * @return {{new(*): MessageCompactBlock}}
+ */
+module.exports = (Constants, Crypto, MessageCommon, Block, Transaction, CompactBlockPayloadProto, BlockProto,
+                  BlockHeaderProto) => {
+    const {MSG_CMPCT_BLOCK} = Constants.messageTypes;
+
+    // bytes
+    const SHORT_TX_ID_LENGTH = 6;
+
+    return class MessageCompactBlock extends MessageCommon {
+
+        /**
+         *
+         * @param {Block | Buffer} data
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isCompactBlock()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_CMPCT_BLOCK}" got "${this.message}"`);
+                }
+
+                this._data = {...CompactBlockPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {};
+
+                if (data instanceof Block) this.block = data;
+                this.message = MSG_CMPCT_BLOCK;
+            }
+        }
+
+        /**
+         * Salted with block hash, so it's hard to prepare colliding txns in advance
+         *
+         * @param {String} strBlockHash
+         * @param {String} strTxHash
+         * @return {String}
+         */
+        static createShortTxId(strBlockHash, strTxHash) {
+            const buffData = Buffer.concat([Buffer.from(strBlockHash, 'hex'), Buffer.from(strTxHash, 'hex')]);
+            return Crypto.createHash(buffData).substr(0, SHORT_TX_ID_LENGTH * 2);
+        }
+
+        /**
+         * Coinbase is always prefilled (nobody has it in mempool)
+         *
+         * @param {Block} block
+         */
+        set block(block) {
+            if (!(block instanceof Block)) {
+                throw TypeError(`Bad block. Expected instance of Block, got ${block}`);
+            }
+
+            const strBlockHash = block.getHash();
+            const [coinbase, ...arrTxns] = block.txns.map(objTx => new Transaction(objTx));
+
+            this._data = {
+                header: block.encodeHeader(),
+                signatures: block.signatures,
+                shortTxIds: arrTxns.map(tx => Buffer.from(this.constructor.createShortTxId(strBlockHash, tx.getHash()),
+                    'hex'
+                )),
+                prefilledIndexes: [0],
+                prefilledTxns: [coinbase.encode()]
+            };
+        }
+
+        /**
+         *
+         * @return {String}
+         */
+        get blockHash() {
+            return Crypto.createHash(this._data.header);
+        }
+
+        get txCount() {
+            return this._data.shortTxIds.length + this._data.prefilledIndexes.length;
+        }
+
+        /**
+         * Place txns into block positions
+         *
+         * @param {Array} arrCandidateTxns - of Transaction (i.e. from mempool)
+         * @return {Array} of Transaction. undefined - for txns we don't have
+         */
+        reconstruct(arrCandidateTxns) {
+            const strBlockHash = this.blockHash;
+            const nTxCount = this.txCount;
+            const arrResult = new Array(nTxCount);
+
+            if (this._data.prefilledIndexes.length !== this._data.prefilledTxns.length) {
+                throw new Error('Compact block: prefilled indexes mismatch txns');
+            }
+            this._data.prefilledIndexes.forEach((nIndex, i) => {
+                if (nIndex >= nTxCount || arrResult[nIndex]) {
+                    throw new Error(`Compact block: bad prefilled index ${nIndex}`);
+                }
+                arrResult[nIndex] = new Transaction(this._data.prefilledTxns[i]);
+            });
+
+            const mapCandidates = new Map(
+                arrCandidateTxns.map(tx => [this.constructor.createShortTxId(strBlockHash, tx.getHash()), tx]));
+
+            let nShortIdIndex = 0;
+            for (let i = 0; i < nTxCount; i++) {
+                if (arrResult[i]) continue;
+                arrResult[i] = mapCandidates.get(this._data.shortTxIds[nShortIdIndex++].toString('hex'));
+            }
+
+            return arrResult;
+        }
+
+        /**
+         * Caller should compare hash of result with blockHash (short ids could collide)
+         *
+         * @param {Array} arrTxns - of Transaction (all of them, @see reconstruct)
+         * @return {Block}
+         */
+        createBlock(arrTxns) {
+            return new Block(BlockProto.encode({
+                header: BlockHeaderProto.decode(this._data.header),
+                txns: arrTxns.map(tx => tx.rawData),
+                signatures: this._data.signatures
+            }).finish());
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = CompactBlockPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
@@ -0,0 +1,68 @@
+/**
+ * Request for txns of compact block, that we couldn't find in mempool
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Object} GetBlockTxnPayloadProto - protobuf compiled GetBlockTxnPayload prototype
+ * @return {{new(*): MessageGetBlockTxn}}
+ */
+module.exports = (Constants, MessageCommon, GetBlockTxnPayloadProto) => {
+    const {MSG_GET_BLOCK_TXN} = Constants.messageTypes;
+
+    return class MessageGetBlockTxn extends MessageCommon {
+
+        /**
+         *
+         * @param {Object | Buffer} data - {blockHash, indexes}
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isGetBlockTxn()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_GET_BLOCK_TXN}" got "${this.message}"`);
+                }
+
+                this._data = {...GetBlockTxnPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {};
+
+                if (typeof data === 'object') {
+                    const {blockHash, indexes} = data;
+                    this._data = GetBlockTxnPayloadProto.create({
+                        blockHash: Buffer.isBuffer(blockHash) ? blockHash : Buffer.from(blockHash, 'hex'),
+                        indexes
+                    });
+                }
+                this.message = MSG_GET_BLOCK_TXN;
+            }
+        }
+
+        /**
+         *
+         * @return {String}
+         */
+        get blockHash() {
+            return this._data.blockHash.toString('hex');
+        }
+
+        /**
+         *
+         * @return {Array} of Numbers - positions of txns in block
+         */
+        get indexes() {
+            return this._data.indexes;
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = GetBlockTxnPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
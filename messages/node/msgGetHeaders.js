@@ -0,0 +1,64 @@
+/**
+ * Same as MSG_GET_BLOCKS, but peer should respond with MSG_HEADERS instead of MSG_INV
+ *
+ * @param {Object} Constants
+ * @param {ArrayOfHashes} ArrayOfHashes
+ * @param {Object} MessageCommon
+ * @param {Object} GetBlocksPayloadProto - protobuf compiled GetBlocksPayload prototype
+ * @return {{new(*): MessageGetHeaders}}
+ */
+module.exports = (Constants, ArrayOfHashes, MessageCommon, GetBlocksPayloadProto) => {
+    const {MSG_GET_HEADERS} = Constants.messageTypes;
+
+    return class MessageGetHeaders extends MessageCommon {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isGetHeaders()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_GET_HEADERS}" got "${this.message}"`);
+                }
+
+                this._data = {...GetBlocksPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {};
+
+                if (typeof data === 'object') {
+                    const errMsg = GetBlocksPayloadProto.verify(data);
+                    if (errMsg) throw new Error(`MessageGetHeaders: ${errMsg}`);
+
+                    this._data = GetBlocksPayloadProto.create(data);
+                }
+                this.message = MSG_GET_HEADERS;
+            }
+        }
+
+        /**
+         *
+         * @returns {string[]}
+         */
+        get arrHashes() {
+            return (new ArrayOfHashes(this._data.arrHashes)).getArray();
+        }
+
+        set arrHashes(arrHashes) {
+            this._data.arrHashes = (new ArrayOfHashes(arrHashes)).encode();
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = GetBlocksPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
@@ -0,0 +1,63 @@
+/**
+ * Response to MSG_GET_HEADERS
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Object} HeadersPayloadProto - protobuf compiled HeadersPayload prototype
+ * @param {Object} BlockHeaderProto - protobuf compiled BlockHeader prototype
+ * @return {{new(*): MessageHeaders}}
+ */
+module.exports = (Constants, MessageCommon, HeadersPayloadProto, BlockHeaderProto) => {
+    const {MSG_HEADERS} = Constants.messageTypes;
+
+    return class MessageHeaders extends MessageCommon {
+
+        /**
+         *
+         * @param {Array | Buffer} data - array of block headers (@see BlockInfo.getHeader)
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isHeaders()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_HEADERS}" got "${this.message}"`);
+                }
+
+                this._data = {...HeadersPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {headers: []};
+
+                if (Array.isArray(data)) this.headers = data;
+                this.message = MSG_HEADERS;
+            }
+        }
+
+        /**
+         *
+         * @return {Array} of decoded block headers
+         */
+        get headers() {
+            return this._data.headers.map(buffHeader => BlockHeaderProto.decode(buffHeader));
+        }
+
+        /**
+         *
+         * @param {Array} arrHeaders - of block headers
+         */
+        set headers(arrHeaders) {
+            this._data.headers = arrHeaders.map(objHeader => BlockHeaderProto.encode(objHeader).finish());
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = HeadersPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
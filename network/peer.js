@@ -107,6 +107,21 @@ module.exports = (factory) => {
             return this._peerInfo.capabilities;
         }
 
+        get supportsCompactBlocks() {
+            return Array.isArray(this._peerInfo.capabilities) &&
+                   !!this._peerInfo.capabilities.find(cap => cap.service === Constants.COMPACT_BLOCKS);
+        }
+
+        get supportsHeadersFirst() {
+            return Array.isArray(this._peerInfo.capabilities) &&
+                   !!this._peerInfo.capabilities.find(cap => cap.service === Constants.HEADERS_FIRST);
+        }
+
+        get isPruned() {
+            return Array.isArray(this._peerInfo.capabilities) &&
+                   !!this._peerInfo.capabilities.find(cap => cap.service === Constants.PRUNED);
+        }
+
         get isWitness() {
             return Array.isArray(this._peerInfo.capabilities) &&
                    this._peerInfo.capabilities.find(cap => cap.service === Constants.WITNESS);
@@ -326,7 +341,7 @@ module.exports = (factory) => {
         async pushMessage(msg) {
 
             // part of node bootstrap mechanism
-            if (msg.isGetBlocks()) this.getBlocksSent();
+            if (msg.isGetBlocks() || msg.isGetHeaders()) this.getBlocksSent();
 
             // we have pending messages
             if (Array.isArray(this._queue)) {
@@ -8,6 +8,9 @@ const typeforce = require('typeforce');
 const debugLib = require('debug');
 const util = require('util');
 const types = require('../types');
+const {toBigInt} = require('../utils');
+const {instrumentCode, stripInstrumentation, createBuiltinsMeteringCode} = require('./codeMetering');
+const {DEFAULT_METHOD} = require('../structures/contractAbi');
 
 const debug = debugLib('application:');
 
@@ -18,11 +21,12 @@ const strCodeSuffix = `
     __MyRetVal;
 `;
 const CONTEXT_NAME = '__MyContext';
-const defaultFunctionName = '_default';
+const METER_NAME = '__MyMeter';
+const defaultFunctionName = DEFAULT_METHOD;
 
 function _spendCoins(nCurrent, nAmount) {
     const nRemained = nCurrent - nAmount;
-    if (nRemained < 0) throw new Error('Contract run out of coins');
+    if (nRemained < 0n) throw new Error('Contract run out of coins');
 
     return nRemained;
 }
@@ -36,14 +40,15 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
          *
          * @param {Transaction} tx
          * @param {PatchDB} patchForBlock
-         * @return {{patch: *, totalHas: number}}
+         * @param {Number} nHeight - height of block, where tx will be included (to check timelocks)
+         * @param {Boolean} bSkipSignatures - tx from ancestor of assumed valid block (@see Node._isAssumedValid)
+         * @return {{patch: *, totalHas: BigInt}}
          */
-        processTxInputs(tx, patchForBlock) {
+        processTxInputs(tx, patchForBlock, nHeight, bSkipSignatures = false) {
             const txHash = tx.hash();
             const txInputs = tx.inputs;
-            const claimProofs = tx.claimProofs;
 
-            let totalHas = 0;
+            let totalHas = 0n;
 
             // this patch will hold exec result. merge it with patchForBlock ONLY if inputs processed successfully
             // we wouldn't modify patchForBlock!
@@ -52,8 +57,6 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
 
             for (let i = 0; i < txInputs.length; i++) {
 
-                // now it's equals txHash, but if you plan to implement SIGHASH_SINGLE & SIGHASH_NONE it will be different
-                const buffInputHash = Buffer.from(tx.hash(i), 'hex');
                 const input = txInputs[i];
 
                 // input.txHash - UTXO
@@ -62,12 +65,15 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
                 if (!utxo) throw new Error(`UTXO ${strInputTxHash} of ${txHash} not found in patch`);
 
                 const coins = utxo.coinsAtIndex(input.nTxOutput);
+                if (nHeight !== undefined && coins.isLocked(nHeight)) {
+                    throw new Error(
+                        `Coins ${strInputTxHash}:${input.nTxOutput} are locked till height ${coins.getLockHeight()}`);
+                }
 
-                // Verify coins possession
-                const claimProof = Array.isArray(claimProofs) && claimProofs.length
-                    ? claimProofs[i]
-                    : tx.getTxSignature();
-                this._verifyPayToAddr(coins.getReceiverAddr(), claimProof, buffInputHash);
+                // Verify coins possession (unless it's already verified by whole network)
+                // claimProof could be signed with SIGHASH_NONE, SIGHASH_SINGLE or SIGHASH_ANYONECANPAY,
+                // txSignature is always SIGHASH_ALL
+                if (!bSkipSignatures) this._verifyInputPossession(tx, i, coins);
 
                 // spend it
                 patch.spendCoins(utxo, input.nTxOutput, txHash);
@@ -79,21 +85,53 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
             return {patch, totalHas};
         }
 
+        /**
+         * Throws error if claimProof (or txSignature) of input doesn't match coins owner
+         *
+         * @param {Transaction} tx
+         * @param {Number} nInput - index of input
+         * @param {Coins} coins - spent by this input
+         * @private
+         */
+        _verifyInputPossession(tx, nInput, coins) {
+            const claimProofs = tx.claimProofs;
+
+            let signature;
+            let arrSignatures;
+            let buffInputHash;
+            if (Array.isArray(claimProofs) && claimProofs.length) {
+                const objClaim = Transaction.parseClaimProof(claimProofs[nInput]);
+                ({signature, arrSignatures} = objClaim);
+                buffInputHash = Buffer.from(tx.hash(nInput, objClaim.nHashMethod), 'hex');
+            } else {
+                signature = tx.getTxSignature();
+                arrSignatures = [signature];
+                buffInputHash = Buffer.from(tx.hash(), 'hex');
+            }
+
+            if (coins.isMultisig()) {
+                this._verifyMultisig(coins.getMultisig(), arrSignatures, buffInputHash);
+            } else {
+                this._verifyPayToAddr(coins.getReceiverAddr(), signature, buffInputHash);
+            }
+        }
+
         /**
          * @param {Transaction} tx
          * @param {PatchDB} patch - to create new coins
          * @param {Number} nStartFromIdx - if we want to skip some outputs, for contract for example
-         * @returns {Number} - to send (used to calculate fee)
+         * @param {Number} nHeight - height of block, where tx will be included (to convert relative timelocks)
+         * @returns {BigInt} - to send (used to calculate fee)
          */
-        processPayments(tx, patch, nStartFromIdx = 0) {
+        processPayments(tx, patch, nStartFromIdx = 0, nHeight) {
             const txHash = tx.hash();
 
-            // TODO: change "amount" from Numbers to BN or uint64 to avoid floating point issues!
-            let totalSent = 0;
+            let totalSent = 0n;
             const txCoins = tx.getOutCoins();
 
             for (let i = nStartFromIdx; i < txCoins.length; i++) {
-                if (txCoins[i].getAmount() !== 0) patch.createCoins(txHash, i, txCoins[i]);
+                if (txCoins[i].getRelativeLockHeight()) txCoins[i].applyRelativeLock(nHeight);
+                if (txCoins[i].getAmount() !== 0n) patch.createCoins(txHash, i, txCoins[i]);
                 totalSent += txCoins[i].getAmount();
             }
 
@@ -115,34 +153,15 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
 
             this._execStarted();
 
-            const vm = new VM({
-                timeout: Constants.TIMEOUT_CODE,
-                sandbox: {
-                    ...environment
-                }
-            });
-
-            this._nCoinsLimit = _spendCoins(this._nCoinsLimit, this._objFees.nFeeContractCreation);
+            this._spend('contractCreation', this._objFees.nFeeContractCreation);
 
-            // prepend predefined classes to code
-            let status;
             let contract;
-            let message;
 
             try {
-
-                // run code (timeout could terminate code on slow nodes!! it's not good, but we don't need weak ones!)
-                const retVal = vm.run(strPredefinedClassesCode + strCode + strCodeSuffix);
-                assert(retVal, 'Unexpected empty result from contract constructor!');
-                assert(retVal.objCode, 'No contract methods exported!');
-                assert(retVal.data, 'No contract data exported!');
-
-                // get returned class instance with member data && exported functions
-                // this will keep only data (strip proxies)
-                const objData = JSON.parse(JSON.stringify(retVal.data));
+                const {objData, objCode} = this._runContractConstructor(strCode, environment);
 
                 // strigify code
-                const strCodeExportedFunctions = JSON.stringify(retVal.objCode);
+                const strCodeExportedFunctions = JSON.stringify(objCode);
 
                 contract =
                     this._newContract(environment.contractAddr, objData, strCodeExportedFunctions, nContractVersion);
@@ -155,18 +174,93 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
         }
 
         /**
+         * Replace contract methods with ones from strCode. Data (and balance) remains, data created
+         * by constructor of new code is ignored. Paid as contract creation
          *
-         * @param objVariables
+         * @param {String} strCode - same as for createContract
+         * @param {Contract} contract - to upgrade
+         * @param {Object} environment - global variables for contract (like contractAddr)
+         * @param {Number} nHeight - height of block, where new code will be in effect
+         * @returns {Contract}
+         */
+        upgradeContract(strCode, contract, environment, nHeight) {
+            typeforce(typeforce.tuple(typeforce.String, types.Contract, typeforce.Object, 'Number'), arguments);
+
+            this._execStarted(contract);
+
+            try {
+                this._spend('contractCreation', this._objFees.nFeeContractCreation);
+
+                const {objCode} = this._runContractConstructor(strCode, environment);
+                contract.upgradeCode(objCode, nHeight);
+            } finally {
+                this._execDone(contract);
+            }
+
+            return contract;
+        }
+
+        /**
+         * Run contract code (prepended with predefined classes) to get exported data & methods
+         *
+         * @param {String} strCode - contract code
+         * @param {Object} environment - global variables for contract (like contractAddr)
+         * @return {{objData: Object, objCode: Object}}
+         * @private
+         */
+        _runContractConstructor(strCode, environment) {
+            const vm = this._createVm({
+                ...environment,
+                [METER_NAME]: nOps => this._meter(nOps)
+            });
+
+            // without metering: timeout could terminate code on slow nodes!! (@see _createVm)
+            const retVal = vm.run(this._prepareForRun(strPredefinedClassesCode + strCode + strCodeSuffix));
+            this._checkMeter();
+            assert(retVal, 'Unexpected empty result from contract constructor!');
+            assert(retVal.objCode, 'No contract methods exported!');
+            assert(retVal.data, 'No contract data exported!');
+
+            // get returned class instance with member data && exported functions
+            // this will keep only data (strip proxies)
+            const objData = JSON.parse(JSON.stringify(retVal.data));
+
+            // we'll store code without meter calls, it will be instrumented before run
+            const objCode = {};
+            for (let strMethod of Object.keys(retVal.objCode)) {
+                objCode[strMethod] = this._isMetered()
+                    ? stripInstrumentation(retVal.objCode[strMethod], METER_NAME) : retVal.objCode[strMethod];
+            }
+
+            return {objData, objCode};
+        }
+
+        /**
+         * All amounts (coinsLimit & fees) will be converted to BigInt
+         * "emit" is available for contract only with bEmitEvents (after HEIGHT_FORK_CONTRACT_LOGS)
+         *
+         * @param {Object} objVariables - {coinsLimit, objFees, bEmitEvents}
          */
         setupVariables(objVariables) {
-            const {coinsLimit, objFees} = objVariables;
+            const {coinsLimit, objFees, bEmitEvents = false} = objVariables;
 
-            this._objFees = objFees;
-            this._nInitialCoins = this._nCoinsLimit = coinsLimit;
+            this._objFees = {};
+            for (let strFeeName of Object.keys(objFees)) this._objFees[strFeeName] = toBigInt(objFees[strFeeName]);
+            this._nInitialCoins = this._nCoinsLimit = toBigInt(coinsLimit);
 
             this._nDataDelta = 0;
+            this._objSpent = {
+                contractCreation: 0n,
+                contractInvocation: 0n,
+                codeOperations: 0n,
+                internalTxns: 0n,
+                storage: 0n
+            };
             this._arrContractDataSize = [];
             this._arrContracts = [];
+            this._arrLogs = [];
+            this._bEmitEvents = bEmitEvents;
+            this._bOutOfCoins = false;
         }
 
         /**
@@ -210,7 +304,7 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
                 debug(`Invoking ${util.inspect(objInvocationCode, {colors: true, depth: null})}`);
 
                 // deduce contract invocation fee
-                this._nCoinsLimit = _spendCoins(this._nCoinsLimit, nFeeContractInvocation);
+                this._spend('contractInvocation', nFeeContractInvocation);
 
                 // this will bind code to data (assign 'this' variable)
                 const objMethods = contract.getCode();
@@ -224,13 +318,15 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
                     };
                 }
 
-                // run code (timeout could terminate code on slow nodes!! it's not good, but we don't need weak ones :))
+                // without metering: timeout could terminate code on slow nodes!! (@see _createVm)
                 // if it's initial call - form context from contract data
                 // for nested calls with delegatecall - we'll use parameter
                 const thisContext = context || {
                     ...environment,
                     [CONTEXT_NAME]: Object.assign({}, contract.getData()),
+                    [METER_NAME]: nOps => this._meter(nOps),
                     send: (strAddress, amount) => this._send(strAddress, amount),
+                    ...(this._bEmitEvents ? {emit: (strName, payload) => this._emit(strName, payload)} : {}),
                     call: async (strAddress, objParams) => await this._callWithContext(
                         strAddress,
                         objParams,
@@ -245,10 +341,7 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
                     )
                 };
 
-                const vm = new VM({
-                    timeout: Constants.TIMEOUT_CODE,
-                    sandbox: thisContext
-                });
+                const vm = this._createVm(thisContext);
 
                 if (!objMethods[objInvocationCode.method]) {
                     throw new Error(`Method ${objInvocationCode.method} not found`);
@@ -259,7 +352,8 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
                     ${this._prepareCode(objMethods)}
                     ${objInvocationCode.method}(${strArgs});`;
 
-                result = await vm.run(strPreparedCode);
+                result = await vm.run(this._prepareForRun(strPreparedCode));
+                this._checkMeter();
 
                 // all we need is result!
                 if (isConstantCall) return result;
@@ -279,6 +373,89 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
             return result;
         }
 
+        /**
+         * Metering is on if nFeeCodeOperation passed to setupVariables (after HEIGHT_FORK_CODE_METERING)
+         *
+         * @return {boolean}
+         * @private
+         */
+        _isMetered() {
+            return !!this._objFees.nFeeCodeOperation;
+        }
+
+        /**
+         * Timeout is a last resort for non metered code (it isn't deterministic!)
+         * Metered code is terminated by coins limit, so result is the same on every node. Native functions
+         * that allocate data of arbitrary size are charged by size (@see createBuiltinsMeteringCode).
+         * Timeout is kept for metered code only as safety bound: single native call (like catastrophic regexp)
+         * is charged once, and without timeout it could hang every node that validates block.
+         * Metered code couldn't use eval (code generated at runtime isn't instrumented) and couldn't replace meter
+         *
+         * @param {Object} sandbox
+         * @return {VM}
+         * @private
+         */
+        _createVm(sandbox) {
+            if (!this._isMetered()) {
+                return new VM({
+                    timeout: Constants.TIMEOUT_CODE,
+                    sandbox
+                });
+            }
+
+            const vm = new VM({
+                timeout: Constants.TIMEOUT_CODE,
+                eval: false,
+                wasm: false,
+                sandbox
+            });
+            vm.run(`Object.defineProperty(this, '${METER_NAME}', {
+                value: this.${METER_NAME},
+                writable: false,
+                configurable: false
+            });`);
+            vm.run(createBuiltinsMeteringCode(METER_NAME));
+
+            return vm;
+        }
+
+        /**
+         *
+         * @param {String} strCode
+         * @return {String}
+         * @private
+         */
+        _prepareForRun(strCode) {
+            return this._isMetered() ? instrumentCode(strCode, METER_NAME) : strCode;
+        }
+
+        /**
+         * Called from instrumented code. Once coins are exhausted - every next call will throw,
+         * so contract couldn't continue even if it catches exception
+         *
+         * @param {Number} nOps - operations count
+         * @private
+         */
+        _meter(nOps) {
+            if (this._bOutOfCoins) throw new Error('Contract run out of coins');
+
+            try {
+                this._spend('codeOperations', this._objFees.nFeeCodeOperation * BigInt(nOps));
+            } catch (e) {
+                this._bOutOfCoins = true;
+                throw e;
+            }
+        }
+
+        /**
+         * Contract could catch "out of coins" and return normally
+         *
+         * @private
+         */
+        _checkMeter() {
+            if (this._bOutOfCoins) throw new Error('Contract run out of coins');
+        }
+
         /**
          *
          * @param {Buffer} address - receiver address
@@ -293,6 +470,34 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
             if (!address.equals(Crypto.getAddress(pubKey, true))) throw new Error('Claim failed!');
         }
 
+        /**
+         * Every signature should belong to different owner from definition, and it should be at least nRequired
+         *
+         * @param {Object} objMultisig - {nRequired, arrAddresses}
+         * @param {Array} arrSignatures - provided by owners to prove ownership
+         * @param {Buffer} buffSignedData - data that was signed (need to verify or recover signature)
+         * @private
+         */
+        _verifyMultisig(objMultisig, arrSignatures, buffSignedData) {
+            typeforce(typeforce.tuple(types.MultisigDefinition, typeforce.arrayOf(types.Signature), types.Hash256bit),
+                arguments
+            );
+
+            const {nRequired, arrAddresses} = objMultisig;
+            const setOwners = new Set(arrAddresses.map(addr => addr.toString('hex')));
+            const setSigners = new Set();
+
+            for (let signature of arrSignatures) {
+                const pubKey = Crypto.recoverPubKey(buffSignedData, signature);
+                const strSignerAddr = Crypto.getAddress(pubKey);
+                if (!setOwners.has(strSignerAddr)) throw new Error('Claim failed! Signer isn\'t an owner');
+                if (setSigners.has(strSignerAddr)) throw new Error('Claim failed! Duplicate signature');
+                setSigners.add(strSignerAddr);
+            }
+
+            if (setSigners.size < nRequired) throw new Error('Claim failed! Not enough signatures');
+        }
+
         /**
          *
          * @param {Object} objFuncCode - keys - method names, values - code, like "{this._data++}"
@@ -352,10 +557,42 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
         _send(strAddress, amount) {
 
             // if it will throw (not enough) - no assignment will be made
-            this._nCoinsLimit = _spendCoins(this._nCoinsLimit, this._objFees.nFeeInternalTx);
+            this._spend('internalTxns', this._objFees.nFeeInternalTx);
             this._objCallbacks.sendCoins(strAddress, amount, this._getCurrentContract());
         }
 
+        /**
+         * Log entry is paid as storage (per byte of name & payload)
+         *
+         * @param {String} strName - event name (topic)
+         * @param {*} payload - anything JSON serializable
+         * @private
+         */
+        _emit(strName, payload) {
+            typeforce('String', strName);
+            if (!strName.length) throw new Error('Event name should be non empty');
+
+            const strData = JSON.stringify(payload === undefined ? null : payload);
+            const nSize = Buffer.byteLength(strName) + Buffer.byteLength(strData);
+
+            // if it will throw (not enough) - no assignment will be made
+            this._spend('storage', (this._objFees.nFeeStorage || 0n) * BigInt(nSize));
+            this._arrLogs.push({
+                contractAddress: Buffer.from(this._getCurrentContract().getStoredAddress(), 'hex'),
+                name: strName,
+                data: strData
+            });
+        }
+
+        /**
+         * Logs emitted by contract (and nested ones) during current execution
+         *
+         * @return {Array} of {contractAddress, name, data}
+         */
+        getLogs() {
+            return this._arrLogs;
+        }
+
         async _callWithContext(
             strAddress,
             {method, arrArguments, coinsLimit: coinsToPass},
@@ -372,7 +609,7 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
                 {
                     method,
                     arrArguments,
-                    coinsLimit: coinsToPass ? coinsToPass : this._nCoinsLimit,
+                    coinsLimit: coinsToPass ? toBigInt(coinsToPass, true) : this._nCoinsLimit,
                     environment,
 
                     // important!
@@ -393,6 +630,30 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
             return this._nDataDelta;
         }
 
+        /**
+         * Breakdown of coinsSpent. Storage includes fee for contract data delta (it's charged by node,
+         * @see Node._processContract), so it could be negative
+         *
+         * @return {{contractCreation, contractInvocation, codeOperations, internalTxns, storage}} - BigInts
+         */
+        getSpentByCategory() {
+            return {
+                ...this._objSpent,
+                storage: this._objSpent.storage + BigInt(this._nDataDelta) * (this._objFees.nFeeStorage || 0n)
+            };
+        }
+
+        /**
+         *
+         * @param {String} strCategory - @see getSpentByCategory
+         * @param {BigInt} nAmount - absent fee (not set in objFees) costs nothing
+         * @private
+         */
+        _spend(strCategory, nAmount = 0n) {
+            this._nCoinsLimit = _spendCoins(this._nCoinsLimit, nAmount);
+            this._objSpent[strCategory] += nAmount;
+        }
+
         _execStarted(contract) {
             if (!this._arrContractDataSize) throw new Error('App. Uninitialized variables, or recursion error');
 
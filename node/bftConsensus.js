@@ -14,6 +14,18 @@ module.exports = (factory) => {
     const MAIN_TIMER_NAME = 'stateChange';
     const Timeouts = Constants.consensusTimeouts;
 
+    // why round was finished (@see _nextRound)
+    const RoundResults = {
+        COMMITTED: 'COMMITTED',
+        NOT_COMMITTED: 'NOT_COMMITTED',
+        NO_ROUND_CONSENSUS: 'NO_ROUND_CONSENSUS',
+        BLOCK_TIMEOUT: 'BLOCK_TIMEOUT',
+        INVALID_BLOCK: 'INVALID_BLOCK',
+        BLOCK_REJECTED: 'BLOCK_REJECTED',
+        VOTE_TIMEOUT: 'VOTE_TIMEOUT',
+        NO_SIGNATURES: 'NO_SIGNATURES'
+    };
+
     /**
      * Emits:
      * -
@@ -45,6 +57,9 @@ module.exports = (factory) => {
             this._state = States.ROUND_CHANGE;
             this._concilium.initRounds();
 
+            this._arrStatsHistory = [];
+            this._startRoundStats();
+
             this._tock = new Tick(this);
             this._tock.setInterval(MAIN_TIMER_NAME, this._stateChange.bind(this), Timeouts.ROUND_CHANGE);
 
@@ -122,6 +137,7 @@ module.exports = (factory) => {
                     `BFT "${this._nonce}" "${addrI}" send us ${senderAddr} data ${JSON.stringify(witnessMsg.content)}`);
             }
             this._addViewOfNodeWithAddr(senderAddr, addrI, {state, ...witnessMsg.content});
+            this._trackMessage(addrI, state, witnessMsg.content);
             const value = this.runConsensus();
             if (!value) return false;
 
@@ -258,6 +274,7 @@ module.exports = (factory) => {
             this._patch = patch;
             this._lastBlockTime = Date.now();
             this._blockStateHandler(true);
+            this._accountStateTime();
 
             const message = this._createBlockAcceptMessage(
                 this._concilium.getConciliumId(),
@@ -273,7 +290,7 @@ module.exports = (factory) => {
                 return;
             }
             this._block = undefined;
-            this._blockStateHandler(false);
+            this._blockStateHandler(false, RoundResults.INVALID_BLOCK);
 
             const message = this._createBlockRejectMessage(this._concilium.getConciliumId());
             this.emit('message', message);
@@ -328,6 +345,10 @@ module.exports = (factory) => {
          * @private
          */
         _stateChange(isConsensus = false, consensusValue = undefined) {
+            // COMMIT timer is just a pause before next round, not a failure
+            if (!isConsensus && this._state !== States.COMMIT) this._objRoundStats.arrTimeouts.push(this._state);
+            this._accountStateTime();
+
             if (isConsensus && consensusValue && consensusValue.state) {
                 this._state = consensusValue.state;
                 this._adjustTimer();
@@ -348,10 +369,14 @@ module.exports = (factory) => {
                     this._voteStateHandler(isConsensus, consensusValue);
                     break;
                 case States.COMMIT:
-                    this._nextRound();
+                    this._nextRound(
+                        true,
+                        this._objRoundStats.strBlockHash ? RoundResults.COMMITTED : RoundResults.NOT_COMMITTED
+                    );
                     break;
             }
             if (prevState !== this._state) {
+                this._accountStateTime();
                 this._adjustTimer();
                 debug(
                     `BFT "${this._nonce}" STATE changed! prev: "${prevState}" new "${this._state}" Round: ${this._concilium.getRound()}`);
@@ -373,12 +398,14 @@ module.exports = (factory) => {
         _roundChangeHandler(isConsensus, consensusValue) {
             if (!isConsensus) {
                 debug(`BFT "${this._nonce}" round failed`);
-                this._nextRound(false);
+                this._nextRound(false, RoundResults.NO_ROUND_CONSENSUS);
             } else {
                 if (this._state === States.BLOCK) return;
 
                 this._concilium.adjustRound(consensusValue.roundNo);
                 this._state = States.BLOCK;
+                this._objRoundStats.nRoundNo = this._concilium.getRound();
+                this._objRoundStats.strProposer = this._concilium.getProposerAddress();
                 debug(`Proposer: ${this._concilium.getProposerAddress()}`);
                 if (this.shouldPublish()) {
                     debug(`We'll  create block! RoundNo: ${this._concilium.getRound()}`);
@@ -394,13 +421,14 @@ module.exports = (factory) => {
          * - _nextRound
          *
          * @param {boolean} isValid -  whether it called after consensus, or by timeout
+         * @param {String} strReason - why we didn't get valid block (@see RoundResults)
          * @private
          */
-        _blockStateHandler(isValid = false) {
+        _blockStateHandler(isValid = false, strReason = RoundResults.BLOCK_TIMEOUT) {
             if (isValid) {
                 this._state = States.VOTE_BLOCK;
             } else {
-                this._nextRound();
+                this._nextRound(true, strReason);
             }
         }
 
@@ -426,10 +454,11 @@ module.exports = (factory) => {
                             logger.error(
                                 `Consensus reached for block ${consensusValue.blockHash.toString(
                                     'hex')}, but fail to get signatures!`);
-                            return this._nextRound();
+                            return this._nextRound(true, RoundResults.NO_SIGNATURES);
                         }
 
                         this._block.addWitnessSignatures(arrSignatures);
+                        this._objRoundStats.strBlockHash = this._block.hash();
                         this.emit('commitBlock', this._block, this._patch);
                     } else {
 
@@ -444,7 +473,7 @@ module.exports = (factory) => {
             } else {
 
                 // no consensus or all witnesses send MSG_WITNESS_BLOCK_REJECT
-                this._nextRound();
+                this._nextRound(true, isConsensus ? RoundResults.BLOCK_REJECTED : RoundResults.VOTE_TIMEOUT);
             }
 
         }
@@ -454,11 +483,16 @@ module.exports = (factory) => {
          * Emit MsgWitnessNextRound to Witness (it will multicast it)
          * Check whether this my vote make form a consensus
          *
+         * @param {Boolean} bShouldAdvanceRound
+         * @param {String} strReason - why current round is finished (@see RoundResults)
          * @private
          */
-        _nextRound(bShouldAdvanceRound = true) {
+        _nextRound(bShouldAdvanceRound = true, strReason = undefined) {
+            this._finishRoundStats(strReason);
+
             this._block = undefined;
             this._state = States.ROUND_CHANGE;
+            this._startRoundStats();
 
             debug(
                 `BFT "${this._nonce}" restarting "ROUND_CHANGE" new round: ${this._concilium.getRound()}`);
@@ -559,6 +593,118 @@ module.exports = (factory) => {
             return gatheredWeight >= quorum ? arrSignatures : undefined;
         }
 
+        /**
+         * Telemetry of current round & bounded history of finished ones. To detect offline or lagging witnesses
+         *
+         * @returns {{conciliumId, state, objCurrentRound, arrHistory, objWitnesses}}
+         */
+        getStats() {
+            this._accountStateTime();
+
+            const arrHistory = this._arrStatsHistory.map(objRound => this._copyRoundStats(objRound));
+
+            const objWitnesses = {};
+            this._arrAddresses.forEach(strAddr => {
+                const arrProposed = arrHistory.filter(objRound => objRound.strProposer === strAddr);
+                objWitnesses[strAddr] = {
+                    nRoundChangeMessages: arrHistory.filter(objRound => objRound.arrNextRoundFrom.includes(strAddr))
+                        .length,
+                    nVotes: arrHistory.filter(objRound => objRound.objVotes[strAddr] !== undefined).length,
+                    nProposed: arrProposed.length,
+                    nCommitted: arrProposed.filter(objRound => objRound.strResult === RoundResults.COMMITTED).length,
+                    nBlockTimeouts: arrProposed.filter(objRound => objRound.strResult === RoundResults.BLOCK_TIMEOUT)
+                        .length
+                };
+            });
+
+            return {
+                conciliumId: this.conciliumId,
+                state: this._state,
+                objCurrentRound: this._copyRoundStats(this._objRoundStats),
+                arrHistory,
+                objWitnesses
+            };
+        }
+
+        static get RoundResults() {
+            return RoundResults;
+        }
+
+        _startRoundStats() {
+            this._objRoundStats = {
+                nRoundNo: undefined,
+                strProposer: undefined,
+                nStarted: Date.now(),
+                nDuration: undefined,
+                objStateTimes: {},
+                arrTimeouts: [],
+                arrNextRoundFrom: [],
+                objVotes: {},
+                strBlockHash: undefined,
+                strResult: undefined
+            };
+            this._strTrackedState = this._state;
+            this._nTrackedSince = Date.now();
+        }
+
+        /**
+         * Add time spent in state (since last call) to current round stats
+         *
+         * @private
+         */
+        _accountStateTime() {
+            const nNow = Date.now();
+            const {objStateTimes} = this._objRoundStats;
+
+            objStateTimes[this._strTrackedState] =
+                (objStateTimes[this._strTrackedState] || 0) + nNow - this._nTrackedSince;
+
+            this._strTrackedState = this._state;
+            this._nTrackedSince = nNow;
+        }
+
+        _finishRoundStats(strReason) {
+            this._accountStateTime();
+
+            this._objRoundStats.strResult = strReason;
+            this._objRoundStats.nDuration = Date.now() - this._objRoundStats.nStarted;
+            this._arrStatsHistory.push(this._objRoundStats);
+
+            const nExcess = this._arrStatsHistory.length - Constants.CONSENSUS_STATS_HISTORY_LENGTH;
+            if (nExcess > 0) this._arrStatsHistory.splice(0, nExcess);
+        }
+
+        /**
+         * Which witness (addrI) sent us NEXT_ROUND or vote (directly or exposed by other witness)
+         *
+         * @param {String} addrI
+         * @param {String} state
+         * @param {Object} content - of message
+         * @private
+         */
+        _trackMessage(addrI, state, content) {
+            addrI = Buffer.isBuffer(addrI) ? addrI.toString('hex') : addrI;
+
+            if (state === States.ROUND_CHANGE) {
+                if (!this._objRoundStats.arrNextRoundFrom.includes(addrI)) {
+                    this._objRoundStats.arrNextRoundFrom.push(addrI);
+                }
+            } else if (state === States.VOTE_BLOCK) {
+                this._objRoundStats.objVotes[addrI] = content.blockHash + '' === 'reject' ?
+                    'reject' : Buffer.from(content.blockHash).toString('hex');
+            }
+        }
+
+        _copyRoundStats(objRound) {
+            return {
+                ...objRound,
+                objStateTimes: {...objRound.objStateTimes},
+                arrTimeouts: objRound.arrTimeouts.slice(),
+                arrNextRoundFrom: objRound.arrNextRoundFrom.slice(),
+                objVotes: {...objRound.objVotes}
+            };
+        }
+
         setRoundSeed(nNewSeed) {
             this._concilium.changeSeed(nNewSeed);
         }
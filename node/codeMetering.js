@@ -0,0 +1,134 @@
+'use strict';
+
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const ECMA_VERSION = 2020;
+
+const arrLoopTypes = ['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement'];
+
+/**
+ * Position right after "use strict" (and other directives), we shouldn't break directive prologue
+ *
+ * @param {Array} arrStatements - body of Program or function
+ * @param {Number} nDefaultPos - start of body
+ * @return {Number}
+ */
+const skipDirectives = (arrStatements, nDefaultPos) => {
+    let nPos = nDefaultPos;
+    for (let node of arrStatements) {
+        if (node.type !== 'ExpressionStatement' || node.directive === undefined) break;
+        nPos = node.end;
+    }
+    return nPos;
+};
+
+/**
+ * Every block (function body, loop body, branch) will charge meter with number of its statements on enter.
+ * Loop bodies & arrow functions without block will be wrapped into block.
+ * So every loop iteration & every function call is paid, and execution cost doesn't depend on machine speed.
+ *
+ * @param {String} strCode - contract code
+ * @param {String} strMeterName - name of global function that receives number of operations
+ * @return {String} instrumented code
+ */
+const instrumentCode = (strCode, strMeterName) => {
+    if (strCode.includes(strMeterName)) throw new Error(`Code shouldn't contain "${strMeterName}"`);
+
+    // preserveParens: body of arrow function like "() => (a, b)" should be wrapped with parenthesis
+    const ast = acorn.parse(strCode, {ecmaVersion: ECMA_VERSION, sourceType: 'script', preserveParens: true});
+
+    // closing insertions should go before opening ones on the same position
+    const arrInsertions = [];
+    const charge = nOps => `${strMeterName}(${Math.max(1, nOps)});`;
+    const wrapIntoBlock = node => {
+        arrInsertions.push({nPos: node.start, nOrder: 1, strText: `{${charge(1)}`});
+        arrInsertions.push({nPos: node.end, nOrder: 0, strText: '}'});
+    };
+
+    arrInsertions.push({nPos: skipDirectives(ast.body, ast.start), nOrder: 1, strText: charge(ast.body.length)});
+
+    walk.full(ast, node => {
+        if (node.type === 'WithStatement') throw new Error('"with" statement is not allowed');
+
+        if (node.type === 'BlockStatement') {
+            arrInsertions.push({
+                nPos: skipDirectives(node.body, node.start + 1),
+                nOrder: 1,
+                strText: charge(node.body.length)
+            });
+        } else if (arrLoopTypes.includes(node.type) && node.body.type !== 'BlockStatement') {
+            wrapIntoBlock(node.body);
+        } else if (node.type === 'ArrowFunctionExpression' && node.expression) {
+            arrInsertions.push({nPos: node.body.start, nOrder: 1, strText: `{${charge(1)}return (`});
+            arrInsertions.push({nPos: node.body.end, nOrder: 0, strText: ');}'});
+        }
+    });
+
+    arrInsertions.sort((a, b) => a.nPos - b.nPos || a.nOrder - b.nOrder);
+
+    const arrParts = [];
+    let nPrevPos = 0;
+    for (let {nPos, strText} of arrInsertions) {
+        arrParts.push(strCode.slice(nPrevPos, nPos), strText);
+        nPrevPos = nPos;
+    }
+    arrParts.push(strCode.slice(nPrevPos));
+
+    return arrParts.join('');
+};
+
+/**
+ * Remove meter calls (to store contract code without them). Blocks added by instrumentCode are harmless
+ * Since instrumentCode rejects code containing strMeterName, every occurrence is ours
+ *
+ * @param {String} strCode - instrumented code
+ * @param {String} strMeterName
+ * @return {String}
+ */
+const stripInstrumentation = (strCode, strMeterName) => {
+    return strCode.split(new RegExp(`${strMeterName}\\(\\d+\\);`)).join('');
+};
+
+/**
+ * Single call of native function is charged as one operation, but some of them allocate (or process) data
+ * of arbitrary size (like "'x'.repeat(2**28)" or "new Array(1e9).fill(0)"), that could exhaust memory of node.
+ * This code (run once in fresh VM, before contract code) replaces such functions with wrappers,
+ * that charge meter with size of data BEFORE original function is called.
+ *
+ * @param {String} strMeterName - name of global function that receives number of operations
+ * @return {String}
+ */
+const createBuiltinsMeteringCode = (strMeterName) => `(() => {
+    const meter = this.${strMeterName};
+    const toSize = value => {
+        const nSize = Math.floor(Number(value));
+        return Number.isFinite(nSize) && nSize > 0 ? nSize : 0;
+    };
+    const wrap = (obj, strMethod, fnGetOps) => {
+        const fnOriginal = obj[strMethod];
+        Object.defineProperty(obj, strMethod, {
+            value: function(...args) {
+                meter(Math.max(1, fnGetOps(this, args)));
+                return fnOriginal.apply(this, args);
+            },
+            writable: false,
+            configurable: false
+        });
+    };
+    const getLog = nSize => Math.max(1, Math.ceil(Math.log2(nSize + 1)));
+
+    wrap(String.prototype, 'repeat', (str, [nCount]) => toSize(String(str).length) * toSize(nCount));
+    wrap(String.prototype, 'padStart', (str, [nLength]) => toSize(nLength));
+    wrap(String.prototype, 'padEnd', (str, [nLength]) => toSize(nLength));
+    wrap(Array.prototype, 'fill', arr => toSize(arr.length));
+    wrap(Array.prototype, 'join', arr => toSize(arr.length));
+    wrap(Array.prototype, 'sort', arr => toSize(arr.length) * getLog(toSize(arr.length)));
+    wrap(Array, 'from', (ctor, [arrayLike]) => arrayLike ? toSize(arrayLike.length) : 0);
+})();`;
+
+module.exports = {
+    instrumentCode,
+    stripInstrumentation,
+    createBuiltinsMeteringCode
+};
@@ -1,12 +1,14 @@
 'use strict';
 
 const Tick = require('tick-tock');
+const levelup = require('levelup');
+const leveldown = require('leveldown');
 const typeforce = require('typeforce');
 const debugLib = require('debug');
 const path = require('path');
 const fs = require('fs');
 
-const {sleep} = require('../utils');
+const {sleep, toBigInt} = require('../utils');
 const types = require('../types');
 
 const debug = debugLib('mempool:');
@@ -14,6 +16,16 @@ const debug = debugLib('mempool:');
 const MEMPOOL_TIMER_NAME = 'mempoolTimer';
 const MEMPOOL_TIMER_INTERVAL = 5 * 60 * 1000;
 
+// how many recent blocks (of concilium) used for fee estimation
+const FEE_STATS_BLOCKS = 100;
+
+// part of txns (paying at least estimated fee rate) that should be included within target blocks
+const FEE_ESTIMATE_SUCCESS_RATE = 0.85;
+
+const toHexHash = txHash => Buffer.isBuffer(txHash) ? txHash.toString('hex') : txHash;
+const createOutputKey = (txHash, nTxOutput) => `${toHexHash(txHash)}:${nTxOutput}`;
+const getParentHashes = tx => [...new Set(tx.inputs.map(({txHash}) => toHexHash(txHash)))];
+
 module.exports = ({Constants, Transaction}, factoryOptions) =>
     class Mempool {
         constructor(options = {}) {
@@ -27,18 +39,32 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
                 Constants.LOCAL_TX_FILE_NAME
             );
 
+            // whole mempool storage, opened on demand (@see saveToDb)
+            this._testStorage = testStorage;
+            this._strDbPath = path.resolve(dbPath || Constants.DB_PATH_PREFIX, Constants.DB_MEMPOOL_DIR);
+
             this._mapConcilimTxns = new Map();
             this._mapLocalTxns = new Map();
 
             this._mapBadTxnsHash = new Map();
             this._setPreferredConciliums = new Set();
+
+            // nConciliumId -> number of blocks seen
+            this._mapConciliumBlocks = new Map();
+
+            // nConciliumId -> [{nFeePerByte, nBlocksWaited, nBlock}]
+            this._mapFeeStats = new Map();
         }
 
         /**
          * New block arrived, processed by app, here is array of hashes to remove
+         *
          * @param {Array} arrTxHashes
+         * @param {Number} nConciliumId - of block. Used to collect inclusion statistics for estimateFee
          */
-        removeForBlock(arrTxHashes) {
+        removeForBlock(arrTxHashes, nConciliumId) {
+            if (nConciliumId !== undefined) this._storeInclusionStats(arrTxHashes, nConciliumId);
+
             debug(`Removed block TXns ${arrTxHashes}`);
             this.removeTxns(arrTxHashes);
         }
@@ -127,10 +153,14 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
         /**
          * throws error!
          * used for wire tx (it's already validated)
+         * Conflicting txns (spending same outputs) will be replaced, if fee of tx is higher (RBF)
          *
          * @param {Transaction} tx - transaction to add
+         * @param {BigInt} nFee - inputs minus outputs (@see Node._validateTxLight)
+         * @param {Number} nArrived - timestamp (msec), when tx arrived. Differs from now for restored txns
+         * @return {Array} hashes of replaced txns
          */
-        addTx(tx) {
+        addTx(tx, nFee, nArrived = Date.now()) {
             const nConciliumId = tx.conciliumId;
             this._ensureConciliumTxns(nConciliumId);
 
@@ -139,29 +169,85 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
             const strHash = tx.getHash();
             if (this.hasTx(strHash)) throw new Error(`tx ${strHash} already in mempool`);
 
+            const arrReplacedHashes = this.getTxnsToReplace(tx, nFee);
+            this.removeTxns(arrReplacedHashes);
+
             const mapTxns = this._mapConcilimTxns.get(nConciliumId);
-            mapTxns.set(strHash, {tx, arrived: Date.now()});
+            mapTxns.set(strHash, {...this._createEntry(tx, nFee), arrived: nArrived});
 
             debug(`TX ${strHash} added`);
+
+            return arrReplacedHashes;
         }
 
         /**
          * could be replaced with patch, because it loaded without patches
+         * Conflicting txns will be replaced (@see addTx), but patches of local txns should be rebuilt by caller
          *
          * @param {Transaction} tx - transaction to add
          * @param {PatchDB} patchTx - patch for this tx (result of tx exec)
          * @param {Boolean} suppressDump - @see loadLocalTxnsFromDisk
+         * @param {BigInt} nFee - undefined for loaded from disk (till it executed)
+         * @return {Array} hashes of replaced txns
          */
-        addLocalTx(tx, patchTx, suppressDump = false) {
+        addLocalTx(tx, patchTx, suppressDump = false, nFee) {
             typeforce(types.Transaction, tx);
 
             const strHash = tx.getHash();
             const prevSize = this._mapLocalTxns.size;
 
-            this._mapLocalTxns.set(strHash, {tx, patchTx});
+            const arrReplacedHashes = this.getTxnsToReplace(tx, nFee);
+            this.removeTxns(arrReplacedHashes);
+
+            this._mapLocalTxns.set(strHash, {...this._createEntry(tx, nFee), patchTx});
             debug(`Local TX ${strHash} added`);
 
             if (!suppressDump && prevSize !== this._mapLocalTxns.size) this._dumpToDisk();
+
+            return arrReplacedHashes;
+        }
+
+        /**
+         * Replace-by-fee. Txns spending same outputs as tx (and their descendants, they become invalid)
+         * could be replaced only if tx pays more than all of them at least by MEMPOOL_RBF_INCREMENT_PER_KB
+         * for their size (so replacements couldn't flood network for free)
+         * throws error!
+         *
+         * @param {Transaction} tx
+         * @param {BigInt} nFee
+         * @return {Array} hashes of txns to replace (empty - no conflicts)
+         */
+        getTxnsToReplace(tx, nFee) {
+            const strHash = tx.getHash();
+            const setSpentOutputs = new Set(tx.inputs.map(({txHash, nTxOutput}) => createOutputKey(txHash, nTxOutput)));
+
+            const arrConflictingHashes = [];
+            for (let [strEntryHash, {tx: txEntry}] of this._getAllEntries()) {
+                if (strEntryHash === strHash) continue;
+                const bConflicts = txEntry.inputs.some(({txHash, nTxOutput}) =>
+                    setSpentOutputs.has(createOutputKey(txHash, nTxOutput)));
+                if (bConflicts) arrConflictingHashes.push(strEntryHash);
+            }
+            if (!arrConflictingHashes.length) return [];
+
+            const arrReplacedHashes = this._addDescendants(arrConflictingHashes);
+            let nReplacedFee = 0n;
+            let nReplacedSize = 0;
+            for (let strReplacedHash of arrReplacedHashes) {
+                const entry = this._getEntry(strReplacedHash);
+                nReplacedFee += this._getEntryFee(entry);
+                nReplacedSize += entry.nSize;
+            }
+            const nIncrement = toBigInt(Constants.MEMPOOL_RBF_INCREMENT_PER_KB) * BigInt(nReplacedSize) / 1024n;
+            const nMinFee = nReplacedFee + (nIncrement > 0n ? nIncrement : 1n);
+
+            if (nFee === undefined || toBigInt(nFee) < nMinFee) {
+                throw new Error(`tx ${strHash} conflicts with ${arrConflictingHashes} and fee should be at least ` +
+                                `${nMinFee}`);
+            }
+
+            debug(`TX ${strHash} replaces ${arrReplacedHashes}`);
+            return arrReplacedHashes;
         }
 
         /**
@@ -181,27 +267,171 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
         }
 
         /**
+         * Txns with nLockTime that couldn't be included in block with nHeight & nTimestamp are skipped
+         * (they stay in mempool). If nHeight isn't specified - no lock time check
          *
          * @param {Number} nConciliumId - witness nConciliumId
+         * @param {Number} nHeight - of block we're creating
+         * @param {Number} nTimestamp - of block we're creating
          * @returns {IterableIterator<any>} {tx, arrived ...}
          */
-        getFinalTxns(nConciliumId) {
-
-            // TODO: implement lock_time
+        getFinalTxns(nConciliumId, nHeight, nTimestamp) {
+            const isFinal = tx => nHeight === undefined || tx.isFinal(nHeight, nTimestamp);
             const arrResult = [];
 
             this._ensureConciliumTxns(nConciliumId);
             const mapTxns = this._mapConcilimTxns.get(nConciliumId);
             for (let [, r] of mapTxns) {
-                arrResult.push(r.tx);
+                if (isFinal(r.tx)) arrResult.push(r.tx);
             }
 
             for (let r of this._mapLocalTxns.values()) {
-                if (r.tx.conciliumId === nConciliumId) arrResult.push(r.tx);
+                if (r.tx.conciliumId === nConciliumId && isFinal(r.tx)) arrResult.push(r.tx);
+            }
+            return arrResult;
+        }
+
+        /**
+         * Same as getFinalTxns, but ordered for block creation: most profitable first (CPFP).
+         * Tx is rated by fee rate of package: tx with all its unconfirmed ancestors (they precede it in result),
+         * so child paying high fee will pull its low paying parent.
+         * Txns whose mempool parents couldn't be included now are skipped
+         *
+         * @param {Number} nConciliumId - witness nConciliumId
+         * @param {Number} nHeight - of block we're creating
+         * @param {Number} nTimestamp - of block we're creating
+         * @returns {Array} of Transactions
+         */
+        getFinalTxnsByFeeRate(nConciliumId, nHeight, nTimestamp) {
+            const mapCandidates = new Map();
+            for (let tx of this.getFinalTxns(nConciliumId, nHeight, nTimestamp)) {
+                mapCandidates.set(tx.getHash(), this._getEntry(tx.getHash()));
+            }
+
+            // unconfirmed parents among candidates
+            const mapParents = new Map();
+            for (let [strHash, {tx}] of mapCandidates) {
+                mapParents.set(strHash, getParentHashes(tx).filter(strParentHash => this._getEntry(strParentHash)));
             }
+
+            // exclude txns with unavailable parents (recursively)
+            let bExcluded = true;
+            while (bExcluded) {
+                bExcluded = false;
+                for (let [strHash, arrParentHashes] of mapParents) {
+                    if (arrParentHashes.every(strParentHash => mapParents.has(strParentHash))) continue;
+                    mapParents.delete(strHash);
+                    bExcluded = true;
+                }
+            }
+
+            // all unconfirmed ancestors of candidate
+            const mapAncestors = new Map();
+            const getAncestors = strHash => {
+                if (!mapAncestors.has(strHash)) {
+                    const setAncestors = new Set();
+                    for (let strParentHash of mapParents.get(strHash)) {
+                        setAncestors.add(strParentHash);
+                        for (let strAncestorHash of getAncestors(strParentHash)) setAncestors.add(strAncestorHash);
+                    }
+                    mapAncestors.set(strHash, setAncestors);
+                }
+                return mapAncestors.get(strHash);
+            };
+
+            // package of not selected candidate: {nFee, nSize} of it with its not selected ancestors.
+            // Once tx selected - only packages of its descendants change
+            const mapDescendants = new Map([...mapParents.keys()].map(strHash => [strHash, []]));
+            const mapPackages = new Map();
+            for (let strHash of mapParents.keys()) {
+                let nFee = this._getEntryFee(mapCandidates.get(strHash));
+                let nSize = mapCandidates.get(strHash).nSize;
+                for (let strAncestorHash of getAncestors(strHash)) {
+                    mapDescendants.get(strAncestorHash).push(strHash);
+                    nFee += this._getEntryFee(mapCandidates.get(strAncestorHash));
+                    nSize += mapCandidates.get(strAncestorHash).nSize;
+                }
+                mapPackages.set(strHash, {nFee, nSize});
+            }
+
+            const arrResult = [];
+            const setSelected = new Set();
+
+            // ancestors not selected yet, parents first
+            const getPackage = (strHash, arrPackage = []) => {
+                if (setSelected.has(strHash) || arrPackage.includes(strHash)) return arrPackage;
+                for (let strParentHash of mapParents.get(strHash)) getPackage(strParentHash, arrPackage);
+                arrPackage.push(strHash);
+                return arrPackage;
+            };
+
+            while (mapPackages.size) {
+                let strBestHash;
+                let objBest;
+
+                for (let [strHash, objPackage] of mapPackages) {
+
+                    // compare nFee / nSize without division
+                    if (!objBest || objPackage.nFee * BigInt(objBest.nSize) > objBest.nFee * BigInt(objPackage.nSize)) {
+                        strBestHash = strHash;
+                        objBest = objPackage;
+                    }
+                }
+
+                for (let strHash of getPackage(strBestHash)) {
+                    const entry = mapCandidates.get(strHash);
+                    setSelected.add(strHash);
+                    mapPackages.delete(strHash);
+                    arrResult.push(entry.tx);
+
+                    for (let strDescendantHash of mapDescendants.get(strHash)) {
+                        const objPackage = mapPackages.get(strDescendantHash);
+                        if (!objPackage) continue;
+                        objPackage.nFee -= this._getEntryFee(entry);
+                        objPackage.nSize -= entry.nSize;
+                    }
+                }
+            }
+
             return arrResult;
         }
 
+        /**
+         * Lowest fee rate, that gave FEE_ESTIMATE_SUCCESS_RATE of txns (paying the same or more)
+         * inclusion within nTargetBlocks of concilium. Txns still waiting longer than nTargetBlocks count as failed
+         *
+         * @param {Number} nConciliumId
+         * @param {Number} nTargetBlocks
+         * @return {Number | undefined} fee per byte. undefined - not enough statistics
+         */
+        estimateFee(nConciliumId, nTargetBlocks) {
+            typeforce(typeforce.tuple('Number', 'Number'), [nConciliumId, nTargetBlocks]);
+
+            const arrPoints = (this._mapFeeStats.get(nConciliumId) || []).map(({nFeePerByte, nBlocksWaited}) => ({
+                nFeePerByte,
+                bSuccess: nBlocksWaited <= nTargetBlocks
+            }));
+
+            const nCurrentBlock = this._getBlocksCount(nConciliumId);
+            for (let [, entry] of this._getAllEntries()) {
+                if (entry.tx.conciliumId !== nConciliumId || entry.nFee === undefined) continue;
+                if (nCurrentBlock - entry.nBlockArrived > nTargetBlocks) {
+                    arrPoints.push({nFeePerByte: entry.nFeePerByte, bSuccess: false});
+                }
+            }
+
+            arrPoints.sort((a, b) => b.nFeePerByte - a.nFeePerByte);
+
+            let nSuccess = 0;
+            let nEstimate;
+            arrPoints.forEach(({nFeePerByte, bSuccess}, i) => {
+                if (bSuccess) nSuccess++;
+                if (nSuccess / (i + 1) >= FEE_ESTIMATE_SUCCESS_RATE) nEstimate = nFeePerByte;
+            });
+
+            return nEstimate;
+        }
+
         /**
          *
          * @return {[String]}
@@ -243,6 +473,61 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
             }
         }
 
+        /**
+         * Replace stored content with all txns (local included)
+         *
+         * @return {Promise<Number>} number of saved txns
+         */
+        async saveToDb() {
+            const db = this._getDb();
+
+            const arrOps = await new Promise((resolve, reject) => {
+                const arrDelOps = [];
+                db.createKeyStream()
+                    .on('data', key => arrDelOps.push({type: 'del', key}))
+                    .on('close', () => resolve(arrDelOps))
+                    .on('error', err => reject(err));
+            });
+
+            let nSaved = 0;
+            for (let [strHash, {tx, arrived}] of this._getAllEntries()) {
+                arrOps.push({
+                    type: 'put',
+                    key: Buffer.from(strHash, 'hex'),
+                    value: JSON.stringify({
+                        tx: tx.encode().toString('hex'),
+                        arrived,
+                        conciliumId: tx.conciliumId,
+                        isLocal: this._mapLocalTxns.has(strHash)
+                    })
+                });
+                nSaved++;
+            }
+            await db.batch(arrOps);
+
+            debug(`Saved ${nSaved} TXns to DB`);
+            return nSaved;
+        }
+
+        /**
+         * Txns stored by saveToDb. They aren't added here, since state could change: caller should revalidate them
+         *
+         * @return {Promise<Array>} of {tx, arrived, conciliumId, isLocal} ordered by arrival (parents first)
+         */
+        async loadFromDb() {
+            const arrEntries = await new Promise((resolve, reject) => {
+                const arrResult = [];
+                this._getDb().createValueStream()
+                    .on('data', value => arrResult.push(JSON.parse(value.toString())))
+                    .on('close', () => resolve(arrResult))
+                    .on('error', err => reject(err));
+            });
+
+            return arrEntries
+                .map(({tx, ...rest}) => ({tx: new Transaction(Buffer.from(tx, 'hex')), ...rest}))
+                .sort((a, b) => a.arrived - b.arrived);
+        }
+
         storeBadTxHash(strTxHash) {
             typeforce(types.Str64, strTxHash);
 
@@ -305,8 +590,8 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
         }
 
         /**
-         * Now it will proportionally remove most old txns in selected maps
-         * TODO: keep most profitable txns, now
+         * Proportionally remove txns in selected maps. Fee rates of different conciliums aren't comparable
+         * (each has own fees), so inside every map: lowest fee rate first, then most old
          *
          * @param arrMaps
          * @param nDesiredSize
@@ -318,14 +603,138 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
             const nToRemove = nCurrentSize - nDesiredSize;
 
             for (let map of arrMaps) {
-                let i = 0;
                 const nThisMapRemove = Math.round(nToRemove * map.size / nCurrentSize);
-                map.forEach((val, key) => {
-                    if (i++ < nThisMapRemove) map.delete(key);
-                });
+
+                // map keeps insertion order, so index is for "most old"
+                [...map]
+                    .map(([key, entry], nIndex) => ({key, nFeePerByte: this._getEntryFeeRate(entry), nIndex}))
+                    .sort((a, b) => a.nFeePerByte - b.nFeePerByte || a.nIndex - b.nIndex)
+                    .slice(0, nThisMapRemove)
+                    .forEach(({key}) => map.delete(key));
             }
         }
 
+        _getDb() {
+            if (!this._db) {
+                const downAdapter = this._testStorage ? require('memdown') : leveldown;
+                this._db = levelup(downAdapter(this._strDbPath));
+            }
+            return this._db;
+        }
+
+        /**
+         *
+         * @param {Transaction} tx
+         * @param {BigInt | undefined} nFee
+         * @return {Object} {tx, arrived, nFee, nSize, nFeePerByte, nBlockArrived}
+         * @private
+         */
+        _createEntry(tx, nFee) {
+            const nSize = tx.getSize();
+            return {
+                tx,
+                arrived: Date.now(),
+                nFee,
+                nSize,
+                nFeePerByte: nFee === undefined ? 0 : Number(toBigInt(nFee)) / nSize,
+                nBlockArrived: this._getBlocksCount(tx.conciliumId)
+            };
+        }
+
+        /**
+         *
+         * @param {Object} entry - @see _createEntry
+         * @return {Number}
+         * @private
+         */
+        _getEntryFeeRate(entry) {
+            return entry.nFeePerByte || 0;
+        }
+
+        _getBlocksCount(nConciliumId) {
+            return this._mapConciliumBlocks.get(nConciliumId) || 0;
+        }
+
+        /**
+         * Remember fee rates of our mempool txns included in block & how many blocks they waited
+         *
+         * @param {Array} arrTxHashes
+         * @param {Number} nConciliumId
+         * @private
+         */
+        _storeInclusionStats(arrTxHashes, nConciliumId) {
+            const nBlock = this._getBlocksCount(nConciliumId) + 1;
+            this._mapConciliumBlocks.set(nConciliumId, nBlock);
+
+            const arrStats = (this._mapFeeStats.get(nConciliumId) || [])
+                .filter(objStat => objStat.nBlock > nBlock - FEE_STATS_BLOCKS);
+
+            for (let strTxHash of arrTxHashes) {
+                const entry = this._getEntry(strTxHash);
+                if (!entry || entry.nFee === undefined) continue;
+
+                arrStats.push({nFeePerByte: entry.nFeePerByte, nBlocksWaited: nBlock - entry.nBlockArrived, nBlock});
+            }
+
+            this._mapFeeStats.set(nConciliumId, arrStats);
+        }
+
+        /**
+         *
+         * @return {IterableIterator} of [strHash, {tx, nFee, nSize ...}] for all txns (local included)
+         * @private
+         */
+        * _getAllEntries() {
+            for (let [, mapTxns] of this._mapConcilimTxns) yield* mapTxns;
+            yield* this._mapLocalTxns;
+        }
+
+        /**
+         *
+         * @param {String} strTxHash
+         * @return {Object | undefined} {tx, nFee, nSize ...}
+         * @private
+         */
+        _getEntry(strTxHash) {
+            const mapTxns = this._mapLocalTxns.has(strTxHash) ? this._mapLocalTxns : this._searchMapByHash(strTxHash);
+            return mapTxns ? mapTxns.get(strTxHash) : undefined;
+        }
+
+        /**
+         * Fee is unknown for txns added without it (i.e. local txns loaded from disk), they are least profitable
+         *
+         * @param {Object} entry - @see _getEntry
+         * @return {BigInt}
+         * @private
+         */
+        _getEntryFee(entry) {
+            return entry.nFee === undefined ? 0n : toBigInt(entry.nFee);
+        }
+
+        /**
+         * Txns in mempool spending outputs of arrHashes (recursively)
+         *
+         * @param {Array} arrHashes
+         * @return {Array} arrHashes with all descendants
+         * @private
+         */
+        _addDescendants(arrHashes) {
+            const setResult = new Set(arrHashes);
+            let bAdded = true;
+            while (bAdded) {
+                bAdded = false;
+                for (let [strEntryHash, {tx}] of this._getAllEntries()) {
+                    if (setResult.has(strEntryHash)) continue;
+                    if (getParentHashes(tx).some(strParentHash => setResult.has(strParentHash))) {
+                        setResult.add(strEntryHash);
+                        bAdded = true;
+                    }
+                }
+            }
+
+            return [...setResult];
+        }
+
         /**
          *
          * @return {[String]} of all hashes contained in mempool
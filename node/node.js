@@ -4,8 +4,9 @@ const assert = require('assert');
 const typeforce = require('typeforce');
 
 const debugLib = require('debug');
-const {sleep, arrayEquals} = require('../utils');
+const {sleep, arrayEquals, timestamp, toBigInt} = require('../utils');
 const types = require('../types');
+const {validateInvocation, DEFAULT_METHOD} = require('../structures/contractAbi');
 const Tick = require('tick-tock');
 
 const debugNode = debugLib('node:app');
@@ -43,7 +44,8 @@ module.exports = (factory, factoryOptions) => {
         Mutex,
         RequestCache,
         TxReceipt,
-        UTXO
+        UTXO,
+        BaseConciliumDefinition
     } = factory;
     const {
         MsgCommon,
@@ -55,7 +57,12 @@ module.exports = (factory, factoryOptions) => {
         MsgBlock,
         MsgInv,
         MsgGetData,
-        MsgGetBlocks
+        MsgGetBlocks,
+        MsgCompactBlock,
+        MsgGetBlockTxn,
+        MsgBlockTxn,
+        MsgGetHeaders,
+        MsgHeaders
     } = Messages;
     const {MSG_VERSION, MSG_VERACK, MSG_GET_ADDR, MSG_ADDR, MSG_REJECT, MSG_GET_MEMPOOL} = Constants.messageTypes;
 
@@ -93,6 +100,15 @@ module.exports = (factory, factoryOptions) => {
             this._mapBlocksToExec = new Map();
             this._mapUnknownBlocks = new Map();
             this._mapBlocksToExec = new Map();
+
+            // headers first sync: DAG skeleton & hash => peer key (of peer that sent header) for blocks to download
+            this._headersDag = new MainDag();
+            this._mapHeadersToDownload = new Map();
+            this._nHeadersReceived = 0;
+
+            // peer key => count of MSG_HEADERS in a row without new headers
+            this._mapHeadersIdleRounds = new Map();
+
             this._app = new Application(options);
 
             this._rebuildPromise = this._rebuildBlockDb();
@@ -106,6 +122,9 @@ module.exports = (factory, factoryOptions) => {
             this._reconnectTimer = new Tick(this);
             this._requestCache = new RequestCache();
 
+            // hash of compact block -> {msg, arrTxns} waiting for MSG_BLOCK_TXN
+            this._mapPartialBlocks = new Map();
+
             return new Promise(async resolve => {
 
                 // we'll init network after all local tasks are done
@@ -117,7 +136,10 @@ module.exports = (factory, factoryOptions) => {
                 const address = Transport.strToAddress(announceAddr ? announceAddr : this._transport.myAddress);
                 this._myPeerInfo = new PeerInfo({
                     capabilities: [
-                        {service: Constants.NODE}
+                        {service: Constants.NODE},
+                        {service: Constants.COMPACT_BLOCKS},
+                        {service: Constants.HEADERS_FIRST},
+                        ...(this._storage.isPruningEnabled() ? [{service: Constants.PRUNED}] : [])
                     ],
                     address,
                     port: this._transport.port
@@ -263,6 +285,35 @@ module.exports = (factory, factoryOptions) => {
 
         async _peerDisconnect(peer) {
             this._msecOffset -= peer.offsetDelta;
+
+            this._reassignHeadersToDownload(peer);
+        }
+
+        /**
+         * Bodies of headers sent by disconnected peer will be requested from other connected peer
+         * If there is no such peer - they'll be dropped (regular sync will find them)
+         *
+         * @param {Peer} peer - disconnected
+         * @private
+         */
+        _reassignHeadersToDownload(peer) {
+            const strPeerKey = createPeerKey(peer);
+            this._mapHeadersIdleRounds.delete(strPeerKey);
+
+            const peerOther = this._peerManager.getConnectedPeers()
+                .find(p => !p.isPruned && createPeerKey(p) !== strPeerKey);
+
+            for (let [strHash, strKey] of this._mapHeadersToDownload) {
+                if (strKey !== strPeerKey) continue;
+
+                if (peerOther) {
+                    this._mapHeadersToDownload.set(strHash, createPeerKey(peerOther));
+                } else {
+                    this._mapHeadersToDownload.delete(strHash);
+                    this._headersDag.removeBlock(strHash);
+                    this._nHeadersReceived--;
+                }
+            }
         }
 
         async _reconnectPeers() {
@@ -328,6 +379,12 @@ module.exports = (factory, factoryOptions) => {
                 if (message.isGetBlocks()) {
                     return await this._handleGetBlocksMessage(peer, message);
                 }
+                if (message.isGetHeaders()) {
+                    return await this._handleGetHeadersMessage(peer, message);
+                }
+                if (message.isHeaders()) {
+                    return await this._handleHeadersMessage(peer, message);
+                }
                 if (message.isGetMempool()) {
                     return await this._handleGetMempool(peer);
                 }
@@ -343,6 +400,15 @@ module.exports = (factory, factoryOptions) => {
                 if (message.isBlock()) {
                     return await this._handleBlockMessage(peer, message);
                 }
+                if (message.isCompactBlock()) {
+                    return await this._handleCompactBlockMessage(peer, message);
+                }
+                if (message.isGetBlockTxn()) {
+                    return await this._handleGetBlockTxnMessage(peer, message);
+                }
+                if (message.isBlockTxn()) {
+                    return await this._handleBlockTxnMessage(peer, message);
+                }
 
                 throw new Error(`Unhandled message type "${message.message}"`);
             } catch (err) {
@@ -398,6 +464,18 @@ module.exports = (factory, factoryOptions) => {
             const block = msg.block;
             debugNode(`Received block ${block.getHash()}`);
 
+            return await this._handleReceivedBlock(peer, block);
+        }
+
+        /**
+         * Common part for MSG_BLOCK & reconstructed compact blocks
+         *
+         * @param {Peer} peer - peer that send block
+         * @param {Block} block
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleReceivedBlock(peer, block) {
             if (!this._requestCache.isRequested(block.getHash())) {
                 logger.log(`Peer ${peer.address} pushed unrequested Block ${block.getHash()} to us`);
                 peer.misbehave(5);
@@ -438,6 +516,7 @@ module.exports = (factory, factoryOptions) => {
 
                 this._requestCache.done(block.getHash());
                 this._mapUnknownBlocks.delete(block.getHash());
+                this._mapHeadersToDownload.delete(block.getHash());
             } finally {
                 this._mutex.release(lock);
             }
@@ -484,7 +563,10 @@ module.exports = (factory, factoryOptions) => {
                     }
 
                     if (bShouldRequest) {
-                        invToRequest.addVector(objVector);
+                        invToRequest.addVector(this._isCompactBlockRequest(peer, objVector)
+                            ? {type: Constants.INV_COMPACT_BLOCK, hash: objVector.hash}
+                            : objVector
+                        );
                         this._requestCache.request(objVector.hash);
                         debugMsgFull(`Will request "${objVector.hash.toString('hex')}" from "${peer.address}"`);
                     }
@@ -500,28 +582,7 @@ module.exports = (factory, factoryOptions) => {
                 }
 
                 // was it reponse to MSG_GET_BLOCKS ?
-                if (peer.isGetBlocksSent()) {
-                    if (nBlockToRequest > 1) {
-
-                        // so we should resend MSG_GET_BLOCKS later
-                        peer.markAsPossiblyAhead();
-                    } else {
-                        peer.markAsEven();
-
-                        if (nBlockToRequest === 1) {
-                            peer.singleBlockRequested();
-                        } else if (!this._isInitialBlockLoading()) {
-
-                            // we requested blocks from equal peer and receive NOTHING new, now we can request his mempool
-                            const msgGetMempool = new MsgCommon();
-                            msgGetMempool.getMempoolMessage = true;
-                            debugMsg(
-                                `(address: "${this._debugAddress}") sending "${MSG_GET_MEMPOOL}" to "${peer.address}"`);
-                            await peer.pushMessage(msgGetMempool);
-                        }
-                    }
-                    peer.doneGetBlocks();
-                }
+                if (peer.isGetBlocksSent()) await this._handleSyncResponse(peer, nBlockToRequest);
             } catch (e) {
                 throw e;
             } finally {
@@ -529,6 +590,36 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         * Peer responded to MSG_GET_BLOCKS (with MSG_INV) or to MSG_GET_HEADERS (with MSG_HEADERS)
+         *
+         * @param {Peer} peer
+         * @param {Number} nBlockToRequest - how many unknown blocks peer sent us
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleSyncResponse(peer, nBlockToRequest) {
+            if (nBlockToRequest > 1) {
+
+                // so we should resend MSG_GET_BLOCKS later
+                peer.markAsPossiblyAhead();
+            } else {
+                peer.markAsEven();
+
+                if (nBlockToRequest === 1) {
+                    peer.singleBlockRequested();
+                } else if (!this._isInitialBlockLoading()) {
+
+                    // we requested blocks from equal peer and receive NOTHING new, now we can request his mempool
+                    const msgGetMempool = new MsgCommon();
+                    msgGetMempool.getMempoolMessage = true;
+                    debugMsg(`(address: "${this._debugAddress}") sending "${MSG_GET_MEMPOOL}" to "${peer.address}"`);
+                    await peer.pushMessage(msgGetMempool);
+                }
+            }
+            peer.doneGetBlocks();
+        }
+
         /**
          * Handler for MSG_GET_BLOCKS message.
          * Send MSG_INV for further blocks (if we have it)
@@ -546,7 +637,7 @@ module.exports = (factory, factoryOptions) => {
             const msg = new MsgGetBlocks(message);
             const inventory = new Inventory();
 
-            for (let hash of this._getBlocksFromLastKnown(msg.arrHashes)) {
+            for (let hash of await this._filterPrunedBlocks(this._getBlocksFromLastKnown(msg.arrHashes))) {
                 inventory.addBlockHash(hash);
             }
             debugMsg(
@@ -558,6 +649,107 @@ module.exports = (factory, factoryOptions) => {
             await peer.pushMessage(msgInv);
         }
 
+        /**
+         * Handler for MSG_GET_HEADERS message.
+         * Same as MSG_GET_BLOCKS, but send MSG_HEADERS
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message - it contains hashes of LAST FINAL blocks!
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleGetHeadersMessage(peer, message) {
+
+            // we'r empty. we have nothing to share with party
+            if (!this._mainDag.order) return;
+
+            const msg = new MsgGetHeaders(message);
+            const arrHeaders = [];
+            for (let hash of await this._filterPrunedBlocks(this._getBlocksFromLastKnown(msg.arrHashes))) {
+                const blockInfo = this._mainDag.getBlockInfo(hash);
+                if (blockInfo) arrHeaders.push(blockInfo.getHeader());
+            }
+
+            const msgHeaders = new MsgHeaders(arrHeaders);
+            debugMsg(`(address: "${this._debugAddress}") sending ${arrHeaders.length} headers to "${peer.address}"`);
+            await peer.pushMessage(msgHeaders);
+        }
+
+        /**
+         * Handler for MSG_HEADERS message.
+         * Add unknown headers to DAG skeleton, continue with next headers & download bodies in parallel
+         * Skeleton is limited by MAX_HEADERS_TO_DOWNLOAD, peer that sends nothing new for MAX_HEADERS_IDLE_ROUNDS
+         * isn't asked for headers anymore
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleHeadersMessage(peer, message) {
+            if (!peer.isGetBlocksSent()) {
+                logger.log(`Peer ${peer.address} pushed unrequested headers to us`);
+                peer.misbehave(5);
+                return;
+            }
+
+            const msg = new MsgHeaders(message);
+            const arrBlockInfos = msg.headers
+                .map(objHeader => new BlockInfo(objHeader))
+                .sort((biA, biB) => biA.getHeight() - biB.getHeight());
+
+            const strPeerKey = createPeerKey(peer);
+            const arrUnknownHashes = [];
+            let nNewHeaders = 0;
+            for (let blockInfo of arrBlockInfos) {
+                const strHash = blockInfo.getHash();
+                if (this._storage.isBlockBanned(strHash) || await this._isBlockKnown(strHash)) continue;
+
+                // skeleton is full, the rest will be requested when bodies downloaded
+                if (!this._mapHeadersToDownload.has(strHash) &&
+                    this._mapHeadersToDownload.size >= Constants.MAX_HEADERS_TO_DOWNLOAD) {
+                    break;
+                }
+
+                const bWrongHeight = blockInfo.parentHashes.some(strParentHash => {
+                    const biParent = this._mainDag.getBlockInfo(strParentHash) ||
+                                     this._headersDag.getBlockInfo(strParentHash);
+                    return biParent && biParent.getHeight() >= blockInfo.getHeight();
+                });
+                if (bWrongHeight) {
+                    logger.log(`Peer ${peer.address} sent header ${strHash} with wrong height`);
+                    peer.misbehave(10);
+                    return;
+                }
+
+                if (!this._headersDag.getBlockInfo(strHash)) {
+                    this._headersDag.addBlock(blockInfo);
+                    this._nHeadersReceived++;
+                }
+                if (!this._mapHeadersToDownload.has(strHash)) nNewHeaders++;
+                this._mapHeadersToDownload.set(strHash, strPeerKey);
+                arrUnknownHashes.push(strHash);
+            }
+            debugMsg(
+                `(address: "${this._debugAddress}") got ${arrUnknownHashes.length} new headers from "${peer.address}"`);
+
+            this._mapHeadersIdleRounds.set(strPeerKey,
+                nNewHeaders ? 0 : (this._mapHeadersIdleRounds.get(strPeerKey) || 0) + 1);
+
+            await this._handleSyncResponse(peer, arrUnknownHashes.length);
+
+            // don't wait for bodies, continue with headers
+            if (peer.isAhead() && !this._isHeadersSyncIdle(peer) &&
+                this._mapHeadersToDownload.size < Constants.MAX_HEADERS_TO_DOWNLOAD) {
+                const msgGetHeaders = new MsgGetHeaders();
+                msgGetHeaders.arrHashes = arrUnknownHashes;
+                debugMsg(`(address: "${this._debugAddress}") sending "${msgGetHeaders.message}" to "${peer.address}"`);
+                await peer.pushMessage(msgGetHeaders);
+            }
+
+            await this._requestBlockBodies();
+        }
+
         async _handleGetMempool(peer) {
             const inventory = new Inventory();
 
@@ -574,6 +766,23 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         * Pruned node couldn't serve bodies of old stable blocks, so it shouldn't advertise them
+         *
+         * @param {Set<String>} setHashes
+         * @returns {Promise<Array<String>>}
+         * @private
+         */
+        async _filterPrunedBlocks(setHashes) {
+            if (!this._storage.isPruningEnabled()) return [...setHashes];
+
+            const arrResult = [];
+            for (let hash of setHashes) {
+                if (!await this._storage.isBlockPruned(hash)) arrResult.push(hash);
+            }
+            return arrResult;
+        }
+
         /**
          * Return Set of hashes that are descendants of arrHashes
          *
@@ -662,6 +871,9 @@ module.exports = (factory, factoryOptions) => {
                     } else if (objVector.type === Constants.INV_BLOCK) {
                         const block = await this._storage.getBlock(objVector.hash);
                         msg = new MsgBlock(block);
+                    } else if (objVector.type === Constants.INV_COMPACT_BLOCK) {
+                        const block = await this._storage.getBlock(objVector.hash);
+                        msg = new MsgCompactBlock(block);
                     } else {
 
                         throw new Error(`Unknown inventory type: ${objVector.type}`);
@@ -680,6 +892,158 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         * Announced (not requested by MSG_GET_BLOCKS) block will be requested as compact one:
+         * it's new, so we probably have its txns in mempool
+         *
+         * @param {Peer} peer
+         * @param {Object} objVector
+         * @return {Boolean}
+         * @private
+         */
+        _isCompactBlockRequest(peer, objVector) {
+            return objVector.type === Constants.INV_BLOCK && peer.supportsCompactBlocks && !peer.isGetBlocksSent();
+        }
+
+        /**
+         * Handler for MSG_CMPCT_BLOCK message
+         * Reconstruct block from mempool txns, request missing ones with MSG_GET_BLOCK_TXN
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleCompactBlockMessage(peer, message) {
+            const msg = new MsgCompactBlock(message);
+            const strBlockHash = msg.blockHash;
+            debugNode(`Received compact block ${strBlockHash}`);
+
+            if (!this._requestCache.isRequested(strBlockHash)) {
+                logger.log(`Peer ${peer.address} pushed unrequested compact block ${strBlockHash} to us`);
+                peer.misbehave(5);
+                return;
+            }
+
+            const arrMempoolTxns = this._mempool.getContent().map(strTxHash => this._mempool.getTx(strTxHash));
+            const arrTxns = msg.reconstruct(arrMempoolTxns);
+
+            const indexes = [];
+            arrTxns.forEach((tx, i) => !tx && indexes.push(i));
+            if (!indexes.length) return await this._completeCompactBlock(peer, msg, arrTxns);
+
+            this._purgePartialBlocks();
+            this._mapPartialBlocks.set(strBlockHash, {msg, arrTxns});
+
+            const msgGetBlockTxn = new MsgGetBlockTxn({blockHash: strBlockHash, indexes});
+            debugMsg(
+                `(address: "${this._debugAddress}") requesting ${indexes.length} TXns of block from "${peer.address}"`);
+            await peer.pushMessage(msgGetBlockTxn);
+        }
+
+        /**
+         * Handler for MSG_GET_BLOCK_TXN message
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleGetBlockTxnMessage(peer, message) {
+            const msg = new MsgGetBlockTxn(message);
+            const block = await this._storage.getBlock(msg.blockHash);
+
+            const txns = msg.indexes.map(nIndex => {
+                if (nIndex >= block.txns.length) throw new Error(`Block ${msg.blockHash} has no TX at ${nIndex}`);
+                return new Transaction(block.txns[nIndex]);
+            });
+
+            const msgBlockTxn = new MsgBlockTxn({blockHash: msg.blockHash, txns});
+            debugMsg(`(address: "${this._debugAddress}") sending "${msgBlockTxn.message}" to "${peer.address}"`);
+            await peer.pushMessage(msgBlockTxn);
+        }
+
+        /**
+         * Handler for MSG_BLOCK_TXN message
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleBlockTxnMessage(peer, message) {
+            const msg = new MsgBlockTxn(message);
+            const strBlockHash = msg.blockHash;
+
+            const objPartial = this._mapPartialBlocks.get(strBlockHash);
+            if (!objPartial) {
+                logger.log(`Peer ${peer.address} pushed unrequested TXns of block ${strBlockHash} to us`);
+                peer.misbehave(5);
+                return;
+            }
+            this._mapPartialBlocks.delete(strBlockHash);
+
+            const {msg: msgCompactBlock, arrTxns} = objPartial;
+            const arrReceivedTxns = msg.txns;
+            let nReceived = 0;
+            for (let i = 0; i < arrTxns.length; i++) {
+                if (!arrTxns[i]) arrTxns[i] = arrReceivedTxns[nReceived++];
+            }
+
+            if (nReceived !== arrReceivedTxns.length || arrTxns.some(tx => !tx)) {
+                peer.misbehave(5);
+                return await this._requestFullBlock(peer, strBlockHash);
+            }
+
+            await this._completeCompactBlock(peer, msgCompactBlock, arrTxns);
+        }
+
+        /**
+         *
+         * @param {Peer} peer
+         * @param {MessageCompactBlock} msg
+         * @param {Array} arrTxns - all txns of block
+         * @return {Promise<void>}
+         * @private
+         */
+        async _completeCompactBlock(peer, msg, arrTxns) {
+            const block = msg.createBlock(arrTxns);
+
+            // short ids collision (some of mempool txns was used instead of block ones)
+            if (block.getHash() !== msg.blockHash) return await this._requestFullBlock(peer, msg.blockHash);
+
+            await this._handleReceivedBlock(peer, block);
+        }
+
+        /**
+         * Fallback, when compact block couldn't be reconstructed. Block stays requested
+         *
+         * @param {Peer} peer
+         * @param {String} strBlockHash
+         * @return {Promise<void>}
+         * @private
+         */
+        async _requestFullBlock(peer, strBlockHash) {
+            const inventory = new Inventory();
+            inventory.addBlockHash(strBlockHash);
+
+            const msgGetData = new MsgGetData();
+            msgGetData.inventory = inventory;
+            debugMsg(`(address: "${this._debugAddress}") requesting full block ${strBlockHash} from "${peer.address}"`);
+            await peer.pushMessage(msgGetData);
+        }
+
+        /**
+         * Peer didn't respond with MSG_BLOCK_TXN in time (block isn't requested anymore)
+         *
+         * @private
+         */
+        _purgePartialBlocks() {
+            for (let strBlockHash of this._mapPartialBlocks.keys()) {
+                if (!this._requestCache.isRequested(strBlockHash)) this._mapPartialBlocks.delete(strBlockHash);
+            }
+        }
+
         /**
          * Handler for MSG_VERSION message
          *
@@ -857,13 +1221,19 @@ module.exports = (factory, factoryOptions) => {
                 }
             }
 
+            // pruned peer couldn't serve old blocks, we'll sync from archival ones
+            if (peer.isPruned) {
+                peer.loadDone = true;
+                return;
+            }
+
             // next stage: request unknown blocks or just GENESIS, if we are at very beginning
             let msg;
             if (Constants.GENESIS_BLOCK && !this._mainDag.getBlockInfo(Constants.GENESIS_BLOCK)) {
                 msg = this._createGetDataMsg([Constants.GENESIS_BLOCK]);
                 peer.markAsPossiblyAhead();
             } else {
-                msg = await this._createGetBlocksMsg();
+                msg = await this._createSyncMsg(peer);
                 debugMsg(`(address: "${this._debugAddress}") sending "${msg.message}" to "${peer.address}"`);
             }
             await peer.pushMessage(msg);
@@ -878,6 +1248,31 @@ module.exports = (factory, factoryOptions) => {
             return msg;
         }
 
+        /**
+         * MSG_GET_HEADERS for peers that support headers first sync, MSG_GET_BLOCKS for others
+         *
+         * @param {Peer} peer
+         * @return {Promise<MessageGetHeaders | MessageGetBlocks>}
+         * @private
+         */
+        async _createSyncMsg(peer) {
+            if (!peer.supportsHeadersFirst || this._isHeadersSyncIdle(peer)) return await this._createGetBlocksMsg();
+
+            const msg = new MsgGetHeaders();
+            msg.arrHashes = await this._storage.getLastAppliedBlockHashes();
+            return msg;
+        }
+
+        /**
+         *
+         * @param {Peer} peer
+         * @return {Boolean} - peer sent no new headers for MAX_HEADERS_IDLE_ROUNDS
+         * @private
+         */
+        _isHeadersSyncIdle(peer) {
+            return (this._mapHeadersIdleRounds.get(createPeerKey(peer)) || 0) >= Constants.MAX_HEADERS_IDLE_ROUNDS;
+        }
+
         _createGetDataMsg(arrBlockHashes) {
             const msg = new MsgGetData();
             const inv = new Inventory();
@@ -914,14 +1309,19 @@ module.exports = (factory, factoryOptions) => {
                         return await this.getLastBlockByConciliumId(content);
                     case 'tx':
                         return await this._acceptLocalTx(content);
+                    case 'getContractAbi':
+                        return await this._getContractAbi(content);
                     case 'getContractData':
-                        return await this._getContractData(content);
+                        return await this._getContractData(content.strAddress, content.nHeight);
                     case 'txReceipt':
                         return await this._getTxReceipt(content);
                     case 'getBlock':
 
                         // content is hash
-                        return await this._getBlockAndState(content).catch(err => debugNode(err));
+                        return await this._getBlockAndState(content).catch(async err => {
+                            if (await this._storage.isBlockPruned(content)) throw err;
+                            debugNode(err);
+                        });
                     case 'getTips': {
                         let arrHashes = this._pendingBlocks.getTips();
 
@@ -959,17 +1359,47 @@ module.exports = (factory, factoryOptions) => {
                         return await this._getTxForRpc(content);
                     case 'constantMethodCall':
                         return await this._constantMethodCallRpc(content);
+                    case 'estimateTx':
+                        return await this._estimateTx(content);
+                    case 'simulateContractCall':
+                        return await this._simulateContractCall(content);
+                    case 'estimateFee':
+                        return await this._estimateFee(content.conciliumId, content.targetBlocks);
+                    case 'saveMempool':
+                        return await this._mempool.saveToDb();
+                    case 'loadMempool':
+                        return await this._loadMempool();
+                    case 'exportSnapshot':
+                        return await this._exportSnapshot(content);
                     case 'getUnspent':
                         const utxo = await this._storage.getUtxo(content);
                         return utxo.toObject();
+                    case 'getAddressHistory': {
+                        const {strAddress, nFromHeight, nLimit, strCursor} = content;
+                        return await this._storage.getAddressHistory(strAddress, nFromHeight, nLimit, strCursor);
+                    }
+                    case 'getLogs': {
+                        const {strAddress, strTopic, nFromHeight, nToHeight} = content;
+                        return await this._storage.getLogs(strAddress, strTopic, nFromHeight, nToHeight);
+                    }
                     case 'getWitnesses':
                         return await this._getAllWitnesses();
+                    case 'getProposals':
+                        return (await this._getExistingConcilium(content)).getProposals();
+                    case 'getProposal': {
+                        const {nConciliumId, nProposalId} = content;
+                        return (await this._getExistingConcilium(nConciliumId)).getProposal(nProposalId);
+                    }
+                    case 'getConsensusStats':
+                        return this._getConsensusStats(content);
                     case 'getConnectedPeers':
                         return this._peerManager.getConnectedPeers();
                     case 'getBannedPeers':
                         return this._peerManager.getBannedPeers();
                     case 'getMempoolContent':
                         return this._mempool.getContent();
+                    case 'getSyncStatus':
+                        return this._getSyncStatus();
                     default:
                         throw new Error(`Unsupported method ${event}`);
                 }
@@ -979,6 +1409,31 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         * Concilium definition from stable state of concilium definition contract
+         *
+         * @param {Number} nConciliumId
+         * @returns {Promise<BaseConciliumDefinition>}
+         * @private
+         */
+        async _getExistingConcilium(nConciliumId) {
+            const concilium = await this._storage.getConciliumById(nConciliumId);
+            if (!concilium) throw new Error(`Concilium ${nConciliumId} not found`);
+
+            return concilium;
+        }
+
+        /**
+         * Overridden in Witness. Regular node doesn't run consensus
+         *
+         * @param {Number} nConciliumId
+         * @returns {Object}
+         * @private
+         */
+        _getConsensusStats(nConciliumId) {
+            throw new Error('Consensus stats available only for witness');
+        }
+
         async getPendingUtxos() {
             await this._ensureBestBlockValid();
             const {patchMerged} = this._objCurrentBestParents;
@@ -992,17 +1447,29 @@ module.exports = (factory, factoryOptions) => {
             assert(!this._mempool.hasTx(strNewTxHash), 'Tx already in mempool');
 
             await this._processReceivedTx(newTx, false);
-            const {patchThisTx: patchNewTx} = await this._processTx(undefined, false, newTx);
+            const {patchThisTx: patchNewTx, fee} =
+                await this._processTx(await this._createPatchOfMempoolParents(newTx), false, newTx);
 
             // let's check for patch conflicts with other local txns
             try {
-                await this._ensureLocalTxnsPatch();
 
-                // update cache
-                this._patchLocalTxns = this._patchLocalTxns.merge(patchNewTx);
+                // RBF: it throws if fee isn't enough to replace conflicting txns.
+                // Replaced txns are removed (by addLocalTx) only if new one merges with the rest of local txns
+                const arrReplacedHashes = this._mempool.getTxnsToReplace(newTx, fee);
+                let patchLocalTxns;
+                if (arrReplacedHashes.length) {
+                    patchLocalTxns = await this._createLocalTxnsPatch(new Set(arrReplacedHashes));
+                } else {
+                    await this._ensureLocalTxnsPatch();
+                    patchLocalTxns = this._patchLocalTxns;
+                }
 
-                // all merges passed - accept new tx
-                this._mempool.addLocalTx(newTx, patchNewTx);
+                const patchMerged = patchLocalTxns.merge(patchNewTx);
+
+                // all merges passed - accept new tx & update cache
+                this._mempool.addLocalTx(newTx, patchNewTx, false, fee);
+                this._patchLocalTxns = patchMerged;
+                if (this._rpc) this._rpc.informWsSubscribersMempoolTx(newTx);
 
                 // inform 2 pseudorandom neighbours about new Tx
                 await this._informNeighbors(newTx);
@@ -1032,8 +1499,14 @@ module.exports = (factory, factoryOptions) => {
             let patchThisTx;
             try {
                 await this._storage.checkTxCollision([strTxHash]);
-                await this._validateTxLight(tx);
-                if (bStoreInMempool) this._mempool.addTx(tx);
+                const nFee = await this._validateTxLight(tx);
+                if (bStoreInMempool) {
+                    const arrReplacedHashes = this._mempool.addTx(tx, nFee);
+
+                    // replaced could be local one
+                    if (arrReplacedHashes && arrReplacedHashes.length) this._patchLocalTxns = undefined;
+                    if (this._rpc) this._rpc.informWsSubscribersMempoolTx(tx);
+                }
             } catch (e) {
                 this._mempool.storeBadTxHash(strTxHash);
                 throw e;
@@ -1045,16 +1518,22 @@ module.exports = (factory, factoryOptions) => {
          * @param {PatchDB | undefined} patchForBlock
          * @param {Boolean} isGenesis
          * @param {Transaction} tx
-         * @param {Number} amountHas - used only for internal TXNs
-         * @return {Promise<{fee, patchThisTx}>} fee and patch for this TX
+         * @param {BigInt} amountHas - used only for internal TXNs
+         * @param {Object} objSimulation - only for RPC (@see _simulateContractCall). Unsigned TX without inputs
+         * @param {BigInt} objSimulation.nCoinsAvailable - used instead of inputs
+         * @param {String} objSimulation.strCallerAddress - used instead of TX signer
+         * @return {Promise<{fee: BigInt, patchThisTx, objCosts, nDataDelta}>} fee and patch for this TX,
+         *          fee breakdown (@see Application.getSpentByCategory) and size of contract data change
          * @private
          */
-        async _processTx(patchForBlock, isGenesis, tx, amountHas) {
+        async _processTx(patchForBlock, isGenesis, tx, amountHas, objSimulation) {
             let patchThisTx = new PatchDB(tx.conciliumId);
-            let totalHas = amountHas === undefined ? 0 : amountHas;
-            let fee = 0;
-            let nFeeSize = 0;
+            let totalHas = amountHas === undefined ? 0n : toBigInt(amountHas);
+            let fee = 0n;
+            let nFeeSize = 0n;
             let nMaxFee;
+            let objCosts;
+            let nDataDelta = 0;
 
             const lock = await this._mutex.acquire(['transaction']);
             try {
@@ -1062,8 +1541,28 @@ module.exports = (factory, factoryOptions) => {
                 const isContract = tx.isContractCreation() ||
                                    !!(contract = await this._getContractByAddr(tx.getContractAddr(), patchForBlock));
 
+                const {nHeight, nTimestamp} = await this._getTimelockContext();
+
+                if (!isGenesis && !this._isTimeToForkMultisig()) {
+                    assert(!tx.usesMultisig(), `Tx ${tx.getHash()} uses multisig before fork`);
+                }
+                if (!isGenesis && !this._isTimeToForkTimelocks()) {
+                    assert(!tx.usesTimelocks(), `Tx ${tx.getHash()} uses timelocks before fork`);
+                }
+                if (!isGenesis && !this._isTimeToForkSighash()) {
+                    assert(!tx.usesSighashModes(), `Tx ${tx.getHash()} uses claim hash methods before fork`);
+                }
+
+                // not final txns could wait in mempool, but not in block
+                if (this._processedBlock) {
+                    assert(tx.isFinal(nHeight, nTimestamp), `Tx ${tx.getHash()} is not final yet`);
+                }
+
                 // process moneys
-                if (!isGenesis) {
+                if (!isGenesis && objSimulation) {
+                    totalHas = toBigInt(objSimulation.nCoinsAvailable);
+                    nFeeSize = await this._calculateSizeFee(tx, isGenesis);
+                } else if (!isGenesis) {
                     const arrTxUtxos = tx.utxos;
                     const patchUtxos = await this._storage.getUtxosPatch(arrTxUtxos);
 
@@ -1071,20 +1570,25 @@ module.exports = (factory, factoryOptions) => {
                     if (patchForBlock && patchForBlock.hasUtxos(arrTxUtxos)) {
                         patchMerged = patchForBlock.merge(patchUtxos);
                     }
-                    ({totalHas, patch: patchThisTx} = this._app.processTxInputs(tx, patchMerged));
+
+                    // rebuilding DB from blocks already checked by network
+                    const bSkipSignatures = !!this._bRebuildDb && !!this._processedBlock &&
+                                            this._isAssumedValid(this._processedBlock);
+                    ({totalHas, patch: patchThisTx} =
+                        this._app.processTxInputs(tx, patchMerged, nHeight, bSkipSignatures));
 
                     // calculate TX size fee. Calculated for every tx, not only for contracts
                     nFeeSize = await this._calculateSizeFee(tx, isGenesis);
 
                 } else {
-                    nMaxFee = Number.MAX_SAFE_INTEGER;
+                    nMaxFee = BigInt(Number.MAX_SAFE_INTEGER);
                 }
 
                 const nOutputInxStart = isContract ? 1 : 0;
-                const totalSent = this._app.processPayments(tx, patchThisTx, nOutputInxStart);
+                const totalSent = this._app.processPayments(tx, patchThisTx, nOutputInxStart, nHeight);
                 if (!isGenesis) nMaxFee = totalHas - totalSent;
 
-                let nRemainingCoins = nMaxFee - (isContract ? tx.getContractSentAmount() : 0);
+                let nRemainingCoins = nMaxFee - (isContract ? tx.getContractSentAmount() : 0n);
 
                 assert(isGenesis || nRemainingCoins > nFeeSize,
                     `Require fee at least ${nFeeSize} but you sent less than fee!`
@@ -1102,25 +1606,65 @@ module.exports = (factory, factoryOptions) => {
                         patchThisTx,
                         patchForBlock || new PatchDB(),
                         nRemainingCoins,
-                        nFeeSize
+                        nFeeSize,
+                        objSimulation ? objSimulation.strCallerAddress : undefined
                     );
+
+                    // app still holds state of this exec (we're under lock)
+                    objCosts = {size: nFeeSize, ...this._app.getSpentByCategory()};
+                    nDataDelta = this._app.getDataDelta();
                 } else {
 
                     // use all coins for money transfer
-                    fee = isGenesis ? 0 : nRemainingCoins;
+                    fee = isGenesis ? 0n : nRemainingCoins;
                 }
             } finally {
                 this._mutex.release(lock);
             }
 
-            return {fee, patchThisTx};
+            return {fee, patchThisTx, objCosts: objCosts || {size: nFeeSize}, nDataDelta};
+        }
+
+        /**
+         * Height & timestamp of block where tx will be included: block we're processing now (exec or create),
+         * or next block after best pending parents (tx from mempool or RPC)
+         *
+         * @return {Promise<{nHeight: Number, nTimestamp: Number}>}
+         * @private
+         */
+        async _getTimelockContext() {
+            if (this._processedBlock) {
+                return {nHeight: this._processedBlock.getHeight(), nTimestamp: this._processedBlock.timestamp};
+            }
+
+            return {nHeight: await this._getNextBlockHeight(), nTimestamp: timestamp()};
+        }
+
+        /**
+         * Unlike _calcHeight it tolerates parents absent in mainDag (i.e. genesis isn't loaded yet)
+         *
+         * @return {Promise<Number>}
+         * @private
+         */
+        async _getNextBlockHeight() {
+
+            // DAG isn't built yet (node isn't loaded) or there is no Genesis to build it from
+            if (!this._pendingBlocks || !Constants.GENESIS_BLOCK) return 1;
+
+            await this._ensureBestBlockValid();
+            const {arrParents} = this._objCurrentBestParents;
+
+            return arrParents.reduce((nMaxHeight, hash) => {
+                const blockInfo = this._mainDag.getBlockInfo(hash);
+                return blockInfo && blockInfo.getHeight() > nMaxHeight ? blockInfo.getHeight() : nMaxHeight;
+            }, 0) + 1;
         }
 
         /**
          * Get fee ot use one input. Useful to estimate minimal useful UTXO
          *
          * @param {Number} conciliumId
-         * @return {Promise<number>}
+         * @return {Promise<BigInt>}
          * @private
          */
         async _getFeeSizePerInput(conciliumId) {
@@ -1132,54 +1676,90 @@ module.exports = (factory, factoryOptions) => {
             // claimProof - 65 bytes
             // some protobuff overhead - 3 bytes? so 111 - is good estimate
             // size of one input in Kbytes = 111 / 1024 and it's nearly 0.11
-            const nKbytes = 0.11;
-            return parseInt(nFeePerKb * nKbytes);
+            if (!this._isTimeToForkBigIntAmounts()) {
+                const nKbytes = 0.11;
+                return BigInt(parseInt(nFeePerKb * nKbytes));
+            }
+
+            return toBigInt(nFeePerKb, true) * 11n / 100n;
         }
 
+        /**
+         * Before HEIGHT_FORK_BIGINT_AMOUNTS it was float arithmetic, now it's integer one (rounded down)
+         *
+         * @param {Transaction} tx
+         * @param {Boolean} isGenesis
+         * @return {Promise<BigInt>}
+         * @private
+         */
         async _calculateSizeFee(tx, isGenesis = false) {
-            if (isGenesis) return 0;
+            if (isGenesis) return 0n;
 
             const witnessConcilium = await this._storage.getConciliumById(tx.conciliumId);
             const nFeePerKb = witnessConcilium && witnessConcilium.getFeeTxSize()
                 ? witnessConcilium.getFeeTxSize() : Constants.fees.TX_FEE;
-            const nKbytes = tx.getSize() / 1024;
 
-            return parseInt(nFeePerKb * nKbytes);
+            if (!this._isTimeToForkBigIntAmounts()) {
+                const nKbytes = tx.getSize() / 1024;
+                return BigInt(parseInt(nFeePerKb * nKbytes));
+            }
+
+            return toBigInt(nFeePerKb, true) * BigInt(tx.getSize()) / 1024n;
         }
 
         async _getFeeContractCreation(tx, isGenesis = false) {
-            if (isGenesis) return 0;
+            if (isGenesis) return 0n;
 
             const witnessConcilium = await this._storage.getConciliumById(tx.conciliumId);
-
-            return witnessConcilium && witnessConcilium.getFeeContractCreation()
+            const nFee = witnessConcilium && witnessConcilium.getFeeContractCreation()
                 ? witnessConcilium.getFeeContractCreation() : Constants.fees.CONTRACT_CREATION_FEE;
+
+            return toBigInt(nFee, true);
         }
 
         async _getFeeContractInvocatoin(tx, isGenesis = false) {
-            if (isGenesis) return 0;
+            if (isGenesis) return 0n;
 
             const witnessConcilium = await this._storage.getConciliumById(tx.conciliumId);
-            return witnessConcilium &&
-                   witnessConcilium.getFeeContractInvocation()
+            const nFee = witnessConcilium &&
+                         witnessConcilium.getFeeContractInvocation()
                 ? witnessConcilium.getFeeContractInvocation() : Constants.fees.CONTRACT_INVOCATION_FEE;
+
+            return toBigInt(nFee, true);
         }
 
         async _getFeeInternalTx(tx, isGenesis = false) {
-            if (isGenesis) return 0;
+            if (isGenesis) return 0n;
 
             const witnessConcilium = await this._storage.getConciliumById(tx.conciliumId);
-            return witnessConcilium &&
-                   witnessConcilium.getFeeInternalTx()
+            const nFee = witnessConcilium &&
+                         witnessConcilium.getFeeInternalTx()
                 ? witnessConcilium.getFeeInternalTx() : Constants.fees.INTERNAL_TX_FEE;
+
+            return toBigInt(nFee, true);
         }
 
         async _getFeeStorage(tx, isGenesis = false) {
-            if (isGenesis) return 0;
+            if (isGenesis) return 0n;
 
             const witnessConcilium = await this._storage.getConciliumById(tx.conciliumId);
-            return witnessConcilium && witnessConcilium.getFeeStorage()
+            const nFee = witnessConcilium && witnessConcilium.getFeeStorage()
                 ? witnessConcilium.getFeeStorage() : Constants.fees.STORAGE_PER_BYTE_FEE;
+
+            return toBigInt(nFee, true);
+        }
+
+        /**
+         * Zero fee (before HEIGHT_FORK_CODE_METERING) turns code metering off
+         *
+         * @param {Boolean} isGenesis
+         * @return {BigInt} - per operation of contract code
+         * @private
+         */
+        _getFeeCodeOperation(isGenesis = false) {
+            if (isGenesis || !this._isTimeToForkCodeMetering()) return 0n;
+
+            return toBigInt(Constants.fees.CODE_OPERATION_FEE, true);
         }
 
         /**
@@ -1191,17 +1771,19 @@ module.exports = (factory, factoryOptions) => {
          * @param {Transaction} tx
          * @param {PatchDB} patchThisTx
          * @param {PatchDB} patchForBlock - used for nested contracts
-         * @param {Number} nMaxCoins - allowed coins for contract exec
-         * @param {Number} nFeeSize - fee for TX size, we'll add it here, since TxReceipt will contain sum of all fees
-         * @returns {Promise<number>} - fee
+         * @param {BigInt} nMaxCoins - allowed coins for contract exec
+         * @param {BigInt} nFeeSize - fee for TX size, we'll add it here, since TxReceipt will contain sum of all fees
+         * @param {String | undefined} strCallerAddress - only for simulation of unsigned TX (@see _processTx)
+         * @returns {Promise<BigInt>} - fee
          * @private
          */
-        async _processContract(isGenesis, contract, tx, patchThisTx, patchForBlock, nMaxCoins, nFeeSize) {
+        async _processContract(isGenesis, contract, tx, patchThisTx, patchForBlock, nMaxCoins, nFeeSize,
+                               strCallerAddress) {
             typeforce(
                 typeforce.tuple(
                     typeforce.Boolean, typeforce.oneOf(types.Contract, undefined),
                     types.Transaction, types.Patch,
-                    types.Patch, typeforce.Number, typeforce.Number
+                    types.Patch, types.Amount, types.Amount
                 ), arguments);
 
             if (contract && this._isTimeToForkSerializer1()) contract.switchSerializerToJson();
@@ -1211,11 +1793,11 @@ module.exports = (factory, factoryOptions) => {
             // 2nd - not used coins (in/out diff - coinsUsed) as internal TX
             let receipt;
 
-            // global variables for contract
+            // global variables for contract (contract code works with Numbers, not BigInt)
             const environment = {
                 contractTx: tx.hash(),
-                callerAddress: tx.getTxSignerAddress(),
-                value: tx.getContractSentAmount(),
+                callerAddress: strCallerAddress || tx.getTxSignerAddress(),
+                value: Number(tx.getContractSentAmount()),
 
                 // we fill it before invocation (from contract)
                 contractAddr: undefined,
@@ -1231,6 +1813,7 @@ module.exports = (factory, factoryOptions) => {
             const nFeeContractCreation = await this._getFeeContractCreation(tx, isGenesis);
             const nFeeContractInvocation = await this._getFeeContractInvocatoin(tx, isGenesis);
             const nFeeInternalTx = await this._getFeeInternalTx(tx, isGenesis);
+            const nFeeCodeOperation = this._getFeeCodeOperation(isGenesis);
 
             const coinsLimit = nMaxCoins - nFeeSize;
 
@@ -1239,10 +1822,23 @@ module.exports = (factory, factoryOptions) => {
             let bNewContract;
 
             this._app.setupVariables({
-                objFees: {nFeeContractCreation, nFeeContractInvocation, nFeeInternalTx},
-                coinsLimit
+                objFees: {nFeeContractCreation, nFeeContractInvocation, nFeeInternalTx, nFeeStorage, nFeeCodeOperation},
+                coinsLimit,
+                bEmitEvents: isGenesis || this._isTimeToForkContractLogs()
             });
 
+            // it throws before receipt created, so such TX will be rejected (instead of failed one, that consumes fee)
+            const bUpgrade = tx.isContractUpgrade() && this._isTimeToForkContractUpgrade();
+            if (contract && !bUpgrade && this._isTimeToForkContractAbi()) {
+                this._validateContractInvocation(contract, tx);
+            }
+            if (contract && !bUpgrade && this._isTimeToForkSlashing()) {
+                await this._validateSlashEvidence(tx);
+            }
+            if (contract && !bUpgrade && !this._isTimeToForkDelegation()) {
+                this._rejectDelegationBeforeFork(tx);
+            }
+
             try {
                 if (!contract) {
                     if (coinsLimit < nFeeContractCreation) {
@@ -1278,18 +1874,22 @@ module.exports = (factory, factoryOptions) => {
                     const invocationCode = tx.getContractCode();
 
                     environment.contractAddr = contract.getStoredAddress();
-                    environment.balance = contract.getBalance();
+                    environment.balance = Number(contract.getBalance());
 
-                    this._app.setCallbacks(this._createCallbacksForApp(patchForBlock, patchThisTx, tx.hash()));
+                    if (tx.isContractUpgrade() && this._isTimeToForkContractUpgrade()) {
+                        await this._upgradeContract(contract, tx, environment, coinsLimit, nFeeContractCreation);
+                    } else {
+                        this._app.setCallbacks(this._createCallbacksForApp(patchForBlock, patchThisTx, tx.hash()));
 
-                    await this._app.runContract(
-                        invocationCode && invocationCode.length ? JSON.parse(tx.getContractCode()) : {},
-                        contract,
-                        environment
-                    );
+                        await this._app.runContract(
+                            invocationCode && invocationCode.length ? JSON.parse(tx.getContractCode()) : {},
+                            contract,
+                            environment
+                        );
+                    }
                 }
 
-                const nCoinsUsed = nFeeSize + this._app.coinsSpent() + this._app.getDataDelta() * nFeeStorage;
+                const nCoinsUsed = nFeeSize + this._app.coinsSpent() + BigInt(this._app.getDataDelta()) * nFeeStorage;
                 if (nCoinsUsed > nMaxCoins) throw new Error('Not enough coins to run contract');
 
                 status = Constants.TX_STATUS_OK;
@@ -1300,14 +1900,17 @@ module.exports = (factory, factoryOptions) => {
             }
 
             receipt = new TxReceipt({
-                coinsUsed: nFeeSize + this._app.coinsSpent() + this._app.getDataDelta() * nFeeStorage,
+                coinsUsed: nFeeSize + this._app.coinsSpent() + BigInt(this._app.getDataDelta()) * nFeeStorage,
                 contractAddress: bNewContract ? Buffer.from(contract.getStoredAddress(), 'hex') : undefined,
                 status,
-                message
+                message,
+
+                // failed TX will not emit events
+                logs: status === Constants.TX_STATUS_OK ? this._app.getLogs() : []
             });
             patchThisTx.setReceipt(tx.hash(), receipt);
 
-            let fee = 0;
+            let fee = 0n;
 
             // contract could throw, so it could be undefined
             if (contract) {
@@ -1320,7 +1923,7 @@ module.exports = (factory, factoryOptions) => {
 
                     // increase balance of contract
                     contract.deposit(tx.getContractSentAmount());
-                } else if (tx.getContractSentAmount() > 0 && this._isTimeToForkSerializer1()) {
+                } else if (tx.getContractSentAmount() > 0n && this._isTimeToForkSerializer1()) {
 
                     // return moneys to change receiver
                     nMaxCoins += tx.getContractSentAmount();
@@ -1339,6 +1942,159 @@ module.exports = (factory, factoryOptions) => {
             return fee;
         }
 
+        /**
+         * Check method & arguments count against contract ABI
+         * Malformed contract code will be handled by runContract, malformed invocation code is rejected
+         * Contract without code has nothing to validate against
+         *
+         * @param {Contract} contract
+         * @param {Transaction} tx
+         * @private
+         */
+        _validateContractInvocation(contract, tx) {
+            let arrAbi;
+            try {
+                if (!contract.getCode()) return;
+                arrAbi = contract.getAbi();
+            } catch (e) {
+                return;
+            }
+
+            let objInvocationCode;
+            try {
+                const strInvocationCode = tx.getContractCode();
+                objInvocationCode = strInvocationCode && strInvocationCode.length ? JSON.parse(strInvocationCode) : {};
+            } catch (e) {
+                throw new Error(`Tx ${tx.getHash()}: malformed invocation code`);
+            }
+
+            const {method, arrArguments} = objInvocationCode || {};
+            validateInvocation(arrAbi, method || DEFAULT_METHOD, arrArguments);
+        }
+
+        /**
+         * Invocation of concilium definition contract
+         *
+         * @param {Transaction} tx
+         * @returns {{method: String, arrArguments: Array} | {}} empty for other contracts or malformed code
+         * @private
+         */
+        _getConciliumContractInvocation(tx) {
+            if (tx.getContractAddr().toString('hex') !== Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS) return {};
+
+            try {
+                return JSON.parse(tx.getContractCode()) || {};
+            } catch (e) {
+                return {};
+            }
+        }
+
+        /**
+         * Delegated stakes add weight to members only after HEIGHT_FORK_DELEGATION, so delegation couldn't start
+         * before (@see ConciliumPos._getMemberWeight)
+         *
+         * @param {Transaction} tx
+         * @private
+         */
+        _rejectDelegationBeforeFork(tx) {
+            const {method} = this._getConciliumContractInvocation(tx);
+            assert(method !== 'delegateStake', `Tx ${tx.getHash()}: stake delegation isn't enabled yet`);
+        }
+
+        /**
+         * Concilium contract will slash offender without any checks (it can't verify signatures),
+         * so invocation of "slashWitness" will be rejected unless evidence is correct:
+         * two different committed blocks (with signatures of quorum) of PoS concilium at same height
+         * with same parents, both signed by offender (member of that concilium).
+         * Single votes aren't evidence: signature of MSG_WITNESS_BLOCK_VOTE is signature of block hash only
+         * (without round), and honest witness votes again for next proposer's block (with same parents)
+         * when round fails.
+         * Evidence older than HEIGHT_TO_RELEASE_ADD_ON is rejected: offender could already release its stake
+         * @see Transaction.slashWitness
+         *
+         * @param {Transaction} tx
+         * @returns {Promise<void>}
+         * @private
+         */
+        async _validateSlashEvidence(tx) {
+            const {method, arrArguments} = this._getConciliumContractInvocation(tx);
+            if (method !== 'slashWitness') return;
+
+            const [nConciliumId, strOffenderAddr, objEvidence] = Array.isArray(arrArguments) ? arrArguments : [];
+            const {arrBlockInfos, arrBlockSignatures} = objEvidence || {};
+            assert(
+                Array.isArray(arrBlockInfos) && arrBlockInfos.length === 2 &&
+                Array.isArray(arrBlockSignatures) && arrBlockSignatures.length === 2 &&
+                arrBlockSignatures.every(arrSignatures => Array.isArray(arrSignatures)),
+                'Slash evidence: should contain 2 blocks and signatures for each of them'
+            );
+
+            const [blockInfoA, blockInfoB] = arrBlockInfos.map(strInfo => new BlockInfo(Buffer.from(strInfo, 'hex')));
+            assert(blockInfoA.getHash() !== blockInfoB.getHash(), 'Slash evidence: same block');
+            assert(
+                blockInfoA.getConciliumId() === nConciliumId && blockInfoB.getConciliumId() === nConciliumId,
+                'Slash evidence: blocks of other concilium'
+            );
+            assert(
+                blockInfoA.getHeight() === blockInfoB.getHeight() &&
+                blockInfoA.parentHashes.slice().sort().join() === blockInfoB.parentHashes.slice().sort().join(),
+                'Slash evidence: blocks are not conflicting'
+            );
+
+            if (this._processedBlock) {
+                const nHeight = this._processedBlock.getHeight();
+                assert(blockInfoA.getHeight() <= nHeight, 'Slash evidence: blocks from future');
+                assert(
+                    nHeight - blockInfoA.getHeight() <= Constants.concilium.HEIGHT_TO_RELEASE_ADD_ON,
+                    'Slash evidence: too old'
+                );
+            }
+
+            const concilium = await this._storage.getConciliumById(nConciliumId);
+            assert(
+                concilium && concilium.isPoS() && concilium.getAddresses(false).includes(strOffenderAddr),
+                `Slash evidence: ${strOffenderAddr} isn't member of PoS concilium ${nConciliumId}`
+            );
+
+            [blockInfoA, blockInfoB].forEach((blockInfo, i) => {
+                const arrSigners = this._getCommittedBlockSigners(
+                    concilium,
+                    blockInfo.getHash(),
+                    arrBlockSignatures[i].map(strSignature => Buffer.from(strSignature, 'hex'))
+                );
+                assert(new Set(arrSigners).size === arrSigners.length,
+                    `Slash evidence: duplicate signatures for block ${blockInfo.getHash()}`
+                );
+                assert(arrSigners.includes(strOffenderAddr),
+                    `Slash evidence: block ${blockInfo.getHash()} signed not by offender`
+                );
+            });
+        }
+
+        /**
+         * Replace contract code (@see Transaction.upgradeContract). Only owner of contract could do it
+         *
+         * @param {Contract} contract
+         * @param {Transaction} tx
+         * @param {Object} environment - global variables for contract
+         * @param {BigInt} coinsLimit
+         * @param {BigInt} nFeeContractCreation - upgrade is paid as contract creation
+         * @returns {Promise<void>}
+         * @private
+         */
+        async _upgradeContract(contract, tx, environment, coinsLimit, nFeeContractCreation) {
+            if (coinsLimit < nFeeContractCreation) {
+                throw new Error(
+                    `Tx ${tx.hash()} fee ${coinsLimit} for contract upgrade less than ${nFeeContractCreation}!`);
+            }
+
+            const strOwner = contract.getData()._ownerAddress;
+            if (!strOwner || strOwner !== tx.getTxSignerAddress()) throw new Error('Unauthorized contract upgrade');
+
+            const {nHeight} = await this._getTimelockContext();
+            this._app.upgradeContract(tx.getContractCode(), contract, environment, nHeight);
+        }
+
         /**
          * Used only for contract invocation
          *
@@ -1363,23 +2119,25 @@ module.exports = (factory, factoryOptions) => {
         /**
          * Send coins from contract
          * Balance & remainingCoins managed by app.runContract.send
+         * Fractional amount (it's Number from contract code) is an error after HEIGHT_FORK_BIGINT_AMOUNTS
          *
          * @param {Patch} patchTx - this parameter bound in this._createCallbacksForApp
          * @param {String} strTxHash - this parameter bound in this._createCallbacksForApp
          * @param {String} strAddress
-         * @param {Number} amount
+         * @param {Number | BigInt} amount
          * @param {Contract} contract - this parameter bound in this._createCallbacksForApp
          * @private
          */
         _sendCoins(patchTx, strTxHash, strAddress, amount, contract) {
             typeforce(typeforce.tuple(
-                types.Patch, types.Str64, types.Address, typeforce.Number, types.Contract),
+                types.Patch, types.Str64, types.Address, types.Amount, types.Contract),
                 arguments
             );
 
+            amount = toBigInt(amount, !this._isTimeToForkBigIntAmounts());
             if (contract.getBalance() < amount) throw new Error('Not enough funds for "send"');
 
-            if (amount === 0) return;
+            if (amount === 0n) return;
             const internalUtxo = this._createInternalTx(patchTx, strAddress, amount, strTxHash);
 
             // it's some sorta fake receipt, it will be overridden (or "merged") by original receipt
@@ -1409,7 +2167,7 @@ module.exports = (factory, factoryOptions) => {
 
             const {method, arrArguments, context, coinsLimit, environment, objFees} = objParams;
             typeforce(
-                typeforce.tuple(typeforce.String, typeforce.Array, typeforce.Number),
+                typeforce.tuple(typeforce.String, typeforce.Array, types.Amount),
                 [method, arrArguments, coinsLimit]
             );
 
@@ -1426,7 +2184,7 @@ module.exports = (factory, factoryOptions) => {
             const newEnv = {
                 ...environment,
                 contractAddr: cNestedContract.getStoredAddress(),
-                balance: cNestedContract.getBalance()
+                balance: Number(cNestedContract.getBalance())
             };
 
             const result = await this._app.runContract(
@@ -1510,7 +2268,7 @@ module.exports = (factory, factoryOptions) => {
             let patchState = await this._pendingBlocks.mergePatches(block.parentHashes);
             patchState.setConciliumId(block.conciliumId);
 
-            let blockFees = 0;
+            let blockFees = 0n;
             const blockTxns = block.txns;
 
             // should start from 1, because coinbase tx need different processing
@@ -1522,31 +2280,164 @@ module.exports = (factory, factoryOptions) => {
                 patchState = patchState.merge(patchThisTx, true);
             }
 
-            // process coinbase tx
-            if (!isGenesis) {
-                this._processBlockCoinbaseTX(block, blockFees, patchState);
-            }
+            // process coinbase tx
+            if (!isGenesis) {
+                await this._processBlockCoinbaseTX(block, blockFees, patchState);
+            }
+
+            debugNode(`Block ${block.getHash()} being executed`);
+            return patchState;
+        }
+
+        /**
+         *
+         * @param {Block} block
+         * @param {BigInt} blockFees - sum of block TXns fees
+         * @param {PatchDB} patchState - patch to add coins
+         * @private
+         */
+        async _processBlockCoinbaseTX(block, blockFees, patchState) {
+            const coinbase = new Transaction(block.txns[0]);
+            if (!this.isGenesisBlock(block)) coinbase.verifyCoinbase(blockFees);
+            let coins = coinbase.getOutCoins();
+            if (!this.isGenesisBlock(block) && this._isTimeToForkRewardPolicy()) {
+                coins = await this._distributeBlockReward(block, coins);
+            }
+
+            for (let i = 0; i < coins.length; i++) {
+
+                // we'll store only non zero outputs to minimise disk usage
+                if (coins[i].getAmount() !== 0n) patchState.createCoins(coinbase.hash(), i, coins[i]);
+            }
+        }
+
+        /**
+         * Coinbase (@see Block.finish) sends fees (except DEV_FOUNDATION_SHARE) to block creator.
+         * Here we redistribute it according to concilium "rewardPolicy",
+         * then members of PoS concilium share their rewards with delegators.
+         * Outputs of coinbase keep their indexes (the first one - gets remainder),
+         * shares are appended as extra outputs of coinbase
+         *
+         * @param {Block} block
+         * @param {Array} arrCoins - outputs of coinbase
+         * @returns {Promise<Array>} coins to create
+         * @private
+         */
+        async _distributeBlockReward(block, arrCoins) {
+            const concilium = await this._storage.getConciliumById(block.conciliumId);
+            if (!concilium) return arrCoins;
+
+            const arrResult = this._distributeByRewardPolicy(block, concilium, arrCoins);
+
+            return concilium.isPoS() && this._isTimeToForkDelegation() ?
+                this._shareRewardWithDelegators(concilium, arrResult) : arrResult;
+        }
+
+        /**
+         *
+         * @param {Block} block
+         * @param {BaseConciliumDefinition} concilium
+         * @param {Array} arrCoins - outputs of coinbase
+         * @returns {Array} coins
+         * @private
+         */
+        _distributeByRewardPolicy(block, concilium, arrCoins) {
+            let arrStakes;
+            switch (concilium.getRewardPolicy()) {
+                case BaseConciliumDefinition.REWARD_POLICY_STAKE:
+                    arrStakes = concilium.getMembersStakes();
+                    break;
+                case BaseConciliumDefinition.REWARD_POLICY_SIGNERS:
+                    arrStakes = this._getBlockSigners(block).map(address => ({address, amount: 1}));
+                    break;
+                default:
+                    return arrCoins;
+            }
+
+            const buffDevFoundation = Buffer.from(Constants.DEV_FOUNDATION_ADDRESS, 'hex');
+            const arrIndexes = [];
+            let nReward = 0n;
+            arrCoins.forEach((coins, i) => {
+                if (coins.getReceiverAddr().equals(buffDevFoundation)) return;
+                arrIndexes.push(i);
+                nReward += coins.getAmount();
+            });
+
+            const {arrShares, nRemainder} = this._splitByStakes(nReward, arrStakes);
+            if (!arrShares.length) return arrCoins;
+
+            const arrResult = arrCoins.slice();
+            arrIndexes.forEach((idx, i) => {
+                arrResult[idx] = new Coins(i === 0 ? nRemainder : 0n, arrCoins[idx].getReceiverAddr());
+            });
+
+            return arrResult.concat(arrShares);
+        }
+
+        /**
+         * Reward of member is split pro-rata between own stake and stakes of its delegators
+         *
+         * @param {ConciliumPoS} concilium
+         * @param {Array} arrCoins
+         * @returns {Array} coins
+         * @private
+         */
+        _shareRewardWithDelegators(concilium, arrCoins) {
+            const arrResult = arrCoins.slice();
+
+            arrCoins.forEach((coins, idx) => {
+                const arrStakeholders = concilium.getStakeholders(coins.getReceiverAddr().toString('hex'));
+                if (!arrStakeholders || arrStakeholders.length < 2) return;
+
+                // first one is member itself, it will get remainder
+                const [{amount: nOwnStake}, ...arrDelegations] = arrStakeholders;
+                const {arrShares, nRemainder} = this._splitByStakes(
+                    coins.getAmount(),
+                    [...arrDelegations, {amount: nOwnStake}]
+                );
+                if (!arrShares.length) return;
+
+                arrResult[idx] = new Coins(nRemainder, coins.getReceiverAddr());
+                arrResult.push(...arrShares);
+            });
+
+            return arrResult;
+        }
+
+        /**
+         *
+         * @param {BigInt} nAmount
+         * @param {Array} arrStakes - of {address, amount}. Entries without address only add weight (to remainder)
+         * @returns {{arrShares: Array, nRemainder: BigInt}} arrShares - Coins, empty if nothing to split
+         * @private
+         */
+        _splitByStakes(nAmount, arrStakes) {
+            const nTotalStake = arrStakes.reduce((accum, {amount}) => accum + BigInt(Math.floor(amount)), 0n);
+            if (!nAmount || !nTotalStake) return {arrShares: [], nRemainder: nAmount};
+
+            const arrShares = arrStakes
+                .filter(({address}) => address)
+                .map(({address, amount}) =>
+                    new Coins(nAmount * BigInt(Math.floor(amount)) / nTotalStake, Buffer.from(address, 'hex'))
+                );
+            const nRemainder = arrShares.reduce((accum, coins) => accum - coins.getAmount(), nAmount);
 
-            debugNode(`Block ${block.getHash()} being executed`);
-            return patchState;
+            return {arrShares, nRemainder};
         }
 
         /**
          *
          * @param {Block} block
-         * @param {Number} blockFees - sum of block TXns fees
-         * @param {PatchDB} patchState - patch to add coins
+         * @returns {Array} unique addresses (hex) of witnesses that signed block
          * @private
          */
-        _processBlockCoinbaseTX(block, blockFees, patchState) {
-            const coinbase = new Transaction(block.txns[0]);
-            if (!this.isGenesisBlock(block)) coinbase.verifyCoinbase(blockFees);
-            const coins = coinbase.getOutCoins();
-            for (let i = 0; i < coins.length; i++) {
+        _getBlockSigners(block) {
+            const buffBlockHash = Buffer.from(block.hash(), 'hex');
+            const setAddresses = new Set(block.signatures.map(sig =>
+                Crypto.getAddress(Crypto.recoverPubKey(buffBlockHash, sig))
+            ));
 
-                // we'll store only non zero outputs to minimise disk usage
-                if (coins[i].getAmount() !== 0) patchState.createCoins(coinbase.hash(), i, coins[i]);
-            }
+            return [...setAddresses];
         }
 
         async _acceptBlock(block, patchState) {
@@ -1560,7 +2451,7 @@ module.exports = (factory, factoryOptions) => {
 
             // invalidate cache
             this._patchLocalTxns = undefined;
-            this._mempool.removeForBlock(arrStrHashes);
+            this._mempool.removeForBlock(arrStrHashes, block.conciliumId);
 
             // check for finality
             await this._processFinalityResults(
@@ -1699,14 +2590,95 @@ module.exports = (factory, factoryOptions) => {
             block.verify(checkSignatures);
 
             // we can't check height here, so we'll check it upon execution
+            // but claimed height is enough to reject branch conflicting with checkpoint
+            this._checkCheckpoints(block);
 
             // signatures
-            if (checkSignatures && !isGenesis) await this._verifyBlockSignatures(block);
+            if (checkSignatures && !isGenesis && !this._isAssumedValid(block)) await this._verifyBlockSignatures(block);
 
             // TX collision
             await this._storage.checkTxCollision(block.getTxHashes());
         }
 
+        /**
+         * Throws error if block conflicts with one of Constants.CHECKPOINTS:
+         * - checkpoint block has other height
+         * - other block of checkpoint's concilium at checkpoint height (branch that doesn't lead to checkpoint)
+         * there could be blocks of other conciliums at same height, it's DAG
+         *
+         * @param {Block} block
+         * @private
+         */
+        _checkCheckpoints(block) {
+            for (let {hash, height} of Constants.CHECKPOINTS) {
+                if (block.getHash() === hash) {
+                    assert(block.getHeight() === height, `Checkpoint ${hash} should have height ${height}`);
+                    continue;
+                }
+                if (block.getHeight() !== height) continue;
+
+                // we'll know concilium of checkpoint with its header (till then we can't tell which branch is wrong)
+                const checkpointInfo = this._mainDag.getBlockInfo(hash) || this._headersDag.getBlockInfo(hash);
+                if (checkpointInfo && checkpointInfo.getConciliumId() === block.conciliumId) {
+                    throw new Error(`Block ${block.getHash()} conflicts with checkpoint ${hash} at height ${height}`);
+                }
+            }
+        }
+
+        /**
+         * Block is ancestor of Constants.ASSUMED_VALID_BLOCK (it should be known to us already),
+         * so it was checked by whole network and we could skip expensive signature checks.
+         * Height isn't enough: side branch below ASSUMED_VALID_BLOCK could be crafted by anyone
+         *
+         * @param {Block} block
+         * @return {Boolean}
+         * @private
+         */
+        _isAssumedValid(block) {
+            if (!Constants.ASSUMED_VALID_BLOCK) return false;
+
+            // recollect only while some of ancestors are still unknown (DAG & headers skeleton are growing)
+            if (!this._setAssumedValidAncestors ||
+                (!this._bAssumedValidComplete && !this._setAssumedValidAncestors.has(block.getHash()))) {
+                this._collectAssumedValidAncestors();
+            }
+
+            return this._setAssumedValidAncestors.has(block.getHash());
+        }
+
+        /**
+         * Walk parents of Constants.ASSUMED_VALID_BLOCK through main DAG & headers skeleton
+         * Result is complete when every ancestor (down to Genesis) is known
+         *
+         * @private
+         */
+        _collectAssumedValidAncestors() {
+            const getBlockInfo = hash => this._mainDag.getBlockInfo(hash) || this._headersDag.getBlockInfo(hash);
+
+            this._setAssumedValidAncestors = new Set();
+            this._bAssumedValidComplete = false;
+
+            const biAssumedValid = getBlockInfo(Constants.ASSUMED_VALID_BLOCK);
+            if (!biAssumedValid) return;
+
+            let bComplete = true;
+            const arrToVisit = [...biAssumedValid.parentHashes];
+            while (arrToVisit.length) {
+                const hash = arrToVisit.pop();
+                if (this._setAssumedValidAncestors.has(hash)) continue;
+
+                const blockInfo = getBlockInfo(hash);
+                if (!blockInfo) {
+                    bComplete = false;
+                    continue;
+                }
+
+                this._setAssumedValidAncestors.add(hash);
+                if (hash !== Constants.GENESIS_BLOCK) arrToVisit.push(...blockInfo.parentHashes);
+            }
+            this._bAssumedValidComplete = bComplete;
+        }
+
         /**
          * Ok, if all block signatures (it's number equals to concilium quorum) matches pubKeys
          *
@@ -1715,25 +2687,42 @@ module.exports = (factory, factoryOptions) => {
          * @private
          */
         async _verifyBlockSignatures(block) {
-            const buffBlockHash = Buffer.from(block.hash(), 'hex');
-
             const witnessConciliumDefinition = await this._storage.getConciliumById(block.conciliumId);
             assert(witnessConciliumDefinition, `Unknown conciliumId: ${block.conciliumId}`);
+
+            this._getCommittedBlockSigners(witnessConciliumDefinition, block.hash(), block.signatures);
+        }
+
+        /**
+         * Signatures should belong to concilium members, and their weight should reach quorum (block is committed)
+         *
+         * @param {BaseConciliumDefinition} witnessConciliumDefinition
+         * @param {String} strBlockHash
+         * @param {Array<Buffer>} arrSignatures
+         * @returns {Array<String>} addresses of signers
+         * @private
+         */
+        _getCommittedBlockSigners(witnessConciliumDefinition, strBlockHash, arrSignatures) {
+            const buffBlockHash = Buffer.from(strBlockHash, 'hex');
             const arrStrAddresses = witnessConciliumDefinition.getAddresses(false);
+            const arrSigners = [];
             let gatheredWeight = 0;
 
-            for (let sig of block.signatures) {
+            for (let sig of arrSignatures) {
                 const strAddress = Crypto.getAddress(Crypto.recoverPubKey(buffBlockHash, sig));
                 assert(
                     ~arrStrAddresses.findIndex(addr => strAddress === addr),
-                    `Bad signature for block ${block.hash()}!`
+                    `Bad signature for block ${strBlockHash}!`
                 );
+                arrSigners.push(strAddress);
                 gatheredWeight += witnessConciliumDefinition.getWitnessWeight(strAddress);
             }
 
             if (gatheredWeight < witnessConciliumDefinition.getQuorum()) {
                 throw new Error('Not enough signatures for block!');
             }
+
+            return arrSigners;
         }
 
         /**
@@ -1949,23 +2938,26 @@ module.exports = (factory, factoryOptions) => {
         gracefulShutdown() {
 
             // TODO: implement flushing all in memory data to disk
-            this._peerManager.saveAllPeers().then(_ => {
-                logger.log('Shutting down');
-                process.exit(0);
-            });
+            this._mempool.saveToDb()
+                .catch(err => logger.error(err))
+                .then(_ => this._peerManager.saveAllPeers())
+                .then(_ => {
+                    logger.log('Shutting down');
+                    process.exit(0);
+                });
         }
 
         /**
          *
          * @param {PatchDB} patch
          * @param {Buffer | String} receiver
-         * @param {Number} amount
+         * @param {BigInt} amount
          * @param {String} strHash
          * @returns {UTXO} - new UTXO
          * @private
          */
         _createInternalTx(patch, receiver, amount, strHash) {
-            typeforce(typeforce.tuple(types.Address, typeforce.Number, types.Str64), [receiver, amount, strHash]);
+            typeforce(typeforce.tuple(types.Address, types.Amount, types.Str64), [receiver, amount, strHash]);
 
             assert(amount > 0, 'Internal TX with non positive amount!');
             receiver = Buffer.isBuffer(receiver) ? receiver : Buffer.from(receiver, 'hex');
@@ -1982,16 +2974,16 @@ module.exports = (factory, factoryOptions) => {
         /**
          *
          * @param {Transaction} tx
-         * @param {Number} maxFee
+         * @param {BigInt} maxFee
          * @param {PatchDB} patch
          * @param {TxReceipt} receipt
-         * @returns {Number} - fee
+         * @returns {BigInt} - fee
          * @private
          */
         _createContractChange(tx, maxFee, patch, receipt) {
             let fee = receipt.getCoinsUsed();
 
-            assert(maxFee - fee >= 0, '_createContractChange. We spent more than have!');
+            assert(maxFee - fee >= 0n, '_createContractChange. We spent more than have!');
 
             // no changeReceiver? ok - no change. all coins become goes to witness!
             const addrChangeReceiver = tx.getContractChangeReceiver();
@@ -2000,7 +2992,7 @@ module.exports = (factory, factoryOptions) => {
             if (Buffer.isBuffer(addrChangeReceiver)) {
 
                 // something left? let's create change
-                if (maxFee - fee !== 0) {
+                if (maxFee - fee !== 0n) {
                     const changeUtxo = this._createInternalTx(
                         patch,
                         tx.getContractChangeReceiver(),
@@ -2037,6 +3029,63 @@ module.exports = (factory, factoryOptions) => {
             debugNode(`Rebuild took ${Date.now() - nRebuildStarted} msec.`);
 
             this._mempool.loadLocalTxnsFromDisk();
+            await this._loadMempool().catch(err => logger.error(err));
+        }
+
+        /**
+         * Restore txns saved by Mempool.saveToDb (i.e. on previous shutdown).
+         * Wire txns could be mined or double spent meanwhile, so they are revalidated against current state.
+         * Local ones will be executed with patches later (@see _ensureLocalTxnsPatch)
+         *
+         * @return {Promise<Number>} number of restored txns
+         * @private
+         */
+        async _loadMempool() {
+            const arrEntries = await this._mempool.loadFromDb();
+
+            let nRestored = 0;
+            for (let {tx, arrived, isLocal} of arrEntries) {
+                const strTxHash = tx.getHash();
+                if (this._mempool.hasTx(strTxHash)) continue;
+
+                try {
+                    if (isLocal) {
+                        this._mempool.addLocalTx(tx);
+                    } else {
+                        await this._storage.checkTxCollision([strTxHash]);
+                        const nFee = await this._validateTxLight(tx);
+                        this._mempool.addTx(tx, nFee, arrived);
+                    }
+                    nRestored++;
+                } catch (e) {
+                    debugNode(`Stored mempool TX ${strTxHash} dropped: ${e.message}`);
+                }
+            }
+
+            // restored txns could replace local ones
+            if (nRestored) this._patchLocalTxns = undefined;
+
+            debugNode(`Restored ${nRestored} of ${arrEntries.length} mempool TXns`);
+            return nRestored;
+        }
+
+        /**
+         * Chainstate snapshot for fast bootstrapping of new nodes (@see Storage.importSnapshot)
+         *
+         * @param {String} strFileName
+         * @return {Promise<{hash: String, arrLastAppliedHashes: Array, nRecords: Number}>}
+         * @private
+         */
+        async _exportSnapshot(strFileName) {
+            typeforce(typeforce.String, strFileName);
+
+            // stable blocks are applied during block exec, so state couldn't change while we hold this lock
+            const lock = await this._mutex.acquire(['blockExec']);
+            try {
+                return await this._storage.exportSnapshot(strFileName);
+            } finally {
+                this._mutex.release(lock);
+            }
         }
 
         async _nodeWorker() {
@@ -2088,6 +3137,10 @@ module.exports = (factory, factoryOptions) => {
             if (this._mapUnknownBlocks.size) {
                 await this._requestUnknownBlocks();
             }
+
+            if (this._mapHeadersToDownload.size) {
+                await this._requestBlockBodies();
+            }
         }
 
         /**
@@ -2182,11 +3235,11 @@ module.exports = (factory, factoryOptions) => {
 
         async _queryPeerForRestOfBlocks() {
             if (!this._isInitialBlockLoading()) return;
-            const msg = await this._createGetBlocksMsg();
 
             const arrConnectedPeers = this._peerManager.getConnectedPeers();
             for (let peer of arrConnectedPeers) {
-                if (peer.isAhead() && !peer.isGetBlocksSent()) {
+                if (peer.isAhead() && !peer.isGetBlocksSent() && !peer.isPruned) {
+                    const msg = await this._createSyncMsg(peer);
                     debugMsg(`(address: "${this._debugAddress}") sending "${msg.message}" to "${peer.address}"`);
                     await peer.pushMessage(msg);
                 }
@@ -2205,7 +3258,7 @@ module.exports = (factory, factoryOptions) => {
                 if (!msg.inventory.vector.length) return;
 
                 const foundPeer = arrConnectedPeers.find(p => createPeerKey(p) === key);
-                const peer = foundPeer ? foundPeer : arrConnectedPeers[0];
+                const peer = foundPeer ? foundPeer : (arrConnectedPeers.find(p => !p.isPruned) || arrConnectedPeers[0]);
 
                 msg.inventory.vector.forEach(v => this._requestCache.request(v.hash));
 
@@ -2218,6 +3271,59 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         * Download bodies of blocks from DAG skeleton (lower first).
+         * Every peer that sent us headers will get own portion of hashes
+         *
+         * @return {Promise<void>}
+         * @private
+         */
+        async _requestBlockBodies() {
+            const arrHashes = [];
+            for (let strHash of this._mapHeadersToDownload.keys()) {
+                if (this._storage.isBlockBanned(strHash) || await this._isBlockKnown(strHash)) {
+                    this._mapHeadersToDownload.delete(strHash);
+                } else if (!this._requestCache.isRequested(strHash)) {
+                    arrHashes.push(strHash);
+                }
+            }
+
+            // all bodies downloaded, skeleton isn't needed anymore
+            if (!this._mapHeadersToDownload.size) {
+                this._headersDag = new MainDag();
+                this._nHeadersReceived = 0;
+                this._mapHeadersIdleRounds.clear();
+                return;
+            }
+
+            arrHashes.sort((strHashA, strHashB) =>
+                this._headersDag.getBlockHeight(strHashA) - this._headersDag.getBlockHeight(strHashB));
+
+            const mapPeerBlocks = new Map();
+            for (let strHash of arrHashes) {
+                const key = this._mapHeadersToDownload.get(strHash);
+                if (!mapPeerBlocks.has(key)) mapPeerBlocks.set(key, new Set());
+                mapPeerBlocks.get(key).add(strHash);
+            }
+            await this._sendMsgGetDataToPeers(mapPeerBlocks);
+        }
+
+        /**
+         * Progress of headers first sync
+         *
+         * @return {{isSyncing: Boolean, headers: Number, blocksDownloaded: Number, blocksPending: Number}}
+         * @private
+         */
+        _getSyncStatus() {
+            const nPending = this._mapHeadersToDownload.size;
+            return {
+                isSyncing: !!nPending || !!this._isInitialBlockLoading(),
+                headers: this._nHeadersReceived,
+                blocksDownloaded: this._nHeadersReceived - nPending,
+                blocksPending: nPending
+            };
+        }
+
         async _requestUnknownBlocks() {
 
             // request all unknown blocks
@@ -2328,14 +3434,15 @@ module.exports = (factory, factoryOptions) => {
 
             const newEnv = {
                 contractAddr: contract.getStoredAddress(),
-                balance: contract.getBalance()
+                balance: Number(contract.getBalance())
             };
 
             const nCoinsDummy = Number.MAX_SAFE_INTEGER;
             this._app.setCallbacks(this._createCallbacksForApp(new PatchDB(), new PatchDB(), '1'.repeat(64)));
             this._app.setupVariables({
                 objFees: {nFeeContractInvocation: nCoinsDummy},
-                nCoinsDummy
+                coinsLimit: nCoinsDummy,
+                bEmitEvents: this._isTimeToForkContractLogs()
             });
 
             return await this._app.runContract(
@@ -2347,6 +3454,107 @@ module.exports = (factory, factoryOptions) => {
             );
         }
 
+        /**
+         * Fee rate to get tx included within nTargetBlocks, based on inclusion of our mempool txns in recent blocks.
+         * Never less than size fee of concilium (used also when there is no statistics)
+         *
+         * @param {Number} nConciliumId
+         * @param {Number} nTargetBlocks
+         * @return {Promise<{feePerKb: BigInt, isEstimated: Boolean}>}
+         * @private
+         */
+        async _estimateFee(nConciliumId, nTargetBlocks = 1) {
+            typeforce(typeforce.tuple('Number', 'Number'), [nConciliumId, nTargetBlocks]);
+
+            const witnessConcilium = await this._storage.getConciliumById(nConciliumId);
+            const nMinFeePerKb = toBigInt(
+                witnessConcilium && witnessConcilium.getFeeTxSize() || Constants.fees.TX_FEE, true);
+            const nFeePerByte = this._mempool.estimateFee(nConciliumId, nTargetBlocks);
+            if (nFeePerByte === undefined) return {feePerKb: nMinFeePerKb, isEstimated: false};
+
+            const nFeePerKb = BigInt(Math.ceil(nFeePerByte * 1024));
+            return {feePerKb: nFeePerKb > nMinFeePerKb ? nFeePerKb : nMinFeePerKb, isEstimated: true};
+        }
+
+        /**
+         * Dry run of signed TX against pending state (best parents)
+         *
+         * @param {Transaction} tx
+         * @return {Promise<Object>} @see _dryRunTx
+         * @private
+         */
+        async _estimateTx(tx) {
+            typeforce(types.Transaction, tx);
+
+            tx.verify();
+
+            return await this._dryRunTx(tx);
+        }
+
+        /**
+         * Invoke contract on behalf of sender. TX will have neither inputs nor signature,
+         * so size fee will be lower than for real one. Coins are dummy, so ignore amount of change
+         * Dummy coins are limited with SIMULATION_MAX_COINS: code runs while 'transaction' lock is held
+         *
+         * @param {Object} objParams
+         * @param {String} objParams.contractAddress
+         * @param {String} objParams.method - empty for default function
+         * @param {Array} objParams.arrArguments
+         * @param {Number} objParams.amount - coins sent to contract
+         * @param {String} objParams.sender - caller & change receiver
+         * @return {Promise<Object>} @see _dryRunTx
+         * @private
+         */
+        async _simulateContractCall({contractAddress, method = '', arrArguments = [], amount = 0, sender}) {
+            typeforce(
+                typeforce.tuple(types.StrAddress, typeforce.String, typeforce.Array, types.Amount, types.StrAddress),
+                [contractAddress, method, arrArguments, amount, sender]
+            );
+
+            await this._ensureBestBlockValid();
+            const contract = await this._getContractByAddr(contractAddress, this._objCurrentBestParents.patchMerged);
+            if (!contract) throw new Error(`Contract ${contractAddress} not found`);
+
+            const tx = Transaction.invokeContract(contractAddress, {method, arrArguments}, amount, sender);
+            tx.conciliumId = contract.getConciliumId();
+
+            const nCoinsDummy = toBigInt(Constants.SIMULATION_MAX_COINS);
+            return await this._dryRunTx(tx, {
+                nCoinsAvailable: toBigInt(amount) + nCoinsDummy,
+                strCallerAddress: sender
+            });
+        }
+
+        /**
+         * Process TX against pending state (best parents). Neither mempool nor pending state will be changed
+         *
+         * @param {Transaction} tx
+         * @param {Object | undefined} objSimulation - @see _processTx
+         * @return {Promise<{fee, objCosts, nDataDelta, receipt, arrInternalTxns}>}
+         *          receipt - undefined for non contract TX
+         *          arrInternalTxns - of {strTxHash, amount, receiverAddr} (including change)
+         * @private
+         */
+        async _dryRunTx(tx, objSimulation) {
+            await this._ensureBestBlockValid();
+            const {patchMerged} = this._objCurrentBestParents;
+
+            const {fee, patchThisTx, objCosts, nDataDelta} =
+                await this._processTx(patchMerged, false, tx, undefined, objSimulation);
+
+            const receipt = patchThisTx.getReceipt(tx.getHash());
+            const arrInternalTxns = receipt ? receipt.getInternalTxns().map(buffTxHash => {
+                const coins = receipt.getCoinsForTx(buffTxHash);
+                return {
+                    strTxHash: buffTxHash.toString('hex'),
+                    amount: coins.getAmount(),
+                    receiverAddr: coins.getReceiverAddr().toString('hex')
+                };
+            }) : [];
+
+            return {fee, objCosts, nDataDelta, receipt, arrInternalTxns};
+        }
+
         /**
          * Height is longest path in DAG
          *
@@ -2375,13 +3583,45 @@ module.exports = (factory, factoryOptions) => {
             );
         }
 
-        async _getContractData(strContractAddr) {
+        /**
+         *
+         * @param {String} strContractAddr
+         * @returns {Promise<Array>} @see contractAbi.createAbi
+         * @private
+         */
+        async _getContractAbi(strContractAddr) {
+            typeforce(types.StrAddress, strContractAddr);
+
+            const cont = await this._storage.getContract(Buffer.from(strContractAddr, 'hex'));
+            if (!cont) throw new Error(`Contract ${strContractAddr} not found`);
+
+            return cont.getAbi();
+        }
+
+        /**
+         * Data is always current one
+         *
+         * @param {String} strContractAddr
+         * @param {Number | undefined} nHeight - if specified: also return code version in effect at this height
+         * @returns {Promise<Object>} data or {data, codeVersion: {codeHash, height, code}}
+         * @private
+         */
+        async _getContractData(strContractAddr, nHeight) {
             typeforce(types.StrAddress, strContractAddr);
 
             const cont = await this._storage.getContract(
                 Buffer.from(strContractAddr, 'hex'));
 
-            return cont.getData();
+            if (nHeight === undefined) return cont.getData();
+
+            const {codeHash, nHeight: nVersionHeight} = cont.getCodeVersionAt(nHeight);
+            const code = codeHash === cont.getCodeHash()
+                ? cont.getCode() : await this._storage.getContractCode(codeHash);
+
+            return {
+                data: cont.getData(),
+                codeVersion: {codeHash, height: nVersionHeight, code}
+            };
         }
 
         async cleanDb() {
@@ -2395,8 +3635,15 @@ module.exports = (factory, factoryOptions) => {
          * @returns {Promise<void>}
          */
         async rebuildDb(strHashToStop) {
+            if (this._storage.isPruningEnabled()) {
+                throw new Error('Rebuild DB is impossible for pruned node: bodies of old blocks are removed');
+            }
+
             this._mainDag = new MainDag();
 
+            // signatures of ancestors of Constants.ASSUMED_VALID_BLOCK will not be checked again
+            this._bRebuildDb = true;
+
             for await (let {value} of this._storage.readBlocks()) {
                 const block = new factory.Block(value);
                 await this._mainDag.addBlock(new BlockInfo(block.header));
@@ -2450,6 +3697,15 @@ module.exports = (factory, factoryOptions) => {
             return stableBi ? stableBi.getHash() : undefined;
         }
 
+        /**
+         * Inputs could be outputs of unconfirmed (mempool) txns (CPFP)
+         * Inputs minus outputs of contract tx is a coins limit for contract (unused coins will return as change),
+         * so only fees known without exec are offered: size fee + contract creation (invocation) fee
+         *
+         * @param {Transaction} tx
+         * @return {Promise<BigInt>} fee offered by tx (inputs minus outputs, or estimation for contract tx)
+         * @private
+         */
         async _validateTxLight(tx) {
             tx.verify();
             const patchUtxos = await this._storage.getUtxosPatch(tx.utxos);
@@ -2457,9 +3713,51 @@ module.exports = (factory, factoryOptions) => {
             await this._ensureBestBlockValid();
             let {patchMerged} = this._objCurrentBestParents;
 
-            const {totalHas} = this._app.processTxInputs(tx, patchMerged.merge(patchUtxos));
+            const nHeight = await this._getNextBlockHeight();
+            const {totalHas} = this._app.processTxInputs(
+                tx,
+                patchMerged.merge(patchUtxos).merge(await this._createPatchOfMempoolParents(tx)),
+                nHeight
+            );
             const sizeFee = await this._calculateSizeFee(tx, false);
             assert(totalHas >= tx.amountOut() + sizeFee, `Require fee at least ${sizeFee}`);
+
+            const nMaxFee = totalHas - tx.amountOut();
+            const bContract = tx.isContractCreation() ||
+                              !!await this._getContractByAddr(tx.getContractAddr(), patchMerged);
+            if (!bContract) return nMaxFee;
+
+            const nContractFee = tx.isContractCreation()
+                ? await this._getFeeContractCreation(tx)
+                : await this._getFeeContractInvocatoin(tx);
+            const nEstimatedFee = sizeFee + nContractFee;
+
+            return nEstimatedFee < nMaxFee ? nEstimatedFee : nMaxFee;
+        }
+
+        /**
+         * Coins created by txns in mempool, that spent by tx (so tx is a child, @see Mempool.getFinalTxnsByFeeRate)
+         * Zero output of contract txns isn't spendable
+         *
+         * @param {Transaction} tx
+         * @return {Promise<PatchDB>}
+         * @private
+         */
+        async _createPatchOfMempoolParents(tx) {
+            const patch = new PatchDB();
+            const arrParentHashes = [...new Set(tx.utxos.map(hash => hash.toString('hex')))]
+                .filter(strHash => this._mempool.hasTx(strHash) && !this._mempool.isBadTx(strHash));
+            if (!arrParentHashes.length) return patch;
+
+            // for relative locks
+            const nHeight = await this._getNextBlockHeight();
+            for (let strHash of arrParentHashes) {
+                const txParent = this._mempool.getTx(strHash);
+                const bContract = txParent.isContractCreation() || !!txParent.getContractCode();
+                this._app.processPayments(txParent, patch, bContract ? 1 : 0, nHeight);
+            }
+
+            return patch;
         }
 
         async _ensureBestBlockValid() {
@@ -2476,31 +3774,44 @@ module.exports = (factory, factoryOptions) => {
         async _ensureLocalTxnsPatch() {
             if (this._patchLocalTxns) return this._patchLocalTxns;
 
+            this._patchLocalTxns = await this._createLocalTxnsPatch();
+        }
+
+        /**
+         *
+         * @param {Set} setExcludeHashes - local txns to skip (i.e. going to be replaced)
+         * @return {Promise<PatchDB>} merged patch of local txns
+         * @private
+         */
+        async _createLocalTxnsPatch(setExcludeHashes = new Set()) {
             let patchMerged = new PatchDB();
 
             for (let {strTxHash, patchTx} of this._mempool.getLocalTxnsPatches()) {
+                if (setExcludeHashes.has(strTxHash)) continue;
 
                 // NO patches - means mempool just loaded, we need to exec all stored local txns
                 if (!patchTx) {
                     const localTx = this._mempool.getTx(strTxHash);
 
                     let patchThisTx;
+                    let nFee;
                     try {
                         const objResult = await this._processTx(undefined, false, localTx);
                         patchThisTx = objResult.patchThisTx;
+                        nFee = objResult.fee;
                     } catch (e) {
                         this._mempool.removeTxns(strTxHash);
                     }
 
                     // store it back with patch
-                    this._mempool.addLocalTx(localTx, patchThisTx);
+                    this._mempool.addLocalTx(localTx, patchThisTx, false, nFee);
                     patchTx = patchThisTx;
                 }
 
                 patchMerged = patchMerged.merge(patchTx);
             }
 
-            this._patchLocalTxns = patchMerged;
+            return patchMerged;
         }
 
         /**
@@ -2558,6 +3869,72 @@ module.exports = (factory, factoryOptions) => {
                    (this._processedBlock && this._processedBlock.getHeight() <
                     Constants.forks.HEIGHT_FORK_SERIALIZER_FIX3);
         }
+
+        _isTimeToForkMultisig() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_MULTISIG);
+        }
+
+        _isTimeToForkTimelocks() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_TIMELOCKS);
+        }
+
+        _isTimeToForkSighash() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_SIGHASH);
+        }
+
+        _isTimeToForkBigIntAmounts() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_BIGINT_AMOUNTS);
+        }
+
+        _isTimeToForkContractLogs() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_CONTRACT_LOGS);
+        }
+
+        _isTimeToForkContractUpgrade() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_CONTRACT_UPGRADE);
+        }
+
+        _isTimeToForkContractAbi() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_CONTRACT_ABI);
+        }
+
+        _isTimeToForkCodeMetering() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_CODE_METERING);
+        }
+
+        _isTimeToForkSlashing() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_SLASHING);
+        }
+
+        _isTimeToForkRewardPolicy() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_REWARD_POLICY);
+        }
+
+        _isTimeToForkDelegation() {
+            return !this._processedBlock ||
+                   (this._processedBlock && this._processedBlock.getHeight() >=
+                    Constants.forks.HEIGHT_FORK_DELEGATION);
+        }
     };
 };
 
@@ -6,7 +6,17 @@ const {version} = require('../package');
 
 const rpc = require('json-rpc2');
 
-const {asyncRPC, prepareForStringifyObject, stripAddressPrefix, finePrintUtxos} = require('../utils');
+const debug = debugLib('rpc:');
+
+// topics for "subscribe"
+const TOPIC_NEW_BLOCK = 'newBlock';
+const TOPIC_BLOCK_STABLE = 'blockStable';
+const TOPIC_MEMPOOL_TX = 'mempoolTx';
+const TOPIC_ADDRESS = 'address';
+const TOPIC_RECEIPT = 'receipt';
+const arrTopics = [TOPIC_NEW_BLOCK, TOPIC_BLOCK_STABLE, TOPIC_MEMPOOL_TX, TOPIC_ADDRESS, TOPIC_RECEIPT];
+
+const {asyncRPC, prepareForStringifyObject, stripAddressPrefix, finePrintUtxos, toBigInt} = require('../utils');
 const types = require('../types');
 
 module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
@@ -23,6 +33,10 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             this._nodeInstance = cNodeInstance;
             this._storedWallets = new StoredWallet({storage: cNodeInstance.storage});
 
+            // WS connection -> Map {strSubscriptionId -> {strTopic, strAddress, strTxHash}}
+            this._mapSubscriptions = new Map();
+            this._nLastSubscriptionId = 0;
+
             const {rpcUser, rpcPass, rpcPort = Constants.rpcPort, rpcAddress = '::1'} = options;
             this._server = rpc.Server.$create({
                 websocket: true,
@@ -46,8 +60,17 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             this._server.expose('getPrev', asyncRPC(this.getPrev.bind(this)));
             this._server.expose('getTx', asyncRPC(this.getTx.bind(this)));
             this._server.expose('constantMethodCall', asyncRPC(this.constantMethodCall.bind(this)));
+            this._server.expose('estimateTx', asyncRPC(this.estimateTx.bind(this)));
+            this._server.expose('simulateContractCall', asyncRPC(this.simulateContractCall.bind(this)));
+            this._server.expose('estimateFee', asyncRPC(this.estimateFee.bind(this)));
+            this._server.expose('saveMempool', asyncRPC(this.saveMempool.bind(this)));
+            this._server.expose('loadMempool', asyncRPC(this.loadMempool.bind(this)));
+            this._server.expose('exportSnapshot', asyncRPC(this.exportSnapshot.bind(this)));
             this._server.expose('getContractData', asyncRPC(this.getContractData.bind(this)));
+            this._server.expose('getContractAbi', asyncRPC(this.getContractAbi.bind(this)));
             this._server.expose('getUnspent', asyncRPC(this.getUnspent.bind(this)));
+            this._server.expose('getAddressHistory', asyncRPC(this.getAddressHistory.bind(this)));
+            this._server.expose('getLogs', asyncRPC(this.getLogs.bind(this)));
 
             this._server.expose('walletListUnspent', asyncRPC(this.walletListUnspent.bind(this)));
             this._server.expose('accountListUnspent', asyncRPC(this.getAccountUnspent.bind(this)));
@@ -59,16 +82,30 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             this._server.expose('getWitnesses', asyncRPC(this.getWitnesses.bind(this)));
             this._server.expose('countWallets', asyncRPC(this.countWallets.bind(this)));
             this._server.expose('getLastBlockByConciliumId', asyncRPC(this.getLastBlockByConciliumId.bind(this)));
+            this._server.expose('getProposals', asyncRPC(this.getProposals.bind(this)));
+            this._server.expose('getProposal', asyncRPC(this.getProposal.bind(this)));
+            this._server.expose('getConsensusStats', asyncRPC(this.getConsensusStats.bind(this)));
 
             this._server.expose('unlockAccount', asyncRPC(this.unlockAccount.bind(this)));
             this._server.expose('importPrivateKey', asyncRPC(this.importPrivateKey.bind(this)));
             this._server.expose('getNewAddress', asyncRPC(this.getNewAddress.bind(this)));
+            this._server.expose('createHdAccount', asyncRPC(this.createHdAccount.bind(this)));
+            this._server.expose('importXpub', asyncRPC(this.importXpub.bind(this)));
+            this._server.expose('getAccountXpub', asyncRPC(this.getAccountXpub.bind(this)));
+            this._server.expose('getNewHdAddress', asyncRPC(this.getNewHdAddress.bind(this)));
 
             this._server.expose('sendToAddress', asyncRPC(this.sendToAddress.bind(this)));
             this._server.expose('callContract', asyncRPC(this.callContract.bind(this)));
 
+            this._server.expose('createMultisigAddress', asyncRPC(this.createMultisigAddress.bind(this)));
+            this._server.expose('sendFromMultisig', asyncRPC(this.sendFromMultisig.bind(this)));
+            this._server.expose('cosignTx', asyncRPC(this.cosignTx.bind(this)));
+
             this._server.expose('nodeStatus', asyncRPC(this.nodeStatus.bind(this)));
 
+            this._server.expose('subscribe', asyncRPC(this.subscribe.bind(this)));
+            this._server.expose('unsubscribe', asyncRPC(this.unsubscribe.bind(this)));
+
             this._server.listen(rpcPort, rpcAddress);
         }
 
@@ -107,13 +144,20 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
         }
 
         informWsSubscribersNewBlock(result) {
-            this._server.broadcastToWS('newBlock',
-                {
-                    hash: result.block.getHash(),
-                    block: prepareForStringifyObject(result.block.toObject()),
-                    state: result.state
-                }
-            );
+            const objBlock = {
+                hash: result.block.getHash(),
+                block: prepareForStringifyObject(result.block.toObject()),
+                state: result.state
+            };
+            this._server.broadcastToWS('newBlock', objBlock);
+
+            this._notifySubscribers(TOPIC_NEW_BLOCK, () => true, objBlock);
+
+            for (let objTx of result.block.txns) {
+                const tx = new Transaction(objTx);
+                this._notifyAddressSubscribers(tx, result.block.getHash());
+                this._notifyReceiptSubscribers(tx.getHash()).catch(err => debug(err));
+            }
         }
 
         informWsSubscribersStableBlocks(arrHashes) {
@@ -122,6 +166,175 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
                     arrHashes
                 }
             );
+
+            this._notifySubscribers(TOPIC_BLOCK_STABLE, () => true, {arrHashes});
+        }
+
+        /**
+         *
+         * @param {Transaction} tx - just added to mempool
+         */
+        informWsSubscribersMempoolTx(tx) {
+            this._notifySubscribers(TOPIC_MEMPOOL_TX, () => true, {
+                hash: tx.getHash(),
+                tx: prepareForStringifyObject(tx.rawData)
+            });
+            this._notifyAddressSubscribers(tx, undefined);
+        }
+
+        /**
+         * Works only for WS connections. Notifications will be sent as "subscription" method
+         * with params {strSubscriptionId, strTopic, result}
+         *
+         * @param {Object} args
+         * @param {String} args.strTopic - one of arrTopics
+         * @param {String} args.strAddress - for "address" topic (should be watched by wallet)
+         * @param {String} args.strTxHash - for "receipt" topic (one time subscription)
+         * @param {Object} connection - passed by RPC server
+         * @return {Promise<String>} strSubscriptionId
+         */
+        async subscribe(args, connection) {
+            let {strTopic, strAddress, strTxHash} = args;
+            typeforce('String', strTopic);
+
+            if (!this._isWsConnection(connection)) throw new Error('Subscriptions are available only for WebSocket');
+            if (!arrTopics.includes(strTopic)) throw new Error(`Unknown topic "${strTopic}"`);
+
+            if (strTopic === TOPIC_ADDRESS) {
+                strAddress = stripAddressPrefix(Constants, strAddress);
+                typeforce(types.StrAddress, strAddress);
+
+                const arrWatchedAddresses = await this._storedWallets.getWalletsAddresses();
+                if (!arrWatchedAddresses.includes(strAddress)) throw new Error(`Address ${strAddress} isn't watched`);
+            }
+            if (strTopic === TOPIC_RECEIPT) typeforce(types.Str64, strTxHash);
+
+            const mapConnSubscriptions = this._mapSubscriptions.get(connection) || new Map();
+            if (mapConnSubscriptions.size >= Constants.WS_MAX_SUBSCRIPTIONS) {
+                throw new Error(`Too many subscriptions (max ${Constants.WS_MAX_SUBSCRIPTIONS})`);
+            }
+
+            const strSubscriptionId = (++this._nLastSubscriptionId).toString();
+            mapConnSubscriptions.set(strSubscriptionId, {strTopic, strAddress, strTxHash});
+            this._mapSubscriptions.set(connection, mapConnSubscriptions);
+
+            return strSubscriptionId;
+        }
+
+        /**
+         *
+         * @param {Object} args
+         * @param {String} args.strSubscriptionId
+         * @param {Object} connection - passed by RPC server
+         * @return {Promise<Boolean>} - was it found
+         */
+        async unsubscribe(args, connection) {
+            const {strSubscriptionId} = args;
+            typeforce('String', strSubscriptionId);
+
+            const mapConnSubscriptions = this._mapSubscriptions.get(connection);
+            if (!mapConnSubscriptions) return false;
+
+            const bFound = mapConnSubscriptions.delete(strSubscriptionId);
+            if (!mapConnSubscriptions.size) this._mapSubscriptions.delete(connection);
+
+            return bFound;
+        }
+
+        /**
+         *
+         * @param {Transaction} tx
+         * @param {String | undefined} strBlockHash - undefined for mempool tx
+         * @private
+         */
+        _notifyAddressSubscribers(tx, strBlockHash) {
+            const setReceivers = new Set(tx.getOutCoins().map(coins => coins.getReceiverAddr().toString('hex')));
+
+            this._notifySubscribers(
+                TOPIC_ADDRESS,
+                ({strAddress}) => setReceivers.has(strAddress),
+                {hash: tx.getHash(), blockHash: strBlockHash}
+            );
+        }
+
+        /**
+         * Receipt subscriptions are one time
+         *
+         * @param {String} strTxHash - of tx included into block
+         * @return {Promise<void>}
+         * @private
+         */
+        async _notifyReceiptSubscribers(strTxHash) {
+            const fnFilter = ({strTxHash: strSubscribedHash}) => strSubscribedHash === strTxHash;
+            if (!this._hasSubscribers(TOPIC_RECEIPT, fnFilter)) return;
+
+            const cReceipt = await this._nodeInstance.rpcHandler({
+                event: 'txReceipt',
+                content: strTxHash
+            });
+            this._notifySubscribers(TOPIC_RECEIPT, fnFilter,
+                prepareForStringifyObject(cReceipt ? cReceipt.toObject() : undefined), true
+            );
+        }
+
+        /**
+         *
+         * @param {String} strTopic
+         * @param {Function} fnFilter - receives subscription params {strTopic, strAddress, strTxHash}
+         * @return {Boolean}
+         * @private
+         */
+        _hasSubscribers(strTopic, fnFilter) {
+            for (let mapConnSubscriptions of this._mapSubscriptions.values()) {
+                for (let objSubscription of mapConnSubscriptions.values()) {
+                    if (objSubscription.strTopic === strTopic && fnFilter(objSubscription)) return true;
+                }
+            }
+            return false;
+        }
+
+        /**
+         * Closed connections will be purged here
+         *
+         * @param {String} strTopic
+         * @param {Function} fnFilter - receives subscription params {strTopic, strAddress, strTxHash}
+         * @param {*} result - to send
+         * @param {Boolean} bRemove - remove subscription after notification
+         * @private
+         */
+        _notifySubscribers(strTopic, fnFilter, result, bRemove = false) {
+            for (let [connection, mapConnSubscriptions] of this._mapSubscriptions) {
+                if (connection.ended) {
+                    this._mapSubscriptions.delete(connection);
+                    continue;
+                }
+
+                for (let [strSubscriptionId, objSubscription] of mapConnSubscriptions) {
+                    if (objSubscription.strTopic !== strTopic || !fnFilter(objSubscription)) continue;
+
+                    try {
+                        connection.conn.send(JSON.stringify({
+                            jsonrpc: '2.0',
+                            method: 'subscription',
+                            params: {strSubscriptionId, strTopic, result}
+                        }));
+                    } catch (e) {
+                        debug(e);
+                    }
+                    if (bRemove) mapConnSubscriptions.delete(strSubscriptionId);
+                }
+                if (!mapConnSubscriptions.size) this._mapSubscriptions.delete(connection);
+            }
+        }
+
+        /**
+         *
+         * @param {Object} connection - passed by RPC server to exposed method
+         * @return {boolean}
+         * @private
+         */
+        _isWsConnection(connection) {
+            return !!(connection && connection.conn && typeof connection.conn.send === 'function');
         }
 
         /**
@@ -134,20 +347,16 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             const {strBlockHash} = args;
             typeforce(types.Str64, strBlockHash);
 
-            let result;
-            try {
-                result = await this._nodeInstance.rpcHandler({
-                    event: 'getBlock',
-                    content: strBlockHash
-                });
-                return result ? {
-                    hash: result.block.getHash(),
-                    block: prepareForStringifyObject(result.block.toObject()),
-                    state: result.state
-                } : undefined;
-            } catch (err) {
-                return undefined;
-            }
+            // unknown block is undefined, but pruned one will be reported to caller as error
+            const result = await this._nodeInstance.rpcHandler({
+                event: 'getBlock',
+                content: strBlockHash
+            });
+            return result ? {
+                hash: result.block.getHash(),
+                block: prepareForStringifyObject(result.block.toObject()),
+                state: result.state
+            } : undefined;
         }
 
         /**
@@ -239,6 +448,126 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             return prepareForStringifyObject(objResult);
         }
 
+        /**
+         * Dry run against pending state. TX will be neither stored in mempool nor sent to network
+         *
+         * @param {Object} args
+         * @param {String} args.strTx - signed TX (hex)
+         * @return {Promise<Object>} {fee, objCosts, nDataDelta, receipt, arrInternalTxns}
+         */
+        async estimateTx(args) {
+            const {strTx} = args;
+            typeforce(typeforce.String, strTx);
+
+            const tx = new Transaction(Buffer.from(strTx, 'hex'));
+            const objResult = await this._nodeInstance.rpcHandler({
+                event: 'estimateTx',
+                content: tx
+            });
+
+            return this._prepareDryRunResult(objResult);
+        }
+
+        /**
+         * Dry run of contract invocation on behalf of sender (no signature & coins required)
+         *
+         * @param {Object} args
+         * @param {String} args.contractAddress
+         * @param {String} args.method - omit for default function
+         * @param {Array} args.arrArguments
+         * @param {Number | String} args.amount - coins sent to contract
+         * @param {String} args.sender - caller address
+         * @return {Promise<Object>} same as estimateTx
+         */
+        async simulateContractCall(args) {
+            const {contractAddress, method, arrArguments, amount, sender} = args;
+
+            const objResult = await this._nodeInstance.rpcHandler({
+                event: 'simulateContractCall',
+                content: {
+                    contractAddress: stripAddressPrefix(Constants, contractAddress),
+                    method,
+                    arrArguments,
+                    amount: amount === undefined ? undefined : toBigInt(amount),
+                    sender: stripAddressPrefix(Constants, sender)
+                }
+            });
+
+            return this._prepareDryRunResult(objResult);
+        }
+
+        /**
+         * Fee rate for TX to be included within targetBlocks of concilium
+         *
+         * @param {Object} args
+         * @param {Number} args.conciliumId
+         * @param {Number} args.targetBlocks - default 1
+         * @return {Promise<Object>} {feePerKb, isEstimated}. isEstimated = false - no statistics, it's minimal fee
+         */
+        async estimateFee(args) {
+            const {conciliumId, targetBlocks = 1} = args;
+            typeforce(typeforce.tuple('Number', 'Number'), [conciliumId, targetBlocks]);
+
+            const objResult = await this._nodeInstance.rpcHandler({
+                event: 'estimateFee',
+                content: {conciliumId, targetBlocks}
+            });
+
+            return prepareForStringifyObject(objResult);
+        }
+
+        /**
+         * Store all mempool txns to DB (it's done also on shutdown)
+         *
+         * @return {Promise<Object>} {saved} - number of txns
+         */
+        async saveMempool() {
+            const nSaved = await this._nodeInstance.rpcHandler({
+                event: 'saveMempool'
+            });
+
+            return {saved: nSaved};
+        }
+
+        /**
+         * Restore txns stored by saveMempool (they will be revalidated)
+         *
+         * @return {Promise<Object>} {restored} - number of txns
+         */
+        async loadMempool() {
+            const nRestored = await this._nodeInstance.rpcHandler({
+                event: 'loadMempool'
+            });
+
+            return {restored: nRestored};
+        }
+
+        /**
+         * Write chainstate snapshot to file (on node side). Use content hash as checkpoint for import
+         *
+         * @param {Object} args
+         * @param {String} args.fileName
+         * @return {Promise<Object>} {hash, lastAppliedBlocks, records}
+         */
+        async exportSnapshot(args) {
+            const {fileName} = args;
+            typeforce(typeforce.String, fileName);
+
+            const {hash, arrLastAppliedHashes, nRecords} = await this._nodeInstance.rpcHandler({
+                event: 'exportSnapshot',
+                content: fileName
+            });
+
+            return {hash, lastAppliedBlocks: arrLastAppliedHashes, records: nRecords};
+        }
+
+        _prepareDryRunResult({receipt, ...rest}) {
+            return prepareForStringifyObject({
+                ...rest,
+                receipt: receipt ? receipt.toObject() : undefined
+            });
+        }
+
         /**
          * Get one UTXO by hash
          *
@@ -256,6 +585,52 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             return prepareForStringifyObject(objResult);
         }
 
+        /**
+         * Stable (applied) history of address. Node should be started with txIndex
+         *
+         * @param {Object} args
+         * @param {String} args.strAddress
+         * @param {Number} args.nFromHeight
+         * @param {Number} args.nLimit
+         * @param {String} args.strCursor - from previous call, to get next page
+         * @return {Promise<{arrRecords: Array, strCursor: String | undefined}>}
+         */
+        async getAddressHistory(args) {
+            let {strAddress, nFromHeight = 0, nLimit = Constants.ADDRESS_HISTORY_MAX_LIMIT, strCursor} = args;
+            strAddress = stripAddressPrefix(Constants, strAddress);
+            typeforce(types.StrAddress, strAddress);
+
+            const objResult = await this._nodeInstance.rpcHandler({
+                event: 'getAddressHistory',
+                content: {strAddress, nFromHeight, nLimit, strCursor}
+            });
+
+            return prepareForStringifyObject(objResult);
+        }
+
+        /**
+         * Events emitted by contract (stable only). Node should be started with txIndex
+         *
+         * @param {Object} args
+         * @param {String} args.address - contract address
+         * @param {String} args.topic - event name. optional
+         * @param {Number} args.fromBlock - height
+         * @param {Number} args.toBlock - height, inclusive
+         * @return {Promise<Array>} of {contractAddress, name, data, txHash, blockHash, height}
+         */
+        async getLogs(args) {
+            const {address, topic: strTopic, fromBlock: nFromHeight, toBlock: nToHeight} = args;
+            const strAddress = stripAddressPrefix(Constants, address);
+            typeforce(types.StrAddress, strAddress);
+
+            const arrLogs = await this._nodeInstance.rpcHandler({
+                event: 'getLogs',
+                content: {strAddress, strTopic, nFromHeight, nToHeight}
+            });
+
+            return prepareForStringifyObject(arrLogs);
+        }
+
         async walletListUnspent(args) {
             let {strAddress, bStableOnly} = args;
             strAddress = stripAddressPrefix(Constants, strAddress);
@@ -275,10 +650,11 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
         async getBalance(args) {
             const arrResult = await this.walletListUnspent(args);
 
-            return arrResult.reduce((accum, {amount, isStable}) => {
-                isStable ? accum.confirmedBalance += amount : accum.unconfirmedBalance += amount;
+            // amounts already prepared for JSON (Number or String), so sum it as BigInt
+            return prepareForStringifyObject(arrResult.reduce((accum, {amount, isStable}) => {
+                isStable ? accum.confirmedBalance += toBigInt(amount) : accum.unconfirmedBalance += toBigInt(amount);
                 return accum;
-            }, {confirmedBalance: 0, unconfirmedBalance: 0});
+            }, {confirmedBalance: 0n, unconfirmedBalance: 0n}));
         }
 
         async watchAddress(args) {
@@ -292,17 +668,42 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             return arrAddresses.map(addr => Constants.ADDRESS_PREFIX + addr);
         }
 
+        /**
+         *
+         * @param {Object} args
+         * @param {String} args.strAddress
+         * @param {Number | undefined} args.nHeight - if passed, result also contains code version in effect at height
+         * @return {Promise<Object>}
+         */
         async getContractData(args) {
-            let {strAddress} = args;
+            let {strAddress, nHeight} = args;
             strAddress = stripAddressPrefix(Constants, strAddress);
+            typeforce(typeforce.maybe('Number'), nHeight);
+
             const objData = await this._nodeInstance.rpcHandler({
                 event: 'getContractData',
-                content: strAddress
+                content: {strAddress, nHeight}
             });
 
             return prepareForStringifyObject(objData);
         }
 
+        /**
+         *
+         * @param {Object} args
+         * @param {String} args.strAddress
+         * @return {Promise<Array>} of {name, args, nRequiredArgs, isAsync, hasRest, isConstant, isPayable}
+         */
+        async getContractAbi(args) {
+            let {strAddress} = args;
+            strAddress = stripAddressPrefix(Constants, strAddress);
+
+            return await this._nodeInstance.rpcHandler({
+                event: 'getContractAbi',
+                content: strAddress
+            });
+        }
+
         async getWitnesses() {
             const arrWitnessPeers = await this._nodeInstance.rpcHandler({
                 event: 'getWitnesses'
@@ -331,6 +732,63 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             return strHash;
         }
 
+        /**
+         * Governance proposals of concilium (@see BaseConciliumDefinition.getProposals)
+         *
+         * @param {Object} args
+         * @param {Number} args.nConciliumId
+         * @return {Promise<Array>} of {nProposalId, objChanges, nHeightToApply, arrVotes, isAccepted, isApplied, ...}
+         */
+        async getProposals(args) {
+            const {nConciliumId} = args;
+            typeforce('Number', nConciliumId);
+
+            const arrProposals = await this._nodeInstance.rpcHandler({
+                event: 'getProposals',
+                content: nConciliumId
+            });
+
+            return prepareForStringifyObject(arrProposals);
+        }
+
+        /**
+         *
+         * @param {Object} args
+         * @param {Number} args.nConciliumId
+         * @param {Number} args.nProposalId
+         * @return {Promise<Object | undefined>}
+         */
+        async getProposal(args) {
+            const {nConciliumId, nProposalId} = args;
+            typeforce(typeforce.tuple('Number', 'Number'), [nConciliumId, nProposalId]);
+
+            const objProposal = await this._nodeInstance.rpcHandler({
+                event: 'getProposal',
+                content: {nConciliumId, nProposalId}
+            });
+
+            return prepareForStringifyObject(objProposal);
+        }
+
+        /**
+         * Liveness of witnesses: per round telemetry of BFT for concilium. Available only on witness node
+         *
+         * @param {Object} args
+         * @param {Number} args.nConciliumId
+         * @return {Promise<Object>} {conciliumId, state, objCurrentRound, arrHistory, objWitnesses}
+         */
+        async getConsensusStats(args) {
+            const {nConciliumId} = args;
+            typeforce('Number', nConciliumId);
+
+            const objStats = await this._nodeInstance.rpcHandler({
+                event: 'getConsensusStats',
+                content: nConciliumId
+            });
+
+            return prepareForStringifyObject(objStats);
+        }
+
         async unlockAccount(args) {
             const {strAccountName, strPassword, nSeconds} = args;
             await this._storedWallets.unlockAccount(strAccountName, strPassword, nSeconds);
@@ -346,6 +804,32 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             return {address: kp.address, privateKey: kp.privateKey};
         }
 
+        /**
+         * Mnemonic is returned only here! It's the only backup of account keys
+         *
+         * @param {Object} args
+         * @return {Promise<{strMnemonic: String, strXpub: String}>}
+         */
+        async createHdAccount(args) {
+            const {strAccountName, strMnemonic, strPassphrase, bRescan} = args;
+            return await this._storedWallets.createHdAccount(strAccountName, strMnemonic, strPassphrase, bRescan);
+        }
+
+        async importXpub(args) {
+            const {strAccountName, strXpub, bRescan} = args;
+            await this._storedWallets.importXpub(strAccountName, strXpub, bRescan);
+        }
+
+        async getAccountXpub(args) {
+            const {strAccountName} = args;
+            return await this._storedWallets.getAccountXpub(strAccountName);
+        }
+
+        async getNewHdAddress(args) {
+            const {strAccountName, bChange} = args;
+            return await this._storedWallets.getNewHdAddress(strAccountName, bChange);
+        }
+
         async sendToAddress(args) {
             const tx = await this._storedWallets.sendToAddress(args);
 
@@ -368,13 +852,44 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             return tx.getHash();
         }
 
+        async createMultisigAddress(args) {
+            const {nRequired, arrAddresses, bReindex} = args;
+            typeforce(typeforce.tuple('Number', typeforce.arrayOf('String')), [nRequired, arrAddresses]);
+
+            return await this._storedWallets.createMultisigAddress(nRequired, arrAddresses, bReindex);
+        }
+
+        /**
+         * TX isn't sent! It should be cosigned by other owners (@see cosignTx) and sent with sendRawTx
+         *
+         * @param {Object} args
+         * @return {Promise<String>} - hex of encoded TX
+         */
+        async sendFromMultisig(args) {
+            const tx = await this._storedWallets.sendFromMultisig(args);
+
+            return tx.encode().toString('hex');
+        }
+
+        /**
+         *
+         * @param {Object} args
+         * @return {Promise<String>} - hex of encoded TX
+         */
+        async cosignTx(args) {
+            const tx = await this._storedWallets.cosignTx(args);
+
+            return tx.encode().toString('hex');
+        }
+
         async getAccountBalance(args) {
             const arrResult = await this.getAccountUnspent(args);
 
-            return arrResult.reduce((accum, {amount, isStable}) => {
-                isStable ? accum.confirmedBalance += amount : accum.unconfirmedBalance += amount;
+            // amounts already prepared for JSON (Number or String), so sum it as BigInt
+            return prepareForStringifyObject(arrResult.reduce((accum, {amount, isStable}) => {
+                isStable ? accum.confirmedBalance += toBigInt(amount) : accum.unconfirmedBalance += toBigInt(amount);
                 return accum;
-            }, {confirmedBalance: 0, unconfirmedBalance: 0});
+            }, {confirmedBalance: 0n, unconfirmedBalance: 0n}));
         }
 
         async getAccountUnspent(args) {
@@ -455,6 +970,10 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
                 event: 'getMempoolContent'
             });
 
+            const objSyncStatus = await this._nodeInstance.rpcHandler({
+                event: 'getSyncStatus'
+            });
+
             return {
                 version,
                 protocolVersion: '0x' + Constants.protocolVersion.toString(16),
@@ -468,7 +987,8 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
                     version: '0x' + peer.version.toString(16)
                 })),
                 bannedPeers: arrBannedPeers,
-                mempool: arrHashesTxns
+                mempool: arrHashesTxns,
+                sync: objSyncStatus
             };
         }
     };
@@ -2,7 +2,7 @@
 const assert = require('assert');
 const Tick = require('tick-tock');
 
-const {finePrintUtxos, createObjInvocationCode, stripAddressPrefix} = require('../utils');
+const {finePrintUtxos, createObjInvocationCode, stripAddressPrefix, toBigInt} = require('../utils');
 
 const checkRequiredParameters = (objParams, arrRequired) => {
     for (let key of arrRequired) {
@@ -10,7 +10,7 @@ const checkRequiredParameters = (objParams, arrRequired) => {
     }
 };
 
-module.exports = ({Crypto, Constants, Transaction}) =>
+module.exports = ({Crypto, Constants, Transaction, Coins}) =>
     class StoredWallet {
         constructor(props) {
             const {storage} = props;
@@ -20,8 +20,8 @@ module.exports = ({Crypto, Constants, Transaction}) =>
             this._mapAccountPasswords = new Map();
             this._timer = new Tick();
 
-            this._nFeePerInput = Constants.fees.TX_FEE * 0.12;
-            this._nFeePerReceiver = Constants.fees.TX_FEE * 0.04;
+            this._nFeePerInput = BigInt(Math.round(Constants.fees.TX_FEE * 0.12));
+            this._nFeePerReceiver = BigInt(Math.round(Constants.fees.TX_FEE * 0.04));
         }
 
         async getNewAddress() {
@@ -63,6 +63,114 @@ module.exports = ({Crypto, Constants, Transaction}) =>
             }
         }
 
+        /**
+         * Make account deterministic: all keys will be derived from single seed, so mnemonic is enough for backup.
+         * Account key path is m/44'/HD_COIN_TYPE'/0'
+         *
+         * @param {String} strAccountName
+         * @param {String} strMnemonic - restore from it. if omitted - new mnemonic will be generated
+         * @param {String} strPassphrase - optional BIP39 passphrase
+         * @param {Boolean} bRescan - find used addresses (@see Storage.walletReIndex)
+         * @return {Promise<{strMnemonic: String, strXpub: String}>}
+         */
+        async createHdAccount(strAccountName, strMnemonic, strPassphrase = '', bRescan = false) {
+            assert(this._mapAccountPasswords.has(strAccountName), 'unlockAccount first');
+            await this._ensureAccount(strAccountName);
+
+            if (strMnemonic) {
+                if (!Crypto.validateMnemonic(strMnemonic)) throw('Invalid mnemonic');
+            } else {
+                strMnemonic = Crypto.createMnemonic();
+            }
+
+            const buffSeed = Crypto.mnemonicToSeed(strMnemonic, strPassphrase);
+            const strPath = `m/44'/${Constants.HD_COIN_TYPE}'/0'`;
+            const strXpub = Crypto.hdKeyFromSeed(buffSeed).derivePath(strPath).toExtendedKey(true);
+
+            await this._writeHdAccount(strAccountName, {
+                xpub: strXpub,
+                strPath,
+                encryptedSeed: await Crypto.encrypt(this._mapAccountPasswords.get(strAccountName), buffSeed)
+            }, bRescan);
+
+            return {strMnemonic, strXpub};
+        }
+
+        /**
+         * Watch-only HD account. Addresses could be issued, but coins couldn't be spent
+         *
+         * @param {String} strAccountName
+         * @param {String} strXpub - account level extended key (@see getAccountXpub)
+         * @param {Boolean} bRescan
+         * @return {Promise<void>}
+         */
+        async importXpub(strAccountName, strXpub, bRescan = false) {
+            await this._ensureAccount(strAccountName);
+
+            await this._writeHdAccount(
+                strAccountName,
+                {xpub: Crypto.hdKeyFromExtendedKey(strXpub).toExtendedKey(true)},
+                bRescan
+            );
+        }
+
+        /**
+         *
+         * @param {String} strAccountName
+         * @return {Promise<String>}
+         */
+        async getAccountXpub(strAccountName) {
+            const {xpub} = await this._getHdAccount(strAccountName);
+            return xpub;
+        }
+
+        /**
+         * Issue next address of HD account and start watching it
+         *
+         * @param {String} strAccountName
+         * @param {Boolean} bChange - derive it from internal (change) chain
+         * @return {Promise<String>}
+         */
+        async getNewHdAddress(strAccountName, bChange = false) {
+            const objHdAccount = await this._getHdAccount(strAccountName);
+
+            const nChange = bChange ? 1 : 0;
+            const arrNextIndexes = [...objHdAccount.arrNextIndexes];
+            const {address} = Crypto.hdKeyFromExtendedKey(objHdAccount.xpub)
+                .derivePath(`${nChange}/${arrNextIndexes[nChange]++}`);
+
+            await this._storage.writeHdAccount(strAccountName, {...objHdAccount, arrNextIndexes});
+
+            try {
+                await this._storage.walletWatchAddress(address);
+            } catch (e) {
+                logger.error(e);
+            }
+
+            return address;
+        }
+
+        async _getHdAccount(strAccountName) {
+            const objHdAccount = await this._storage.getHdAccount(strAccountName);
+            if (!objHdAccount) throw(`Account ${strAccountName} isn't an HD account`);
+
+            return objHdAccount;
+        }
+
+        async _writeHdAccount(strAccountName, objHdAccount, bRescan) {
+            if (await this._storage.getHdAccount(strAccountName)) {
+                throw(`Account ${strAccountName} already an HD account`);
+            }
+
+            await this._storage.writeHdAccount(strAccountName, {...objHdAccount, arrNextIndexes: [0, 0]});
+
+            try {
+                if (bRescan) await this._storage.walletReIndex();
+            } catch (e) {
+                logger.error(e);
+            }
+        }
+
         _clearPassword(strAccountName) {
             this._mapAccountPasswords.delete(strAccountName);
         }
@@ -110,6 +218,7 @@ module.exports = ({Crypto, Constants, Transaction}) =>
             let {strAccountName, strAddressTo, nAmount, strChangeAddress, nConciliumId = 1} = objParameters;
             strAddressTo = stripAddressPrefix(Constants, strAddressTo);
             strChangeAddress = stripAddressPrefix(Constants, strChangeAddress);
+            nAmount = toBigInt(nAmount);
 
             assert(this._mapAccountPasswords.has(strAccountName), 'unlockAccount first');
 
@@ -118,14 +227,14 @@ module.exports = ({Crypto, Constants, Transaction}) =>
             tx.conciliumId = nConciliumId;
 
             const arrAccountAddresses = await this.getAccountAddresses(strAccountName);
-            const nReqPlusOutputs = nAmount + this._nFeePerReceiver * 2;
+            const nReqPlusOutputs = nAmount + this._nFeePerReceiver * 2n;
             const [nTotalGathered, arrAddressesOwners] = await this._formTxInputs(
                 tx,
                 arrAccountAddresses,
                 nReqPlusOutputs
             );
 
-            const nRequired = nReqPlusOutputs + arrAddressesOwners.length * this._nFeePerInput;
+            const nRequired = nReqPlusOutputs + BigInt(arrAddressesOwners.length) * this._nFeePerInput;
             if (nTotalGathered < nRequired) {
                 throw(`Not enough coins to send. Required (with fee): ${nRequired}. Have: ${nTotalGathered}`);
             }
@@ -177,6 +286,8 @@ module.exports = ({Crypto, Constants, Transaction}) =>
             strAddressContract = stripAddressPrefix(Constants, strAddressContract);
             strChangeAddress = stripAddressPrefix(Constants, strChangeAddress);
             strSignerAddress = stripAddressPrefix(Constants, strSignerAddress);
+            nAmount = toBigInt(nAmount);
+            nCoinLimit = toBigInt(nCoinLimit);
 
             assert(this._mapAccountPasswords.has(strAccountName), 'unlockAccount first');
             await this._ensureAccount(strAccountName);
@@ -203,7 +314,7 @@ module.exports = ({Crypto, Constants, Transaction}) =>
                 nReqPlusOutputs
             );
 
-            const nRequired = nReqPlusOutputs + arrAddressesOwners.length * this._nFeePerInput;
+            const nRequired = nReqPlusOutputs + BigInt(arrAddressesOwners.length) * this._nFeePerInput;
             if (nTotalGathered < nRequired) {
                 throw(`Not enough coins to send. Required (with fee): ${nRequired}. Have: ${nTotalGathered}`);
             }
@@ -225,6 +336,188 @@ module.exports = ({Crypto, Constants, Transaction}) =>
             return tx;
         }
 
+        /**
+         * Create M-of-N address & start watching it (to be able to spend it's coins)
+         *
+         * @param {Number} nRequired
+         * @param {Array} arrAddresses - of strAddresses of owners
+         * @param {Boolean} bReindex
+         * @return {Promise<String>} multisig address
+         */
+        async createMultisigAddress(nRequired, arrAddresses, bReindex = false) {
+            const objMultisig = Coins.createMultisigDefinition(
+                nRequired,
+                arrAddresses.map(strAddr => stripAddressPrefix(Constants, strAddr))
+            );
+            const strAddress = Coins.createMultisigAddress(objMultisig.nRequired, objMultisig.arrAddresses)
+                .toString('hex');
+
+            await this.walletWatchAddress(strAddress, bReindex);
+
+            return strAddress;
+        }
+
+        /**
+         * Create TX that spends coins of multisig address. Change (if any) returns to multisig address by default.
+         * TX will be signed with keys of account, that belongs to owners. Rest of owners should cosign it.
+         *
+         * @param objParameters.strAccountName
+         * @param objParameters.strMultisigAddress
+         * @param objParameters.strAddressTo
+         * @param objParameters.nAmount
+         * @param objParameters.strChangeAddress
+         * @param objParameters.nConciliumId
+         * @return {Promise<Transaction>}
+         */
+        async sendFromMultisig(objParameters) {
+            checkRequiredParameters(objParameters, ['strAccountName', 'strMultisigAddress', 'strAddressTo', 'nAmount']);
+
+            let {
+                strAccountName,
+                strMultisigAddress,
+                strAddressTo,
+                nAmount,
+                strChangeAddress,
+                nConciliumId = 1
+            } = objParameters;
+            strMultisigAddress = stripAddressPrefix(Constants, strMultisigAddress);
+            strAddressTo = stripAddressPrefix(Constants, strAddressTo);
+            strChangeAddress = strChangeAddress ? stripAddressPrefix(Constants, strChangeAddress) : strMultisigAddress;
+            nAmount = toBigInt(nAmount);
+
+            assert(this._mapAccountPasswords.has(strAccountName), 'unlockAccount first');
+            await this._ensureAccount(strAccountName);
+
+            const tx = new Transaction();
+            tx.conciliumId = nConciliumId;
+
+            const {nRequired: nSignatures} = await this._getMultisigDefinition(strMultisigAddress);
+            const nReqPlusOutputs = nAmount + this._nFeePerReceiver * 2n;
+            const [nTotalGathered, arrAddressesOwners] = await this._formTxInputs(
+                tx,
+                [strMultisigAddress],
+                nReqPlusOutputs
+            );
+
+            // every input will hold nSignatures
+            const nRequired = nReqPlusOutputs +
+                              BigInt(arrAddressesOwners.length) * this._nFeePerInput * BigInt(nSignatures);
+            if (nTotalGathered < nRequired) {
+                throw(`Not enough coins to send. Required (with fee): ${nRequired}. Have: ${nTotalGathered}`);
+            }
+
+            tx.addReceiver(nAmount, Buffer.from(strAddressTo, 'hex'));
+            if (nTotalGathered - nRequired) {
+                tx.addReceiver(nTotalGathered - nRequired, Buffer.from(strChangeAddress, 'hex'));
+            }
+
+            await this._cosignMultisigInputs(tx, strAccountName);
+
+            return tx;
+        }
+
+        /**
+         * Add signatures of account owners to multisig inputs of TX
+         *
+         * @param objParameters.strAccountName
+         * @param objParameters.strTx - hex of encoded TX
+         * @return {Promise<Transaction>}
+         */
+        async cosignTx(objParameters) {
+            checkRequiredParameters(objParameters, ['strAccountName', 'strTx']);
+
+            const {strAccountName, strTx} = objParameters;
+
+            assert(this._mapAccountPasswords.has(strAccountName), 'unlockAccount first');
+            await this._ensureAccount(strAccountName);
+
+            const tx = new Transaction(Buffer.from(strTx, 'hex'));
+            if (!await this._cosignMultisigInputs(tx, strAccountName)) throw('Nothing to sign with this account');
+
+            return tx;
+        }
+
+        /**
+         *
+         * @param {String} strMultisigAddress
+         * @return {Promise<{nRequired: Number, arrAddresses: Array}>}
+         * @private
+         */
+        async _getMultisigDefinition(strMultisigAddress) {
+            const arrUtxos = await this._storage.walletListUnspent(strMultisigAddress);
+            for (let utxo of arrUtxos) {
+                for (let [, coins] of utxo.getOutputsForAddress(strMultisigAddress)) {
+                    if (coins.isMultisig()) return coins.getMultisig();
+                }
+            }
+
+            throw(`No multisig coins found for ${strMultisigAddress}`);
+        }
+
+        /**
+         * Sign multisig inputs with keys of account, but not more than required
+         *
+         * @param {Transaction} tx
+         * @param {String} strAccountName
+         * @return {Promise<Number>} - count of added signatures
+         * @private
+         */
+        async _cosignMultisigInputs(tx, strAccountName) {
+            const arrAccountAddresses = await this.getAccountAddresses(strAccountName);
+
+            // vectors [idx of input, strAddress of signer]
+            const arrToSign = [];
+            for (let i = 0; i < tx.inputs.length; i++) {
+                const {txHash, nTxOutput} = tx.inputs[i];
+                const utxo = await this._storage.getUtxo(txHash);
+                const coins = utxo.coinsAtIndex(nTxOutput);
+                if (!coins.isMultisig()) continue;
+
+                const {nRequired, arrAddresses} = coins.getMultisig();
+                const arrSigners = this._getMultisigSigners(tx, i);
+                let nSigned = arrSigners.length;
+                for (let buffAddress of arrAddresses) {
+                    if (nSigned >= nRequired) break;
+
+                    const strAddress = buffAddress.toString('hex');
+                    if (arrSigners.includes(strAddress) || !arrAccountAddresses.includes(strAddress)) continue;
+
+                    arrToSign.push([i, strAddress]);
+                    nSigned++;
+                }
+            }
+
+            if (!arrToSign.length) return 0;
+
+            const mapUnencryptedKeys = this._ensurePk(
+                this._mapAccountPasswords.get(strAccountName),
+                arrToSign.map(([, strAddress]) => strAddress),
+                await this._storage.getKeystoresForAccount(strAccountName)
+            );
+            for (let [idx, strAddress] of arrToSign) {
+                tx.claimMultisig(idx, mapUnencryptedKeys.get(strAddress));
+            }
+
+            return arrToSign.length;
+        }
+
+        /**
+         *
+         * @param {Transaction} tx
+         * @param {Number} idx - input index
+         * @return {Array} of strAddresses who already signed input
+         * @private
+         */
+        _getMultisigSigners(tx, idx) {
+            const buffClaimProof = tx.claimProofs[idx];
+            if (!buffClaimProof) return [];
+
+            const {arrSignatures, nHashMethod} = Transaction.parseClaimProof(buffClaimProof);
+            const buffHash = Buffer.from(tx.hash(idx, nHashMethod), 'hex');
+
+            return arrSignatures.map(signature => Crypto.getAddress(Crypto.recoverPubKey(buffHash, signature)));
+        }
+
         /**
          * Add claims to Tx
          *
@@ -266,14 +559,39 @@ module.exports = ({Crypto, Constants, Transaction}) =>
          */
         _ensurePk(password, arrAddressesOwners, mapAddrKeystore) {
             const mapUnencryptedKeys = new Map();
+            const mapDecryptedSeeds = new Map();
             const setUsedAddresses = new Set(arrAddressesOwners);
             for (let strAddress of setUsedAddresses) {
-                const strPrivateKey = Crypto.decrypt(password, mapAddrKeystore.get(strAddress));
+                const objKeystore = mapAddrKeystore.get(strAddress);
+                const strPrivateKey = objKeystore && objKeystore.strHdPath ?
+                    this._deriveHdPk(password, objKeystore, mapDecryptedSeeds) :
+                    Crypto.decrypt(password, objKeystore);
                 mapUnencryptedKeys.set(strAddress, strPrivateKey);
             }
             return mapUnencryptedKeys;
         }
 
+        /**
+         * All HD addresses of account share encrypted seed, so we'll decrypt it only once
+         *
+         * @param password
+         * @param objKeystore - @see Storage.getKeystoresForAccount
+         * @param {Map} mapDecryptedSeeds - cache
+         * @return {String | undefined}
+         * @private
+         */
+        _deriveHdPk(password, objKeystore, mapDecryptedSeeds) {
+            const strSeedId = objKeystore.encrypted.toString('hex');
+            if (!mapDecryptedSeeds.has(strSeedId)) {
+                mapDecryptedSeeds.set(strSeedId, Crypto.decrypt(password, objKeystore));
+            }
+
+            const buffSeed = mapDecryptedSeeds.get(strSeedId);
+            if (!buffSeed) return undefined;
+
+            return Crypto.hdKeyFromSeed(buffSeed).derivePath(objKeystore.strHdPath).privateKey;
+        }
+
         /**
          * Gather UTXOs & add inputs to TX
          *
@@ -284,8 +602,8 @@ module.exports = ({Crypto, Constants, Transaction}) =>
          * @private
          */
         async _formTxInputs(tx, arrAddresses, nAmount) {
-            let nTotalGathered = 0;
-            let restOfAmount = nAmount;
+            let nTotalGathered = 0n;
+            let restOfAmount = toBigInt(nAmount);
             const arrAddressesOwners = [];
             for (let strAddress of arrAddresses) {
                 const arrUtxos = await this._storage.walletListUnspent(strAddress);
@@ -293,17 +611,17 @@ module.exports = ({Crypto, Constants, Transaction}) =>
 
                 const {arrCoins, gathered, bDone} = this._gatherInputsForAmount(
                     arrResult,
-                    restOfAmount + this._nFeePerInput * (arrAddressesOwners.length)
+                    restOfAmount + this._nFeePerInput * BigInt(arrAddressesOwners.length)
                 );
                 for (let objCoin of arrCoins) {
                     tx.addInput(objCoin.hash, objCoin.nOut);
 
-                    // since we use SIG_HASH_ALL for now, we need to build TX first, and then claim coins
+                    // since we use SIGHASH_ALL here, we need to build TX first, and then claim coins
                     // so we'll store address that should be used for claim this input
                     arrAddressesOwners.push(strAddress);
                 }
-                nTotalGathered += gathered;
-                restOfAmount -= gathered;
+                nTotalGathered += toBigInt(gathered);
+                restOfAmount -= toBigInt(gathered);
 
                 if (bDone) break;
             }
@@ -314,20 +632,20 @@ module.exports = ({Crypto, Constants, Transaction}) =>
         /**
          *
          * @param {Array} arrObjUnspent - @see utils.finePrintUtxos
-         * @param {Number} amount
-         * @return {{bDone: *, arrCoins: *, gathered: *}}
+         * @param {BigInt | Number} amount
+         * @return {{bDone: *, arrCoins: *, gathered: BigInt}}
          * @private
          */
         _gatherInputsForAmount(arrObjUnspent, amount) {
             const arrCoins = [];
-            let gathered = 0;
+            let gathered = 0n;
             let bDone = false;
 
             for (let coins of arrObjUnspent) {
                 if (!coins.amount) continue;
-                gathered += coins.amount;
+                gathered += toBigInt(coins.amount);
                 arrCoins.push(coins);
-                if (gathered > amount + this._nFeePerInput * arrCoins.length) {
+                if (gathered > toBigInt(amount) + this._nFeePerInput * BigInt(arrCoins.length)) {
                     bDone = true;
                     break;
                 }
@@ -337,6 +655,6 @@ module.exports = ({Crypto, Constants, Transaction}) =>
 
         _estimateSizeContractInvoke(objContaractInvoke) {
             const nSize = JSON.stringify(objContaractInvoke).length + 20 + 4;
-            return this._nFeePerReceiver + parseInt(Constants.fees.TX_FEE * (nSize / 1024)) + 1;
+            return this._nFeePerReceiver + BigInt(parseInt(Constants.fees.TX_FEE * (nSize / 1024))) + 1n;
         }
     };
@@ -496,6 +496,20 @@ module.exports = (factory, factoryOptions) => {
             debugWitness(`Witness: "${this._debugAddress}". Block ${block.hash()} broadcasted`);
         }
 
+        /**
+         * Per round telemetry of our BFT instance for concilium (@see BftConsensus.getStats)
+         *
+         * @param {Number} nConciliumId
+         * @returns {Object}
+         * @private
+         */
+        _getConsensusStats(nConciliumId) {
+            const consensus = this._consensuses.get(nConciliumId);
+            if (!consensus) throw new Error(`Witness isn't member of concilium ${nConciliumId}`);
+
+            return consensus.getStats();
+        }
+
         _broadcastConsensusInitiatedMessage(msg) {
             const conciliumId = msg.conciliumId;
             this._peerManager.broadcastToConnected(createPeerTag(conciliumId), msg);
@@ -532,20 +546,24 @@ module.exports = (factory, factoryOptions) => {
                 this._processedBlock = block;
 
                 const arrBadHashes = [];
-                let totalFee = 0;
+                let totalFee = 0n;
 
                 let arrTxToProcess;
                 const arrUtxos = await this._storage.walletListUnspent(this._wallet.address);
 
+                // most profitable first (parents precede children)
+                const arrMempoolTxns =
+                    this._mempool.getFinalTxnsByFeeRate(conciliumId, block.getHeight(), block.timestamp);
+
                 // There is possible situation with 1 UTXO having numerous output. It will be count as 1
                 if (this._bCreateJoinTx && this._nLowestConciliumId === conciliumId && arrUtxos.length >
                     Constants.WITNESS_UTXOS_JOIN) {
                     arrTxToProcess = [
                         this._createJoinTx(arrUtxos, conciliumId, Constants.MAX_UTXO_PER_TX / 2),
-                        ...this._mempool.getFinalTxns(conciliumId)
+                        ...arrMempoolTxns
                     ];
                 } else {
-                    arrTxToProcess = this._mempool.getFinalTxns(conciliumId);
+                    arrTxToProcess = arrMempoolTxns;
                 }
 
                 for (let tx of arrTxToProcess) {
@@ -622,7 +640,7 @@ module.exports = (factory, factoryOptions) => {
             const tx = new Transaction();
             tx.conciliumId = nConciliumId;
             let nInputs = 0;
-            let nTotalAmount = 0;
+            let nTotalAmount = 0n;
 
             for (let utxo of arrUtxos) {
                 nTotalAmount += utxo.amountOut();
@@ -633,7 +651,7 @@ module.exports = (factory, factoryOptions) => {
                 if (nInputs >= nMaxInputs) break;
             }
 
-            const fee = (1 + nInputs) * Math.round(Constants.fees.TX_FEE * 0.12);
+            const fee = BigInt((1 + nInputs) * Math.round(Constants.fees.TX_FEE * 0.12));
             tx.addReceiver(nTotalAmount - fee, Buffer.from(this._wallet.address, 'hex'));
 
             if (tx.inputs.length > 1) {
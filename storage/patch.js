@@ -343,6 +343,14 @@ module.exports = ({UTXO, Contract, TxReceipt}) =>
             return this._mapSpentUtxos.get(strUtxoHash) || new Map();
         }
 
+        /**
+         *
+         * @returns {Map<String, Map<Number, Buffer>>} <strUtxoHash, <Index, buffTxHashSpentThisIndex>>
+         */
+        getSpentOutputs() {
+            return this._mapSpentUtxos;
+        }
+
         /**
          * this function used to compare maps of spended outputs @see _getSpentOutputs
          *
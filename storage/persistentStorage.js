@@ -9,10 +9,12 @@ const typeforce = require('typeforce');
 const debugLib = require('debug');
 const util = require('util');
 const fs = require('fs');
+const os = require('os');
+const Long = require('long');
 const fsPromise = fs.promises;
 
 const types = require('../types');
-const {prepareForStringifyObject} = require('../utils');
+const {prepareForStringifyObject, toBigInt, bigIntToLong} = require('../utils');
 
 const debug = debugLib('storage:');
 
@@ -27,11 +29,31 @@ const WALLET_ADDRESSES = 'WALLETS';
 const WALLET_AUTOINCREMENT = 'WALLET_AUTO_INC';
 const TX_INDEX_PREFIX = 'T';
 const INTENRAL_TX_INDEX_PREFIX = 'I';
+const ADDRESS_HISTORY_PREFIX = 'A';
+const LOG_INDEX_PREFIX = 'L';
+const LOG_HEIGHT_INDEX_PREFIX = 'E';
+const CONTRACT_CODE_PREFIX = 'K';
+
+// index of stable blocks (height + hash), used to find block bodies to prune
+const STABLE_BLOCKS_PREFIX = 'B';
+
+// last byte of address history key
+const HISTORY_INCOMING = 0;
+const HISTORY_OUTGOING = 1;
+
+// upper bound for height in index keys (UInt32)
+const MAX_HEIGHT = 0xFFFFFFFF;
 
 const BANNED_BLOCKS_FILE = '.bannedBlocks.json';
 
+// stored in account dir along with keystores (it couldn't be confused with address)
+const HD_ACCOUNT_FILE = '.hdAccount.json';
+
 const levelDbDestroy = util.promisify(leveldown.destroy);
 
+// how many records of snapshot we'll write to DB in one batch
+const SNAPSHOT_BATCH_SIZE = 1000;
+
 /**
  *
  * @param db - levelup instance
@@ -52,9 +74,54 @@ const eraseDbContent = async (db) => {
     await db.batch(arrBuffers);
 };
 
+/**
+ * Snapshot record is <keyLength (UInt32BE)><key><valueLength (UInt32BE)><value>
+ *
+ * @param {Buffer} key
+ * @param {Buffer} value
+ * @returns {Buffer}
+ */
+const encodeSnapshotRecord = (key, value) => {
+    const buffKeyLength = Buffer.allocUnsafe(4);
+    buffKeyLength.writeUInt32BE(key.length, 0);
+    const buffValueLength = Buffer.allocUnsafe(4);
+    buffValueLength.writeUInt32BE(value.length, 0);
+
+    return Buffer.concat([buffKeyLength, key, buffValueLength, value]);
+};
+
+/**
+ *
+ * @param {String} strFileName - file created by Storage.exportSnapshot
+ * @returns {AsyncIterableIterator<{key: Buffer, value: Buffer}>}
+ */
+async function* readSnapshotRecords(strFileName) {
+    const fileHandle = await fsPromise.open(strFileName, 'r');
+    let nPosition = 0;
+
+    const readChunk = async (nLength) => {
+        const buffer = Buffer.alloc(nLength);
+        const {bytesRead} = await fileHandle.read(buffer, 0, nLength, nPosition);
+        if (bytesRead !== nLength) throw new Error(`Snapshot "${strFileName}" is truncated`);
+        nPosition += nLength;
+        return buffer;
+    };
+
+    try {
+        const {size} = await fileHandle.stat();
+        while (nPosition < size) {
+            const key = await readChunk((await readChunk(4)).readUInt32BE(0));
+            const value = await readChunk((await readChunk(4)).readUInt32BE(0));
+            yield {key, value};
+        }
+    } finally {
+        await fileHandle.close();
+    }
+}
+
 module.exports = (factory, factoryOptions) => {
     const {
-        Constants, Block, BlockInfo, UTXO, ArrayOfHashes, ArrayOfAddresses, Contract,
+        Constants, Crypto, Block, BlockInfo, Transaction, UTXO, ArrayOfHashes, ArrayOfAddresses, Contract,
         TxReceipt, BaseConciliumDefinition, ConciliumRr, ConciliumPos, Peer, PatchDB
     } = factory;
 
@@ -67,7 +134,7 @@ module.exports = (factory, factoryOptions) => {
 
             super();
 
-            const {testStorage, buildTxIndex, walletSupport, dbPath, mutex} = options;
+            const {testStorage, buildTxIndex, walletSupport, dbPath, mutex, pruneBlocks} = options;
             assert(mutex, 'Storage constructor requires Mutex instance!');
 
             if (testStorage) {
@@ -101,6 +168,12 @@ module.exports = (factory, factoryOptions) => {
                 this._strAccountPath = `${this._pathPrefix}/${Constants.DB_WALLET_DIR}/accounts`;
             }
 
+            // keep bodies only for this number of stable heights (BlockInfo will be kept for DAG)
+            if (pruneBlocks) {
+                typeforce('Number', pruneBlocks);
+                this._nPruneBlocks = pruneBlocks;
+            }
+
             this._setBlocksBad = new Set();
             this._loadBannedBlocks();
 
@@ -133,6 +206,19 @@ module.exports = (factory, factoryOptions) => {
             return this.createKey(UTXO_PREFIX, Buffer.from(hash, 'hex'));
         }
 
+        /**
+         * Height goes first (big endian), so we could iterate blocks from lower ones
+         *
+         * @param {Number} nHeight
+         * @param {Buffer} buffHash
+         * @return {Buffer}
+         */
+        static createStableBlockKey(nHeight, buffHash = Buffer.from([])) {
+            const buffHeight = Buffer.allocUnsafe(4);
+            buffHeight.writeUInt32BE(nHeight, 0);
+            return this.createKey(STABLE_BLOCKS_PREFIX, buffHeight, buffHash);
+        }
+
         static createInternalTxKey(hash) {
             return this.createKey(INTENRAL_TX_INDEX_PREFIX, Buffer.from(hash, 'hex'));
         }
@@ -141,6 +227,75 @@ module.exports = (factory, factoryOptions) => {
             return this.createKey(TX_INDEX_PREFIX, Buffer.from(hash, 'hex'));
         }
 
+        /**
+         * Key is <LOG_INDEX_PREFIX><buffContractAddress><hash of name><nHeight (UInt32BE)><buffTxHash>
+         * <nLogIdx (UInt32BE)>, so logs of same topic are sorted by height.
+         * Count of emits isn't limited (only by coins), so UInt16 isn't enough for nLogIdx
+         *
+         * @param {String | Buffer} contractAddress
+         * @param {String} strName - event name
+         * @param {Number} nHeight
+         * @param {String | Buffer} txHash
+         * @param {Number} nLogIdx - index of log in receipt
+         * @returns {Buffer}
+         */
+        static createLogKey(contractAddress, strName, nHeight, txHash, nLogIdx) {
+            const buffHeight = Buffer.allocUnsafe(4);
+            buffHeight.writeUInt32BE(nHeight, 0);
+            const buffLogIdx = Buffer.allocUnsafe(4);
+            buffLogIdx.writeUInt32BE(nLogIdx, 0);
+
+            return this.createKey(
+                LOG_INDEX_PREFIX,
+                Buffer.from(contractAddress, 'hex'),
+                Buffer.concat([Crypto.createHashBuffer(strName), buffHeight, Buffer.from(txHash, 'hex'), buffLogIdx])
+            );
+        }
+
+        /**
+         * Key is <LOG_HEIGHT_INDEX_PREFIX><buffContractAddress><nHeight (UInt32BE)><buffTxHash><nLogIdx (UInt32BE)>
+         * so all logs of contract are sorted by height (used if topic omitted)
+         *
+         * @param {String | Buffer} contractAddress
+         * @param {Number} nHeight
+         * @param {String | Buffer} txHash
+         * @param {Number} nLogIdx - index of log in receipt
+         * @returns {Buffer}
+         */
+        static createLogByHeightKey(contractAddress, nHeight, txHash, nLogIdx) {
+            const buffHeight = Buffer.allocUnsafe(4);
+            buffHeight.writeUInt32BE(nHeight, 0);
+            const buffLogIdx = Buffer.allocUnsafe(4);
+            buffLogIdx.writeUInt32BE(nLogIdx, 0);
+
+            return this.createKey(
+                LOG_HEIGHT_INDEX_PREFIX,
+                Buffer.from(contractAddress, 'hex'),
+                Buffer.concat([buffHeight, Buffer.from(txHash, 'hex'), buffLogIdx])
+            );
+        }
+
+        /**
+         * Key is <ADDRESS_HISTORY_PREFIX><buffAddress><nHeight (UInt32BE)><buffTxHash><direction>
+         * so records of address are sorted by height
+         *
+         * @param {String | Buffer} address
+         * @param {Number} nHeight
+         * @param {String | Buffer} txHash
+         * @param {Number} nDirection - HISTORY_INCOMING | HISTORY_OUTGOING
+         * @returns {Buffer}
+         */
+        static createAddressHistoryKey(address, nHeight, txHash, nDirection) {
+            const buffHeight = Buffer.allocUnsafe(4);
+            buffHeight.writeUInt32BE(nHeight, 0);
+
+            return this.createKey(
+                ADDRESS_HISTORY_PREFIX,
+                Buffer.from(address, 'hex'),
+                Buffer.concat([buffHeight, Buffer.from(txHash, 'hex'), Buffer.from([nDirection])])
+            );
+        }
+
         async _ensureArrConciliumDefinition() {
 
             const lock = await this._mutex.acquire(['conciliums']);
@@ -155,13 +310,18 @@ module.exports = (factory, factoryOptions) => {
 
                 if (cont) {
                     const {_arrConciliums} = cont.getData();
+                    const nStableHeight = await this._getStableHeight();
+                    const bCountDelegations = nStableHeight >= Constants.forks.HEIGHT_FORK_DELEGATION;
                     this._arrConciliumDefinition = _arrConciliums.map(objDefData => {
                         const baseDef = new BaseConciliumDefinition(objDefData);
                         if (baseDef.isPoS()) {
-                            return new ConciliumPos(objDefData, Constants.concilium.POS_CONCILIUM_ROUNDS);
+                            return new ConciliumPos(
+                                objDefData, Constants.concilium.POS_CONCILIUM_ROUNDS, bCountDelegations);
                         }
                         if (baseDef.isRoundRobin()) return new ConciliumRr(objDefData);
                     });
+
+                    this._arrConciliumDefinition.forEach(def => def && def.applyProposals(nStableHeight));
                 } else {
                     this._arrConciliumDefinition = [];
                 }
@@ -170,6 +330,24 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         * Max height among stable (last applied) blocks. Updated by applyPatch
+         *
+         * @returns {Promise<Number>}
+         * @private
+         */
+        async _getStableHeight() {
+            if (this._nStableHeight === undefined) {
+                const arrHeights = [];
+                for (let strHash of await this.getLastAppliedBlockHashes()) {
+                    const blockInfo = await this.getBlockInfo(strHash).catch(err => debug(err));
+                    if (blockInfo) arrHeights.push(blockInfo.getHeight());
+                }
+                this._nStableHeight = Math.max(0, ...arrHeights);
+            }
+            return this._nStableHeight;
+        }
+
         /**
          *
          * @param {Buffer | String} address
@@ -287,12 +465,59 @@ module.exports = (factory, factoryOptions) => {
                 // no prefix needed (because we using separate DB)
                 const key = this.constructor.createKey('', buffHash);
                 const buffBlock = await this._blockStorage.get(key).catch(err => debug(err));
-                if (!buffBlock) throw new Error(`Storage: No block found by hash ${buffHash.toString('hex')}`);
+                if (!buffBlock) {
+                    if (await this.isBlockPruned(buffHash)) {
+                        throw new Error(`Storage: Block ${buffHash.toString('hex')} is pruned`);
+                    }
+                    throw new Error(`Storage: No block found by hash ${buffHash.toString('hex')}`);
+                }
 
                 return raw ? buffBlock : new Block(buffBlock);
             });
         }
 
+        /**
+         * Non archival node: keeps only bodies of recent stable blocks
+         *
+         * @return {Boolean}
+         */
+        isPruningEnabled() {
+            return !!this._nPruneBlocks;
+        }
+
+        /**
+         * Body of stable block was removed by pruning, but we still have its BlockInfo
+         *
+         * @param {String | Buffer} blockHash
+         * @return {Promise<Boolean>}
+         */
+        async isBlockPruned(blockHash) {
+            typeforce(types.Hash256bit, blockHash);
+
+            if (!this._nPruneBlocks) return false;
+
+            const blockInfo = await this.getBlockInfo(blockHash).catch(err => debug(err));
+            if (!blockInfo || !blockInfo.isFinal()) return false;
+
+            const buffHash = Buffer.isBuffer(blockHash) ? blockHash : Buffer.from(blockHash, 'hex');
+            const key = this.constructor.createKey('', buffHash);
+            return !await this._blockStorage.get(key).catch(err => debug(err));
+        }
+
+        /**
+         * Bodies of old stable blocks were removed (@see pruneBlocks), so chainstate couldn't be rebuilt from them.
+         * Genesis is pruned first, so it's enough to check it (works even if pruning disabled now)
+         *
+         * @return {Promise<Boolean>}
+         */
+        async hasPrunedBlocks() {
+            const buffHash = Buffer.from(Constants.GENESIS_BLOCK, 'hex');
+            if (!await this.hasBlock(buffHash)) return false;
+
+            const key = this.constructor.createKey('', buffHash);
+            return !await this._blockStorage.get(key).catch(err => debug(err));
+        }
+
         /**
          * Get BlockInfo @see proto/structures.proto
          *
@@ -324,10 +549,14 @@ module.exports = (factory, factoryOptions) => {
             typeforce(types.BlockInfo, blockInfo);
 
             return this._mutex.runExclusive('blockInfoStore', async () => {
-                const blockInfoKey = this.constructor.createKey(BLOCK_INFO_PREFIX,
-                    Buffer.from(blockInfo.getHash(), 'hex')
-                );
+                const buffHash = Buffer.from(blockInfo.getHash(), 'hex');
+                const blockInfoKey = this.constructor.createKey(BLOCK_INFO_PREFIX, buffHash);
                 await this._db.put(blockInfoKey, blockInfo.encode());
+
+                if (this._nPruneBlocks && blockInfo.isFinal()) {
+                    const stableBlockKey = this.constructor.createStableBlockKey(blockInfo.getHeight(), buffHash);
+                    await this._db.put(stableBlockKey, buffHash);
+                }
             });
         }
 
@@ -432,6 +661,7 @@ module.exports = (factory, factoryOptions) => {
         async applyPatch(statePatch, nHeightMax) {
 
             const arrOps = [];
+            let arrIndexOps = [];
             const lock = await this._mutex.acquire(['utxo', 'contract', 'receipt', 'conciliums']);
             try {
                 for (let [strTxHash, utxo] of statePatch.getCoins()) {
@@ -457,6 +687,9 @@ module.exports = (factory, factoryOptions) => {
                         this._arrConciliumDefinition = undefined;
                     }
                     const key = this.constructor.createKey(CONTRACT_PREFIX, Buffer.from(strContractAddr, 'hex'));
+                    if (contract.getCodeHistory().length) {
+                        arrOps.push(...await this._getContractCodeOps(key, contract));
+                    }
                     arrOps.push({type: 'put', key, value: contract.encode()});
                 }
 
@@ -472,13 +705,78 @@ module.exports = (factory, factoryOptions) => {
                     }
                 }
 
+                // it reads UTXOs spent by this patch, so it should be done before BATCH WRITE
+                // but written after it: index shouldn't point to state that isn't committed
+                // no spread here: receipt could contain so many logs, that it will exceed call stack
+                if (this._buildTxIndex) {
+                    arrIndexOps = arrIndexOps.concat(
+                        await this._getAddressHistoryIndexOps(statePatch),
+                        await this._getLogsIndexOps(statePatch)
+                    );
+                }
+
                 // BATCH WRITE
                 await this._db.batch(arrOps);
+                if (arrIndexOps.length) await this._txIndexStorage.batch(arrIndexOps);
+
+                // delegated stakes add weight only after fork & accepted proposals are applied at their height,
+                // so definitions should be reread
+                if (nHeightMax !== undefined) {
+                    if (this._nStableHeight < Constants.forks.HEIGHT_FORK_DELEGATION &&
+                        nHeightMax >= Constants.forks.HEIGHT_FORK_DELEGATION) {
+                        this._arrConciliumDefinition = undefined;
+                    }
+                    if (this._arrConciliumDefinition &&
+                        this._arrConciliumDefinition.some(def => def && def.hasProposalsToApply(nHeightMax))) {
+                        this._arrConciliumDefinition = undefined;
+                    }
+                    this._nStableHeight = nHeightMax;
+                }
             } finally {
                 this._mutex.release(lock);
 
                 if (!this._arrConciliumDefinition) this.emit('conciliumsChanged');
             }
+
+            // state is committed, so bodies of old stable blocks aren't needed anymore
+            if (this._nPruneBlocks && nHeightMax > this._nPruneBlocks) {
+                await this.pruneBlocks(nHeightMax - this._nPruneBlocks);
+            }
+        }
+
+        /**
+         * Remove bodies of stable blocks below nHeight. BlockInfo (header) is kept for DAG
+         *
+         * @param {Number} nHeight - exclusive
+         * @return {Promise<Number>} count of pruned blocks
+         */
+        async pruneBlocks(nHeight) {
+            typeforce('Number', nHeight);
+
+            const arrKeys = [];
+            await new Promise((resolve, reject) => {
+                this._db
+                    .createReadStream({
+                        gte: this.constructor.createStableBlockKey(0),
+                        lt: this.constructor.createStableBlockKey(nHeight),
+                        keyAsBuffer: true,
+                        valueAsBuffer: true
+                    })
+                    .on('data', ({key, value}) => arrKeys.push({key, buffHash: value}))
+                    .on('close', resolve)
+                    .on('error', reject);
+            });
+            if (!arrKeys.length) return 0;
+
+            await this._mutex.runExclusive('blockStore', async () => {
+                await this._blockStorage.batch(
+                    arrKeys.map(({buffHash}) => ({type: 'del', key: this.constructor.createKey('', buffHash)}))
+                );
+            });
+            await this._db.batch(arrKeys.map(({key}) => ({type: 'del', key})));
+
+            debug(`Pruned ${arrKeys.length} blocks below height ${nHeight}`);
+            return arrKeys.length;
         }
 
         /**
@@ -522,6 +820,52 @@ module.exports = (factory, factoryOptions) => {
             });
         }
 
+        /**
+         * Code of previous versions of upgraded contract (@see Contract.getCodeHistory)
+         *
+         * @param {String} strCodeHash
+         * @return {Promise<Object | undefined>}
+         */
+        async getContractCode(strCodeHash) {
+            typeforce(types.Str64, strCodeHash);
+
+            const key = this.constructor.createKey(CONTRACT_CODE_PREFIX, Buffer.from(strCodeHash, 'hex'));
+            const buffCode = await this._db.get(key).catch(err => debug(err));
+
+            return buffCode ? JSON.parse(buffCode.toString()) : undefined;
+        }
+
+        /**
+         * Store code of every version of upgraded contract by its hash. Contract could be upgraded several times
+         * within one patch, so intermediate versions are taken from contract itself, and version that is replaced
+         * in storage - from stored contract. Versions from previous patches are already stored.
+         * We read stored contract directly, since lock is already acquired by applyPatch
+         *
+         * @param {Buffer} keyContract
+         * @param {Contract} contract
+         * @return {Promise<Array>} ops for batch
+         * @private
+         */
+        async _getContractCodeOps(keyContract, contract) {
+            const buffStored = await this._db.get(keyContract).catch(err => debug(err));
+            const contractStored = buffStored ? new Contract(buffStored) : undefined;
+
+            const arrOps = [];
+            for (let strCodeHash of new Set(contract.getCodeHistory().map(({codeHash}) => codeHash))) {
+                const strCode = contract.getCodeStringByHash(strCodeHash) ||
+                                (contractStored && contractStored.getCodeStringByHash(strCodeHash));
+                if (!strCode) continue;
+
+                arrOps.push({
+                    type: 'put',
+                    key: this.constructor.createKey(CONTRACT_CODE_PREFIX, Buffer.from(strCodeHash, 'hex')),
+                    value: Buffer.from(strCode)
+                });
+            }
+
+            return arrOps;
+        }
+
         /**
          * the block hashes up to which the database represents the unspent transaction outputs.
          * @param {Boolean} raw
@@ -632,6 +976,10 @@ module.exports = (factory, factoryOptions) => {
             const buffTxHash = Buffer.from(strTxHash, 'hex');
             const blockHash = await this.getTxBlock(strTxHash);
 
+            if (blockHash && await this.isBlockPruned(blockHash)) {
+                throw new Error(`Storage: Block ${blockHash.toString('hex')} with TX ${strTxHash} is pruned`);
+            }
+
             try {
                 return blockHash ? await this.getBlock(blockHash) : undefined;
             } catch (e) {
@@ -856,6 +1204,8 @@ module.exports = (factory, factoryOptions) => {
             this._walletSupport = true;
             await this._ensureWalletInitialized();
 
+            await this._walletHdDiscover();
+
             // clear wallet DB
             await eraseDbContent(this._walletStorage);
 
@@ -894,6 +1244,68 @@ module.exports = (factory, factoryOptions) => {
             return this._arrStrWalletAddresses;
         }
 
+        /**
+         * Find addresses of HD accounts that received coins (even if they weren't issued by this wallet,
+         * ex. account restored from mnemonic). Derivation stops after Constants.HD_GAP_LIMIT unused addresses.
+         * Only UTXO set is scanned, so addresses with fully spent coins are treated as unused.
+         * Found addresses become issued & watched.
+         *
+         * @return {Promise<void>}
+         * @private
+         */
+        async _walletHdDiscover() {
+            const arrChains = [];
+            for (let [strAccountName, {objHdAccount}] of this._mapHdAccounts) {
+                const hdAccountKey = Crypto.hdKeyFromExtendedKey(objHdAccount.xpub);
+                objHdAccount.arrNextIndexes.forEach((nNextIndex, nChange) => arrChains.push({
+                    strAccountName,
+                    nChange,
+                    hdChainKey: hdAccountKey.deriveChild(nChange),
+                    nDerived: 0,
+                    nUsed: nNextIndex
+                }));
+            }
+            if (!arrChains.length) return;
+
+            // strAddress -> [objChain, nIndex]
+            const mapAddressChain = new Map();
+            const fnNeedMore = objChain => objChain.nDerived < objChain.nUsed + Constants.HD_GAP_LIMIT;
+
+            while (arrChains.some(fnNeedMore)) {
+                for (let objChain of arrChains) {
+                    for (; fnNeedMore(objChain); objChain.nDerived++) {
+                        const {address} = objChain.hdChainKey.deriveChild(objChain.nDerived);
+                        mapAddressChain.set(address, [objChain, objChain.nDerived]);
+                    }
+                }
+
+                for await (let {key, value} of this.readUtxos()) {
+                    const utxo = new UTXO({txHash: key.slice(UTXO_PREFIX.length).toString('hex'), data: value});
+                    for (let strAddress of utxo.getReceivers()) {
+                        if (!mapAddressChain.has(strAddress)) continue;
+
+                        const [objChain, nIndex] = mapAddressChain.get(strAddress);
+                        objChain.nUsed = Math.max(objChain.nUsed, nIndex + 1);
+                    }
+                }
+            }
+
+            for (let [strAccountName, {objHdAccount}] of this._mapHdAccounts) {
+                const arrNextIndexes = arrChains
+                    .filter(objChain => objChain.strAccountName === strAccountName)
+                    .map(objChain => objChain.nUsed);
+
+                if (arrNextIndexes.every((nNextIndex, i) => nNextIndex === objHdAccount.arrNextIndexes[i])) continue;
+                await this.writeHdAccount(strAccountName, {...objHdAccount, arrNextIndexes});
+            }
+
+            for (let {mapHdAddresses} of this._mapHdAccounts.values()) {
+                for (let strAddress of mapHdAddresses.keys()) {
+                    if (!this._arrStrWalletAddresses.includes(strAddress)) this._arrStrWalletAddresses.push(strAddress);
+                }
+            }
+        }
+
         /**
          * Key is buffTxHash
          * Value is buffBlockHash
@@ -937,6 +1349,296 @@ module.exports = (factory, factoryOptions) => {
             await this._txIndexStorage.batch(arrOps);
         }
 
+        /**
+         * Every address that received or spent coins in statePatch will get record:
+         * key - @see createAddressHistoryKey, value - <buffBlockHash><amount (uint64 BE)>
+         * Internal TXns are indexed by their own hashes, but with block of source TX
+         *
+         * @param {PatchDB} statePatch
+         * @return {Promise<Array>} ops for _txIndexStorage batch
+         * @private
+         */
+        async _getAddressHistoryIndexOps(statePatch) {
+
+            // internal tx hash -> source tx hash
+            const mapInternalSource = new Map();
+            for (let [strTxHash, receipt] of statePatch.getReceipts()) {
+                for (let buffInternalTxHash of receipt.getInternalTxns()) {
+                    mapInternalSource.set(buffInternalTxHash.toString('hex'), strTxHash);
+                }
+            }
+
+            // "amount" is summed for all outputs of same address in same tx
+            const mapRecords = new Map();
+            const fnAddRecord = (coins, strTxHash, nDirection) => {
+                const strAddress = coins.getReceiverAddr().toString('hex');
+                const strKey = `${strAddress}${strTxHash}${nDirection}`;
+                const objRecord = mapRecords.get(strKey) || {strAddress, strTxHash, nDirection, amount: 0n};
+                objRecord.amount += coins.getAmount();
+                mapRecords.set(strKey, objRecord);
+            };
+
+            // UTXO that isn't stored yet - created in this patch
+            for (let [strUtxoHash, utxo] of statePatch.getCoins()) {
+                if (await this._getStoredUtxo(strUtxoHash)) continue;
+                for (let idx of utxo.getIndexes()) fnAddRecord(utxo.coinsAtIndex(idx), strUtxoHash, HISTORY_INCOMING);
+            }
+
+            for (let [strUtxoHash, mapSpentOutputs] of statePatch.getSpentOutputs()) {
+                const utxoStored = await this._getStoredUtxo(strUtxoHash);
+                for (let [nTxOutput, buffTxHashSpent] of mapSpentOutputs) {
+                    const coins = utxoStored ? utxoStored.coinsAtIndex(nTxOutput) : await this._getCreatedCoins(
+                        strUtxoHash, nTxOutput, mapInternalSource.get(strUtxoHash), statePatch
+                    );
+
+                    // created & spent in this patch
+                    if (!utxoStored) fnAddRecord(coins, strUtxoHash, HISTORY_INCOMING);
+                    fnAddRecord(coins, buffTxHashSpent.toString('hex'), HISTORY_OUTGOING);
+                }
+            }
+
+            const mapBlockHeights = new Map();
+            const arrOps = [];
+            for (let {strAddress, strTxHash, nDirection, amount} of mapRecords.values()) {
+                const strSourceTxHash = mapInternalSource.get(strTxHash) || strTxHash;
+                const objPlace = await this._findTxPlace(strSourceTxHash, mapBlockHeights);
+                if (!objPlace) continue;
+
+                const {buffBlockHash, nHeight} = objPlace;
+                arrOps.push({
+                    type: 'put',
+                    key: this.constructor.createAddressHistoryKey(strAddress, nHeight, strTxHash, nDirection),
+                    value: Buffer.concat([buffBlockHash, Buffer.from(bigIntToLong(amount).toBytesBE())])
+                });
+            }
+
+            return arrOps;
+        }
+
+        /**
+         * Index logs of receipts by contract address & topic (hash of event name) and by contract address only
+         * keys - @see createLogKey, @see createLogByHeightKey, value - JSON {blockHash, name, data}
+         *
+         * @param {PatchDB} statePatch
+         * @return {Promise<Array>} ops for _txIndexStorage batch
+         * @private
+         */
+        async _getLogsIndexOps(statePatch) {
+            const mapBlockHeights = new Map();
+            const arrOps = [];
+            for (let [strTxHash, receipt] of statePatch.getReceipts()) {
+                const arrLogs = receipt.getLogs();
+                if (!arrLogs.length) continue;
+
+                const objPlace = await this._findTxPlace(strTxHash, mapBlockHeights);
+                if (!objPlace) continue;
+
+                const {buffBlockHash, nHeight} = objPlace;
+                arrLogs.forEach(({contractAddress, name, data}, nLogIdx) => {
+                    const value = Buffer.from(JSON.stringify({blockHash: buffBlockHash.toString('hex'), name, data}));
+                    arrOps.push(
+                        {
+                            type: 'put',
+                            key: this.constructor.createLogKey(contractAddress, name, nHeight, strTxHash, nLogIdx),
+                            value
+                        },
+                        {
+                            type: 'put',
+                            key: this.constructor.createLogByHeightKey(contractAddress, nHeight, strTxHash, nLogIdx),
+                            value
+                        }
+                    );
+                });
+            }
+
+            return arrOps;
+        }
+
+        /**
+         *
+         * @param {String} strTxHash
+         * @param {Map} mapBlockHeights - cache: strBlockHash -> nHeight
+         * @return {Promise<{buffBlockHash: Buffer, nHeight: Number} | undefined>}
+         * @private
+         */
+        async _findTxPlace(strTxHash, mapBlockHeights) {
+            const buffBlockHash = await this.getTxBlock(strTxHash);
+            if (!buffBlockHash) {
+                debug(`Block for ${strTxHash} not found! Skipping index record`);
+                return undefined;
+            }
+
+            const strBlockHash = buffBlockHash.toString('hex');
+            if (!mapBlockHeights.has(strBlockHash)) {
+                mapBlockHeights.set(strBlockHash, (await this.getBlockInfo(buffBlockHash)).getHeight());
+            }
+
+            return {buffBlockHash, nHeight: mapBlockHeights.get(strBlockHash)};
+        }
+
+        /**
+         * No locks here (it's used from applyPatch)
+         *
+         * @param {String} strUtxoHash
+         * @return {Promise<UTXO | undefined>}
+         * @private
+         */
+        async _getStoredUtxo(strUtxoHash) {
+            const buffUtxo = await this._db.get(this.constructor.createUtxoKey(strUtxoHash)).catch(() => undefined);
+            return buffUtxo ? new UTXO({txHash: strUtxoHash, data: buffUtxo}) : undefined;
+        }
+
+        /**
+         * Coins that created & spent in same patch, aren't present in UTXO DB and patch
+         * so we get them from receipt (internal TX) or from stored block
+         *
+         * @param {String} strTxHash
+         * @param {Number} nTxOutput
+         * @param {String | undefined} strSourceTxHash - for internal TX
+         * @param {PatchDB} statePatch
+         * @return {Promise<Coins>}
+         * @private
+         */
+        async _getCreatedCoins(strTxHash, nTxOutput, strSourceTxHash, statePatch) {
+            if (strSourceTxHash) return statePatch.getReceipt(strSourceTxHash).getCoinsForTx(strTxHash);
+
+            const block = await this.findBlockByTxHash(strTxHash);
+            if (!block) throw new Error(`Storage: Block for ${strTxHash} not found!`);
+
+            const tx = block.txns.map(objTx => new Transaction(objTx)).find(tx => tx.getHash() === strTxHash);
+            return tx.getOutCoins()[nTxOutput];
+        }
+
+        /**
+         * Records are sorted by height (ascending). To get next page, pass strCursor from previous result
+         *
+         * @param {String | Buffer} address
+         * @param {Number} nFromHeight
+         * @param {Number} nLimit - 1..ADDRESS_HISTORY_MAX_LIMIT (leveldb treats negative limit as unlimited)
+         * @param {String | undefined} strCursor - hex
+         * @return {Promise<{arrRecords: Array, strCursor: String | undefined}>}
+         */
+        async getAddressHistory(address, nFromHeight = 0, nLimit = Constants.ADDRESS_HISTORY_MAX_LIMIT, strCursor) {
+            typeforce(typeforce.tuple(types.Address, typeforce.UInt32, typeforce.UInt32, '?String'),
+                [address, nFromHeight, nLimit, strCursor]
+            );
+            assert(nLimit >= 1 && nLimit <= Constants.ADDRESS_HISTORY_MAX_LIMIT,
+                `Limit should be from 1 to ${Constants.ADDRESS_HISTORY_MAX_LIMIT}`
+            );
+
+            if (!this._buildTxIndex) throw new Error('TxIndex disabled for this node');
+
+            const buffAddress = Buffer.isBuffer(address) ? address : Buffer.from(address, 'hex');
+            const buffHeight = Buffer.allocUnsafe(4);
+            buffHeight.writeUInt32BE(nFromHeight, 0);
+
+            const objRange = strCursor
+                ? {gt: this.constructor.createKey(ADDRESS_HISTORY_PREFIX, buffAddress, Buffer.from(strCursor, 'hex'))}
+                : {gte: this.constructor.createKey(ADDRESS_HISTORY_PREFIX, buffAddress, buffHeight)};
+
+            // height + tx hash + direction
+            const buffLastSuffix = Buffer.alloc(4 + 32 + 1, 0xFF);
+            const keyEnd = this.constructor.createKey(ADDRESS_HISTORY_PREFIX, buffAddress, buffLastSuffix);
+            const nSuffixStart = ADDRESS_HISTORY_PREFIX.length + buffAddress.length;
+
+            const arrRecords = [];
+            let buffLastKey;
+            await new Promise((resolve, reject) => {
+                this._txIndexStorage
+                    .createReadStream({
+                        ...objRange,
+                        lte: keyEnd,
+                        limit: nLimit,
+                        keyAsBuffer: true,
+                        valueAsBuffer: true
+                    })
+                    .on('data', ({key, value}) => {
+                        const buffSuffix = key.slice(nSuffixStart);
+                        arrRecords.push({
+                            txHash: buffSuffix.slice(4, 36).toString('hex'),
+                            direction: buffSuffix[36] === HISTORY_INCOMING ? 'in' : 'out',
+                            amount: toBigInt(Long.fromBytesBE([...value.slice(32, 40)], true)),
+                            blockHash: value.slice(0, 32).toString('hex'),
+                            height: buffSuffix.readUInt32BE(0)
+                        });
+                        buffLastKey = buffSuffix;
+                    })
+                    .on('close', resolve)
+                    .on('error', reject);
+            });
+
+            return {
+                arrRecords,
+                strCursor: arrRecords.length === nLimit && buffLastKey ? buffLastKey.toString('hex') : undefined
+            };
+        }
+
+        /**
+         * Logs are sorted by height. Range with more than LOGS_MAX_LIMIT logs is rejected (narrow it or set topic)
+         *
+         * @param {String | Buffer} address - contract address
+         * @param {String | undefined} strTopic - event name
+         * @param {Number} nFromHeight
+         * @param {Number} nToHeight - inclusive
+         * @return {Promise<Array>} of {contractAddress, name, data, txHash, blockHash, height}
+         */
+        async getLogs(address, strTopic, nFromHeight = 0, nToHeight = MAX_HEIGHT) {
+            typeforce(typeforce.tuple(types.Address, '?String', 'Number', 'Number'),
+                [address, strTopic, nFromHeight, nToHeight]
+            );
+
+            if (!this._buildTxIndex) throw new Error('TxIndex disabled for this node');
+
+            const buffAddress = Buffer.isBuffer(address) ? address : Buffer.from(address, 'hex');
+            const fnHeightBuffer = nHeight => {
+                const buffHeight = Buffer.allocUnsafe(4);
+                buffHeight.writeUInt32BE(nHeight, 0);
+                return buffHeight;
+            };
+
+            // [topic hash] + height + tx hash + log index
+            const strPrefix = strTopic ? LOG_INDEX_PREFIX : LOG_HEIGHT_INDEX_PREFIX;
+            const buffTopic = strTopic ? Crypto.createHashBuffer(strTopic) : Buffer.from([]);
+            const keyStart = this.constructor.createKey(strPrefix, buffAddress,
+                Buffer.concat([buffTopic, fnHeightBuffer(nFromHeight)])
+            );
+            const keyEnd = this.constructor.createKey(strPrefix, buffAddress,
+                Buffer.concat([buffTopic, fnHeightBuffer(nToHeight), Buffer.alloc(32 + 4, 0xFF)])
+            );
+            const nHeightStart = strPrefix.length + buffAddress.length + buffTopic.length;
+
+            const arrLogs = [];
+            await new Promise((resolve, reject) => {
+                this._txIndexStorage
+                    .createReadStream({
+                        gte: keyStart,
+                        lte: keyEnd,
+                        limit: Constants.LOGS_MAX_LIMIT + 1,
+                        keyAsBuffer: true,
+                        valueAsBuffer: true
+                    })
+                    .on('data', ({key, value}) => {
+                        const {blockHash, name, data} = JSON.parse(value.toString());
+                        arrLogs.push({
+                            contractAddress: buffAddress.toString('hex'),
+                            name,
+                            data: JSON.parse(data),
+                            txHash: key.slice(nHeightStart + 4, nHeightStart + 36).toString('hex'),
+                            blockHash,
+                            height: key.readUInt32BE(nHeightStart)
+                        });
+                    })
+                    .on('close', resolve)
+                    .on('error', reject);
+            });
+
+            if (arrLogs.length > Constants.LOGS_MAX_LIMIT) {
+                throw new Error(`More than ${Constants.LOGS_MAX_LIMIT} logs found. Narrow block range or set topic`);
+            }
+
+            return arrLogs;
+        }
+
         async dropAllForReIndex(bEraseBlockStorage = false) {
             if (typeof this._downAdapter.destroy === 'function') {
 
@@ -976,18 +1678,32 @@ module.exports = (factory, factoryOptions) => {
                 });
                 if (next === undefined) { break; }
                 if ((yield next) === $_terminated) {
-                    await new Promise((r, x) => it.end((e) => (e ? x(x) : r())));
+                    await new Promise((r, x) => it.end((e) => (e ? x(e) : r())));
                     return;
                 }
             }
         }
 
         async* readUtxos() {
-
             const keyStart = this.constructor.createUtxoKey(Buffer.from([]));
             const keyEnd = this.constructor.createUtxoKey(Buffer.from('F'.repeat(64), 'hex'));
 
-            const it = this._db.iterator({gte: keyStart, lte: keyEnd, keyAsBuffer: true, valueAsBuffer: true});
+            yield* this._readRange({gte: keyStart, lte: keyEnd});
+        }
+
+        async* readChainstate() {
+            yield* this._readRange({});
+        }
+
+        /**
+         * Iterate chainstate DB (ordered by key)
+         *
+         * @param {Object} objRange - levelup iterator options (gte, lte ...)
+         * @returns {AsyncIterableIterator<{key: Buffer, value: Buffer}>}
+         * @private
+         */
+        async* _readRange(objRange) {
+            const it = this._db.iterator({...objRange, keyAsBuffer: true, valueAsBuffer: true});
             const $_terminated = Symbol.for("terminated");
 
             while (true) {
@@ -1001,12 +1717,137 @@ module.exports = (factory, factoryOptions) => {
                 });
                 if (next === undefined) { break; }
                 if ((yield next) === $_terminated) {
-                    await new Promise((resolve, reject) => it.end((e) => (e ? reject(reject) : resolve())));
+                    await new Promise((resolve, reject) => it.end((e) => (e ? reject(e) : resolve())));
                     return;
                 }
             }
         }
 
+        /**
+         * Snapshot contains state at last applied (stable) blocks: UTXOs, contracts (concilium definitions too),
+         * contract code, receipts, hashes of last applied blocks and final block infos (to rebuild DAG).
+         * Pending & bad blocks differ from node to node, so they are skipped (content hash should be same)
+         *
+         * @param {Buffer} key
+         * @param {Buffer} value
+         * @returns {Boolean}
+         * @private
+         */
+        _isSnapshotRecord(key, value) {
+            if (key.equals(this.constructor.createKey(LAST_APPLIED_BLOCKS))) return true;
+
+            const strPrefix = key.slice(0, 1).toString();
+            if (strPrefix === BLOCK_INFO_PREFIX) return new BlockInfo(value).isFinal();
+
+            return [UTXO_PREFIX, CONTRACT_PREFIX, CONTRACT_CODE_PREFIX, RECEIPT_PREFIX].includes(strPrefix);
+        }
+
+        /**
+         * Snapshots are written only into DB_PATH_PREFIX/DB_SNAPSHOT_DIR (export could be requested via RPC)
+         *
+         * @param {String} strFileName - just name, no path allowed
+         * @returns {String}
+         * @private
+         */
+        _getSnapshotPath(strFileName) {
+            typeforce(typeforce.String, strFileName);
+
+            if (!strFileName.length || /[\\/]/.test(strFileName) || path.basename(strFileName) !== strFileName ||
+                strFileName === '.' || strFileName === '..') {
+                throw new Error(`Bad snapshot file name "${strFileName}": path is not allowed`);
+            }
+
+            return path.join(this._pathPrefix, Constants.DB_SNAPSHOT_DIR, strFileName);
+        }
+
+        /**
+         * Write chainstate (@see _isSnapshotRecord) into file in DB_SNAPSHOT_DIR.
+         * Content hash is chained through records (ordered by key): hash = H(prevHash + record)
+         * Caller should ensure that no stable blocks applied meanwhile
+         *
+         * @param {String} strFileName - just name (@see _getSnapshotPath)
+         * @returns {Promise<{hash: String, arrLastAppliedHashes: Array, nRecords: Number, strFilePath: String}>}
+         */
+        async exportSnapshot(strFileName) {
+            const strFilePath = this._getSnapshotPath(strFileName);
+            await fsPromise.mkdir(path.dirname(strFilePath), {recursive: true});
+
+            const stream = fs.createWriteStream(strFilePath);
+            const promiseFinished = new Promise((resolve, reject) => stream.on('finish', resolve).on('error', reject));
+
+            let strHash = '';
+            let arrLastAppliedHashes = [];
+            let nRecords = 0;
+            try {
+                for await (let {key, value} of this.readChainstate()) {
+                    if (!this._isSnapshotRecord(key, value)) continue;
+                    if (key.equals(this.constructor.createKey(LAST_APPLIED_BLOCKS))) {
+                        arrLastAppliedHashes = new ArrayOfHashes(value).getArray();
+                    }
+
+                    const buffRecord = encodeSnapshotRecord(key, value);
+                    strHash = Crypto.createHash(Buffer.concat([Buffer.from(strHash, 'hex'), buffRecord]));
+                    nRecords++;
+
+                    if (!stream.write(buffRecord)) await new Promise(resolve => stream.once('drain', resolve));
+                }
+            } finally {
+                stream.end();
+            }
+            await promiseFinished;
+
+            return {hash: strHash, arrLastAppliedHashes, nRecords, strFilePath};
+        }
+
+        /**
+         * Replace chainstate with content of snapshot (@see exportSnapshot).
+         * Nothing will be changed if content hash of file doesn't match strExpectedHash
+         * File is copied first, so it couldn't be changed between hash check and import
+         *
+         * @param {String} strFileName
+         * @param {String} strExpectedHash - trusted content hash (checkpoint)
+         * @returns {Promise<{hash: String, arrLastAppliedHashes: Array, nRecords: Number}>}
+         */
+        async importSnapshot(strFileName, strExpectedHash) {
+            typeforce(types.Str64, strExpectedHash);
+
+            const strTmpDir = await fsPromise.mkdtemp(path.join(os.tmpdir(), 'snapshot-'));
+            const strCopyName = path.join(strTmpDir, path.basename(strFileName));
+            try {
+                await fsPromise.copyFile(strFileName, strCopyName);
+
+                let strHash = '';
+                for await (let {key, value} of readSnapshotRecords(strCopyName)) {
+                    strHash = Crypto.createHash(
+                        Buffer.concat([Buffer.from(strHash, 'hex'), encodeSnapshotRecord(key, value)]));
+                }
+                if (strHash !== strExpectedHash) {
+                    throw new Error(`Snapshot hash "${strHash}" doesn't match checkpoint "${strExpectedHash}"`);
+                }
+
+                await eraseDbContent(this._db);
+                this._arrConciliumDefinition = undefined;
+                this._nStableHeight = undefined;
+
+                let arrOps = [];
+                let nRecords = 0;
+                for await (let {key, value} of readSnapshotRecords(strCopyName)) {
+                    arrOps.push({type: 'put', key, value});
+                    nRecords++;
+                    if (arrOps.length >= SNAPSHOT_BATCH_SIZE) {
+                        await this._db.batch(arrOps);
+                        arrOps = [];
+                    }
+                }
+                if (arrOps.length) await this._db.batch(arrOps);
+
+                return {hash: strHash, arrLastAppliedHashes: await this.getLastAppliedBlockHashes(), nRecords};
+            } finally {
+                await fsPromise.unlink(strCopyName).catch(() => {});
+                await fsPromise.rmdir(strTmpDir).catch(() => {});
+            }
+        }
+
         async countWallets() {
             const setAddresses = new Set();
             for await (let {key, value} of this.readUtxos()) {
@@ -1020,6 +1861,7 @@ module.exports = (factory, factoryOptions) => {
             const strPath = `${this._strAccountPath}`;
 
             this._mapAccountAddresses = new Map();
+            this._mapHdAccounts = new Map();
 
             try {
                 const stat = await fsPromise.stat(strPath).catch(err => {});
@@ -1038,6 +1880,7 @@ module.exports = (factory, factoryOptions) => {
 
         /**
          * Set this._mapAccountAddresses with addresses in account
+         * For HD account it also contains all issued addresses (@see _deriveHdAddresses)
          *
          * @param {String} strAccountName
          * @return {Promise<void>}
@@ -1045,10 +1888,42 @@ module.exports = (factory, factoryOptions) => {
          */
         async _readAccount(strAccountName) {
             const strPath = `${this._strAccountPath}/${strAccountName}`;
-            const arrAddresses = await fsPromise.readdir(strPath);
+            const arrFileNames = await fsPromise.readdir(strPath);
+            const arrAddresses = arrFileNames.filter(strFileName => strFileName !== HD_ACCOUNT_FILE);
+
+            if (arrFileNames.includes(HD_ACCOUNT_FILE)) {
+                const objHdAccount = JSON.parse(await fsPromise.readFile(`${strPath}/${HD_ACCOUNT_FILE}`, 'utf8'));
+                const mapHdAddresses = this._deriveHdAddresses(objHdAccount);
+                this._mapHdAccounts.set(strAccountName, {objHdAccount, mapHdAddresses});
+
+                for (let strAddress of mapHdAddresses.keys()) {
+                    if (!arrAddresses.includes(strAddress)) arrAddresses.push(strAddress);
+                }
+            }
+
             this._mapAccountAddresses.set(strAccountName, arrAddresses);
         }
 
+        /**
+         *
+         * @param {Object} objHdAccount - @see writeHdAccount
+         * @return {Map<String, String>} strAddress -> path relative to account key ("<change>/<index>")
+         * @private
+         */
+        _deriveHdAddresses(objHdAccount) {
+            const mapResult = new Map();
+            const hdAccountKey = Crypto.hdKeyFromExtendedKey(objHdAccount.xpub);
+
+            objHdAccount.arrNextIndexes.forEach((nNextIndex, nChange) => {
+                const hdChainKey = hdAccountKey.deriveChild(nChange);
+                for (let i = 0; i < nNextIndex; i++) {
+                    mapResult.set(hdChainKey.deriveChild(i).address, `${nChange}/${i}`);
+                }
+            });
+
+            return mapResult;
+        }
+
         async hasAccount(strAccountName) {
             await this._ensureWalletInitialized();
 
@@ -1061,6 +1936,40 @@ module.exports = (factory, factoryOptions) => {
             return this._mapAccountAddresses.get(strAccountName);
         }
 
+        /**
+         *
+         * @param {String} strAccountName
+         * @return {Promise<Object | undefined>} - @see writeHdAccount. undefined if it's not an HD account
+         */
+        async getHdAccount(strAccountName) {
+            await this._ensureWalletInitialized();
+
+            const objHd = this._mapHdAccounts.get(strAccountName);
+            return objHd ? objHd.objHdAccount : undefined;
+        }
+
+        /**
+         *
+         * @param {String} strAccountName
+         * @param {Object} objHdAccount
+         * @param {String} objHdAccount.xpub - account level extended public key
+         * @param {String} objHdAccount.strPath - path of account key (from master)
+         * @param {Array} objHdAccount.arrNextIndexes - count of issued addresses for [external, change] chains
+         * @param {Object | undefined} objHdAccount.encryptedSeed - @see Crypto.encrypt. undefined for watch-only
+         * @return {Promise<void>}
+         */
+        async writeHdAccount(strAccountName, objHdAccount) {
+            const strHdAccountContent = JSON.stringify({
+                ...prepareForStringifyObject(objHdAccount),
+                version: 1
+            });
+
+            const strPath = `${this._strAccountPath}/${strAccountName}`;
+            await fsPromise.writeFile(`${strPath}/${HD_ACCOUNT_FILE}`, strHdAccountContent);
+
+            await this._readAccount(strAccountName);
+        }
+
         async createAccount(strAccountName) {
             const strPath = `${this._strAccountPath}/${strAccountName}`;
 
@@ -1089,6 +1998,8 @@ module.exports = (factory, factoryOptions) => {
         }
 
         /**
+         * For HD addresses keystore is encrypted seed with strHdPath of address key
+         * Watch-only HD addresses have no keystores
          *
          * @param {String} strAccountName
          * @return {Promise<Map<any, any>>}
@@ -1097,9 +2008,20 @@ module.exports = (factory, factoryOptions) => {
             const mapResult = new Map();
 
             const strPath = `${this._strAccountPath}/${strAccountName}`;
+            const arrAddresses = await this.getAccountAddresses(strAccountName);
+            const {objHdAccount, mapHdAddresses = new Map()} = this._mapHdAccounts.get(strAccountName) || {};
+
+            for (let strAddress of arrAddresses) {
+                if (mapHdAddresses.has(strAddress)) {
+                    if (!objHdAccount.encryptedSeed) continue;
 
-            for (let strAddress of await this.getAccountAddresses(strAccountName)) {
-                mapResult.set(strAddress, JSON.parse(await fsPromise.readFile(`${strPath}/${strAddress}`, 'utf8')));
+                    mapResult.set(strAddress, {
+                        ...objHdAccount.encryptedSeed,
+                        strHdPath: `${objHdAccount.strPath}/${mapHdAddresses.get(strAddress)}`
+                    });
+                } else {
+                    mapResult.set(strAddress, JSON.parse(await fsPromise.readFile(`${strPath}/${strAddress}`, 'utf8')));
+                }
             }
 
             return mapResult;
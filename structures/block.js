@@ -2,7 +2,7 @@ const assert = require('assert');
 const typeforce = require('typeforce');
 const MerkleTree = require('merkletreejs');
 const types = require('../types');
-const {timestamp} = require('../utils');
+const {timestamp, toBigInt} = require('../utils');
 
 module.exports = ({Constants, Crypto, Transaction}, {blockProto, blockHeaderProto}) =>
 
@@ -150,13 +150,21 @@ module.exports = ({Constants, Crypto, Transaction}, {blockProto, blockHeaderProt
             return this.txns.length === 1 && (new Transaction(this.txns[0])).isCoinbase();
         }
 
-        finish(totalTxnsFees, addrReceiver, minUsefulAmount = 0) {
+        /**
+         *
+         * @param {BigInt | Number} totalTxnsFees
+         * @param {Buffer | String} addrReceiver - block creator
+         * @param {BigInt | Number} minUsefulAmount - don't create dev foundation output less than it
+         */
+        finish(totalTxnsFees, addrReceiver, minUsefulAmount = 0n) {
             this._building = false;
 
-            typeforce.Number(totalTxnsFees);
-            typeforce(types.Address, addrReceiver);
+            typeforce(typeforce.tuple(types.Amount, types.Address, types.Amount),
+                [totalTxnsFees, addrReceiver, minUsefulAmount]
+            );
 
-            assert(totalTxnsFees >= 0, 'Coinbase amount is negative');
+            totalTxnsFees = toBigInt(totalTxnsFees);
+            assert(totalTxnsFees >= 0n, 'Coinbase amount is negative');
 
             this._hashCache = undefined;
             const buffReceiverAddr = Buffer.from(addrReceiver, 'hex');
@@ -168,11 +176,13 @@ module.exports = ({Constants, Crypto, Transaction}, {blockProto, blockHeaderProt
             if (totalTxnsFees) {
 
                 // developer foundation. send only if it at least twice more than minUsefulAmount
-                let nFeeDevFoundation = parseInt(Constants.DEV_FOUNDATION_SHARE * totalTxnsFees);
-                if (nFeeDevFoundation >= minUsefulAmount * 2) {
+                // share is float, so we use it with precision of basis points
+                const nShareBasisPoints = BigInt(Math.round(Constants.DEV_FOUNDATION_SHARE * 10000));
+                let nFeeDevFoundation = totalTxnsFees * nShareBasisPoints / 10000n;
+                if (nFeeDevFoundation >= toBigInt(minUsefulAmount) * 2n) {
                     coinbase.addReceiver(nFeeDevFoundation, Constants.DEV_FOUNDATION_ADDRESS);
                 } else {
-                    nFeeDevFoundation = 0;
+                    nFeeDevFoundation = 0n;
                 }
 
                 // block creator
@@ -1,28 +1,137 @@
-// part of protobuff
-const Long = require('long');
 const typeforce = require('typeforce');
 const types = require('../types');
 
-module.exports = () =>
+const {MAX_UINT64, toBigInt, bigIntToLong} = require('../utils');
+
+module.exports = ({Crypto, Constants}) =>
     class Coins {
 
-        constructor(amount, receiverAddr) {
-            typeforce(typeforce.tuple(types.Amount, types.Address), arguments);
+        /**
+         * Amount stored as unsigned Long (protobuf fixed64), use getAmount() to get it as BigInt
+         *
+         * @param {BigInt | Number} amount - integer
+         * @param {Buffer | String} receiverAddr
+         * @param {Object} objMultisig - {nRequired, arrAddresses} for M-of-N outputs (receiverAddr is hash of it)
+         */
+        constructor(amount, receiverAddr, objMultisig) {
+            typeforce(typeforce.tuple(types.Amount, types.Address), [amount, receiverAddr]);
+
+            const bnAmount = toBigInt(amount);
+            if (bnAmount < 0n || bnAmount > MAX_UINT64) throw new Error(`Coins: bad amount ${bnAmount}`);
 
             this._data = {
-                amount,
+                amount: bigIntToLong(bnAmount),
                 receiverAddr: Buffer.isBuffer(receiverAddr) ? receiverAddr : Buffer.from(receiverAddr, 'hex')
             };
+
+            if (objMultisig) {
+                typeforce(types.MultisigDefinition, objMultisig);
+
+                const {nRequired, arrAddresses} = objMultisig;
+                this._data.multisig = {
+                    nRequired,
+                    arrAddresses: arrAddresses.map(addr => Buffer.isBuffer(addr) ? addr : Buffer.from(addr, 'hex'))
+                };
+            }
+        }
+
+        static createFromData({amount, receiverAddr, multisig, nNotBeforeHeight, nRelativeLockHeight}) {
+            const coins = new this(
+                toBigInt(amount),
+                receiverAddr,
+                this.isMultisigDefinition(multisig) ? multisig : undefined
+            );
+            if (nNotBeforeHeight) coins.lockTillHeight(nNotBeforeHeight);
+            if (nRelativeLockHeight) coins.lockForBlocks(nRelativeLockHeight);
+
+            return coins;
         }
 
-        static createFromData({amount, receiverAddr}) {
-            if (Long.isLong(amount)) amount = amount.toNumber();
+        /**
+         * M-of-N coins. Receiver address will be derived from definition
+         *
+         * @param {BigInt | Number} amount
+         * @param {Number} nRequired - M
+         * @param {Array} arrAddresses - N addresses of owners (Buffers or hex strings)
+         * @return {Coins}
+         */
+        static createMultisig(amount, nRequired, arrAddresses) {
+            const objMultisig = this.createMultisigDefinition(nRequired, arrAddresses);
+
+            return new this(
+                amount,
+                this.createMultisigAddress(objMultisig.nRequired, objMultisig.arrAddresses),
+                objMultisig
+            );
+        }
+
+        /**
+         * Addresses are sorted, so every owner will get same definition (and address) for same set of owners
+         *
+         * @param {Number} nRequired
+         * @param {Array} arrAddresses
+         * @return {{nRequired: Number, arrAddresses: Array}}
+         */
+        static createMultisigDefinition(nRequired, arrAddresses) {
+            typeforce(typeforce.tuple('Number', typeforce.arrayOf(types.Address)), [nRequired, arrAddresses]);
+
+            const arrBuffAddresses = arrAddresses
+                .map(addr => Buffer.isBuffer(addr) ? addr : Buffer.from(addr, 'hex'))
+                .sort(Buffer.compare);
+
+            const objMultisig = {nRequired, arrAddresses: arrBuffAddresses};
+            this.checkMultisigDefinition(objMultisig);
 
-            return new this(amount, receiverAddr);
+            return objMultisig;
         }
 
+        /**
+         *
+         * @param {Number} nRequired
+         * @param {Array} arrAddresses - of Buffers
+         * @return {Buffer}
+         */
+        static createMultisigAddress(nRequired, arrAddresses) {
+            const buffRequired = Buffer.allocUnsafe(4);
+            buffRequired.writeUInt32BE(nRequired, 0);
+
+            return Crypto.getAddress(Buffer.concat([buffRequired, ...arrAddresses]), true);
+        }
+
+        /**
+         * Throws if definition is malformed
+         *
+         * @param {Object} objMultisig - {nRequired, arrAddresses}
+         */
+        static checkMultisigDefinition(objMultisig) {
+            typeforce(types.MultisigDefinition, objMultisig);
+
+            const {nRequired, arrAddresses} = objMultisig;
+            if (arrAddresses.length > Constants.MULTISIG_MAX_ADDRESSES) {
+                throw new Error('Multisig: too many addresses');
+            }
+            if (nRequired < 1 || nRequired > arrAddresses.length) throw new Error('Multisig: bad required count');
+
+            const setAddresses = new Set(arrAddresses.map(addr => addr.toString('hex')));
+            if (setAddresses.size !== arrAddresses.length) throw new Error('Multisig: duplicate addresses');
+        }
+
+        /**
+         * Decoded protobuf output will contain empty (or null) multisig
+         *
+         * @param {Object | undefined} objMultisig
+         * @return {boolean}
+         */
+        static isMultisigDefinition(objMultisig) {
+            return !!(objMultisig && Array.isArray(objMultisig.arrAddresses) && objMultisig.arrAddresses.length);
+        }
+
+        /**
+         *
+         * @return {BigInt}
+         */
         getAmount() {
-            return this._data.amount;
+            return toBigInt(this._data.amount);
         }
 
         /**
@@ -33,6 +142,88 @@ module.exports = () =>
             return this._data.receiverAddr;
         }
 
+        /**
+         *
+         * @return {boolean}
+         */
+        isMultisig() {
+            return !!this._data.multisig;
+        }
+
+        /**
+         *
+         * @return {{nRequired: Number, arrAddresses: Array} | undefined}
+         */
+        getMultisig() {
+            return this._data.multisig;
+        }
+
+        /**
+         *
+         * @param {Number} nHeight - coins could be spent only in block with height >= nHeight
+         * @return {Coins} this - to chain calls
+         */
+        lockTillHeight(nHeight) {
+            typeforce('Number', nHeight);
+
+            this._data.nNotBeforeHeight = nHeight;
+            return this;
+        }
+
+        /**
+         *
+         * @param {Number} nBlocks - coins could be spent only nBlocks after block where they will be created
+         * @return {Coins} this - to chain calls
+         */
+        lockForBlocks(nBlocks) {
+            typeforce('Number', nBlocks);
+
+            this._data.nRelativeLockHeight = nBlocks;
+            return this;
+        }
+
+        /**
+         *
+         * @return {Number}
+         */
+        getLockHeight() {
+            return this._data.nNotBeforeHeight || 0;
+        }
+
+        /**
+         *
+         * @return {Number}
+         */
+        getRelativeLockHeight() {
+            return this._data.nRelativeLockHeight || 0;
+        }
+
+        /**
+         * Relative lock is counted from block where coins are created, so we convert it to absolute one
+         * before storing coins in UTXO
+         *
+         * @param {Number} nHeight - height of block where coins are created
+         * @return {Coins} this - to chain calls
+         */
+        applyRelativeLock(nHeight) {
+            typeforce('Number', nHeight);
+
+            const nRelativeLockHeight = this.getRelativeLockHeight();
+            if (!nRelativeLockHeight) return this;
+
+            delete this._data.nRelativeLockHeight;
+            return this.lockTillHeight(Math.max(this.getLockHeight(), nHeight + nRelativeLockHeight));
+        }
+
+        /**
+         *
+         * @param {Number} nHeight - height of block where we're going to spend coins
+         * @return {boolean}
+         */
+        isLocked(nHeight) {
+            return this.getLockHeight() > nHeight;
+        }
+
         /**
          *
          * @return {{amount: *, receiverAddr: *}|*}
@@ -47,6 +238,19 @@ module.exports = () =>
          * @returns {boolean|*}
          */
         equals(coin) {
-            return this.getAmount() === coin.getAmount() && this.getReceiverAddr().equals(coin.getReceiverAddr());
+            if (this.isMultisig() !== coin.isMultisig()) return false;
+            if (this.isMultisig()) {
+                const objMultisig = this.getMultisig();
+                const objMultisigToCompare = coin.getMultisig();
+                if (objMultisig.nRequired !== objMultisigToCompare.nRequired) return false;
+                if (objMultisig.arrAddresses.length !== objMultisigToCompare.arrAddresses.length) return false;
+                if (!objMultisig.arrAddresses.every((addr, i) => addr.equals(objMultisigToCompare.arrAddresses[i]))) {
+                    return false;
+                }
+            }
+
+            return this.getAmount() === coin.getAmount() && this.getReceiverAddr().equals(coin.getReceiverAddr()) &&
+                   this.getLockHeight() === coin.getLockHeight() &&
+                   this.getRelativeLockHeight() === coin.getRelativeLockHeight();
         }
     };
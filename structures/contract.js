@@ -1,7 +1,9 @@
-// part of protobuff
-const Long = require('long');
 const typeforce = require('typeforce');
 const assert = require('assert');
+const types = require('../types');
+
+const {toBigInt, bigIntToLong} = require('../utils');
+const {createAbi} = require('./contractAbi');
 
 // v8.serialize undeterministic in encoded data length, so we couldn't use it to calculate storage fee!
 const v8 = require('v8');
@@ -22,7 +24,7 @@ const deSerializeContractDataJson = (buffData) => {
 };
 const nSizeOfEmptyDataJson = serializeContractDataJson({}).length;
 
-module.exports = ({Constants}, {contractProto}) =>
+module.exports = ({Constants, Crypto}, {contractProto}) =>
     class Contract {
 
         /**
@@ -36,6 +38,10 @@ module.exports = ({Constants}, {contractProto}) =>
 
             this._proxiedContract = undefined;
 
+            // code of versions replaced by upgradeCode (codeHash => code string), not stored in encoded contract.
+            // Contract could be upgraded several times before it will be stored (@see Storage._getContractCodeOps)
+            this._mapReplacedCode = new Map();
+
             if (Buffer.isBuffer(data)) {
                 this._data = contractProto.decode(data);
             } else {
@@ -48,6 +54,7 @@ module.exports = ({Constants}, {contractProto}) =>
                 data.contractCode = undefined;
 
                 data.version = nContractVersion;
+                if (typeof data.balance === 'bigint') data.balance = bigIntToLong(data.balance);
 
                 const errMsg = contractProto.verify(data);
                 if (errMsg) throw new Error(`Contract: ${errMsg}`);
@@ -56,10 +63,7 @@ module.exports = ({Constants}, {contractProto}) =>
                 this._bDataModified = true;
             }
 
-            // deal with LONG https://github.com/dcodeIO/long.js
-            // convert it toNumber
-            if (Long.isLong(this._data.balance)) this._data.balance = this._data.balance.toNumber();
-
+            // balance (fixed64) kept as Long (or Number, if object passed), getBalance() will convert it to BigInt
             this._strAddress = strContractAddr;
         }
 
@@ -82,6 +86,91 @@ module.exports = ({Constants}, {contractProto}) =>
             return this._cacheCode;
         }
 
+        /**
+         * Code stored as JSON string
+         *
+         * @return {String}
+         */
+        getCodeString() {
+            return this._data.contractCode || JSON.stringify(this.getCode());
+        }
+
+        /**
+         *
+         * @return {String}
+         */
+        getCodeHash() {
+            return Crypto.createHash(Buffer.from(this.getCodeString()));
+        }
+
+        /**
+         * Replace methods of contract. Data & balance remains
+         * First upgrade will also store hash of initial code (with height 0)
+         *
+         * @param {Object} objCode - keys - method names, values - code
+         * @param {Number} nHeight - height of block, where new code is in effect
+         */
+        upgradeCode(objCode, nHeight) {
+            typeforce(typeforce.tuple('Object', 'Number'), [objCode, nHeight]);
+
+            if (!this._data.codeHistory || !this._data.codeHistory.length) {
+                this._data.codeHistory = [{codeHash: Buffer.from(this.getCodeHash(), 'hex'), nHeight: 0}];
+            }
+            this._mapReplacedCode.set(this.getCodeHash(), this.getCodeString());
+
+            this._cacheCode = objCode;
+            this._cacheAbi = undefined;
+            delete this._data.contractCode;
+
+            this._data.codeHistory.push({codeHash: Buffer.from(this.getCodeHash(), 'hex'), nHeight});
+        }
+
+        /**
+         * Derived from code (so it's always actual, even for contracts created before ABI introduced)
+         *
+         * @return {Array} @see contractAbi.createAbi
+         */
+        getAbi() {
+            if (!this._cacheAbi) this._cacheAbi = createAbi(this.getCode());
+            return this._cacheAbi;
+        }
+
+        /**
+         *
+         * @return {Array} of {codeHash: String, nHeight: Number}, empty if contract never upgraded
+         */
+        getCodeHistory() {
+            return (this._data.codeHistory || []).map(({codeHash, nHeight}) => ({
+                codeHash: codeHash.toString('hex'),
+                nHeight: nHeight || 0
+            }));
+        }
+
+        /**
+         * Code of current version or version replaced by this instance (since it was loaded)
+         *
+         * @param {String} strCodeHash
+         * @return {String | undefined}
+         */
+        getCodeStringByHash(strCodeHash) {
+            if (strCodeHash === this.getCodeHash()) return this.getCodeString();
+            return this._mapReplacedCode.get(strCodeHash);
+        }
+
+        /**
+         *
+         * @param {Number} nHeight
+         * @return {{codeHash: String, nHeight: Number}} - version in effect at nHeight
+         */
+        getCodeVersionAt(nHeight) {
+            typeforce('Number', nHeight);
+
+            const arrHistory = this.getCodeHistory();
+            if (!arrHistory.length) return {codeHash: this.getCodeHash(), nHeight: 0};
+
+            return arrHistory.reduce((objResult, objVersion) => objVersion.nHeight <= nHeight ? objVersion : objResult);
+        }
+
         getData() {
             if (this._cacheData) return this._cacheData;
             this._cacheData = this._deserialize();
@@ -166,29 +255,38 @@ module.exports = ({Constants}, {contractProto}) =>
 
         /**
          *
-         * @returns {number|*}
+         * @returns {BigInt}
          */
         getBalance() {
-            return this._proxiedContract ? this._proxiedContract.getBalance() : this._data.balance;
+            return this._proxiedContract ? this._proxiedContract.getBalance() : toBigInt(this._data.balance || 0);
         }
 
+        /**
+         *
+         * @param {BigInt | Number} amount - integer, negative for withdraw
+         */
         deposit(amount) {
-            typeforce('Number', amount);
+            typeforce(types.Amount, amount);
 
             if (this._proxiedContract) {
                 this._proxiedContract.deposit(amount);
             } else {
-                this._data.balance += amount;
+                const nNewBalance = this.getBalance() + toBigInt(amount);
+                if (nNewBalance < 0n) throw new Error('Insufficient funds!');
+
+                this._data.balance = bigIntToLong(nNewBalance);
             }
         }
 
         withdraw(amount) {
             if (this.getBalance() < amount) throw new Error('Insufficient funds!');
-            this.deposit(0 - amount);
+            this.deposit(-toBigInt(amount));
         }
 
         clone() {
-            return new Contract(this.encode(), this._strAddress);
+            const contract = new Contract(this.encode(), this._strAddress);
+            contract._mapReplacedCode = new Map(this._mapReplacedCode);
+            return contract;
         }
 
         /**
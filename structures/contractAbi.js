@@ -0,0 +1,263 @@
+'use strict';
+
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const ECMA_VERSION = 2020;
+
+// invoked when no method specified
+const DEFAULT_METHOD = '_default';
+
+// sandbox functions (@see Application.runContract) that change state
+const arrMutatingGlobals = ['send', 'emit', 'call', 'delegatecall'];
+
+/**
+ * Stored method code looks like "(a, b){...}" (async ones prefixed with '<'), so we parse it as function expression
+ *
+ * @param {String} strMethodCode
+ * @return {{node: Object, isAsync: Boolean}}
+ */
+const parseMethod = (strMethodCode) => {
+    const isAsync = strMethodCode.startsWith('<');
+    const strCode = `(${isAsync ? 'async ' : ''}function${isAsync ? strMethodCode.substr(1) : strMethodCode})`;
+    const ast = acorn.parse(strCode, {ecmaVersion: ECMA_VERSION, sourceType: 'script'});
+
+    return {node: ast.body[0].expression, isAsync};
+};
+
+/**
+ *
+ * @param {Object} param - acorn node
+ * @return {String}
+ */
+const paramName = (param) => {
+    if (param.type === 'Identifier') return param.name;
+    if (param.type === 'AssignmentPattern') return paramName(param.left);
+    if (param.type === 'RestElement') return `...${paramName(param.argument)}`;
+
+    // destructuring
+    return '';
+};
+
+/**
+ * Is it "this", "this.something" (or "this.a.b[c]"), or same for alias of this data (like "b" after "b = this.a")
+ *
+ * @param {Object} node - acorn node
+ * @param {Set} setAliases - names of variables, that could reference contract data
+ * @return {boolean}
+ */
+const isThisRef = (node, setAliases = new Set()) => {
+    if (node.type === 'LogicalExpression') return isThisRef(node.left, setAliases) || isThisRef(node.right, setAliases);
+    if (node.type === 'ConditionalExpression') {
+        return isThisRef(node.consequent, setAliases) || isThisRef(node.alternate, setAliases);
+    }
+
+    while (node.type === 'MemberExpression') node = node.object;
+    return node.type === 'ThisExpression' || (node.type === 'Identifier' && setAliases.has(node.name));
+};
+
+/**
+ * Is it "this.something" (or "alias.something"). Assignment to alias itself doesn't change contract data
+ *
+ * @param {Object} node - acorn node
+ * @param {Set} setAliases
+ * @return {boolean}
+ */
+const isThisMember = (node, setAliases) => node.type === 'MemberExpression' && isThisRef(node, setAliases);
+
+/**
+ * Names of variables declared by pattern (like "a", "{a, b: [c]}", "...d")
+ *
+ * @param {Object} node - acorn pattern
+ * @return {Array} of String
+ */
+const patternNames = (node) => {
+    if (!node) return [];
+    if (node.type === 'Identifier') return [node.name];
+    if (node.type === 'AssignmentPattern') return patternNames(node.left);
+    if (node.type === 'RestElement') return patternNames(node.argument);
+    if (node.type === 'ArrayPattern') return [].concat(...node.elements.map(patternNames));
+    if (node.type === 'ObjectPattern') {
+        return [].concat(...node.properties.map(prop => patternNames(prop.type === 'RestElement' ? prop : prop.value)));
+    }
+    return [];
+};
+
+/**
+ * Variables (of any scope inside method) that could reference contract data: "const b = this._balances",
+ * "const {_map} = this", "c = b.inner" and so on
+ *
+ * @param {Object} node - acorn node of method body
+ * @return {Set} of names
+ */
+const collectThisAliases = (node) => {
+    const setAliases = new Set();
+    let bChanged = true;
+    while (bChanged) {
+        bChanged = false;
+        const addNames = arrNames => arrNames.forEach(strName => {
+            if (setAliases.has(strName)) return;
+            setAliases.add(strName);
+            bChanged = true;
+        });
+
+        walk.full(node, child => {
+            if (child.type === 'VariableDeclarator' && child.init && isThisRef(child.init, setAliases)) {
+                addNames(patternNames(child.id));
+            }
+            if (child.type === 'AssignmentExpression' && child.left.type !== 'MemberExpression' &&
+                isThisRef(child.right, setAliases)) {
+                addNames(patternNames(child.left));
+            }
+
+            // "for (const item of this.arr)"
+            if (child.type === 'ForOfStatement' && isThisRef(child.right, setAliases)) {
+                addNames(patternNames(child.left.type === 'VariableDeclaration'
+                    ? child.left.declarations[0].id : child.left));
+            }
+        });
+    }
+
+    return setAliases;
+};
+
+/**
+ * Identifier is used as variable (not a property name like "this.value" or "{value: 1}")
+ *
+ * @param {Object} node - acorn Identifier
+ * @param {Object} parent - acorn node
+ * @return {boolean}
+ */
+const isVariable = (node, parent) => {
+    if (!parent) return true;
+    if (parent.type === 'MemberExpression' && parent.property === node && !parent.computed) return false;
+    if (parent.type === 'Property' && parent.key === node && !parent.computed && !parent.shorthand) return false;
+    if (parent.type === 'MethodDefinition' && parent.key === node && !parent.computed) return false;
+
+    return true;
+};
+
+/**
+ * Static analysis of method body. It's conservative: besides assignments to contract data (directly or via alias)
+ * any method call on contract data (like "this.arr.push(x)") and passing contract data to any function
+ * (like "Object.assign(this, obj)") are treated as mutations
+ *
+ * @param {Object} node - acorn FunctionExpression
+ * @return {{bMutates: Boolean, bUsesValue: Boolean, arrThisCalls: Array}}
+ */
+const analyzeBody = (node) => {
+    let bMutates = false;
+    let bUsesValue = false;
+    const arrThisCalls = [];
+    const setAliases = collectThisAliases(node.body);
+
+    walk.fullAncestor(node.body, (child, state, arrAncestors) => {
+        if (child.type === 'AssignmentExpression' && isThisMember(child.left, setAliases)) bMutates = true;
+        if (child.type === 'UpdateExpression' && isThisMember(child.argument, setAliases)) bMutates = true;
+        if (child.type === 'UnaryExpression' && child.operator === 'delete' &&
+            isThisMember(child.argument, setAliases)) {
+            bMutates = true;
+        }
+
+        if (child.type === 'CallExpression' || child.type === 'NewExpression') {
+            const {callee} = child;
+            if (callee.type === 'Identifier' && arrMutatingGlobals.includes(callee.name)) bMutates = true;
+            if (callee.type === 'MemberExpression' && callee.object.type === 'ThisExpression' &&
+                callee.property.type === 'Identifier' && !callee.computed) {
+                arrThisCalls.push(callee.property.name);
+            } else if (callee.type === 'MemberExpression' && isThisRef(callee.object, setAliases)) {
+                bMutates = true;
+            }
+
+            if (child.arguments.some(arg => isThisRef(arg.type === 'SpreadElement' ? arg.argument : arg, setAliases))) {
+                bMutates = true;
+            }
+        }
+
+        if (child.type === 'Identifier' && child.name === 'value' &&
+            isVariable(child, arrAncestors[arrAncestors.length - 2])) {
+            bUsesValue = true;
+        }
+    });
+
+    return {bMutates, bUsesValue, arrThisCalls};
+};
+
+/**
+ * ABI derived from stored contract code
+ * - args: names of parameters (rest parameter prefixed with "...", destructured - empty string)
+ * - nRequiredArgs: parameters before first one with default value (or rest)
+ * - isConstant: method (and methods of this, it calls) doesn't change contract data, doesn't send & emit
+ *   (it's a static analysis, so method could be reported as not constant, even if it doesn't change anything)
+ * - isPayable: method uses "value" (coins sent with invocation)
+ *
+ * @param {Object} objCode - keys - method names, values - code (@see Contract.getCode)
+ * @return {Array} of {name, args, nRequiredArgs, isAsync, hasRest, isConstant, isPayable}
+ */
+const createAbi = (objCode) => {
+    const mapMethods = new Map();
+    for (let strName of Object.keys(objCode || {})) {
+        const {node, isAsync} = parseMethod(objCode[strName]);
+
+        const nFirstOptional = node.params.findIndex(param => param.type !== 'Identifier' &&
+                                                              param.type !== 'ObjectPattern' &&
+                                                              param.type !== 'ArrayPattern');
+
+        mapMethods.set(strName, {
+            name: strName,
+            args: node.params.map(paramName),
+            nRequiredArgs: nFirstOptional === -1 ? node.params.length : nFirstOptional,
+            isAsync,
+            hasRest: node.params.some(param => param.type === 'RestElement'),
+            ...analyzeBody(node)
+        });
+
+        // "value" is a parameter, not a global
+        if (mapMethods.get(strName).args.includes('value')) mapMethods.get(strName).bUsesValue = false;
+    }
+
+    // method calling mutating method of this is also mutating
+    let bChanged = true;
+    while (bChanged) {
+        bChanged = false;
+        for (let objMethod of mapMethods.values()) {
+            if (objMethod.bMutates) continue;
+            if (objMethod.arrThisCalls.some(strName => mapMethods.has(strName) && mapMethods.get(strName).bMutates)) {
+                objMethod.bMutates = bChanged = true;
+            }
+        }
+    }
+
+    return [...mapMethods.values()].map(({name, args, nRequiredArgs, isAsync, hasRest, bMutates, bUsesValue}) => ({
+        name,
+        args,
+        nRequiredArgs,
+        isAsync,
+        hasRest,
+        isConstant: !bMutates,
+        isPayable: bUsesValue
+    }));
+};
+
+/**
+ * Throws if method unknown or arguments count doesn't match
+ *
+ * @param {Array} arrAbi - @see createAbi
+ * @param {String} strMethod
+ * @param {Array} arrArguments
+ */
+const validateInvocation = (arrAbi, strMethod, arrArguments) => {
+    const objMethod = arrAbi.find(({name}) => name === strMethod);
+    if (!objMethod) throw new Error(`Method ${strMethod} not found`);
+
+    const nArgs = Array.isArray(arrArguments) ? arrArguments.length : 0;
+    if (nArgs < objMethod.nRequiredArgs || (!objMethod.hasRest && nArgs > objMethod.args.length)) {
+        throw new Error(`Method ${strMethod} expects ${objMethod.nRequiredArgs} to ${objMethod.args.length} arguments`);
+    }
+};
+
+module.exports = {
+    DEFAULT_METHOD,
+    createAbi,
+    validateInvocation
+};
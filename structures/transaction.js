@@ -1,12 +1,13 @@
-// part of protobuff
-const Long = require('long');
 const assert = require('assert');
 const typeforce = require('typeforce');
 const types = require('../types');
 
+const {toBigInt, bigIntToLong} = require('../utils');
+
 // TODO: calculate tx size for proper fee calculating
 
 const CURRENT_TX_VERSION = 1;
+const SIGNATURE_LENGTH = 65;
 
 module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayloadProto}) =>
     class Transaction {
@@ -16,6 +17,14 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
 
                 this._data = transactionProto.decode(data);
             } else if (typeof data === 'object') {
+
+                // protobuf knows nothing about BigInt
+                if (data.payload && Array.isArray(data.payload.outs)) {
+                    for (let output of data.payload.outs) {
+                        if (typeof output.amount === 'bigint') output.amount = bigIntToLong(output.amount);
+                    }
+                }
+
                 const errMsg = transactionProto.verify(data);
                 if (errMsg) throw new Error(`Transaction: ${errMsg}`);
 
@@ -37,15 +46,7 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
                 throw new Error('Specify witness concilium, who will notarize this TX');
             }
 
-            // fix fixed64 conversion to Long. see https://github.com/dcodeIO/ProtoBuf.js/
-            // If a proper way to work with 64 bit values (uint64, int64 etc.) is required,
-            // just install long.js alongside this library.
-            // All 64 bit numbers will then be returned as a Long instance instead of a possibly
-            // unsafe JavaScript number (see).
-
-            for (let output of this._data.payload.outs) {
-                if (Long.isLong(output.amount)) output.amount = output.amount.toNumber();
-            }
+            // output amounts (fixed64) could be Long (decoded) or Number. Read it with toBigInt!
         }
 
         get conciliumId() {
@@ -56,6 +57,47 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
             return this._data.payload.conciliumId = conciliumId;
         }
 
+        get lockTime() {
+            return this._data.payload.nLockTime || 0;
+        }
+
+        /**
+         * Tx could be included only in block with height >= nLockTime
+         * (or timestamp >= nLockTime, if nLockTime >= LOCKTIME_THRESHOLD)
+         *
+         * @param {Number} nLockTime
+         */
+        setLockTime(nLockTime) {
+            typeforce('Number', nLockTime);
+
+            this._checkDone();
+            this._data.payload.nLockTime = nLockTime;
+        }
+
+        /**
+         *
+         * @param {Number} nHeight - of block where we're going to include this tx
+         * @param {Number} nTimestamp - of block where we're going to include this tx (seconds)
+         * @return {boolean}
+         */
+        isFinal(nHeight, nTimestamp) {
+            const nLockTime = this.lockTime;
+            if (!nLockTime) return true;
+
+            return nLockTime < Constants.LOCKTIME_THRESHOLD ? nHeight >= nLockTime : nTimestamp >= nLockTime;
+        }
+
+        /**
+         * Whether tx has nLockTime or timelocked outputs (@see HEIGHT_FORK_TIMELOCKS)
+         *
+         * @return {boolean}
+         */
+        usesTimelocks() {
+            return !!this.lockTime ||
+                   this.outputs.some(({nNotBeforeHeight, nRelativeLockHeight}) => !!nNotBeforeHeight ||
+                                                                                   !!nRelativeLockHeight);
+        }
+
         get rawData() {
             return this._data;
         }
@@ -132,12 +174,12 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
          *
          * @param {String} strContractAddr
          * @param {Object} objInvokeCode {method, arrArguments}
-         * @param {Number} amount - coins to send to contract address
+         * @param {BigInt | Number} amount - coins to send to contract address
          * @param {Address} addrChangeReceiver - to use as exec fee
          * @returns {Transaction}
          */
         static invokeContract(strContractAddr, objInvokeCode, amount, addrChangeReceiver) {
-            typeforce(typeforce.tuple(types.StrAddress, typeforce.Object, typeforce.Number), arguments);
+            typeforce(typeforce.tuple(types.StrAddress, typeforce.Object, types.Amount), arguments);
             typeforce(typeforce.maybe(types.Address, addrChangeReceiver));
 
             if (addrChangeReceiver && !Buffer.isBuffer(addrChangeReceiver)) {
@@ -146,7 +188,7 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
 
             const tx = new this();
             tx._data.payload.outs.push({
-                amount,
+                amount: bigIntToLong(toBigInt(amount)),
                 receiverAddr: Buffer.from(strContractAddr, 'hex'),
                 contractCode: JSON.stringify(objInvokeCode),
                 addrChangeReceiver
@@ -154,6 +196,72 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
             return tx;
         }
 
+        /**
+         * Evidence of equivocation: two different committed blocks of PoS concilium at same height & parents,
+         * both signed by offender (votes aren't evidence: they don't contain round)
+         * It will be verified by Node (@see Node._validateSlashEvidence) before invocation of concilium contract
+         *
+         * @param {Number} nConciliumId
+         * @param {String} strOffenderAddr
+         * @param {Array} arrBuffBlockInfos - 2 encoded BlockInfo (headers of conflicting blocks)
+         * @param {Array} arrBlockSignatures - 2 arrays of block.signatures (for each block)
+         * @param {Address} addrChangeReceiver - to use as exec fee
+         * @returns {Transaction}
+         */
+        static slashWitness(nConciliumId, strOffenderAddr, arrBuffBlockInfos, arrBlockSignatures, addrChangeReceiver) {
+            typeforce(
+                typeforce.tuple('Number', types.StrAddress, typeforce.arrayOf('Buffer'),
+                    typeforce.arrayOf(typeforce.arrayOf(types.Signature))),
+                [nConciliumId, strOffenderAddr, arrBuffBlockInfos, arrBlockSignatures]
+            );
+
+            return this.invokeContract(
+                Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS,
+                {
+                    method: 'slashWitness',
+                    arrArguments: [
+                        nConciliumId,
+                        strOffenderAddr,
+                        {
+                            arrBlockInfos: arrBuffBlockInfos.map(buff => buff.toString('hex')),
+                            arrBlockSignatures: arrBlockSignatures.map(
+                                arrSignatures => arrSignatures.map(buff => buff.toString('hex'))
+                            )
+                        }
+                    ]
+                },
+                0,
+                addrChangeReceiver
+            );
+        }
+
+        /**
+         * Only owner of contract (_ownerAddress, @see Base in predefinedClasses) could sign it
+         *
+         * @param {String} strContractAddr
+         * @param {String} strCode - same as for createContract (class & "exports=new ...")
+         * @param {Address} addrChangeReceiver - to use as exec fee
+         * @returns {Transaction}
+         */
+        static upgradeContract(strContractAddr, strCode, addrChangeReceiver) {
+            typeforce(typeforce.tuple(types.StrAddress, typeforce.String), [strContractAddr, strCode]);
+            typeforce(typeforce.maybe(types.Address, addrChangeReceiver));
+
+            if (addrChangeReceiver && !Buffer.isBuffer(addrChangeReceiver)) {
+                addrChangeReceiver = Buffer.from(addrChangeReceiver, 'hex');
+            }
+
+            const tx = new this();
+            tx._data.payload.outs.push({
+                amount: 0,
+                receiverAddr: Buffer.from(strContractAddr, 'hex'),
+                contractCode: strCode,
+                addrChangeReceiver,
+                upgradeCode: true
+            });
+            return tx;
+        }
+
         /**
          *
          * @return {Array} Coins
@@ -162,7 +270,7 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
             const outputs = this.outputs;
             if (!outputs) throw new Error('Unexpected: empty outputs!');
 
-            return outputs.map(out => new Coins(out.amount, out.receiverAddr));
+            return outputs.map(out => Coins.createFromData(out));
         }
 
         /**
@@ -174,31 +282,105 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
             typeforce(typeforce.tuple(types.Hash256bit, 'Number'), arguments);
             if (typeof strHash === 'string') strHash = Buffer.from(strHash, 'hex');
 
-            this._checkDone();
+            this._checkDone(true);
             this._data.payload.ins.push({txHash: strHash, nTxOutput: index});
         }
 
         /**
          *
-         * @param {Number} amount - how much to transfer
+         * @param {BigInt | Number} amount - how much to transfer
          * @param {Buffer} addr - receiver
          */
         addReceiver(amount, addr) {
-            typeforce(typeforce.tuple('Number', types.Address), arguments);
+            typeforce(typeforce.tuple(types.Amount, types.Address), arguments);
 
             this._checkDone();
-            this._data.payload.outs.push({amount, receiverAddr: Buffer.from(addr, 'hex')});
+            this._data.payload.outs.push({
+                amount: bigIntToLong(toBigInt(amount)),
+                receiverAddr: Buffer.from(addr, 'hex')
+            });
         }
 
         /**
-         * Now we implement only SIGHASH_ALL
-         * The rest is TODO: SIGHASH_SINGLE & SIGHASH_NONE
+         * Timelock output
          *
-         * @param {Number} idx - for SIGHASH_SINGLE (not used now)
+         * @param {Number} idx - output index
+         * @param {Number} nHeight - absolute height, or number of blocks after this tx included in block (if bRelative)
+         * @param {Boolean} bRelative
+         */
+        lockOutput(idx, nHeight, bRelative = false) {
+            typeforce(typeforce.tuple('Number', 'Number'), [idx, nHeight]);
+
+            const output = this._data.payload.outs[idx];
+            if (!output) throw new Error('Bad index: no such output');
+
+            this._checkDone();
+            if (bRelative) {
+                output.nRelativeLockHeight = nHeight;
+            } else {
+                output.nNotBeforeHeight = nHeight;
+            }
+        }
+
+        /**
+         * Output that could be spent only with nRequired signatures of arrAddresses owners
+         *
+         * @param {BigInt | Number} amount - how much to transfer
+         * @param {Number} nRequired - M
+         * @param {Array} arrAddresses - N owners
+         */
+        addMultisigReceiver(amount, nRequired, arrAddresses) {
+            typeforce(typeforce.tuple(types.Amount, 'Number', typeforce.arrayOf(types.Address)), arguments);
+
+            this._checkDone();
+            this._data.payload.outs.push(Coins.createMultisig(amount, nRequired, arrAddresses).getRawData());
+        }
+
+        /**
+         * Hash that should be signed by claim for input with idx
+         *
+         * SIGHASH_ALL - whole payload (equals getHash())
+         * SIGHASH_NONE - all inputs, no outputs. Outputs could be added by anyone
+         * SIGHASH_SINGLE - all inputs, only output with same index as claimed input
+         * SIGHASH_ANYONECANPAY - only claimed input, all outputs. Inputs could be added by anyone
+         *
+         * @param {Number} idx - index of claimed input
+         * @param {Number} nHashMethod - @see ClaimHashMethod in structures.proto
          * @return {String} !!
          */
-        hash(idx) {
-            return this.getHash();
+        hash(idx, nHashMethod = Constants.SIGHASH_ALL) {
+            if (idx === undefined || nHashMethod === Constants.SIGHASH_ALL) return this.getHash();
+
+            const {version, conciliumId, nLockTime, ins, outs} = this._data.payload;
+            let payload;
+            let buffSuffix = Buffer.from([nHashMethod]);
+
+            switch (nHashMethod) {
+                case Constants.SIGHASH_NONE:
+                    payload = {version, conciliumId, nLockTime, ins, outs: []};
+                    break;
+                case Constants.SIGHASH_SINGLE: {
+                    if (idx >= outs.length) throw new Error('SIGHASH_SINGLE: no output with index of input');
+                    payload = {version, conciliumId, nLockTime, ins, outs: [outs[idx]]};
+
+                    // bind output to it's position
+                    const buffIdx = Buffer.allocUnsafe(4);
+                    buffIdx.writeUInt32BE(idx, 0);
+                    buffSuffix = Buffer.concat([buffSuffix, buffIdx]);
+                    break;
+                }
+                case Constants.SIGHASH_ANYONECANPAY:
+                    if (idx >= ins.length) throw new Error('SIGHASH_ANYONECANPAY: bad input index');
+                    payload = {version, conciliumId, nLockTime, ins: [ins[idx]], outs};
+                    break;
+                default:
+                    throw new Error(`Unknown claim hash method ${nHashMethod}`);
+            }
+
+            // hash method appended, so signature couldn't be reused with another method
+            return Crypto.createHash(
+                Buffer.concat([transactionPayloadProto.encode(payload).finish(), buffSuffix])
+            );
         }
 
         /**
@@ -214,18 +396,73 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
 
         /**
          * Is this transaction could be modified
+         * Claims with SIGHASH_ANYONECANPAY allow adding inputs,
+         * SIGHASH_NONE & SIGHASH_SINGLE allow adding outputs
          *
+         * @param {Boolean} bAddInput - we are going to add input (or output otherwise)
          * @private
          */
-        _checkDone() {
+        _checkDone(bAddInput = false) {
+            const bSigned = this.getTxSignature() || this._data.claimProofs.some(buffProof => {
+                if (!buffProof) return false;
+
+                const {nHashMethod} = this.constructor.parseClaimProof(buffProof);
+                return bAddInput
+                    ? nHashMethod !== Constants.SIGHASH_ANYONECANPAY
+                    : nHashMethod !== Constants.SIGHASH_NONE && nHashMethod !== Constants.SIGHASH_SINGLE;
+            });
 
-            // it's only for SIGHASH_ALL, if implement other - change it!
-            if (this.getTxSignature() || this._data.claimProofs.length) {
+            if (bSigned) {
                 throw new Error(
                     'Tx is already signed, you can\'t modify it');
             }
         }
 
+        /**
+         * claimProof is a signature, optionally followed by one byte of hash method.
+         * For SIGHASH_ALL we store signature only (compatible with claims created before)
+         *
+         * @param {Buffer} buffSignature
+         * @param {Number} nHashMethod - @see ClaimHashMethod in structures.proto
+         * @return {Buffer}
+         */
+        static createClaimProof(buffSignature, nHashMethod = Constants.SIGHASH_ALL) {
+            if (nHashMethod === Constants.SIGHASH_ALL) return buffSignature;
+            return Buffer.concat([buffSignature, Buffer.from([nHashMethod])]);
+        }
+
+        /**
+         * signature - claimProof without hash method byte (for multisig it's all signatures concatenated)
+         * arrSignatures - signatures of multisig claimProof
+         *
+         * @param {Buffer} buffClaimProof
+         * @return {{signature: Buffer, arrSignatures: Array, nHashMethod: Number}}
+         */
+        static parseClaimProof(buffClaimProof) {
+            let nHashMethod = Constants.SIGHASH_ALL;
+            let signature = buffClaimProof;
+
+            if (buffClaimProof.length > SIGNATURE_LENGTH && buffClaimProof.length % SIGNATURE_LENGTH === 1) {
+                nHashMethod = buffClaimProof[buffClaimProof.length - 1];
+                if (![Constants.SIGHASH_NONE, Constants.SIGHASH_SINGLE, Constants.SIGHASH_ANYONECANPAY]
+                    .includes(nHashMethod)) {
+                    throw new Error(`Unknown claim hash method ${nHashMethod}`);
+                }
+                signature = buffClaimProof.slice(0, buffClaimProof.length - 1);
+            }
+
+            const arrSignatures = [];
+            if (signature.length % SIGNATURE_LENGTH) {
+                arrSignatures.push(signature);
+            } else {
+                for (let i = 0; i < signature.length; i += SIGNATURE_LENGTH) {
+                    arrSignatures.push(signature.slice(i, i + SIGNATURE_LENGTH));
+                }
+            }
+
+            return {signature, arrSignatures, nHashMethod};
+        }
+
         /**
          * Add clamProofs (signature of hash(idx)) for input with idx
          *
@@ -233,14 +470,64 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
          * @param {Number} idx - index of input to sign
          * @param {Buffer | String} key - private key
          * @param {String} enc -encoding of key
+         * @param {Number} nHashMethod - @see ClaimHashMethod in structures.proto
          */
-        claim(idx, key, enc = 'hex') {
+        claim(idx, key, enc = 'hex', nHashMethod = Constants.SIGHASH_ALL) {
             typeforce(typeforce.tuple('Number', types.PrivateKey), [idx, key]);
 
             if (idx > this._data.payload.ins.length) throw new Error('Bad index: greater than inputs length');
 
-            const hash = this.hash(idx);
-            this._data.claimProofs[idx] = Crypto.sign(hash, key, enc);
+            const hash = this.hash(idx, nHashMethod);
+            this._data.claimProofs[idx] = this.constructor.createClaimProof(Crypto.sign(hash, key, enc), nHashMethod);
+        }
+
+        /**
+         * Append signature to claimProof of multisig input (co-sign it)
+         * If input already claimed - hash method of first signer will be used
+         *
+         * @param {Number} idx - index of input to sign
+         * @param {Buffer | String} key - private key
+         * @param {String} enc -encoding of key
+         * @param {Number} nHashMethod - @see ClaimHashMethod in structures.proto
+         */
+        claimMultisig(idx, key, enc = 'hex', nHashMethod = Constants.SIGHASH_ALL) {
+            typeforce(typeforce.tuple('Number', types.PrivateKey), [idx, key]);
+
+            if (idx >= this._data.payload.ins.length) throw new Error('Bad index: greater than inputs length');
+
+            let arrSignatures = [];
+            const buffClaimProof = this._data.claimProofs[idx];
+            if (buffClaimProof) ({arrSignatures, nHashMethod} = this.constructor.parseClaimProof(buffClaimProof));
+
+            const hash = this.hash(idx, nHashMethod);
+            arrSignatures.push(Crypto.sign(hash, key, enc));
+            this._data.claimProofs[idx] = this.constructor.createClaimProof(Buffer.concat(arrSignatures), nHashMethod);
+        }
+
+        /**
+         * Whether tx has multisig outputs or claims with multiple signatures (@see HEIGHT_FORK_MULTISIG)
+         *
+         * @return {boolean}
+         */
+        usesMultisig() {
+            if (this.outputs.some(output => Coins.isMultisigDefinition(output.multisig))) return true;
+
+            const claimProofs = this.claimProofs;
+            return Array.isArray(claimProofs) && claimProofs.some(buffClaimProof =>
+                buffClaimProof && this.constructor.parseClaimProof(buffClaimProof).arrSignatures.length > 1
+            );
+        }
+
+        /**
+         * Whether tx has claims with hash method other than SIGHASH_ALL (@see HEIGHT_FORK_SIGHASH)
+         *
+         * @return {boolean}
+         */
+        usesSighashModes() {
+            const claimProofs = this.claimProofs;
+            return Array.isArray(claimProofs) && claimProofs.some(buffClaimProof =>
+                buffClaimProof && this.constructor.parseClaimProof(buffClaimProof).nHashMethod !== Constants.SIGHASH_ALL
+            );
         }
 
         /**
@@ -310,14 +597,41 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
 
             // check outputs
             const outputs = this.outputs;
-            const outsValid = outputs && outputs.every(output => {
-                return output.contractCode || output.amount > 0;
+            const outsValid = outputs && outputs.every((output, idx) => {
+                if (Coins.isMultisigDefinition(output.multisig) && !this._isValidMultisigOutput(output)) return false;
+
+                // only contract output (zero index) could upgrade contract
+                if (output.upgradeCode && (idx !== 0 || !output.contractCode)) return false;
+                return output.contractCode || toBigInt(output.amount) > 0n;
             });
 
             // we don't check signatures because claimProofs could be arbitrary value for codeScript, not only signatures
             assert(outsValid, 'Errors in outputs');
 
             assert(this.claimProofs.length === inputs.length || this.getTxSignature(), 'Errors in clamProofs');
+
+            // but hash method should be known, and SIGHASH_SINGLE requires output for claimed input
+            const claimsValid = this.claimProofs.every((buffProof, idx) => {
+                const {nHashMethod} = this.constructor.parseClaimProof(buffProof);
+                return nHashMethod !== Constants.SIGHASH_SINGLE || idx < outputs.length;
+            });
+            assert(claimsValid, 'Errors in clamProofs');
+        }
+
+        /**
+         * Definition is well formed & receiverAddr is derived from it
+         *
+         * @param {Object} output
+         * @return {boolean}
+         * @private
+         */
+        _isValidMultisigOutput({receiverAddr, multisig}) {
+            try {
+                Coins.checkMultisigDefinition(multisig);
+            } catch (e) {
+                return false;
+            }
+            return Coins.createMultisigAddress(multisig.nRequired, multisig.arrAddresses).equals(receiverAddr);
         }
 
         /**
@@ -334,7 +648,7 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
 
         verifyCoinbase(blockFees) {
             assert(this.isCoinbase(), 'Not a coinbase TX!');
-            assert(this.amountOut() === blockFees, 'Bad amount in coinbase!');
+            assert(this.amountOut() === toBigInt(blockFees), 'Bad amount in coinbase!');
         }
 
         isContractCreation() {
@@ -345,10 +659,18 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
         /**
          * Amount of coins to transfer with this TX
          *
-         * @returns {*}
+         * @returns {BigInt}
          */
         amountOut() {
-            return this.outputs.reduce((accum, out) => accum + out.amount, 0);
+            return this.outputs.reduce((accum, out) => accum + toBigInt(out.amount), 0n);
+        }
+
+        /**
+         *
+         * @return {boolean}
+         */
+        isContractUpgrade() {
+            return !!this._getContractOutput().upgradeCode;
         }
 
         getContractCode() {
@@ -366,9 +688,13 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
             return contractOutput.addrChangeReceiver;
         }
 
+        /**
+         *
+         * @return {BigInt}
+         */
         getContractSentAmount() {
             const contractOutput = this._getContractOutput();
-            return contractOutput.amount;
+            return toBigInt(contractOutput.amount);
         }
 
         _getContractOutput() {
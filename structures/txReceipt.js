@@ -2,6 +2,8 @@ const typeforce = require('typeforce');
 const types = require('../types');
 const assert = require('assert');
 
+const {toBigInt, bigIntToLong} = require('../utils');
+
 module.exports = ({Constants, Coins}, {txReceiptProto}) =>
 
     /**
@@ -19,6 +21,11 @@ module.exports = ({Constants, Coins}, {txReceiptProto}) =>
             if (Buffer.isBuffer(data)) {
                 this._data = txReceiptProto.decode(data);
             } else {
+                // store as Long, so encode/decode keeps it the same
+                if (typeof data.coinsUsed === 'bigint' || typeof data.coinsUsed === 'number') {
+                    data.coinsUsed = bigIntToLong(toBigInt(data.coinsUsed));
+                }
+
                 const errMsg = txReceiptProto.verify(data);
                 if (errMsg) throw new Error(`TxReceipt: ${errMsg}`);
 
@@ -45,6 +52,7 @@ module.exports = ({Constants, Coins}, {txReceiptProto}) =>
 
             this._data.internalTxns = this._data.internalTxns.concat(receiptToMerge._data.internalTxns);
             this._data.coins = this._data.coins.concat(receiptToMerge._data.coins);
+            this._data.logs = this._data.logs.concat(receiptToMerge._data.logs);
 
 //            Scenario is following:
 //            - we already have receipt for some tx
@@ -70,17 +78,18 @@ module.exports = ({Constants, Coins}, {txReceiptProto}) =>
 
         /**
          *
-         * @return {Number}
+         * @return {BigInt}
          */
         getCoinsUsed() {
-            return this._data.coinsUsed;
+            return toBigInt(this._data.coinsUsed || 0);
         }
 
         /**
          *
+         * @param {BigInt} nNewValue
          */
         _updateCoinsUsed(nNewValue) {
-            this._data.coinsUsed = nNewValue;
+            this._data.coinsUsed = bigIntToLong(toBigInt(nNewValue));
         }
 
         /**
@@ -154,11 +163,25 @@ module.exports = ({Constants, Coins}, {txReceiptProto}) =>
             return Coins.createFromData(this._data.coins[idx]);
         }
 
+        /**
+         *
+         * @return {Array} of {contractAddress: Buffer, name: String, data: String (JSON)}
+         */
+        getLogs() {
+            return this._data.logs;
+        }
+
         toObject() {
             return {
                 ...this._data,
+                coinsUsed: this.getCoinsUsed(),
                 contractAddress: this._data.contractAddress ? this._data.contractAddress.toString('hex') : undefined,
-                internalTxns: this._data.internalTxns.map(buffHash => buffHash.toString('hex'))
+                internalTxns: this._data.internalTxns.map(buffHash => buffHash.toString('hex')),
+                logs: this._data.logs.map(({contractAddress, name, data}) => ({
+                    contractAddress: contractAddress.toString('hex'),
+                    name,
+                    data: JSON.parse(data)
+                }))
             };
         }
     };
@@ -1,7 +1,7 @@
 const typeforce = require('typeforce');
 const types = require('../types');
 
-const {arrayEquals} = require('../utils');
+const {arrayEquals, toBigInt} = require('../utils');
 
 module.exports = ({Coins}, {utxoProto}) =>
     class UTXO {
@@ -20,18 +20,8 @@ module.exports = ({Coins}, {utxoProto}) =>
                     arrOutputs: []
                 };
 
-                if (data && Buffer.isBuffer(data)) {
-                    this._data = utxoProto.decode(data);
-
-                    // fix fixed64 conversion to Long. see https://github.com/dcodeIO/ProtoBuf.js/
-                    // If a proper way to work with 64 bit values (uint64, int64 etc.) is required,
-                    // just install long.js alongside this library.
-                    // All 64 bit numbers will then be returned as a Long instance instead of a possibly
-                    // unsafe JavaScript number (see).
-                    for (let output of this._data.arrOutputs) {
-                        output.amount = output.amount.toNumber();
-                    }
-                }
+                // amounts (fixed64) are decoded as Long, we keep them, Coins will convert it to BigInt
+                if (data && Buffer.isBuffer(data)) this._data = utxoProto.decode(data);
             } else {
                 throw new Error('Construct from txHash');
             }
@@ -143,13 +133,13 @@ module.exports = ({Coins}, {utxoProto}) =>
         /**
          * Amount of coins to transfer with this UTXO
          *
-         * @returns {Number}
+         * @returns {BigInt}
          */
         amountOut() {
             return this._data.arrIndexes.reduce((accum, idx) => {
                 const coins = this.coinsAtIndex(idx);
                 return accum + coins.getAmount();
-            }, 0);
+            }, 0n);
         }
 
         /**
@@ -160,9 +150,16 @@ module.exports = ({Coins}, {utxoProto}) =>
             this._data.arrIndexes.forEach((idx, i) => {
                 const coins = this._data.arrOutputs[i];
                 objResult[idx] = {
-                    amount: coins.amount,
+                    amount: toBigInt(coins.amount),
                     receiverAddr: coins.receiverAddr.toString('hex')
                 };
+                if (Coins.isMultisigDefinition(coins.multisig)) {
+                    objResult[idx].multisig = {
+                        nRequired: coins.multisig.nRequired,
+                        arrAddresses: coins.multisig.arrAddresses.map(addr => addr.toString('hex'))
+                    };
+                }
+                if (coins.nNotBeforeHeight) objResult[idx].nNotBeforeHeight = coins.nNotBeforeHeight;
             });
             return objResult;
         }
@@ -62,7 +62,8 @@ describe('Application layer', () => {
                 nFeeContractInvocation,
                 nFeeSize: nFeeSizeFakeTx,
                 nFeeStorage
-            }
+            },
+            bEmitEvents: true
         });
     });
 
@@ -170,6 +171,27 @@ describe('Application layer', () => {
         throw new Error('Unexpected success');
     });
 
+    it('should skip claim check for assumed valid block', async () => {
+        const app = new factory.Application();
+
+        const utxoHash = pseudoRandomBuffer().toString('hex');
+        const {storage, keyPair} = await createGenesis(factory, utxoHash);
+        const buffAddress = factory.Crypto.getAddress(keyPair.publicKey, true);
+        const anotherKeyPair = factory.Crypto.createKeyPair();
+
+        // create tx
+        const tx = new factory.Transaction();
+        tx.addInput(utxoHash, 12);
+        tx.addReceiver(100000, buffAddress);
+        tx.claim(0, anotherKeyPair.privateKey);
+
+        const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+        const {patch, totalHas} = app.processTxInputs(tx, patchUtxos, undefined, true);
+
+        assert.isOk(totalHas > 0n);
+        assert.isOk(patch.getUtxo(utxoHash));
+    });
+
     it('should process TX from GENESIS block', async () => {
         const app = new factory.Application();
 
@@ -342,6 +364,64 @@ describe('Application layer', () => {
         assert.deepEqual(contract.getData(), {value: 200110});
     });
 
+    it('should emit logs', async () => {
+        const strContractAddr = generateAddress().toString('hex');
+        const contract = new factory.Contract({
+            contractData: {value: 100},
+            contractCode: '{"add": "(a){this.value+=a; emit(\'Added\', {a});}"}',
+            conciliumId: 10
+        }, strContractAddr);
+
+        await app.runContract(
+            {method: 'add', arrArguments: [10]},
+            contract,
+            {}, undefined
+        );
+
+        const arrLogs = app.getLogs();
+        assert.equal(arrLogs.length, 1);
+        assert.equal(arrLogs[0].contractAddress.toString('hex'), strContractAddr);
+        assert.equal(arrLogs[0].name, 'Added');
+        assert.deepEqual(JSON.parse(arrLogs[0].data), {a: 10});
+
+        // log paid as storage
+        const nLogSize = 'Added'.length + JSON.stringify({a: 10}).length;
+        assert.equal(app.coinsSpent(), nFeeContractInvocation + nLogSize * nFeeStorage);
+    });
+
+    it('should throw (emit with empty name)', async () => {
+        const contract = new factory.Contract({
+            contractData: {value: 100},
+            contractCode: '{"add": "(a){emit(\'\', {a});}"}',
+            conciliumId: 10
+        }, generateAddress().toString('hex'));
+
+        return assert.isRejected(app.runContract(
+            {method: 'add', arrArguments: [10]},
+            contract,
+            {}, undefined
+        ), /Event name should be non empty/);
+    });
+
+    it('should throw (emit before fork)', async () => {
+        app.setupVariables({
+            coinsLimit: coinsIn,
+            objFees: {nFeeContractInvocation, nFeeStorage}
+        });
+        const contract = new factory.Contract({
+            contractData: {value: 100},
+            contractCode: '{"add": "(a){emit(\'Added\', {a});}"}',
+            conciliumId: 10
+        }, generateAddress().toString('hex'));
+
+        await assert.isRejected(app.runContract(
+            {method: 'add', arrArguments: [10]},
+            contract,
+            {}, undefined
+        ), /emit is not defined/);
+        assert.isEmpty(app.getLogs());
+    });
+
     it('should throw (unknown method)', async () => {
         const conciliumId = 10;
         const contract = new factory.Contract({
@@ -394,6 +474,63 @@ describe('Application layer', () => {
         assert.deepEqual(contract.getData(), {value: 117});
     });
 
+    it('should upgrade contract (keep data)', async () => {
+        const callerAddress = generateAddress().toString('hex');
+        const environment = {contractAddr: generateAddress().toString('hex'), callerAddress};
+        const app = new factory.Application();
+        app.setupVariables({
+            coinsLimit: Number.MAX_SAFE_INTEGER,
+            objFees: {nFeeContractCreation, nFeeContractInvocation, nFeeStorage}
+        });
+
+        const contract = app.createContract(
+            `class A extends Base {constructor(){super(); this.value = 1;} add(a){this.value+=a;}}; exports=new A();`,
+            environment
+        );
+
+        app.setupVariables({
+            coinsLimit: Number.MAX_SAFE_INTEGER,
+            objFees: {nFeeContractCreation, nFeeContractInvocation, nFeeStorage}
+        });
+        app.upgradeContract(
+            `class A extends Base {constructor(){super(); this.value = 100;} add(a){this.value+=2*a;}};
+            exports=new A();`,
+            contract, environment, 10
+        );
+
+        assert.equal(app.coinsSpent(), BigInt(nFeeContractCreation));
+        assert.deepEqual(contract.getData(), {_ownerAddress: callerAddress, value: 1});
+        assert.equal(contract.getCodeHistory().length, 2);
+
+        app.setupVariables({
+            coinsLimit: Number.MAX_SAFE_INTEGER,
+            objFees: {nFeeContractInvocation, nFeeStorage}
+        });
+        await app.runContract({method: 'add', arrArguments: [10]}, contract, environment);
+        assert.deepEqual(contract.getData(), {_ownerAddress: callerAddress, value: 21});
+    });
+
+    it('should account spent coins by category', async () => {
+        const contract = new factory.Contract({
+            contractData: {value: 100},
+            contractCode: '{"add": "(a){this.value+=a; this.arr=[1, 2]; emit(\'Added\', {a});}"}',
+            conciliumId: 10
+        }, generateAddress().toString('hex'));
+
+        await app.runContract({method: 'add', arrArguments: [10]}, contract, {});
+
+        // log & data delta paid as storage
+        const nLogSize = 'Added'.length + JSON.stringify({a: 10}).length;
+        assert.isAbove(app.getDataDelta(), 0);
+        assert.deepEqual(app.getSpentByCategory(), {
+            contractCreation: 0n,
+            contractInvocation: BigInt(nFeeContractInvocation),
+            codeOperations: 0n,
+            internalTxns: 0n,
+            storage: BigInt((nLogSize + app.getDataDelta()) * nFeeStorage)
+        });
+    });
+
     it('should call "constant function"', async () => {
         const conciliumId = 10;
         const sampleResult = {a: 10, b: 20};
@@ -443,4 +580,387 @@ describe('Application layer', () => {
 
         app.processPayments(tx, patch);
     });
+
+    it('should process TX with SIGHASH_ANYONECANPAY claims from different owners', async () => {
+        const app = new factory.Application();
+
+        const utxoHash = pseudoRandomBuffer().toString('hex');
+        const {storage, keyPair} = await createGenesis(factory, utxoHash);
+
+        // coins of second owner
+        const utxoHash2 = pseudoRandomBuffer().toString('hex');
+        const keyPair2 = factory.Crypto.createKeyPair();
+        const patchGenesis2 = new factory.PatchDB(0);
+        patchGenesis2.createCoins(utxoHash2, 0,
+            new factory.Coins(100000, factory.Crypto.getAddress(keyPair2.publicKey, true))
+        );
+        await storage.applyPatch(patchGenesis2);
+
+        // first owner creates tx & claims his input
+        const tx = new factory.Transaction();
+        tx.addInput(utxoHash, 12);
+        tx.addReceiver(1000, generateAddress());
+        tx.claim(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_ANYONECANPAY);
+
+        // second owner adds his input
+        tx.addInput(utxoHash2, 0);
+        tx.claim(1, keyPair2.privateKey, 'hex', factory.Constants.SIGHASH_ANYONECANPAY);
+
+        const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+        const {totalHas} = app.processTxInputs(tx, patchUtxos);
+        assert.equal(totalHas, 200000);
+    });
+
+    it('should process TX with SIGHASH_NONE & SIGHASH_SINGLE claims', async () => {
+        const app = new factory.Application();
+
+        const utxoHash = pseudoRandomBuffer().toString('hex');
+        const {storage, keyPair} = await createGenesis(factory, utxoHash);
+
+        const tx = new factory.Transaction();
+        tx.addInput(utxoHash, 12);
+        tx.addInput(utxoHash, 0);
+        tx.addReceiver(1000, generateAddress());
+        tx.addReceiver(1000, generateAddress());
+        tx.claim(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_NONE);
+        tx.claim(1, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+
+        // outputs could be added after claims
+        tx.addReceiver(1000, generateAddress());
+
+        const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+        const {patch} = app.processTxInputs(tx, patchUtxos);
+
+        app.processPayments(tx, patch);
+    });
+
+    it('should throw: SIGHASH_SINGLE claimed output modified', async () => {
+        const app = new factory.Application();
+
+        const utxoHash = pseudoRandomBuffer().toString('hex');
+        const {storage, keyPair} = await createGenesis(factory, utxoHash);
+
+        const tx = new factory.Transaction();
+        tx.addInput(utxoHash, 12);
+        tx.addReceiver(1000, generateAddress());
+        tx.claim(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+
+        tx._data.payload.outs[0].amount = 2000;
+
+        const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+        assert.throws(() => app.processTxInputs(tx, patchUtxos));
+    });
+
+    it('should throw: claim hash method replaced', async () => {
+        const app = new factory.Application();
+
+        const utxoHash = pseudoRandomBuffer().toString('hex');
+        const {storage, keyPair} = await createGenesis(factory, utxoHash);
+
+        const tx = new factory.Transaction();
+        tx.addInput(utxoHash, 12);
+        tx.addReceiver(1000, generateAddress());
+        tx.claim(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+
+        // try to reuse signature with SIGHASH_NONE
+        tx._data.claimProofs[0][65] = factory.Constants.SIGHASH_NONE;
+
+        const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+        assert.throws(() => app.processTxInputs(tx, patchUtxos));
+    });
+
+    describe('Multisig', () => {
+        let storage;
+        let utxoHash;
+        let arrKeyPairs;
+
+        beforeEach(async () => {
+            arrKeyPairs = [factory.Crypto.createKeyPair(), factory.Crypto.createKeyPair(), factory.Crypto.createKeyPair()];
+            utxoHash = pseudoRandomBuffer().toString('hex');
+
+            // 2 of 3
+            const patch = new factory.PatchDB(0);
+            patch.createCoins(utxoHash, 0, factory.Coins.createMultisig(100000, 2, arrKeyPairs.map(kp => kp.address)));
+
+            storage = new factory.Storage();
+            await storage.applyPatch(patch);
+        });
+
+        const createTx = () => {
+            const tx = new factory.Transaction();
+            tx.addInput(utxoHash, 0);
+            tx.addReceiver(1000, generateAddress());
+            return tx;
+        };
+
+        it('should process TX with 2 of 3 signatures', async () => {
+            const app = new factory.Application();
+            const tx = createTx();
+            tx.claimMultisig(0, arrKeyPairs[2].privateKey);
+            tx.claimMultisig(0, arrKeyPairs[0].privateKey);
+
+            const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+            const {totalHas} = app.processTxInputs(tx, patchUtxos);
+            assert.equal(totalHas, 100000);
+        });
+
+        it('should process TX with 2 of 3 signatures (SIGHASH_SINGLE)', async () => {
+            const app = new factory.Application();
+            const tx = createTx();
+            tx.claimMultisig(0, arrKeyPairs[1].privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+            tx.claimMultisig(0, arrKeyPairs[0].privateKey);
+
+            const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+            app.processTxInputs(tx, patchUtxos);
+        });
+
+        it('should throw: not enough signatures', async () => {
+            const app = new factory.Application();
+            const tx = createTx();
+            tx.claimMultisig(0, arrKeyPairs[0].privateKey);
+
+            const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+            assert.throws(() => app.processTxInputs(tx, patchUtxos), 'Not enough signatures');
+        });
+
+        it('should throw: duplicate signature', async () => {
+            const app = new factory.Application();
+            const tx = createTx();
+            tx.claimMultisig(0, arrKeyPairs[0].privateKey);
+            tx.claimMultisig(0, arrKeyPairs[0].privateKey);
+
+            const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+            assert.throws(() => app.processTxInputs(tx, patchUtxos), 'Duplicate signature');
+        });
+
+        it('should throw: signer is not an owner', async () => {
+            const app = new factory.Application();
+            const tx = createTx();
+            tx.claimMultisig(0, arrKeyPairs[0].privateKey);
+            tx.claimMultisig(0, factory.Crypto.createKeyPair().privateKey);
+
+            const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+            assert.throws(() => app.processTxInputs(tx, patchUtxos), 'Signer isn\'t an owner');
+        });
+
+        it('should throw: multiple signatures for regular coins', async () => {
+            const app = new factory.Application();
+
+            const utxoHashRegular = pseudoRandomBuffer().toString('hex');
+            const {storage, keyPair} = await createGenesis(factory, utxoHashRegular);
+
+            const tx = new factory.Transaction();
+            tx.addInput(utxoHashRegular, 12);
+            tx.addReceiver(1000, generateAddress());
+            tx.claimMultisig(0, keyPair.privateKey);
+            tx.claimMultisig(0, keyPair.privateKey);
+
+            const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+            assert.throws(() => app.processTxInputs(tx, patchUtxos));
+        });
+    });
+
+    describe('Timelocks', () => {
+        it('should throw: coins are locked', async () => {
+            const app = new factory.Application();
+
+            const utxoHash = pseudoRandomBuffer().toString('hex');
+            const keyPair = factory.Crypto.createKeyPair();
+            const patchGenesis = new factory.PatchDB(0);
+            patchGenesis.createCoins(utxoHash, 0, new factory.Coins(1e5, keyPair.address).lockTillHeight(100));
+            const storage = new factory.Storage();
+            await storage.applyPatch(patchGenesis);
+
+            const tx = new factory.Transaction();
+            tx.addInput(utxoHash, 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.claim(0, keyPair.privateKey);
+
+            const patchUtxos = await storage.getUtxosPatch(tx.utxos);
+            assert.throws(() => app.processTxInputs(tx, patchUtxos, 99), /are locked till height 100/);
+            assert.doesNotThrow(() => app.processTxInputs(tx, patchUtxos, 100));
+        });
+
+        it('should store relative lock as absolute', async () => {
+            const app = new factory.Application();
+
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.addReceiver(1000, generateAddress());
+            tx.lockOutput(0, 10, true);
+
+            const patch = new factory.PatchDB();
+            app.processPayments(tx, patch, 0, 100);
+
+            const utxo = patch.getUtxo(tx.getHash());
+            assert.equal(utxo.coinsAtIndex(0).getLockHeight(), 110);
+            assert.equal(utxo.coinsAtIndex(0).getRelativeLockHeight(), 0);
+            assert.equal(utxo.coinsAtIndex(1).getLockHeight(), 0);
+        });
+
+        it('should throw: no height for relative lock', async () => {
+            const app = new factory.Application();
+
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.lockOutput(0, 10, true);
+
+            assert.throws(() => app.processPayments(tx, new factory.PatchDB()));
+        });
+    });
+
+    describe('Code metering', () => {
+        const nFeeCodeOperation = 1;
+        let app;
+
+        const createMeteredApp = (coinsLimit) => {
+            const app = new factory.Application();
+            app.setupVariables({
+                coinsLimit,
+                objFees: {nFeeContractInvocation, nFeeContractCreation, nFeeStorage, nFeeCodeOperation}
+            });
+            return app;
+        };
+
+        beforeEach(() => {
+            app = createMeteredApp(1e6);
+        });
+
+        it('should charge operations', async () => {
+            const contract = new factory.Contract({
+                contractData: {value: 0},
+                contractCode: '{"add": "(n){for (let i = 0; i < n; i++) this.value++;}"}',
+                conciliumId: 10
+            });
+
+            await app.runContract({method: 'add', arrArguments: [10]}, contract, {});
+
+            assert.deepEqual(contract.getData(), {value: 10});
+
+            // every loop iteration is paid
+            const nOps = Number(app.coinsSpent()) - nFeeContractInvocation;
+            assert.isAbove(nOps, 10);
+
+            // same code - same price
+            const app2 = createMeteredApp(1e6);
+            await app2.runContract({method: 'add', arrArguments: [10]}, contract, {});
+            assert.equal(app2.coinsSpent(), app.coinsSpent());
+        });
+
+        it('should terminate infinite loop (even if it catches exception)', async () => {
+            const coinsLimit = nFeeContractInvocation + 1000;
+            const app = createMeteredApp(coinsLimit);
+            const contract = new factory.Contract({
+                contractData: {value: 0},
+                contractCode: '{"loop": "(){while(true) {try {this.value++;} catch (e) {}}}"}',
+                conciliumId: 10
+            });
+
+            await assert.isRejected(app.runContract({method: 'loop', arrArguments: []}, contract, {}),
+                /Contract run out of coins/
+            );
+            assert.equal(app.coinsSpent(), BigInt(coinsLimit));
+            assert.deepEqual(contract.getData(), {value: 0});
+        });
+
+        it('should keep timeout as safety bound for metered code', async () => {
+            assert.equal(app._createVm({}).timeout, factory.Constants.TIMEOUT_CODE);
+
+            const appNotMetered = new factory.Application();
+            appNotMetered.setupVariables({coinsLimit: 1e6, objFees: {nFeeContractInvocation}});
+            assert.equal(appNotMetered._createVm({}).timeout, factory.Constants.TIMEOUT_CODE);
+        });
+
+        it('should terminate single heavy native call (catastrophic regexp)', async () => {
+            const nPrevTimeout = factory.Constants.TIMEOUT_CODE;
+            factory.Constants.TIMEOUT_CODE = 500;
+            try {
+                const contract = new factory.Contract({
+                    contractData: {},
+                    contractCode: `{"test": "(){return /(a+)+$/.test('a'.repeat(64) + '!');}"}`,
+                    conciliumId: 10
+                });
+
+                await assert.isRejected(app.runContract({method: 'test', arrArguments: []}, contract, {}),
+                    /timed out/
+                );
+            } finally {
+                factory.Constants.TIMEOUT_CODE = nPrevTimeout;
+            }
+        });
+
+        it('should charge natives by size of data before allocation', async () => {
+            for (let strBody of ["return 'x'.repeat(2**28).length;", 'return new Array(1e9).fill(0).length;']) {
+                const app = createMeteredApp(nFeeContractInvocation + 1e5);
+                const contract = new factory.Contract({
+                    contractData: {},
+                    contractCode: JSON.stringify({test: `(){${strBody}}`}),
+                    conciliumId: 10
+                });
+
+                await assert.isRejected(app.runContract({method: 'test', arrArguments: []}, contract, {}),
+                    /Contract run out of coins/
+                );
+            }
+        });
+
+        it('should charge natives by size of data (small data is cheap)', async () => {
+            const contract = new factory.Contract({
+                contractData: {},
+                contractCode: `{"test": "(){return 'ab'.repeat(100).length + [3, 1, 2].sort().join('').length;}"}`,
+                conciliumId: 10
+            });
+
+            assert.equal(await app.runContract({method: 'test', arrArguments: []}, contract, {}, undefined, true),
+                203
+            );
+            assert.isAbove(Number(app.coinsSpent()) - nFeeContractInvocation, 200);
+        });
+
+        it('should throw (eval is disallowed)', async () => {
+            const contract = new factory.Contract({
+                contractData: {},
+                contractCode: `{"test": "(){return eval('1');}"}`,
+                conciliumId: 10
+            });
+
+            return assert.isRejected(app.runContract({method: 'test', arrArguments: []}, contract, {}));
+        });
+
+        it('should throw (code with meter name)', async () => {
+            const contract = new factory.Contract({
+                contractData: {},
+                contractCode: `{"test": "(){__MyMeter = () => {};}"}`,
+                conciliumId: 10
+            });
+
+            return assert.isRejected(app.runContract({method: 'test', arrArguments: []}, contract, {}),
+                /Code shouldn't contain/
+            );
+        });
+
+        it('should store contract code without meter calls', async () => {
+            const strCode = `
+                class A extends Base {
+                    inc(n) {
+                        for (let i = 0; i < n; i++) this.value++;
+                    }
+                }
+                exports=new A();
+            `;
+
+            const app = createMeteredApp(nFeeContractCreation + 1e6);
+            const contract = app.createContract(
+                strCode,
+                {contractAddr: generateAddress().toString('hex'), callerAddress: generateAddress().toString('hex')}
+            );
+
+            const objCode = contract.getCode();
+            assert.isOk(objCode.inc);
+            assert.isOk(Object.values(objCode).every(strCode => !strCode.includes('__MyMeter')));
+            assert.isAbove(Number(app.coinsSpent()), nFeeContractCreation);
+        });
+    });
 });
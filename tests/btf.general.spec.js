@@ -843,4 +843,112 @@ describe('BFT general tests', () => {
         assert.isNotOk(result);
     });
 
+    describe('Consensus stats', () => {
+        const States = () => factory.Constants.consensusStates;
+
+        it('should record committed round', async () => {
+            const {newBft} = createDummyBFT();
+            newBft.shouldPublish = sinon.fake.returns(false);
+            const strProposer = newBft._concilium.getProposerAddress();
+
+            newBft._stateChange(true, {state: States().ROUND_CHANGE, roundNo: 10});
+            const nRoundNo = newBft._concilium.getRound();
+
+            const block = createDummyBlock(factory);
+            newBft._block = block;
+            newBft._getSignaturesForBlock = sinon.fake.returns([pseudoRandomBuffer(65), pseudoRandomBuffer(65)]);
+            newBft._stateChange(true, {
+                state: States().VOTE_BLOCK,
+                blockHash: Buffer.from(block.hash(), 'hex')
+            });
+
+            // COMMIT timer expired
+            newBft._stateChange();
+
+            const {arrHistory, objWitnesses} = newBft.getStats();
+            assert.equal(arrHistory.length, 1);
+
+            const [objRound] = arrHistory;
+            assert.equal(objRound.strResult, BFT.RoundResults.COMMITTED);
+            assert.equal(objRound.nRoundNo, nRoundNo);
+            assert.equal(objRound.strProposer, strProposer);
+            assert.equal(objRound.strBlockHash, block.hash());
+            assert.deepEqual(objRound.arrTimeouts, []);
+            assert.containsAllKeys(objRound.objStateTimes, [States().ROUND_CHANGE, States().BLOCK, States().COMMIT]);
+            assert.equal(objWitnesses[strProposer].nProposed, 1);
+            assert.equal(objWitnesses[strProposer].nCommitted, 1);
+        });
+
+        it('should record timeout of proposer', async () => {
+            const {newBft} = createDummyBFT();
+            newBft.shouldPublish = sinon.fake.returns(false);
+            const strProposer = newBft._concilium.getProposerAddress();
+
+            newBft._stateChange(true, {state: States().ROUND_CHANGE, roundNo: 10});
+
+            // BLOCK timer expired
+            newBft._stateChange();
+
+            const {arrHistory, objWitnesses, objCurrentRound} = newBft.getStats();
+            const [objRound] = arrHistory;
+            assert.equal(objRound.strResult, BFT.RoundResults.BLOCK_TIMEOUT);
+            assert.deepEqual(objRound.arrTimeouts, [States().BLOCK]);
+            assert.equal(objWitnesses[strProposer].nBlockTimeouts, 1);
+            assert.equal(objCurrentRound.strResult, undefined);
+        });
+
+        it('should record invalid block', async () => {
+            const {newBft} = createDummyBFT();
+            newBft._state = States().BLOCK;
+
+            newBft.invalidBlock();
+
+            const {arrHistory: [objRound]} = newBft.getStats();
+            assert.equal(objRound.strResult, BFT.RoundResults.INVALID_BLOCK);
+        });
+
+        it('should record votes of witnesses', async () => {
+            const {arrKeyPairs, newBft} = createDummyBFT();
+            const [keyPair1, keyPair2] = arrKeyPairs;
+            newBft._state = States().BLOCK;
+            newBft._nextRound = sinon.fake();
+
+            const fakeBlockHash = Buffer.from(factory.Crypto.randomBytes(32));
+            const msgAck = new factory.Messages.MsgWitnessBlockVote({conciliumId, blockHash: fakeBlockHash});
+            msgAck.sign(keyPair1.privateKey);
+            newBft.processMessage(msgAck);
+
+            const msgReject = factory.Messages.MsgWitnessBlockVote.reject(conciliumId);
+            msgReject.sign(keyPair2.privateKey);
+            newBft.processMessage(msgReject);
+
+            const {objCurrentRound} = newBft.getStats();
+            assert.deepEqual(objCurrentRound.objVotes, {
+                [keyPair1.address]: fakeBlockHash.toString('hex'),
+                [keyPair2.address]: 'reject'
+            });
+        });
+
+        it('should record NextRound messages of witnesses', async () => {
+            const {arrKeyPairs, newBft} = createDummyBFT();
+            const [, keyPair2] = arrKeyPairs;
+
+            const msg = new factory.Messages.MsgWitnessNextRound({conciliumId, roundNo: 864});
+            msg.sign(keyPair2.privateKey);
+            newBft.processMessage(msg);
+
+            const {objCurrentRound} = newBft.getStats();
+            assert.deepEqual(objCurrentRound.arrNextRoundFrom, [keyPair2.address]);
+        });
+
+        it('should keep bounded history', async () => {
+            const {newBft} = createDummyBFT();
+            const nLimit = factory.Constants.CONSENSUS_STATS_HISTORY_LENGTH;
+
+            for (let i = 0; i < nLimit + 5; i++) newBft._nextRound(true, BFT.RoundResults.VOTE_TIMEOUT);
+
+            const {arrHistory} = newBft.getStats();
+            assert.equal(arrHistory.length, nLimit);
+        });
+    });
 });
@@ -35,4 +35,161 @@ describe('Coins', () => {
         assert.isNotOk(coin1.equals(coin2));
         assert.isNotOk(coin2.equals(coin1));
     });
+
+    describe('BigInt amounts', () => {
+        it('should create Coins with amount above MAX_SAFE_INTEGER', async () => {
+            const amount = BigInt(Number.MAX_SAFE_INTEGER) * 1000n + 1n;
+            const coins = new factory.Coins(amount, generateAddress());
+
+            assert.strictEqual(coins.getAmount(), amount);
+        });
+
+        it('should get amount as BigInt for Number one', async () => {
+            const coins = new factory.Coins(10, generateAddress());
+
+            assert.strictEqual(coins.getAmount(), 10n);
+        });
+
+        it('should create from data (Long amount)', async () => {
+            const amount = (1n << 63n) + 7n;
+            const coins = new factory.Coins(amount, generateAddress());
+
+            const restored = factory.Coins.createFromData(coins.getRawData());
+
+            assert.strictEqual(restored.getAmount(), amount);
+            assert.isOk(restored.equals(coins));
+        });
+
+        it('should FAIL to create Coins (fractional amount)', async () => {
+            assert.throws(() => new factory.Coins(10.5, generateAddress()));
+        });
+
+        it('should FAIL to create Coins (negative amount)', async () => {
+            assert.throws(() => new factory.Coins(-1n, generateAddress()), /bad amount/);
+        });
+
+        it('should FAIL to create Coins (uint64 overflow)', async () => {
+            assert.throws(() => new factory.Coins(1n << 64n, generateAddress()), /bad amount/);
+        });
+    });
+
+    describe('Multisig', () => {
+        it('should create multisig Coins', async () => {
+            const arrAddresses = [generateAddress(), generateAddress(), generateAddress()];
+            const coins = factory.Coins.createMultisig(10, 2, arrAddresses);
+
+            assert.isOk(coins.isMultisig());
+            assert.equal(coins.getMultisig().nRequired, 2);
+            assert.equal(coins.getMultisig().arrAddresses.length, 3);
+            assert.equal(coins.getReceiverAddr().length, 20);
+        });
+
+        it('should get same address regardless of owners order', async () => {
+            const arrAddresses = [generateAddress(), generateAddress(), generateAddress()];
+            const coins1 = factory.Coins.createMultisig(10, 2, arrAddresses);
+            const coins2 = factory.Coins.createMultisig(10, 2, arrAddresses.slice().reverse());
+
+            assert.isOk(coins1.getReceiverAddr().equals(coins2.getReceiverAddr()));
+            assert.isOk(coins1.equals(coins2));
+        });
+
+        it('should get different address for different nRequired', async () => {
+            const arrAddresses = [generateAddress(), generateAddress(), generateAddress()];
+            const coins1 = factory.Coins.createMultisig(10, 2, arrAddresses);
+            const coins2 = factory.Coins.createMultisig(10, 3, arrAddresses);
+
+            assert.isNotOk(coins1.getReceiverAddr().equals(coins2.getReceiverAddr()));
+            assert.isNotOk(coins1.equals(coins2));
+        });
+
+        it('should fail to create (bad nRequired)', async () => {
+            const arrAddresses = [generateAddress(), generateAddress()];
+
+            assert.throws(() => factory.Coins.createMultisig(10, 0, arrAddresses));
+            assert.throws(() => factory.Coins.createMultisig(10, 3, arrAddresses));
+        });
+
+        it('should fail to create (duplicate addresses)', async () => {
+            const address = generateAddress();
+
+            assert.throws(() => factory.Coins.createMultisig(10, 1, [address, Buffer.from(address)]));
+        });
+
+        it('should fail to create (too many addresses)', async () => {
+            const arrAddresses = [];
+            for (let i = 0; i <= factory.Constants.MULTISIG_MAX_ADDRESSES; i++) arrAddresses.push(generateAddress());
+
+            assert.throws(() => factory.Coins.createMultisig(10, 1, arrAddresses));
+        });
+
+        it('should create from data (decoded output without multisig)', async () => {
+            const coins = factory.Coins.createFromData({amount: 10, receiverAddr: generateAddress(), multisig: null});
+
+            assert.isNotOk(coins.isMultisig());
+        });
+
+        it('should fail EQUALITY (multisig vs regular)', async () => {
+            const coins = factory.Coins.createMultisig(10, 1, [generateAddress(), generateAddress()]);
+            const coinsRegular = new factory.Coins(10, coins.getReceiverAddr());
+
+            assert.isNotOk(coins.equals(coinsRegular));
+            assert.isNotOk(coinsRegular.equals(coins));
+        });
+    });
+
+    describe('Timelocks', () => {
+        it('should lock coins till height', async () => {
+            const coins = new factory.Coins(10, generateAddress()).lockTillHeight(100);
+
+            assert.equal(coins.getLockHeight(), 100);
+            assert.isOk(coins.isLocked(99));
+            assert.isNotOk(coins.isLocked(100));
+        });
+
+        it('should NOT be locked by default', async () => {
+            const coins = new factory.Coins(10, generateAddress());
+
+            assert.equal(coins.getLockHeight(), 0);
+            assert.isNotOk(coins.isLocked(0));
+        });
+
+        it('should convert relative lock to absolute', async () => {
+            const coins = new factory.Coins(10, generateAddress()).lockForBlocks(10);
+            assert.isNotOk(coins.isLocked(1));
+
+            coins.applyRelativeLock(100);
+
+            assert.equal(coins.getRelativeLockHeight(), 0);
+            assert.equal(coins.getLockHeight(), 110);
+        });
+
+        it('should keep absolute lock if it greater than relative one', async () => {
+            const coins = new factory.Coins(10, generateAddress()).lockTillHeight(200).lockForBlocks(10);
+
+            coins.applyRelativeLock(100);
+
+            assert.equal(coins.getLockHeight(), 200);
+        });
+
+        it('should create from data (with locks)', async () => {
+            const coins = factory.Coins.createFromData({
+                amount: 10,
+                receiverAddr: generateAddress(),
+                nNotBeforeHeight: 100,
+                nRelativeLockHeight: 5
+            });
+
+            assert.equal(coins.getLockHeight(), 100);
+            assert.equal(coins.getRelativeLockHeight(), 5);
+        });
+
+        it('should fail EQUALITY (different locks)', async () => {
+            const address = generateAddress();
+            const coin1 = new factory.Coins(10, address).lockTillHeight(100);
+            const coin2 = new factory.Coins(10, address);
+
+            assert.isNotOk(coin1.equals(coin2));
+            assert.isNotOk(coin2.equals(coin1));
+        });
+    });
 });
@@ -117,6 +117,46 @@ module.exports = class ContractConciliums extends Base {
         }
     }
 
+    async delegateStake(conciliumId, strWitnessAddress) {
+        if (!callerAddress) throw ('Sign transaction!');
+
+        if (this._proxyAddress) {
+            return await delegatecall(this._proxyAddress,
+                {method: "delegateStake", arrArguments: [conciliumId, strWitnessAddress]}
+            );
+        }
+
+        const objConcilium = this._checkConciliumId(conciliumId);
+
+//        if (objConcilium.type !== ${factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS}) {
+        if (objConcilium.type !== factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS) {
+            throw ('this method only for CONCILIUM_TYPE_POS');
+        }
+
+        global.bIndirectCall = true;
+        this._addPosDelegation(objConcilium, strWitnessAddress, callerAddress);
+    }
+
+    async undelegateStake(conciliumId, strWitnessAddress) {
+        if (!callerAddress) throw ('Sign transaction!');
+
+        if (this._proxyAddress) {
+            return await delegatecall(this._proxyAddress,
+                {method: "undelegateStake", arrArguments: [conciliumId, strWitnessAddress]}
+            );
+        }
+
+        const objConcilium = this._checkConciliumId(conciliumId);
+
+//        if (objConcilium.type !== ${factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS}) {
+        if (objConcilium.type !== factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS) {
+            throw ('this method only for CONCILIUM_TYPE_POS');
+        }
+
+        global.bIndirectCall = true;
+        this._retirePosDelegation(objConcilium, strWitnessAddress, callerAddress);
+    }
+
     async inviteToConcilium(conciliumId, arrAddresses) {
         if (!callerAddress) throw ('Sign transaction!');
 
@@ -143,6 +183,27 @@ module.exports = class ContractConciliums extends Base {
         }
     }
 
+    async slashWitness(conciliumId, strOffenderAddress, objEvidence) {
+        if (!callerAddress) throw ('Sign transaction!');
+
+        if (this._proxyAddress) {
+            return await delegatecall(this._proxyAddress,
+                {method: "slashWitness", arrArguments: [conciliumId, strOffenderAddress, objEvidence]}
+            );
+        }
+
+        // objEvidence (two conflicting committed blocks signed by offender) already verified by Node
+        const objConcilium = this._checkConciliumId(conciliumId);
+
+//        if (objConcilium.type !== ${factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS}) {
+        if (objConcilium.type !== factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS) {
+            throw ('this method only for CONCILIUM_TYPE_POS');
+        }
+
+        global.bIndirectCall = true;
+        this._slashPosConciliumMember(objConcilium, strOffenderAddress);
+    }
+
     setFeeCreate(nFeeNew) {
         this._checkOwner();
         this._feeCreate = nFeeNew;
@@ -182,6 +243,7 @@ module.exports = class ContractConciliums extends Base {
         const objConcilium = this._checkConciliumId(conciliumId);
         this._checkCreator(objConcilium, callerAddress);
         global.bIndirectCall = objConcilium._creator === callerAddress;
+        this._validateRewardPolicy(objNewParameters);
 
         const oldFees = objConcilium.parameters && objConcilium.parameters.fees ? objConcilium.parameters.fees : {};
         objConcilium.parameters.fees = {...oldFees, ...objNewParameters.fees};
@@ -189,12 +251,90 @@ module.exports = class ContractConciliums extends Base {
             objConcilium.parameters.isEnabled : objNewParameters.isEnabled;
         objConcilium.parameters.document = objNewParameters.document === undefined ?
             objConcilium.parameters.document : objNewParameters.document;
+        if (objNewParameters.rewardPolicy !== undefined) {
+            objConcilium.parameters.rewardPolicy = objNewParameters.rewardPolicy;
+        }
 
         if (!Array.isArray(objConcilium.parameterTXNs)) objConcilium.parameterTXNs = [];
         if (!this._isOwner(callerAddress)) this._disallowContractCreation(objConcilium);
         objConcilium.parameterTXNs.push(contractTx);
     }
 
+    async createProposal(conciliumId, objChanges, nHeightToApply) {
+        if (!callerAddress) throw ('Sign transaction!');
+
+        if (this._proxyAddress) {
+            return await delegatecall(this._proxyAddress,
+                {method: "createProposal", arrArguments: [conciliumId, objChanges, nHeightToApply]}
+            );
+        }
+
+        const objConcilium = this._checkConciliumId(conciliumId);
+        this._checkVoter(objConcilium, callerAddress);
+        this._validateProposalChanges(objConcilium, objChanges);
+        if (!(nHeightToApply > block.height)) throw ('Bad height to apply');
+
+        global.bIndirectCall = true;
+        this._applyProposals(objConcilium);
+
+        if (!Array.isArray(objConcilium.arrProposals)) objConcilium.arrProposals = [];
+        const objProposal = {
+            nProposalId: objConcilium.arrProposals.length,
+            objChanges,
+            nHeightToApply,
+            _creator: callerAddress,
+            arrVotes: [callerAddress],
+            isAccepted: false,
+            isApplied: false,
+            proposalTx: contractTx
+        };
+        objConcilium.arrProposals.push(objProposal);
+
+        this._checkProposalAccepted(objConcilium, objProposal);
+    }
+
+    async voteForProposal(conciliumId, nProposalId) {
+        if (!callerAddress) throw ('Sign transaction!');
+
+        if (this._proxyAddress) {
+            return await delegatecall(this._proxyAddress,
+                {method: "voteForProposal", arrArguments: [conciliumId, nProposalId]}
+            );
+        }
+
+        const objConcilium = this._checkConciliumId(conciliumId);
+        this._checkVoter(objConcilium, callerAddress);
+
+        global.bIndirectCall = true;
+        this._applyProposals(objConcilium);
+
+        const objProposal = this._checkProposalId(objConcilium, nProposalId);
+        if (objProposal.isAccepted) throw ('Proposal already accepted');
+        if (objProposal.nHeightToApply <= block.height) throw ('Voting is over');
+        if (objProposal.arrVotes.includes(callerAddress)) throw ('Already voted');
+
+        objProposal.arrVotes.push(callerAddress);
+        this._checkProposalAccepted(objConcilium, objProposal);
+    }
+
+    /**
+     * Accepted proposals are applied by first call of createProposal/voteForProposal/applyProposals
+     * at (or after) nHeightToApply. Anyone could call it.
+     * Till then node applies them when reads definitions (@see BaseConciliumDefinition.applyProposals)
+     */
+    async applyProposals(conciliumId) {
+        if (this._proxyAddress) {
+            return await delegatecall(this._proxyAddress,
+                {method: "applyProposals", arrArguments: [conciliumId]}
+            );
+        }
+
+        const objConcilium = this._checkConciliumId(conciliumId);
+
+        global.bIndirectCall = true;
+        this._applyProposals(objConcilium);
+    }
+
     // PoS concilium
     _getPosConciliumMember(objConcilium, callerAddress) {
         if (!Array.isArray(objConcilium.arrMembers)) objConcilium.arrMembers = [];
@@ -238,9 +378,78 @@ module.exports = class ContractConciliums extends Base {
         if (objMember.nHeightToRelease > block.height) throw ('Dont leave us now');
 
         send(objMember.address, objMember.amount);
+        this._returnPosDelegations(objMember);
         objConcilium.arrMembers.splice(idx, 1);
     }
 
+    _slashPosConciliumMember(objConcilium, strOffenderAddress) {
+        if (!global.bIndirectCall) throw ('You arent supposed to be here');
+
+        const idx = objConcilium.arrMembers.findIndex(member => member.address === strOffenderAddress);
+        if (!~idx) throw ('Not a member');
+
+        const [objOffender] = objConcilium.arrMembers.splice(idx, 1);
+
+        // 10% of stake is reward for evidence, the rest stays locked in this contract forever (burned)
+        const nReward = Math.floor(objOffender.amount / 10);
+        if (nReward) send(callerAddress, nReward);
+
+        // only own stake of offender is slashed
+        this._returnPosDelegations(objOffender);
+
+        if (!Array.isArray(objConcilium.slashTXNs)) objConcilium.slashTXNs = [];
+        objConcilium.slashTXNs.push(contractTx);
+    }
+
+    _addPosDelegation(objConcilium, strWitnessAddress, strDelegatorAddress, nAmount = value) {
+        if (!global.bIndirectCall) throw ('You arent supposed to be here');
+
+        if (!nAmount) throw ('Have no sense to delegate zero amount');
+
+        const objMember = this._getPosConciliumMember(objConcilium, strWitnessAddress);
+        if (!objMember) throw ('Not a member');
+
+        if (!Array.isArray(objMember.arrDelegations)) objMember.arrDelegations = [];
+        const objDelegation = objMember.arrDelegations.find(objRecord => objRecord.address === strDelegatorAddress);
+
+        if (objDelegation) {
+            objDelegation.amount += nAmount;
+//            objDelegation.nHeightToRelease = block.height + ${factory.Constants.concilium.HEIGHT_TO_RELEASE_ADD_ON}
+            objDelegation.nHeightToRelease = block.height + factory.Constants.concilium.HEIGHT_TO_RELEASE_ADD_ON;
+        } else {
+            objMember.arrDelegations.push({
+                address: strDelegatorAddress,
+                amount: nAmount,
+//            nHeightToRelease: block.height + ${factory.Constants.concilium.HEIGHT_TO_RELEASE_ADD_ON}
+                nHeightToRelease: block.height + factory.Constants.concilium.HEIGHT_TO_RELEASE_ADD_ON
+            });
+        }
+    }
+
+    _retirePosDelegation(objConcilium, strWitnessAddress, strDelegatorAddress) {
+        if (!global.bIndirectCall) throw ('You arent supposed to be here');
+
+        const objMember = this._getPosConciliumMember(objConcilium, strWitnessAddress);
+        if (!objMember) throw ('Not a member');
+
+        const arrDelegations = Array.isArray(objMember.arrDelegations) ? objMember.arrDelegations : [];
+        const idx = arrDelegations.findIndex(objRecord => objRecord.address === strDelegatorAddress);
+        if (!~idx) throw ('You have no delegation');
+
+        const objDelegation = arrDelegations[idx];
+        if (objDelegation.nHeightToRelease > block.height) throw ('Dont leave us now');
+
+        send(objDelegation.address, objDelegation.amount);
+        arrDelegations.splice(idx, 1);
+    }
+
+    _returnPosDelegations(objMember) {
+        if (!Array.isArray(objMember.arrDelegations)) return;
+
+        objMember.arrDelegations.forEach(objDelegation => send(objDelegation.address, objDelegation.amount));
+        objMember.arrDelegations = [];
+    }
+
     _checkDepositJoin(objConcilium, value) {
         if (value < objConcilium.nMinAmountToJoin) {
             throw ('You should send at least ' + objConcilium.nMinAmountToJoin + 'coins');
@@ -276,6 +485,99 @@ module.exports = class ContractConciliums extends Base {
         objConcilium.addresses.splice(idx, 1);
     }
 
+    // governance
+    _checkVoter(objConcilium, strAddress) {
+//        if (objConcilium.type === ${factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS}) {
+        if (objConcilium.type === factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS) {
+            if (!this._getPosConciliumMember(objConcilium, strAddress)) throw ('You arent member');
+        } else if (!this._rrConciliumMemberExists(objConcilium, strAddress)) {
+            throw ('You arent member');
+        }
+    }
+
+    _checkProposalId(objConcilium, nProposalId) {
+        const arrProposals = Array.isArray(objConcilium.arrProposals) ? objConcilium.arrProposals : [];
+        const objProposal = arrProposals[parseInt(nProposalId)];
+        if (!objProposal) throw ('Bad proposalId');
+
+        return objProposal;
+    }
+
+    _validateProposalChanges(objConcilium, objChanges) {
+        if (!objChanges || typeof objChanges !== 'object') throw ('Specify changes');
+
+        const arrKeys = Object.keys(objChanges);
+        if (!arrKeys.length) throw ('Specify changes');
+
+//        const bPoS = objConcilium.type === ${factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS};
+        const bPoS = objConcilium.type === factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS;
+        for (let strKey of arrKeys) {
+            const val = objChanges[strKey];
+            if (strKey === 'fees') {
+                if (!val || typeof val !== 'object') throw ('Bad fees');
+                if (!Object.keys(val).every(strFee => typeof val[strFee] === 'number' && val[strFee] >= 0)) {
+                    throw ('Bad fees');
+                }
+            } else if (strKey === 'quorum') {
+                if (bPoS) throw ('quorum only for CONCILIUM_TYPE_RR');
+                if (!Number.isInteger(val) || val < 1 || val > objConcilium.addresses.length) throw ('Bad quorum');
+            } else if (strKey === 'nMinAmountToJoin') {
+                if (!bPoS) throw ('nMinAmountToJoin only for CONCILIUM_TYPE_POS');
+                if (typeof val !== 'number' || val <= 0) throw ('Bad nMinAmountToJoin');
+            } else if (strKey !== 'document') {
+                throw ('Unknown parameter ' + strKey);
+            }
+        }
+    }
+
+    _checkProposalAccepted(objConcilium, objProposal) {
+        if (!global.bIndirectCall) throw ('You arent supposed to be here');
+
+        let bMajority;
+//        if (objConcilium.type === ${factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS}) {
+        if (objConcilium.type === factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS) {
+
+            // more than half of total stake (including delegated)
+            const getWeight = objMember => (objMember.arrDelegations || [])
+                .reduce((accum, objDelegation) => accum + objDelegation.amount, objMember.amount);
+            const nTotal = objConcilium.arrMembers.reduce((accum, objMember) => accum + getWeight(objMember), 0);
+            const nVoted = objConcilium.arrMembers
+                .filter(objMember => objProposal.arrVotes.includes(objMember.address))
+                .reduce((accum, objMember) => accum + getWeight(objMember), 0);
+            bMajority = nVoted * 2 > nTotal;
+        } else {
+
+            // same as ConciliumRrDefinition.getQuorum
+            const nQuorum = objConcilium.quorum || parseInt(objConcilium.addresses.length / 2) + 1;
+            const nVoted = objConcilium.addresses.filter(strAddr => objProposal.arrVotes.includes(strAddr)).length;
+            bMajority = nVoted >= nQuorum;
+        }
+
+        if (bMajority) objProposal.isAccepted = true;
+    }
+
+    _applyProposals(objConcilium) {
+        if (!global.bIndirectCall) throw ('You arent supposed to be here');
+        if (!Array.isArray(objConcilium.arrProposals)) return;
+
+        objConcilium.arrProposals
+            .filter(objProposal => objProposal.isAccepted && !objProposal.isApplied &&
+                                   objProposal.nHeightToApply <= block.height)
+            .forEach(objProposal => {
+                if (!objConcilium.parameters) objConcilium.parameters = {};
+
+                const {fees, quorum, nMinAmountToJoin, document} = objProposal.objChanges;
+                if (fees) objConcilium.parameters.fees = {...objConcilium.parameters.fees, ...fees};
+                if (document !== undefined) objConcilium.parameters.document = document;
+                if (quorum !== undefined) objConcilium.quorum = quorum;
+                if (nMinAmountToJoin !== undefined) objConcilium.nMinAmountToJoin = nMinAmountToJoin;
+
+                objProposal.isApplied = true;
+                if (!Array.isArray(objConcilium.parameterTXNs)) objConcilium.parameterTXNs = [];
+                objConcilium.parameterTXNs.push(objProposal.proposalTx);
+            });
+    }
+
     // common
     _checkConciliumId(conciliumId) {
         conciliumId = parseInt(conciliumId);
@@ -302,6 +604,8 @@ module.exports = class ContractConciliums extends Base {
     }
 
     _validateConcilium(objConcilium) {
+        this._validateRewardPolicy(objConcilium.parameters);
+
 //        if (objConcilium.type === ${factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS}) {
         if (objConcilium.type === factory.BaseConciliumDefinition.CONCILIUM_TYPE_POS) {
             if (!Array.isArray(objConcilium.arrMembers)) objConcilium.arrMembers = [];
@@ -313,6 +617,22 @@ module.exports = class ContractConciliums extends Base {
         }
     }
 
+    _validateRewardPolicy(objParameters = {}) {
+        if (objParameters.rewardPolicy === undefined) return;
+
+//        const arrPolicies = [
+//            ${factory.BaseConciliumDefinition.REWARD_POLICY_PROPOSER},
+//            ${factory.BaseConciliumDefinition.REWARD_POLICY_STAKE},
+//            ${factory.BaseConciliumDefinition.REWARD_POLICY_SIGNERS}
+//        ];
+        const arrPolicies = [
+            factory.BaseConciliumDefinition.REWARD_POLICY_PROPOSER,
+            factory.BaseConciliumDefinition.REWARD_POLICY_STAKE,
+            factory.BaseConciliumDefinition.REWARD_POLICY_SIGNERS
+        ];
+        if (!arrPolicies.includes(objParameters.rewardPolicy)) throw ('Unknown rewardPolicy');
+    }
+
     _disallowContractCreation(objConcilium) {
         const nHighWatermark = 1e11;
 
@@ -838,6 +838,39 @@ describe('Concilium contract', () => {
             assert.equal(storedConcilium.getFeeStorage(), nOldFee);
         });
 
+        it('should set rewardPolicy', async () => {
+            const concilium = new factory.ConciliumPos({
+                isOpen: true,
+                nMinAmountToJoin: 1e5,
+                parameters: {
+                    fees: 'fakeFees',
+                    isEnabled: true
+                }
+            });
+
+            contract.setFeeCreate(1e2);
+            await contract.createConcilium(concilium.toObject());
+
+            await contract.changeConciliumParameters(1,
+                {rewardPolicy: factory.BaseConciliumDefinition.REWARD_POLICY_STAKE}
+            );
+
+            const storedConcilium = new factory.ConciliumPos(contract._checkConciliumId(1));
+            assert.equal(storedConcilium.getRewardPolicy(), factory.BaseConciliumDefinition.REWARD_POLICY_STAKE);
+        });
+
+        it('should fail to set unknown rewardPolicy', async () => {
+            const concilium = new factory.ConciliumRr({
+                isOpen: true,
+                parameters: {
+                    rewardPolicy: 100
+                }
+            });
+            contract.setFeeCreate(1e2);
+
+            await assert.isRejected(contract.createConcilium(concilium.toObject()), 'Unknown rewardPolicy');
+        });
+
         it('should disable concilium', async () => {
             const objNewParameters = {
                 isEnabled: false
@@ -862,4 +895,327 @@ describe('Concilium contract', () => {
             assert.isNotOk(storedConcilium.isEnabled());
         });
     });
+
+    describe('Slash witness', async () => {
+        let strOffender;
+
+        beforeEach(async () => {
+            global.send = sinon.fake();
+
+            const concilium = new factory.ConciliumPos({
+                isOpen: true,
+                conciliumId: 1,
+                nMinAmountToJoin: 1e5
+            });
+            contract.setFeeCreate(1e2);
+            await contract.createConcilium(concilium.toObject());
+
+            strOffender = global.callerAddress;
+            await contract.joinConcilium(1);
+
+            global.callerAddress = generateAddress().toString('hex');
+        });
+
+        it('should fail for unsigned', async () => {
+            global.callerAddress = undefined;
+
+            return assert.isRejected(contract.slashWitness(1, strOffender, {}), 'Sign transaction!');
+        });
+
+        it('should fail for RR concilium', async () => {
+            return assert.isRejected(contract.slashWitness(0, strOffender, {}),
+                'this method only for CONCILIUM_TYPE_POS'
+            );
+        });
+
+        it('should fail for non member', async () => {
+            return assert.isRejected(contract.slashWitness(1, generateAddress().toString('hex'), {}),
+                'Not a member'
+            );
+        });
+
+        it('should slash member', async () => {
+            await contract.slashWitness(1, strOffender, {});
+
+            const storedConcilium = contract._checkConciliumId(1);
+            assert.isNotOk(contract._getPosConciliumMember(storedConcilium, strOffender));
+            assert.deepEqual(storedConcilium.slashTXNs, [global.contractTx]);
+
+            // reward for reporter
+            assert.isOk(global.send.calledOnce);
+            const [strReceiver, nAmount] = global.send.args[0];
+            assert.equal(strReceiver, global.callerAddress);
+            assert.equal(nAmount, global.value / 10);
+        });
+
+        it('should use proxy', async () => {
+            const strReporter = global.callerAddress;
+            global.callerAddress = addrCurrentOwner;
+            contract.setProxy(generateAddress().toString('hex'));
+            global.callerAddress = strReporter;
+            global.delegatecall = sinon.fake();
+
+            await contract.slashWitness(1, strOffender, {});
+
+            assert.isOk(global.delegatecall.calledOnce);
+            assert.isOk(contract._getPosConciliumMember(contract._checkConciliumId(1), strOffender));
+        });
+    });
+
+    describe('Delegate stake', async () => {
+        let strWitness;
+        let strDelegator;
+
+        beforeEach(async () => {
+            global.send = sinon.fake();
+
+            const concilium = new factory.ConciliumPos({
+                isOpen: true,
+                conciliumId: 1,
+                nMinAmountToJoin: 1e5
+            });
+            contract.setFeeCreate(1e2);
+            await contract.createConcilium(concilium.toObject());
+
+            strWitness = global.callerAddress;
+            global.block.height = 100;
+            await contract.joinConcilium(1);
+
+            global.callerAddress = strDelegator = generateAddress().toString('hex');
+            global.value = 3e5;
+        });
+
+        it('should fail for RR concilium', async () => {
+            return assert.isRejected(contract.delegateStake(0, strWitness), 'this method only for CONCILIUM_TYPE_POS');
+        });
+
+        it('should fail for non member', async () => {
+            return assert.isRejected(contract.delegateStake(1, generateAddress().toString('hex')), 'Not a member');
+        });
+
+        it('should delegate', async () => {
+            await contract.delegateStake(1, strWitness);
+
+            const storedConcilium = new factory.ConciliumPos(contract._checkConciliumId(1));
+            assert.deepEqual(storedConcilium.getStakeholders(strWitness), [
+                {address: strWitness, amount: 1e8},
+                {address: strDelegator, amount: 3e5}
+            ]);
+        });
+
+        it('should increase delegation', async () => {
+            await contract.delegateStake(1, strWitness);
+            global.block.height = 200;
+            await contract.delegateStake(1, strWitness);
+
+            const [objDelegation] = contract._getPosConciliumMember(
+                contract._checkConciliumId(1),
+                strWitness
+            ).arrDelegations;
+            assert.equal(objDelegation.amount, 6e5);
+            assert.equal(objDelegation.nHeightToRelease, 200 + factory.Constants.concilium.HEIGHT_TO_RELEASE_ADD_ON);
+        });
+
+        it('should FAIL to undelegate (too early)', async () => {
+            await contract.delegateStake(1, strWitness);
+
+            return assert.isRejected(contract.undelegateStake(1, strWitness), 'Dont leave us now');
+        });
+
+        it('should FAIL to undelegate (no delegation)', async () => {
+            return assert.isRejected(contract.undelegateStake(1, strWitness), 'You have no delegation');
+        });
+
+        it('should undelegate', async () => {
+            await contract.delegateStake(1, strWitness);
+            global.block.height = 100 + factory.Constants.concilium.HEIGHT_TO_RELEASE_ADD_ON + 1;
+
+            await contract.undelegateStake(1, strWitness);
+
+            assert.isOk(global.send.calledOnceWith(strDelegator, 3e5));
+            const storedConcilium = new factory.ConciliumPos(contract._checkConciliumId(1));
+            assert.deepEqual(storedConcilium.getStakeholders(strWitness), [{address: strWitness, amount: 1e8}]);
+        });
+
+        it('should return delegations when member leaves', async () => {
+            await contract.delegateStake(1, strWitness);
+            global.block.height = 100 + factory.Constants.concilium.HEIGHT_TO_RELEASE_ADD_ON + 1;
+            global.callerAddress = strWitness;
+
+            await contract.leaveConcilium(1);
+
+            assert.isOk(global.send.calledWith(strWitness, 1e8));
+            assert.isOk(global.send.calledWith(strDelegator, 3e5));
+        });
+
+        it('should return delegations when member slashed', async () => {
+            await contract.delegateStake(1, strWitness);
+            global.callerAddress = generateAddress().toString('hex');
+
+            await contract.slashWitness(1, strWitness, {});
+
+            assert.isOk(global.send.calledWith(global.callerAddress, 1e7));
+            assert.isOk(global.send.calledWith(strDelegator, 3e5));
+        });
+    });
+
+    describe('Governance', async () => {
+        let arrMembers;
+
+        const callAs = async (strAddress, fn) => {
+            const strPrevCaller = global.callerAddress;
+            global.callerAddress = strAddress;
+            try {
+                return await fn();
+            } finally {
+                global.callerAddress = strPrevCaller;
+            }
+        };
+
+        describe('RR concilium', async () => {
+            beforeEach(async () => {
+                arrMembers = [1, 2, 3].map(() => generateAddress().toString('hex'));
+                const concilium = new factory.ConciliumRr({
+                    conciliumId: 1,
+                    addresses: arrMembers,
+                    parameters: {
+                        fees: {feeTxSize: 100, feeStorage: 10},
+                        document: 'oldHash'
+                    }
+                });
+                contract.setFeeCreate(1e2);
+                await contract.createConcilium(concilium.toObject());
+                global.block.height = 100;
+            });
+
+            it('should FAIL to create proposal (not a member)', async () => {
+                return assert.isRejected(contract.createProposal(1, {document: 'hash'}, 200), 'You arent member');
+            });
+
+            it('should FAIL to create proposal (bad changes)', async () => {
+                await callAs(arrMembers[0], async () => {
+                    await assert.isRejected(contract.createProposal(1, {}, 200), 'Specify changes');
+                    await assert.isRejected(contract.createProposal(1, {quorum: 4}, 200), 'Bad quorum');
+                    await assert.isRejected(contract.createProposal(1, {fees: {feeTxSize: -1}}, 200), 'Bad fees');
+                    await assert.isRejected(contract.createProposal(1, {nMinAmountToJoin: 1e5}, 200),
+                        'nMinAmountToJoin only for CONCILIUM_TYPE_POS'
+                    );
+                    await assert.isRejected(contract.createProposal(1, {isEnabled: false}, 200),
+                        'Unknown parameter isEnabled'
+                    );
+                });
+            });
+
+            it('should FAIL to create proposal (bad height)', async () => {
+                return callAs(arrMembers[0],
+                    () => assert.isRejected(contract.createProposal(1, {document: 'hash'}, 100), 'Bad height to apply')
+                );
+            });
+
+            it('should create proposal (voted by creator)', async () => {
+                await callAs(arrMembers[0], () => contract.createProposal(1, {document: 'hash'}, 200));
+
+                const storedConcilium = new factory.ConciliumRr(contract._checkConciliumId(1));
+                const objProposal = storedConcilium.getProposal(0);
+                assert.deepEqual(objProposal.arrVotes, [arrMembers[0]]);
+                assert.equal(objProposal.proposalTx, global.contractTx);
+                assert.isNotOk(objProposal.isAccepted);
+            });
+
+            it('should FAIL to vote twice', async () => {
+                await callAs(arrMembers[0], () => contract.createProposal(1, {document: 'hash'}, 200));
+
+                return callAs(arrMembers[0],
+                    () => assert.isRejected(contract.voteForProposal(1, 0), 'Already voted')
+                );
+            });
+
+            it('should FAIL to vote (bad proposal)', async () => {
+                return callAs(arrMembers[0],
+                    () => assert.isRejected(contract.voteForProposal(1, 0), 'Bad proposalId')
+                );
+            });
+
+            it('should FAIL to vote after height to apply', async () => {
+                await callAs(arrMembers[0], () => contract.createProposal(1, {document: 'hash'}, 200));
+                global.block.height = 200;
+
+                return callAs(arrMembers[1],
+                    () => assert.isRejected(contract.voteForProposal(1, 0), 'Voting is over')
+                );
+            });
+
+            it('should accept and apply proposal at height', async () => {
+                const objChanges = {fees: {feeTxSize: 200}, quorum: 3, document: 'newHash'};
+                await callAs(arrMembers[0], () => contract.createProposal(1, objChanges, 200));
+                await callAs(arrMembers[1], () => contract.voteForProposal(1, 0));
+
+                assert.isOk(contract._checkConciliumId(1).arrProposals[0].isAccepted);
+
+                // too early
+                await contract.applyProposals(1);
+                assert.equal(new factory.ConciliumRr(contract._checkConciliumId(1)).getDocument(), 'oldHash');
+
+                global.block.height = 200;
+                await contract.applyProposals(1);
+
+                const storedConcilium = new factory.ConciliumRr(contract._checkConciliumId(1));
+                assert.equal(storedConcilium.getDocument(), 'newHash');
+                assert.equal(storedConcilium.getFeeTxSize(), 200);
+                assert.equal(storedConcilium.getFeeStorage(), 10);
+                assert.equal(storedConcilium.getQuorum(), 3);
+                assert.isOk(storedConcilium.getProposal(0).isApplied);
+                assert.include(contract._checkConciliumId(1).parameterTXNs, storedConcilium.getProposal(0).proposalTx);
+            });
+
+            it('should apply proposal with next proposal', async () => {
+                await callAs(arrMembers[0], () => contract.createProposal(1, {document: 'newHash'}, 200));
+                await callAs(arrMembers[1], () => contract.voteForProposal(1, 0));
+                global.block.height = 300;
+
+                await callAs(arrMembers[2], () => contract.createProposal(1, {document: 'nextHash'}, 400));
+
+                const storedConcilium = new factory.ConciliumRr(contract._checkConciliumId(1));
+                assert.equal(storedConcilium.getDocument(), 'newHash');
+                assert.equal(storedConcilium.getProposals().length, 2);
+            });
+        });
+
+        describe('PoS concilium', async () => {
+            beforeEach(async () => {
+                arrMembers = [1e5, 3e5].map(amount => ({amount, address: generateAddress().toString('hex')}));
+                const concilium = factory.ConciliumPos.create(1, 1e5, 100, arrMembers);
+                contract.setFeeCreate(1e2);
+                global.value = 1e6;
+                await contract.createConcilium(concilium.toObject());
+                global.block.height = 100;
+            });
+
+            it('should FAIL to change quorum', async () => {
+                return callAs(arrMembers[0].address,
+                    () => assert.isRejected(contract.createProposal(1, {quorum: 1}, 200),
+                        'quorum only for CONCILIUM_TYPE_RR'
+                    )
+                );
+            });
+
+            it('should accept proposal by majority of stake', async () => {
+                await callAs(arrMembers[0].address, () => contract.createProposal(1, {nMinAmountToJoin: 2e5}, 200));
+                assert.isNotOk(contract._checkConciliumId(1).arrProposals[0].isAccepted);
+
+                await callAs(arrMembers[1].address, () => contract.voteForProposal(1, 0));
+                assert.isOk(contract._checkConciliumId(1).arrProposals[0].isAccepted);
+
+                global.block.height = 200;
+                await contract.applyProposals(1);
+                assert.equal(contract._checkConciliumId(1).nMinAmountToJoin, 2e5);
+            });
+
+            it('should accept proposal of member with major stake', async () => {
+                await callAs(arrMembers[1].address, () => contract.createProposal(1, {document: 'hash'}, 200));
+
+                assert.isOk(contract._checkConciliumId(1).arrProposals[0].isAccepted);
+            });
+        });
+    });
 });
@@ -23,6 +23,62 @@ describe('Conciliums', async () => {
         it('should get constant CONCILIUM_TYPE_RR', async () => {
             assert.equal(factory.BaseConciliumDefinition.CONCILIUM_TYPE_RR, 0);
         });
+        it('should get REWARD_POLICY_PROPOSER by default', async () => {
+            const concilium = factory.ConciliumRr.create(10, [generateAddress().toString('hex')]);
+            assert.equal(concilium.getRewardPolicy(), factory.BaseConciliumDefinition.REWARD_POLICY_PROPOSER);
+        });
+        it('should get proposals', async () => {
+            const objProposal = {nProposalId: 0, objChanges: {document: 'hash'}, nHeightToApply: 100, arrVotes: []};
+            const concilium = new factory.ConciliumRr({
+                conciliumId: 10,
+                addresses: [generateAddress().toString('hex')],
+                arrProposals: [objProposal]
+            });
+
+            assert.deepEqual(concilium.getProposals(), [objProposal]);
+            assert.deepEqual(concilium.getProposal(0), objProposal);
+            assert.isNotOk(concilium.getProposal(1));
+            assert.deepEqual(factory.ConciliumRr.create(10, []).getProposals(), []);
+        });
+        it('should apply accepted proposals at nHeightToApply', async () => {
+            const arrAddresses = [generateAddress().toString('hex'), generateAddress().toString('hex')];
+            const concilium = new factory.ConciliumRr({
+                conciliumId: 10,
+                addresses: arrAddresses,
+                parameters: {fees: {feeTxSize: 111, feeStorage: 10}},
+                arrProposals: [
+                    {nProposalId: 0, objChanges: {fees: {feeTxSize: 222}, quorum: 1}, nHeightToApply: 100,
+                        arrVotes: arrAddresses, isAccepted: true, isApplied: false},
+                    {nProposalId: 1, objChanges: {document: 'hash'}, nHeightToApply: 100,
+                        arrVotes: [arrAddresses[0]], isAccepted: false, isApplied: false}
+                ]
+            });
+
+            assert.isNotOk(concilium.hasProposalsToApply(99));
+            concilium.applyProposals(99);
+            assert.equal(concilium.getFeeTxSize(), 111);
+
+            assert.isOk(concilium.hasProposalsToApply(100));
+            concilium.applyProposals(100);
+
+            assert.equal(concilium.getFeeTxSize(), 222);
+            assert.equal(concilium.getFeeStorage(), 10);
+            assert.equal(concilium.getQuorum(), 1);
+            assert.isNotOk(concilium.toObject().parameters.document);
+            assert.isOk(concilium.getProposal(0).isApplied);
+            assert.isNotOk(concilium.getProposal(1).isApplied);
+            assert.isNotOk(concilium.hasProposalsToApply(200));
+        });
+        it('should get rewardPolicy parameter', async () => {
+            const concilium = new factory.ConciliumRr({
+                conciliumId: 10,
+                addresses: [generateAddress().toString('hex')],
+                parameters: {
+                    rewardPolicy: factory.BaseConciliumDefinition.REWARD_POLICY_SIGNERS
+                }
+            });
+            assert.equal(concilium.getRewardPolicy(), factory.BaseConciliumDefinition.REWARD_POLICY_SIGNERS);
+        });
     });
     describe('ConciliumRr', () => {
         after(async function() {
@@ -112,6 +168,13 @@ describe('Conciliums', async () => {
             assert.equal(concilium.getFeeStorage(), feeStorage);
         });
 
+        it('should get equal stakes of members', async () => {
+            const arrAddresses = [generateAddress().toString('hex'), generateAddress().toString('hex')];
+            const def = factory.ConciliumRr.create(10, arrAddresses);
+
+            assert.deepEqual(def.getMembersStakes(), arrAddresses.map(address => ({address, amount: 1})));
+        });
+
         it('should be isRoundRobin', async () => {
             const def = factory.ConciliumRr.create(10, [pseudoRandomBuffer(33), pseudoRandomBuffer(33)]);
             assert.isOk(def.isRoundRobin());
@@ -168,6 +231,45 @@ describe('Conciliums', async () => {
             assert.throws(() => new factory.ConciliumPos());
         });
 
+        it('should get stakes of members', async () => {
+            const arrStakes = concilium.getMembersStakes();
+
+            assert.deepEqual(arrStakes.map(({amount}) => amount), [1e3, 1e5]);
+            assert.deepEqual(arrStakes.map(({address}) => address), concilium.getAddresses(false));
+        });
+
+        it('should add delegated stakes to weight', async () => {
+            const [strWitness1, strWitness2] = concilium.getAddresses(false);
+            const strDelegator = generateAddress().toString('hex');
+            const objData = concilium.toObject();
+            objData.arrMembers[0].arrDelegations = [{address: strDelegator, amount: 99e3, nHeightToRelease: 100}];
+
+            const conciliumDelegated = new factory.ConciliumPos(objData);
+
+            assert.equal(conciliumDelegated.getWitnessWeight(strWitness1), 0.5);
+            assert.equal(conciliumDelegated.getWitnessWeight(strWitness2), 0.5);
+            assert.deepEqual(conciliumDelegated.getMembersStakes().map(({amount}) => amount), [1e5, 1e5]);
+            assert.deepEqual(conciliumDelegated.getStakeholders(strWitness1), [
+                {address: strWitness1, amount: 1e3},
+                {address: strDelegator, amount: 99e3}
+            ]);
+            assert.isNotOk(conciliumDelegated.getStakeholders(strDelegator));
+        });
+
+        it('should use only own stakes before delegation fork', async () => {
+            const [strWitness1, strWitness2] = concilium.getAddresses(false);
+            const objData = concilium.toObject();
+            objData.arrMembers[0].arrDelegations = [
+                {address: generateAddress().toString('hex'), amount: 99e3, nHeightToRelease: 100}
+            ];
+
+            const conciliumDelegated = new factory.ConciliumPos(objData, undefined, false);
+
+            assert.isBelow(conciliumDelegated.getWitnessWeight(strWitness1), 0.01);
+            assert.isAbove(conciliumDelegated.getWitnessWeight(strWitness2), 0.99);
+            assert.deepEqual(conciliumDelegated.getMembersStakes().map(({amount}) => amount), [1e3, 1e5]);
+        });
+
         it('should _formProposerAddressesSequence', async () => {
 
             concilium._formProposerAddressesSequence(11);
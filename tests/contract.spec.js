@@ -546,4 +546,139 @@ describe('Contract tests', () => {
             assert.isOk(contract._bPatched);
         });
     });
+
+    describe('Code upgrade', () => {
+        let contract;
+        const objNewCode = {add: '(a){this.value+=2*a;}', sub: '(a){this.value-=a;}'};
+
+        beforeEach(async () => {
+            contract = new factory.Contract({
+                contractData: {value: 10},
+                contractCode: '{"add": "(a){this.value+=a;}"}',
+                conciliumId: 1
+            });
+            contract.deposit(1000);
+        });
+
+        it('should have empty history (never upgraded)', async () => {
+            assert.deepEqual(contract.getCodeHistory(), []);
+            assert.deepEqual(contract.getCodeVersionAt(100), {codeHash: contract.getCodeHash(), nHeight: 0});
+        });
+
+        it('should upgrade code and keep data & balance', async () => {
+            const strInitialHash = contract.getCodeHash();
+
+            contract.upgradeCode(objNewCode, 100);
+
+            assert.deepEqual(contract.getCode(), objNewCode);
+            assert.deepEqual(contract.getData(), {value: 10});
+            assert.equal(contract.getBalance(), 1000n);
+            assert.notEqual(contract.getCodeHash(), strInitialHash);
+            assert.deepEqual(contract.getCodeHistory(), [
+                {codeHash: strInitialHash, nHeight: 0},
+                {codeHash: contract.getCodeHash(), nHeight: 100}
+            ]);
+        });
+
+        it('should get version in effect at height', async () => {
+            const strInitialHash = contract.getCodeHash();
+            contract.upgradeCode(objNewCode, 100);
+
+            assert.equal(contract.getCodeVersionAt(99).codeHash, strInitialHash);
+            assert.equal(contract.getCodeVersionAt(100).codeHash, contract.getCodeHash());
+            assert.equal(contract.getCodeVersionAt(1000).codeHash, contract.getCodeHash());
+        });
+
+        it('should encode/decode upgraded contract', async () => {
+            contract.upgradeCode(objNewCode, 100);
+
+            const restoredContract = new factory.Contract(contract.encode());
+
+            assert.deepEqual(restoredContract.getCode(), objNewCode);
+            assert.deepEqual(restoredContract.getCodeHistory(), contract.getCodeHistory());
+            assert.equal(restoredContract.getCodeHash(), contract.getCodeHash());
+        });
+    });
+
+    describe('ABI', () => {
+        const getMethod = (contract, strName) => contract.getAbi().find(({name}) => name === strName);
+
+        it('should get args & arity', async () => {
+            const contract = new factory.Contract({
+                contractCode: JSON.stringify({
+                    add: '(a, b){return a+b;}',
+                    opt: '(a, b=2){return a+b;}',
+                    rest: '<(a, ...arrRest){return arrRest;}'
+                }),
+                conciliumId: 1
+            });
+
+            assert.deepInclude(getMethod(contract, 'add'),
+                {args: ['a', 'b'], nRequiredArgs: 2, isAsync: false, hasRest: false}
+            );
+            assert.deepInclude(getMethod(contract, 'opt'), {args: ['a', 'b'], nRequiredArgs: 1});
+            assert.deepInclude(getMethod(contract, 'rest'),
+                {args: ['a', '...arrRest'], nRequiredArgs: 1, isAsync: true, hasRest: true}
+            );
+        });
+
+        it('should detect constant & payable methods', async () => {
+            const contract = new factory.Contract({
+                contractCode: JSON.stringify({
+                    get: '(){return this.value;}',
+                    set: '(a){this.value=a;}',
+                    setViaThis: '(a){this.set(a);}',
+                    notify: '(){emit("Event", {value: 1});}',
+                    pay: '(){this.balance+=value;}',
+                    notPay: '(value){return value;}'
+                }),
+                conciliumId: 1
+            });
+
+            assert.deepInclude(getMethod(contract, 'get'), {isConstant: true, isPayable: false});
+            assert.deepInclude(getMethod(contract, 'set'), {isConstant: false, isPayable: false});
+            assert.deepInclude(getMethod(contract, 'setViaThis'), {isConstant: false});
+            assert.deepInclude(getMethod(contract, 'notify'), {isConstant: false, isPayable: false});
+            assert.deepInclude(getMethod(contract, 'pay'), {isConstant: false, isPayable: true});
+            assert.deepInclude(getMethod(contract, 'notPay'), {isConstant: true, isPayable: false});
+        });
+
+        it('should detect mutation through method calls & aliases of contract data', async () => {
+            const contract = new factory.Contract({
+                contractCode: JSON.stringify({
+                    push: '(x){this.arr.push(x);}',
+                    setMap: '(k){this._map[k].set(k);}',
+                    assign: '(obj){Object.assign(this, obj);}',
+                    assignMember: '(obj){Object.assign(this._data, obj);}',
+                    alias: '(k){const b = this._balances; b[k] = 1;}',
+                    aliasOfAlias: '(k){let b; b = this._data; const {inner} = b; inner[k]++;}',
+                    destructured: '(k){const {_balances} = this; delete _balances[k];}',
+                    loop: '(){for (const item of this.arr) item.value = 0;}',
+                    get: '(k){const b = this._balances; return b[k] || 0;}',
+                    copy: '(){let arrCopy = this.arr.length ? [1] : []; arrCopy.push(2); return arrCopy;}'
+                }),
+                conciliumId: 1
+            });
+
+            for (let strName of ['push', 'setMap', 'assign', 'assignMember', 'alias', 'aliasOfAlias', 'destructured',
+                'loop']) {
+                assert.deepInclude(getMethod(contract, strName), {isConstant: false}, strName);
+            }
+            assert.deepInclude(getMethod(contract, 'get'), {isConstant: true});
+            assert.deepInclude(getMethod(contract, 'copy'), {isConstant: true});
+        });
+
+        it('should invalidate ABI after upgrade', async () => {
+            const contract = new factory.Contract({
+                contractCode: '{"add": "(a){this.value+=a;}"}',
+                conciliumId: 1
+            });
+            assert.isOk(getMethod(contract, 'add'));
+
+            contract.upgradeCode({sub: '(a){this.value-=a;}'}, 100);
+
+            assert.isNotOk(getMethod(contract, 'add'));
+            assert.isOk(getMethod(contract, 'sub'));
+        });
+    });
 });
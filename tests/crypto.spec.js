@@ -118,4 +118,96 @@ describe('Crypto library', () => {
 
         assert.equal(keyPair.address, Crypto.getAddress(keyPair.publicKey, false));
     });
+
+    describe('HD keys', () => {
+        const strMnemonic =
+            'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+        // BIP32 test vector 1
+        const buffSeed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+        it('should create valid mnemonic', async () => {
+            const strNewMnemonic = Crypto.createMnemonic();
+
+            assert.equal(strNewMnemonic.split(' ').length, 12);
+            assert.isOk(Crypto.validateMnemonic(strNewMnemonic));
+            assert.equal(Crypto.createMnemonic(256).split(' ').length, 24);
+        });
+
+        it('should convert entropy to mnemonic (BIP39 vectors)', async () => {
+            assert.equal(Crypto.entropyToMnemonic(Buffer.alloc(16, 0)), strMnemonic);
+            assert.equal(
+                Crypto.entropyToMnemonic(Buffer.alloc(32, 0xff)),
+                'zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo vote'
+            );
+        });
+
+        it('should FAIL to validate mnemonic', async () => {
+            assert.isNotOk(Crypto.validateMnemonic(strMnemonic.replace('about', 'abandon')));
+            assert.isNotOk(Crypto.validateMnemonic(strMnemonic.replace('about', 'notaword')));
+            assert.isNotOk(Crypto.validateMnemonic('abandon abandon about'));
+        });
+
+        it('should create seed from mnemonic (BIP39 vector)', async () => {
+            assert.equal(
+                Crypto.mnemonicToSeed(strMnemonic, 'TREZOR').toString('hex'),
+                'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e5349553' +
+                '1f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+            );
+        });
+
+        it('should derive keys (BIP32 vector)', async () => {
+            const hdMaster = Crypto.hdKeyFromSeed(buffSeed);
+
+            assert.equal(
+                hdMaster.toExtendedKey(),
+                'xprv9s21ZrQH143K3QTDL4LXw2F7HEK3wJUD2nW2nRk4stbPy6cq3jPPqjiChkVvvNKmPGJxWUtg6LnF5kejMRNNU3TGtRBeJgk33yuGBxrMPHi'
+            );
+            assert.equal(
+                hdMaster.toExtendedKey(true),
+                'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8'
+            );
+            assert.equal(
+                hdMaster.derivePath('m/0\'').toExtendedKey(),
+                'xprv9uHRZZhk6KAJC1avXpDAp4MDc3sQKNxDiPvvkX8Br5ngLNv1TxvUxt4cV1rGL5hj6KCesnDYUhd7oWgT11eZG7XnxHrnYeSvkzY7d2bhkJ7'
+            );
+            assert.equal(
+                hdMaster.derivePath('m/0\'/1').toExtendedKey(true),
+                'xpub6ASuArnXKPbfEwhqN6e3mwBcDTgzisQN1wXN9BJcM47sSikHjJf3UFHKkNAWbWMiGj7Wf5uMash7SyYq527Hqck2AxYysAA7xmALppuCkwQ'
+            );
+        });
+
+        it('should derive same public keys from xpub', async () => {
+            const hdAccount = Crypto.hdKeyFromSeed(buffSeed).derivePath('m/44\'/0\'/0\'');
+            const hdPublic = Crypto.hdKeyFromExtendedKey(hdAccount.toExtendedKey(true));
+
+            assert.isOk(hdPublic.isNeutered());
+            assert.isNotOk(hdPublic.privateKey);
+
+            const hdChild = hdAccount.derivePath('0/5');
+            assert.equal(hdPublic.derivePath('0/5').address, hdChild.address);
+            assert.equal(hdChild.keyPair.address, hdChild.address);
+        });
+
+        it('should restore key from xprv', async () => {
+            const hdKey = Crypto.hdKeyFromSeed(buffSeed).derivePath('m/1/2\'');
+            const hdRestored = Crypto.hdKeyFromExtendedKey(hdKey.toExtendedKey());
+
+            assert.equal(hdRestored.privateKey, hdKey.privateKey);
+            assert.equal(hdRestored.derivePath('3').address, hdKey.derivePath('3').address);
+        });
+
+        it('should FAIL to derive hardened key from xpub', async () => {
+            const hdPublic = Crypto.hdKeyFromSeed(buffSeed).neutered();
+
+            assert.throws(() => hdPublic.derivePath('0\''), 'hardened derivation requires private key');
+        });
+
+        it('should FAIL to decode extended key (bad checksum)', async () => {
+            const strXpub = Crypto.hdKeyFromSeed(buffSeed).toExtendedKey(true);
+            const strBroken = strXpub.slice(0, -1) + (strXpub.endsWith('a') ? 'b' : 'a');
+
+            assert.throws(() => Crypto.hdKeyFromExtendedKey(strBroken), 'Bad base58 checksum');
+        });
+    });
 });
@@ -41,8 +41,8 @@ describe('Contract integration tests', () => {
     beforeEach(async () => {
         nCoinsIn = factory.Constants.fees.CONTRACT_CREATION_FEE + nFakeFeeTx + nFakeFeeDataSize * 1000;
         node = new factory.Node();
-        node._calculateSizeFee = sinon.fake.resolves(nFakeFeeTx);
-        node._getFeeStorage = sinon.fake.resolves(nFakeFeeDataSize);
+        node._calculateSizeFee = sinon.fake.resolves(BigInt(nFakeFeeTx));
+        node._getFeeStorage = sinon.fake.resolves(BigInt(nFakeFeeDataSize));
 
         await node.ensureLoaded();
     });
@@ -903,7 +903,7 @@ describe('Contract integration tests', () => {
                 conciliumId: 0
             }, strContractAddr);
 
-            node._calculateSizeFee = sinon.fake.resolves(nFakeFeeTx);
+            node._calculateSizeFee = sinon.fake.resolves(BigInt(nFakeFeeTx));
             coinsLimit = factory.Constants.fees.CONTRACT_INVOCATION_FEE + factory.Constants.fees.INTERNAL_TX_FEE +
                          nFakeFeeTx;
         });
@@ -976,7 +976,7 @@ describe('Contract integration tests', () => {
                 contractCode: `{"test": "(){}", "throws": "(){throw 'error'}"}`
             }, strContractAddr);
 
-            node._calculateSizeFee = sinon.fake.resolves(nFakeFeeTx);
+            node._calculateSizeFee = sinon.fake.resolves(BigInt(nFakeFeeTx));
             node._getContractByAddr = sinon.fake.resolves(contract2);
 
             coinsLimit = 2 * factory.Constants.fees.CONTRACT_INVOCATION_FEE + nFakeFeeTx;
@@ -143,6 +143,32 @@ describe('Mempool tests', () => {
         assert.equal(arrTxns.length, 3);
     });
 
+    it('should getFinalTxns skipping not final txns', async () => {
+        const mempool = new factory.Mempool({testStorage: true});
+        const createLockedTx = (nLockTime) => {
+            const objTx = createDummyTx();
+            objTx.payload.nLockTime = nLockTime;
+            return new factory.Transaction(objTx);
+        };
+        const tx1 = new factory.Transaction(createDummyTx());
+        const tx2 = createLockedTx(100);
+        const tx3 = createLockedTx(factory.Constants.LOCKTIME_THRESHOLD + 1000);
+        const tx4 = createLockedTx(200);
+
+        mempool.addTx(tx1);
+        mempool.addTx(tx2);
+        mempool.addTx(tx3);
+        mempool.addLocalTx(tx4);
+
+        assert.equal(mempool.getFinalTxns(0).length, 4);
+        assert.equal(mempool.getFinalTxns(0, 99, factory.Constants.LOCKTIME_THRESHOLD).length, 1);
+        assert.equal(mempool.getFinalTxns(0, 100, factory.Constants.LOCKTIME_THRESHOLD).length, 2);
+        assert.equal(mempool.getFinalTxns(0, 200, factory.Constants.LOCKTIME_THRESHOLD + 1000).length, 4);
+
+        // not final txns stay in mempool
+        assert.isOk(mempool.hasTx(tx2.getHash()));
+    });
+
     it('should remove oldest txns with age > TX_LIFETIME(5s.)', async function() {
         const clock = sinon.useFakeTimers();
 
@@ -393,4 +419,284 @@ describe('Mempool tests', () => {
             assert.equal(tx2.getHash(), arrHashes[1]);
         });
     });
+
+    describe('RBF & CPFP', () => {
+        let mempool;
+
+        // spend same output with different receivers (so hashes differ)
+        const createTx = (strInputHash, nOutput = 0) => {
+            const tx = new factory.Transaction();
+            tx.addInput(strInputHash, nOutput);
+            tx.addReceiver(1000, pseudoRandomBuffer(20));
+            return tx;
+        };
+
+        beforeEach(async () => {
+            mempool = new factory.Mempool({testStorage: true});
+        });
+
+        it('should replace tx paying more', async () => {
+            const strInputHash = pseudoRandomBuffer().toString('hex');
+            const tx1 = createTx(strInputHash);
+            const tx2 = createTx(strInputHash);
+
+            mempool.addTx(tx1, 100n);
+            const arrReplaced = mempool.addTx(tx2, 100n + BigInt(factory.Constants.MEMPOOL_RBF_INCREMENT_PER_KB));
+
+            assert.deepEqual(arrReplaced, [tx1.getHash()]);
+            assert.isNotOk(mempool.hasTx(tx1.getHash()));
+            assert.isOk(mempool.hasTx(tx2.getHash()));
+        });
+
+        it('should FAIL to replace (fee not higher)', async () => {
+            const strInputHash = pseudoRandomBuffer().toString('hex');
+            const tx1 = createTx(strInputHash);
+            const tx2 = createTx(strInputHash);
+
+            mempool.addTx(tx1, 100n);
+
+            assert.throws(() => mempool.addTx(tx2, 100n), /fee should be at least/);
+            assert.throws(() => mempool.addTx(tx2), /fee should be at least/);
+            assert.isOk(mempool.hasTx(tx1.getHash()));
+        });
+
+        it('should require fee increment for replaced size', async () => {
+            const strInputHash = pseudoRandomBuffer().toString('hex');
+            const tx1 = createTx(strInputHash);
+            const tx2 = createTx(strInputHash);
+            const nIncrement = BigInt(factory.Constants.MEMPOOL_RBF_INCREMENT_PER_KB) * BigInt(tx1.getSize()) / 1024n;
+            const nMinFee = 100n + nIncrement;
+
+            mempool.addTx(tx1, 100n);
+
+            assert.throws(() => mempool.addTx(tx2, 101n), /fee should be at least/);
+            assert.throws(() => mempool.addTx(tx2, nMinFee - 1n), /fee should be at least/);
+            assert.deepEqual(mempool.addTx(tx2, nMinFee), [tx1.getHash()]);
+        });
+
+        it('should replace local tx and remove descendants', async () => {
+            const strInputHash = pseudoRandomBuffer().toString('hex');
+            const txParent = createTx(strInputHash);
+            const txChild = createTx(txParent.getHash());
+            const txReplacement = createTx(strInputHash);
+
+            mempool.addLocalTx(txParent, undefined, false, 100n);
+            mempool.addTx(txChild, 100n);
+
+            // should pay more than parent & child
+            assert.throws(() => mempool.addLocalTx(txReplacement, undefined, false, 150n), /fee should be at least/);
+
+            const nFee = 200n + BigInt(factory.Constants.MEMPOOL_RBF_INCREMENT_PER_KB);
+            const arrReplaced = mempool.addLocalTx(txReplacement, undefined, false, nFee);
+
+            assert.deepEqual(arrReplaced.sort(), [txParent.getHash(), txChild.getHash()].sort());
+            assert.deepEqual(mempool.getContent(), [txReplacement.getHash()]);
+        });
+
+        it('should order by fee rate', async () => {
+            const tx1 = createTx(pseudoRandomBuffer().toString('hex'));
+            const tx2 = createTx(pseudoRandomBuffer().toString('hex'));
+            const tx3 = createTx(pseudoRandomBuffer().toString('hex'));
+
+            mempool.addTx(tx1, 100n);
+            mempool.addTx(tx2, 300n);
+            mempool.addLocalTx(tx3, undefined, false, 200n);
+
+            const arrTxns = mempool.getFinalTxnsByFeeRate(0);
+            assert.deepEqual(arrTxns.map(tx => tx.getHash()), [tx2, tx3, tx1].map(tx => tx.getHash()));
+        });
+
+        it('should pull low paying parent by child (CPFP)', async () => {
+            const txParent = createTx(pseudoRandomBuffer().toString('hex'));
+            const txChild = createTx(txParent.getHash());
+            const txOther = createTx(pseudoRandomBuffer().toString('hex'));
+
+            mempool.addTx(txParent, 10n);
+            mempool.addTx(txOther, 300n);
+            mempool.addTx(txChild, 1000n);
+
+            const arrTxns = mempool.getFinalTxnsByFeeRate(0);
+            assert.deepEqual(arrTxns.map(tx => tx.getHash()), [txParent, txChild, txOther].map(tx => tx.getHash()));
+        });
+
+        it('should rate sibling without already selected parent', async () => {
+            const txParent = createTx(pseudoRandomBuffer().toString('hex'));
+            const txChild1 = createTx(txParent.getHash(), 0);
+            const txChild2 = createTx(txParent.getHash(), 1);
+            const txOther = createTx(pseudoRandomBuffer().toString('hex'));
+
+            mempool.addTx(txParent, 10n);
+            mempool.addTx(txOther, 300n);
+            mempool.addTx(txChild1, 1000n);
+            mempool.addTx(txChild2, 500n);
+
+            // txChild2 with txParent rated lower than txOther, but parent is already selected with txChild1
+            const arrTxns = mempool.getFinalTxnsByFeeRate(0);
+            assert.deepEqual(
+                arrTxns.map(tx => tx.getHash()),
+                [txParent, txChild1, txChild2, txOther].map(tx => tx.getHash())
+            );
+        });
+
+        it('should skip child if parent is not final', async () => {
+            const txParent = createTx(pseudoRandomBuffer().toString('hex'));
+            txParent.setLockTime(100);
+            const txChild = createTx(txParent.getHash());
+
+            mempool.addTx(txParent, 10n);
+            mempool.addTx(txChild, 1000n);
+
+            assert.equal(mempool.getFinalTxnsByFeeRate(0, 10, factory.Constants.LOCKTIME_THRESHOLD).length, 0);
+            assert.equal(mempool.getFinalTxnsByFeeRate(0, 100, factory.Constants.LOCKTIME_THRESHOLD).length, 2);
+        });
+    });
+
+    describe('Fee rate', () => {
+        let mempool;
+
+        const createTx = () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addReceiver(1000, pseudoRandomBuffer(20));
+            return tx;
+        };
+
+        beforeEach(async () => {
+            mempool = new factory.Mempool({testStorage: true});
+        });
+
+        it('should track fee per byte', async () => {
+            const tx = createTx();
+            mempool.addTx(tx, 1000n);
+
+            const {nFeePerByte} = mempool._getEntry(tx.getHash());
+            assert.equal(nFeePerByte, 1000 / tx.getSize());
+        });
+
+        it('should evict lowest fee rate first', async () => {
+            const arrTxns = [createTx(), createTx(), createTx(), createTx()];
+            mempool.addTx(arrTxns[0], 3000n);
+            mempool.addTx(arrTxns[1], 100n);
+            mempool.addTx(arrTxns[2], 2000n);
+            mempool.addTx(arrTxns[3], 100n);
+
+            mempool._purgeMaps([mempool._mapConcilimTxns.get(0)], 2);
+
+            assert.isOk(mempool.hasTx(arrTxns[0].getHash()));
+            assert.isNotOk(mempool.hasTx(arrTxns[1].getHash()));
+            assert.isOk(mempool.hasTx(arrTxns[2].getHash()));
+            assert.isNotOk(mempool.hasTx(arrTxns[3].getHash()));
+        });
+
+        it('should have no estimation without statistics', async () => {
+            assert.isUndefined(mempool.estimateFee(0, 1));
+        });
+
+        it('should collect inclusion statistics', async () => {
+            const tx1 = createTx();
+            const tx2 = createTx();
+            mempool.addTx(tx1, 1000n);
+            mempool.addTx(tx2, 2000n);
+
+            mempool.removeForBlock([tx1.getHash()], 0);
+            mempool.removeForBlock([], 0);
+            mempool.removeForBlock([tx2.getHash()], 0);
+
+            assert.deepEqual(
+                mempool._mapFeeStats.get(0).map(({nBlocksWaited, nBlock}) => ({nBlocksWaited, nBlock})),
+                [{nBlocksWaited: 1, nBlock: 1}, {nBlocksWaited: 3, nBlock: 3}]
+            );
+        });
+
+        it('should estimate lowest rate included within target', async () => {
+
+            // high paying included in next block, low paying waited 3 blocks
+            const arrHigh = [createTx(), createTx(), createTx()];
+            const arrLow = [createTx(), createTx()];
+            arrHigh.forEach(tx => mempool.addTx(tx, 3000n));
+            arrLow.forEach(tx => mempool.addTx(tx, 300n));
+
+            mempool.removeForBlock(arrHigh.map(tx => tx.getHash()), 0);
+            mempool.removeForBlock([], 0);
+            mempool.removeForBlock(arrLow.map(tx => tx.getHash()), 0);
+
+            const nHighRate = 3000 / arrHigh[0].getSize();
+            const nLowRate = 300 / arrLow[0].getSize();
+
+            assert.equal(mempool.estimateFee(0, 1), nHighRate);
+            assert.equal(mempool.estimateFee(0, 3), nLowRate);
+
+            // other concilium
+            assert.isUndefined(mempool.estimateFee(1, 1));
+        });
+
+        it('should count txns waiting longer than target as failed', async () => {
+            const txIncluded = createTx();
+            const txWaiting = createTx();
+            mempool.addTx(txIncluded, 1000n);
+            mempool.addTx(txWaiting, 5000n);
+
+            mempool.removeForBlock([txIncluded.getHash()], 0);
+            mempool.removeForBlock([], 0);
+
+            assert.isUndefined(mempool.estimateFee(0, 1));
+            assert.equal(mempool.estimateFee(0, 2), 1000 / txIncluded.getSize());
+        });
+    });
+
+    describe('Persistence', () => {
+        let mempool;
+
+        beforeEach(async () => {
+
+            // DB adapter should be loaded with real fs
+            sinon.restore();
+            mempool = new factory.Mempool({testStorage: true});
+        });
+
+        it('should save and load all txns', async () => {
+            const tx = new factory.Transaction(createDummyTx(undefined, 1));
+            const txLocal = new factory.Transaction(createDummyTx());
+            mempool.addTx(tx, 100n, 1000);
+            mempool.addLocalTx(txLocal, undefined, false, 200n);
+
+            assert.equal(await mempool.saveToDb(), 2);
+
+            const arrEntries = await mempool.loadFromDb();
+
+            assert.equal(arrEntries.length, 2);
+            const [objWire, objLocal] = arrEntries;
+            assert.equal(objWire.tx.getHash(), tx.getHash());
+            assert.equal(objWire.arrived, 1000);
+            assert.equal(objWire.conciliumId, 1);
+            assert.isNotOk(objWire.isLocal);
+            assert.equal(objLocal.tx.getHash(), txLocal.getHash());
+            assert.isOk(objLocal.isLocal);
+        });
+
+        it('should not add loaded txns', async () => {
+            const tx = new factory.Transaction(createDummyTx());
+            mempool.addTx(tx, 100n);
+            await mempool.saveToDb();
+            mempool.removeTxns([tx.getHash()]);
+
+            await mempool.loadFromDb();
+
+            assert.isNotOk(mempool.hasTx(tx.getHash()));
+        });
+
+        it('should replace previously saved txns', async () => {
+            const tx1 = new factory.Transaction(createDummyTx());
+            const tx2 = new factory.Transaction(createDummyTx());
+            mempool.addTx(tx1, 100n);
+            await mempool.saveToDb();
+
+            mempool.removeForBlock([tx1.getHash()]);
+            mempool.addTx(tx2, 100n);
+            await mempool.saveToDb();
+
+            const arrEntries = await mempool.loadFromDb();
+            assert.deepEqual(arrEntries.map(({tx}) => tx.getHash()), [tx2.getHash()]);
+        });
+    });
 });
@@ -0,0 +1,30 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+const {createDummyTx, pseudoRandomBuffer} = require('../testUtil');
+
+const factory = require('../testFactory');
+
+describe('MessageBlockTxn', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    it('should create empty message', async () => {
+        const msg = new factory.Messages.MsgBlockTxn();
+        assert.isOk(msg.isBlockTxn());
+    });
+
+    it('should encode/decode message', async () => {
+        const strBlockHash = pseudoRandomBuffer().toString('hex');
+        const arrTxns = [new factory.Transaction(createDummyTx()), new factory.Transaction(createDummyTx())];
+        const msg = new factory.Messages.MsgBlockTxn({blockHash: strBlockHash, txns: arrTxns});
+
+        const restoredMsg = new factory.Messages.MsgBlockTxn(new factory.Messages.MsgCommon(msg.encode()));
+
+        assert.equal(restoredMsg.blockHash, strBlockHash);
+        assert.deepEqual(restoredMsg.txns.map(tx => tx.getHash()), arrTxns.map(tx => tx.getHash()));
+    });
+});
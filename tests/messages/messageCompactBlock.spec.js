@@ -0,0 +1,91 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+const {createDummyTx, pseudoRandomBuffer, generateAddress} = require('../testUtil');
+
+const factory = require('../testFactory');
+
+const createBlockWithTxns = (nTxns) => {
+    const block = new factory.Block(0);
+    const arrTxns = [];
+    for (let i = 0; i < nTxns; i++) {
+        const tx = new factory.Transaction(createDummyTx());
+        block.addTx(tx);
+        arrTxns.push(tx);
+    }
+    block.parentHashes = [pseudoRandomBuffer().toString('hex')];
+    block.finish(factory.Constants.fees.TX_FEE, generateAddress());
+
+    return {block, arrTxns};
+};
+
+describe('MessageCompactBlock', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    it('should create empty message', async () => {
+        const msg = new factory.Messages.MsgCompactBlock();
+        assert.equal(msg.network, factory.Constants.network);
+        assert.isOk(msg.isCompactBlock());
+    });
+
+    it('should create from block', async () => {
+        const {block} = createBlockWithTxns(2);
+        const msg = new factory.Messages.MsgCompactBlock(block);
+
+        assert.equal(msg.blockHash, block.getHash());
+        assert.equal(msg.txCount, 3);
+    });
+
+    it('should encode/decode message', async () => {
+        const {block} = createBlockWithTxns(2);
+        const msg = new factory.Messages.MsgCompactBlock(block);
+
+        const msgCommon = new factory.Messages.MsgCommon(msg.encode());
+        const restoredMsg = new factory.Messages.MsgCompactBlock(msgCommon);
+
+        assert.equal(restoredMsg.blockHash, block.getHash());
+        assert.equal(restoredMsg.txCount, 3);
+    });
+
+    it('should reconstruct block from candidates', async () => {
+        const {block, arrTxns} = createBlockWithTxns(3);
+        const msg = new factory.Messages.MsgCompactBlock(
+            new factory.Messages.MsgCommon(new factory.Messages.MsgCompactBlock(block).encode()));
+
+        const arrCandidates = [arrTxns[2], new factory.Transaction(createDummyTx()), arrTxns[0], arrTxns[1]];
+        const arrResult = msg.reconstruct(arrCandidates);
+
+        assert.equal(arrResult.length, 4);
+        assert.isOk(arrResult[0].isCoinbase());
+        assert.deepEqual(arrResult.slice(1).map(tx => tx.getHash()), arrTxns.map(tx => tx.getHash()));
+
+        const restoredBlock = msg.createBlock(arrResult);
+        assert.equal(restoredBlock.getHash(), block.getHash());
+        assert.deepEqual(restoredBlock.signatures, block.signatures);
+    });
+
+    it('should leave holes for missing txns', async () => {
+        const {block, arrTxns} = createBlockWithTxns(3);
+        const msg = new factory.Messages.MsgCompactBlock(block);
+
+        const arrResult = msg.reconstruct([arrTxns[1]]);
+
+        assert.isOk(arrResult[0].isCoinbase());
+        assert.isNotOk(arrResult[1]);
+        assert.equal(arrResult[2].getHash(), arrTxns[1].getHash());
+        assert.isNotOk(arrResult[3]);
+    });
+
+    it('should create different short ids for different blocks', async () => {
+        const strTxHash = pseudoRandomBuffer().toString('hex');
+        const {MsgCompactBlock} = factory.Messages;
+
+        const strShortId = MsgCompactBlock.createShortTxId(pseudoRandomBuffer().toString('hex'), strTxHash);
+        assert.equal(strShortId.length, 12);
+        assert.notEqual(strShortId, MsgCompactBlock.createShortTxId(pseudoRandomBuffer().toString('hex'), strTxHash));
+    });
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+const {pseudoRandomBuffer} = require('../testUtil');
+
+const factory = require('../testFactory');
+
+describe('MessageGetBlockTxn', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    it('should create empty message', async () => {
+        const msg = new factory.Messages.MsgGetBlockTxn();
+        assert.isOk(msg.isGetBlockTxn());
+    });
+
+    it('should encode/decode message', async () => {
+        const strBlockHash = pseudoRandomBuffer().toString('hex');
+        const msg = new factory.Messages.MsgGetBlockTxn({blockHash: strBlockHash, indexes: [1, 5]});
+
+        const restoredMsg = new factory.Messages.MsgGetBlockTxn(new factory.Messages.MsgCommon(msg.encode()));
+
+        assert.equal(restoredMsg.blockHash, strBlockHash);
+        assert.deepEqual(restoredMsg.indexes, [1, 5]);
+    });
+});
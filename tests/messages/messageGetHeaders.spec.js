@@ -0,0 +1,38 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('../testFactory');
+const {pseudoRandomBuffer} = require('../testUtil');
+const {arrayEquals} = require('../../utils');
+
+describe('MessageGetHeaders', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    it('should create empty message', async () => {
+        const msg = new factory.Messages.MsgGetHeaders();
+        assert.isOk(msg.isGetHeaders());
+        assert.isNotOk(msg.isGetBlocks());
+    });
+
+    it('should encode/decode message', async () => {
+        const arrHashes = [pseudoRandomBuffer().toString('hex'), pseudoRandomBuffer().toString('hex')];
+        const msg = new factory.Messages.MsgGetHeaders();
+        msg.arrHashes = arrHashes;
+
+        const restored = new factory.Messages.MsgGetHeaders(msg.encode());
+        assert.isOk(Array.isArray(restored.arrHashes));
+        assert.isOk(arrayEquals(restored.arrHashes, arrHashes));
+    });
+
+    it('should throw for MSG_GET_BLOCKS', async () => {
+        const msg = new factory.Messages.MsgGetBlocks();
+        msg.arrHashes = [pseudoRandomBuffer().toString('hex')];
+
+        assert.throws(() => new factory.Messages.MsgGetHeaders(msg.encode()));
+    });
+});
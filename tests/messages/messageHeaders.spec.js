@@ -0,0 +1,32 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+const {createDummyBlock} = require('../testUtil');
+
+const factory = require('../testFactory');
+
+describe('MessageHeaders', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    it('should create empty message', async () => {
+        const msg = new factory.Messages.MsgHeaders();
+        assert.isOk(msg.isHeaders());
+        assert.deepEqual(msg.headers, []);
+    });
+
+    it('should encode/decode message', async () => {
+        const arrBlocks = [createDummyBlock(factory), createDummyBlock(factory, 1)];
+        const msg = new factory.Messages.MsgHeaders(arrBlocks.map(block => block.header));
+
+        const restoredMsg = new factory.Messages.MsgHeaders(new factory.Messages.MsgCommon(msg.encode()));
+
+        assert.deepEqual(
+            restoredMsg.headers.map(header => new factory.BlockInfo(header).getHash()),
+            arrBlocks.map(block => block.getHash())
+        );
+    });
+});
@@ -1106,6 +1106,37 @@ describe('Node tests', async () => {
 
             return assert.isRejected(node._acceptLocalTx(new factory.Transaction(createDummyTx())));
         });
+
+        it('should keep txns to replace if new tx conflicts with the rest of local txns', async () => {
+            const strReplacedHash = pseudoRandomBuffer().toString('hex');
+            node._processReceivedTx = sinon.fake.resolves();
+            node._processTx = sinon.fake.resolves({patchThisTx: new factory.PatchDB(), fee: 1000n});
+            node._mempool.getTxnsToReplace = sinon.fake.returns([strReplacedHash]);
+            node._mempool.removeTxns = sinon.fake();
+            node._mempool.addLocalTx = sinon.fake();
+            node._createLocalTxnsPatch = sinon.fake.resolves({merge: () => {throw new Error('Conflict');}});
+
+            await assert.isRejected(node._acceptLocalTx(new factory.Transaction(createDummyTx())), /Conflict/);
+
+            const [setExcludeHashes] = node._createLocalTxnsPatch.args[0];
+            assert.deepEqual([...setExcludeHashes], [strReplacedHash]);
+            assert.isNotOk(node._mempool.removeTxns.called);
+            assert.isNotOk(node._mempool.addLocalTx.called);
+        });
+
+        it('should replace local tx', async () => {
+            const patchMerged = new factory.PatchDB();
+            node._processReceivedTx = sinon.fake.resolves();
+            node._processTx = sinon.fake.resolves({patchThisTx: new factory.PatchDB(), fee: 1000n});
+            node._mempool.getTxnsToReplace = sinon.fake.returns([pseudoRandomBuffer().toString('hex')]);
+            node._mempool.addLocalTx = sinon.fake();
+            node._createLocalTxnsPatch = sinon.fake.resolves({merge: () => patchMerged});
+
+            await node._acceptLocalTx(new factory.Transaction(createDummyTx()));
+
+            assert.isOk(node._mempool.addLocalTx.calledOnce);
+            assert.equal(node._patchLocalTxns, patchMerged);
+        });
     });
 
     describe('_getTxReceipt', async () => {
@@ -1366,10 +1397,39 @@ describe('Node tests', async () => {
                 content: strTxHash
             });
             assert.isOk(arrayEquals(Object.keys(objResult).map(key => parseInt(key)), [1, 5, 10]));
-            assert.isOk(Object.keys(objResult).every(key => typeof objResult[key].amount === 'number' &&
+            assert.isOk(Object.keys(objResult).every(key => typeof objResult[key].amount === 'bigint' &&
                                                             typeof objResult[key].receiverAddr === 'string'));
         });
 
+        it('should get proposals of concilium', async () => {
+            const objProposal = {nProposalId: 0, objChanges: {document: 'hash'}, nHeightToApply: 100, arrVotes: []};
+            const concilium = new factory.ConciliumRr({
+                conciliumId: 1,
+                addresses: [generateAddress().toString('hex')],
+                arrProposals: [objProposal]
+            });
+            node._storage.getConciliumById = sinon.fake.resolves(concilium);
+
+            assert.deepEqual(await node.rpcHandler({event: 'getProposals', content: 1}), [objProposal]);
+            assert.deepEqual(
+                await node.rpcHandler({event: 'getProposal', content: {nConciliumId: 1, nProposalId: 0}}),
+                objProposal
+            );
+        });
+
+        it('should fail to get proposals of unknown concilium', async () => {
+            node._storage.getConciliumById = sinon.fake.resolves(undefined);
+
+            return assert.isRejected(node.rpcHandler({event: 'getProposals', content: 1}), /not found/);
+        });
+
+        it('should fail to get consensus stats (not a witness)', async () => {
+            return assert.isRejected(
+                node.rpcHandler({event: 'getConsensusStats', content: 1}),
+                /only for witness/
+            );
+        });
+
         describe('getTX', async () => {
             let strHash;
 
@@ -1922,6 +1982,370 @@ describe('Node tests', async () => {
         });
     });
 
+    describe('Contract upgrade', async () => {
+        let node;
+        let contract;
+        let tx;
+        const strOwner = generateAddress().toString('hex');
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            contract = new factory.Contract({
+                contractData: {_ownerAddress: strOwner},
+                contractCode: '{"add": "(a){this.value+=a;}"}',
+                conciliumId: 0
+            });
+            tx = {
+                hash: () => pseudoRandomBuffer().toString('hex'),
+                getContractCode: () => 'class A extends Base {}; exports=new A();',
+                getTxSignerAddress: () => strOwner
+            };
+            node._app.upgradeContract = sinon.fake();
+        });
+
+        it('should upgrade', async () => {
+            await node._upgradeContract(contract, tx, {}, 1e5, 1e4);
+
+            assert.isOk(node._app.upgradeContract.calledOnce);
+            const [strCode, contractToUpgrade] = node._app.upgradeContract.args[0];
+            assert.equal(strCode, tx.getContractCode());
+            assert.equal(contractToUpgrade, contract);
+        });
+
+        it('should FAIL to upgrade (not an owner)', async () => {
+            tx.getTxSignerAddress = () => generateAddress().toString('hex');
+
+            await assert.isRejected(node._upgradeContract(contract, tx, {}, 1e5, 1e4), /Unauthorized contract upgrade/);
+            assert.isNotOk(node._app.upgradeContract.called);
+        });
+
+        it('should FAIL to upgrade (not enough coins)', async () => {
+            await assert.isRejected(node._upgradeContract(contract, tx, {}, 1e3, 1e4), /for contract upgrade less/);
+        });
+    });
+
+    describe('Contract invocation validation', async () => {
+        let node;
+        let contract;
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            contract = new factory.Contract({
+                contractCode: '{"add": "(a){this.value+=a;}", "_default": "(){}"}',
+                conciliumId: 0
+            }, generateAddress().toString('hex'));
+        });
+
+        const createTx = objCode => factory.Transaction.invokeContract(generateAddress().toString('hex'), objCode, 0);
+
+        it('should pass', async () => {
+            node._validateContractInvocation(contract, createTx({method: 'add', arrArguments: [1]}));
+            node._validateContractInvocation(contract, createTx({}));
+        });
+
+        it('should throw (unknown method)', async () => {
+            assert.throws(
+                () => node._validateContractInvocation(contract, createTx({method: 'sub', arrArguments: [1]})),
+                /Method sub not found/
+            );
+        });
+
+        it('should throw (wrong arity)', async () => {
+            assert.throws(
+                () => node._validateContractInvocation(contract, createTx({method: 'add', arrArguments: [1, 2]})),
+                /Method add expects 1 to 1 arguments/
+            );
+        });
+
+        it('should throw (malformed invocation code)', async () => {
+            const tx = createTx({});
+            tx.getContractCode = () => '{"method": "add", ';
+
+            assert.throws(() => node._validateContractInvocation(contract, tx), /malformed invocation code/);
+        });
+
+        it('should reject TX in _processContract (no receipt, no fee)', async () => {
+            const patch = new factory.PatchDB();
+            const tx = createTx({method: 'sub', arrArguments: []});
+
+            await assert.isRejected(
+                node._processContract(false, contract, tx, patch, new factory.PatchDB(), 1e5, 1e3),
+                /Method sub not found/
+            );
+            assert.isNotOk(patch.getReceipt(tx.hash()));
+        });
+
+        it('should skip validation before fork', async () => {
+            node._app.runContract = sinon.fake.returns(new factory.TxReceipt({status: factory.Constants.TX_STATUS_OK}));
+            node._processedBlock = {
+                getHash: () => pseudoRandomBuffer().toString('hex'),
+                getHeight: () => factory.Constants.forks.HEIGHT_FORK_CONTRACT_ABI - 1
+            };
+            const tx = createTx({method: 'sub', arrArguments: []});
+
+            await node._processContract(
+                false, contract, tx, new factory.PatchDB(), new factory.PatchDB(), 100000n, 1000n
+            );
+
+            assert.isOk(node._app.runContract.calledOnce);
+        });
+
+        it('should get ABI', async () => {
+            node._storage.getContract = sinon.fake.resolves(contract);
+
+            const arrAbi = await node._getContractAbi(generateAddress().toString('hex'));
+
+            assert.deepEqual(arrAbi.map(({name}) => name), ['add', '_default']);
+        });
+
+        it('should FAIL to get ABI (contract not found)', async () => {
+            node._storage.getContract = sinon.fake.resolves(undefined);
+
+            await assert.isRejected(node._getContractAbi(generateAddress().toString('hex')), /not found/);
+        });
+    });
+
+    describe('Dry run (estimateTx & simulateContractCall)', async () => {
+        let node;
+        let patchMerged;
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            patchMerged = new factory.PatchDB();
+            node._objCurrentBestParents = {arrParents: [], patchMerged};
+        });
+
+        it('should estimate TX against pending state', async () => {
+            const {tx} = createContractInvocationTx();
+            const patchThisTx = new factory.PatchDB();
+            const receipt = new factory.TxReceipt({coinsUsed: 1e4, status: factory.Constants.TX_STATUS_OK});
+            const utxo = createInternalUtxo();
+            receipt.addInternalUtxo(utxo);
+            patchThisTx.setReceipt(tx.getHash(), receipt);
+
+            const objCosts = {size: 100n, contractInvocation: 9900n};
+            node._processTx = sinon.fake.resolves({fee: 1e4, patchThisTx, objCosts, nDataDelta: 0});
+            node._mempool.addTx = sinon.fake();
+
+            const objResult = await node._estimateTx(tx);
+
+            assert.isOk(tx.verify.calledOnce);
+            const [patchArg, isGenesisArg, txArg, , objSimulationArg] = node._processTx.args[0];
+            assert.equal(patchArg, patchMerged);
+            assert.isNotOk(isGenesisArg);
+            assert.equal(txArg, tx);
+            assert.isNotOk(objSimulationArg);
+            assert.isNotOk(node._mempool.addTx.called);
+
+            assert.equal(objResult.fee, 1e4);
+            assert.deepEqual(objResult.objCosts, objCosts);
+            assert.equal(objResult.receipt, receipt);
+            assert.deepEqual(objResult.arrInternalTxns, [{
+                strTxHash: utxo.getTxHash(),
+                amount: 100n,
+                receiverAddr: utxo.coinsAtIndex(0).getReceiverAddr().toString('hex')
+            }]);
+        });
+
+        it('should simulate contract call on behalf of sender', async () => {
+            const strContractAddr = generateAddress().toString('hex');
+            const strSender = generateAddress().toString('hex');
+            node._storage.getContract = sinon.fake.resolves(new factory.Contract({
+                contractData: {value: 1},
+                contractCode: '{"add": "(a){this.value+=a; emit(\'Caller\', callerAddress);}"}',
+                conciliumId: 0
+            }, strContractAddr));
+
+            const {fee, objCosts, receipt, arrInternalTxns} = await node._simulateContractCall({
+                contractAddress: strContractAddr,
+                method: 'add',
+                arrArguments: [10],
+                sender: strSender
+            });
+
+            assert.isOk(receipt.isSuccessful());
+            assert.equal(JSON.parse(receipt.getLogs()[0].data), strSender);
+            assert.equal(fee, receipt.getCoinsUsed());
+            assert.equal(
+                Object.values(objCosts).reduce((nSum, nCost) => nSum + nCost, 0n),
+                receipt.getCoinsUsed()
+            );
+
+            // change goes to sender
+            assert.equal(arrInternalTxns.length, 1);
+            assert.equal(arrInternalTxns[0].receiverAddr, strSender);
+
+            // pending state untouched
+            assert.isNotOk(patchMerged.getContract(strContractAddr));
+        });
+
+        it('should limit coins of simulation (infinite loop terminated)', async () => {
+            const nPrevMaxCoins = factory.Constants.SIMULATION_MAX_COINS;
+            factory.Constants.SIMULATION_MAX_COINS = 1e5;
+            try {
+                const strContractAddr = generateAddress().toString('hex');
+                node._storage.getContract = sinon.fake.resolves(new factory.Contract({
+                    contractData: {value: 1},
+                    contractCode: '{"loop": "(){while(true) this.value++;}"}',
+                    conciliumId: 0
+                }, strContractAddr));
+
+                const {receipt} = await node._simulateContractCall({
+                    contractAddress: strContractAddr,
+                    method: 'loop',
+                    arrArguments: [],
+                    amount: 100,
+                    sender: generateAddress().toString('hex')
+                });
+
+                assert.isNotOk(receipt.isSuccessful());
+                assert.isAtMost(Number(receipt.getCoinsUsed()), 100 + 1e5);
+            } finally {
+                factory.Constants.SIMULATION_MAX_COINS = nPrevMaxCoins;
+            }
+        });
+
+        it('should FAIL to simulate (contract not found)', async () => {
+            node._storage.getContract = sinon.fake.resolves(undefined);
+
+            await assert.isRejected(node._simulateContractCall({
+                contractAddress: generateAddress().toString('hex'),
+                method: 'add',
+                arrArguments: [],
+                sender: generateAddress().toString('hex')
+            }), /not found/);
+        });
+    });
+
+    describe('Fee estimation', async () => {
+        it('should use minimal fee of concilium without statistics', async () => {
+            const node = new factory.Node();
+            node._storage.getConciliumById = sinon.fake.resolves({getFeeTxSize: () => 5000});
+            node._mempool.estimateFee = sinon.fake.returns(undefined);
+
+            const objResult = await node._estimateFee(1, 2);
+
+            assert.deepEqual(node._mempool.estimateFee.args[0], [1, 2]);
+            assert.deepEqual(objResult, {feePerKb: 5000n, isEstimated: false});
+        });
+
+        it('should convert estimated fee rate to fee per Kb', async () => {
+            const node = new factory.Node();
+            node._storage.getConciliumById = sinon.fake.resolves(undefined);
+            node._mempool.estimateFee = sinon.fake.returns(10.5);
+
+            const objResult = await node._estimateFee(0);
+
+            assert.deepEqual(objResult, {feePerKb: 10752n, isEstimated: true});
+        });
+
+        it('should not be less than minimal fee', async () => {
+            const node = new factory.Node();
+            node._storage.getConciliumById = sinon.fake.resolves(undefined);
+            node._mempool.estimateFee = sinon.fake.returns(1);
+
+            const objResult = await node._estimateFee(0);
+
+            assert.deepEqual(objResult, {feePerKb: BigInt(factory.Constants.fees.TX_FEE), isEstimated: true});
+        });
+    });
+
+    describe('Mempool persistence', async () => {
+        let node;
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            node._storage.checkTxCollision = sinon.fake.resolves();
+        });
+
+        it('should restore revalidated txns', async () => {
+            const tx = new factory.Transaction(createDummyTx());
+            const txLocal = new factory.Transaction(createDummyTx());
+            node._mempool.loadFromDb = sinon.fake.resolves([
+                {tx, arrived: 1000, conciliumId: 0, isLocal: false},
+                {tx: txLocal, arrived: 2000, conciliumId: 0, isLocal: true}
+            ]);
+            node._validateTxLight = sinon.fake.resolves(100n);
+            node._patchLocalTxns = new factory.PatchDB();
+
+            const nRestored = await node._loadMempool();
+
+            assert.equal(nRestored, 2);
+            assert.isOk(node._validateTxLight.calledOnce);
+            assert.equal(node._mempool._getEntry(tx.getHash()).arrived, 1000);
+            assert.equal(node._mempool._getEntry(tx.getHash()).nFee, 100n);
+            assert.deepEqual(node._mempool.getLocalTxnHashes(), [txLocal.getHash()]);
+            assert.isNotOk(node._patchLocalTxns);
+        });
+
+        it('should drop invalid txns', async () => {
+            const tx = new factory.Transaction(createDummyTx());
+            node._mempool.loadFromDb = sinon.fake.resolves([{tx, arrived: 1000, conciliumId: 0, isLocal: false}]);
+            node._validateTxLight = sinon.fake.rejects(new Error('UTXO not found'));
+
+            const nRestored = await node._loadMempool();
+
+            assert.equal(nRestored, 0);
+            assert.isNotOk(node._mempool.hasTx(tx.getHash()));
+        });
+
+        it('should skip txns already in mempool', async () => {
+            const tx = new factory.Transaction(createDummyTx());
+            node._mempool.addTx(tx, 100n);
+            node._mempool.loadFromDb = sinon.fake.resolves([{tx, arrived: 1000, conciliumId: 0, isLocal: false}]);
+            node._validateTxLight = sinon.fake.resolves(100n);
+
+            const nRestored = await node._loadMempool();
+
+            assert.equal(nRestored, 0);
+            assert.isNotOk(node._validateTxLight.called);
+        });
+    });
+
+    describe('Snapshot', async () => {
+        it('should export snapshot while holding blockExec lock', async () => {
+            const node = new factory.Node();
+            const objResult = {hash: pseudoRandomBuffer().toString('hex'), arrLastAppliedHashes: [], nRecords: 0};
+            let bLocked;
+            node._storage.exportSnapshot = sinon.fake(async () => {
+                bLocked = node._mutex.isLocked('blockExec');
+                return objResult;
+            });
+
+            assert.deepEqual(await node._exportSnapshot('snapshot.bin'), objResult);
+            assert.equal(node._storage.exportSnapshot.args[0][0], 'snapshot.bin');
+            assert.isOk(bLocked);
+            assert.isNotOk(node._mutex.isLocked('blockExec'));
+        });
+    });
+
+    describe('Code operation fee calculation', async () => {
+        it('should use Constants', async () => {
+            const node = new factory.Node();
+
+            assert.equal(node._getFeeCodeOperation(), BigInt(factory.Constants.fees.CODE_OPERATION_FEE));
+        });
+
+        it('should be zero for genesis', async () => {
+            const node = new factory.Node();
+
+            assert.equal(node._getFeeCodeOperation(true), 0n);
+        });
+
+        it('should be zero before fork', async () => {
+            const node = new factory.Node();
+            node._processedBlock = {getHeight: () => factory.Constants.forks.HEIGHT_FORK_CODE_METERING - 1};
+
+            assert.equal(node._getFeeCodeOperation(), 0n);
+        });
+    });
+
     describe('Storage fee calculation', async () => {
         it('should fail to get fees from concilium, and use Constants', async () => {
             const node = new factory.Node();
@@ -1966,6 +2390,172 @@ describe('Node tests', async () => {
         });
     });
 
+    describe('Multisig fork', async () => {
+        const createMultisigTx = () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addMultisigReceiver(1e3, 2, [generateAddress(), generateAddress()]);
+            tx.claim(0, factory.Crypto.createKeyPair().privateKey);
+            return tx;
+        };
+
+        it('should FAIL to process multisig TX before fork', async () => {
+            const node = new factory.Node();
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(1e5), patch: new factory.PatchDB()});
+
+            const block = createDummyBlock(factory);
+            block.setHeight(factory.Constants.forks.HEIGHT_FORK_MULTISIG - 1);
+            node._processedBlock = block;
+
+            return assert.isRejected(node._processTx(new factory.PatchDB(), false, createMultisigTx()),
+                /uses multisig before fork/
+            );
+        });
+
+        it('should process multisig TX after fork', async () => {
+            const node = new factory.Node();
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(1e5), patch: new factory.PatchDB()});
+
+            const block = createDummyBlock(factory);
+            block.setHeight(factory.Constants.forks.HEIGHT_FORK_MULTISIG);
+            node._processedBlock = block;
+
+            await node._processTx(new factory.PatchDB(), false, createMultisigTx());
+        });
+    });
+
+    describe('Sighash fork', async () => {
+        const createSighashTx = () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(1e3, generateAddress());
+            tx.claim(0, factory.Crypto.createKeyPair().privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+            return tx;
+        };
+
+        it('should FAIL to process TX with claim hash method before fork', async () => {
+            const node = new factory.Node();
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(1e5), patch: new factory.PatchDB()});
+
+            const block = createDummyBlock(factory);
+            block.setHeight(factory.Constants.forks.HEIGHT_FORK_SIGHASH - 1);
+            node._processedBlock = block;
+
+            return assert.isRejected(node._processTx(new factory.PatchDB(), false, createSighashTx()),
+                /uses claim hash methods before fork/
+            );
+        });
+
+        it('should process TX with claim hash method after fork', async () => {
+            const node = new factory.Node();
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(1e5), patch: new factory.PatchDB()});
+
+            const block = createDummyBlock(factory);
+            block.setHeight(factory.Constants.forks.HEIGHT_FORK_SIGHASH);
+            node._processedBlock = block;
+
+            await node._processTx(new factory.PatchDB(), false, createSighashTx());
+        });
+    });
+
+    describe('Timelocks', async () => {
+        let nForkHeight;
+
+        beforeEach(async () => {
+            nForkHeight = factory.Constants.forks.HEIGHT_FORK_TIMELOCKS;
+        });
+
+        it('should FAIL to process not final TX in block', async () => {
+            const node = new factory.Node();
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(1e5), patch: new factory.PatchDB()});
+
+            const block = createDummyBlock(factory);
+            block.setHeight(nForkHeight + 5);
+            node._processedBlock = block;
+
+            const objTx = createDummyTx();
+            objTx.payload.nLockTime = nForkHeight + 10;
+            const tx = new factory.Transaction(objTx);
+
+            return assert.isRejected(node._processTx(new factory.PatchDB(), false, tx), /is not final yet/);
+        });
+
+        it('should process final TX in block & pass height to app', async () => {
+            const node = new factory.Node();
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(1e5), patch: new factory.PatchDB()});
+            node._app.processPayments = sinon.fake.returns(BigInt(1e3));
+
+            const block = createDummyBlock(factory);
+            block.setHeight(nForkHeight + 10);
+            node._processedBlock = block;
+
+            const objTx = createDummyTx();
+            objTx.payload.nLockTime = nForkHeight + 10;
+            const tx = new factory.Transaction(objTx);
+
+            await node._processTx(new factory.PatchDB(), false, tx);
+
+            assert.equal(node._app.processTxInputs.args[0][2], nForkHeight + 10);
+            assert.equal(node._app.processPayments.args[0][3], nForkHeight + 10);
+        });
+
+        it('should FAIL to process TX with lock time before fork', async () => {
+            const node = new factory.Node();
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(1e5), patch: new factory.PatchDB()});
+
+            const block = createDummyBlock(factory);
+            block.setHeight(nForkHeight - 1);
+            node._processedBlock = block;
+
+            const objTx = createDummyTx();
+            objTx.payload.nLockTime = 10;
+            const tx = new factory.Transaction(objTx);
+
+            return assert.isRejected(node._processTx(new factory.PatchDB(), false, tx), /uses timelocks before fork/);
+        });
+
+        it('should FAIL to process TX with locked output before fork', async () => {
+            const node = new factory.Node();
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(1e5), patch: new factory.PatchDB()});
+
+            const block = createDummyBlock(factory);
+            block.setHeight(nForkHeight - 1);
+            node._processedBlock = block;
+
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(1e3, generateAddress());
+            tx.lockOutput(0, 10, true);
+            tx.claim(0, factory.Crypto.createKeyPair().privateKey);
+
+            return assert.isRejected(node._processTx(new factory.PatchDB(), false, tx), /uses timelocks before fork/);
+        });
+
+        it('should process not final TX outside of block (it will wait in mempool)', async () => {
+            const node = new factory.Node();
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(1e5), patch: new factory.PatchDB()});
+            node._app.processPayments = sinon.fake.returns(BigInt(1e3));
+
+            const objTx = createDummyTx();
+            objTx.payload.nLockTime = 10;
+            const tx = new factory.Transaction(objTx);
+
+            await node._processTx(undefined, false, tx);
+
+            // no blocks in DAG, so next block is 1
+            assert.equal(node._app.processTxInputs.args[0][2], 1);
+        });
+
+        it('should get next block height', async () => {
+            const node = new factory.Node();
+            await node.ensureLoaded();
+            node._objCurrentBestParents = {arrParents: [pseudoRandomBuffer().toString('hex')]};
+            node._mainDag.getBlockInfo = sinon.fake.returns({getHeight: () => 17});
+
+            assert.equal(await node._getNextBlockHeight(), 18);
+        });
+    });
+
     describe('Contracts', async () => {
 
         it('should get contact from Patch', async () => {
@@ -2072,9 +2662,9 @@ describe('Node tests', async () => {
 
             node._storage.getContract = sinon.fake.returns(new factory.Contract({conciliumId}, strContractAddr));
 
-            node._app.processTxInputs = sinon.fake.returns({totalHas: nTotalHas, patch: new factory.PatchDB()});
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(nTotalHas), patch: new factory.PatchDB()});
             node._app.runContract = sinon.fake.returns(1000);
-            node._app.coinsSpent = sinon.fake.returns(0);
+            node._app.coinsSpent = sinon.fake.returns(0n);
             node._app.getDataDelta = sinon.fake.returns(0);
 
             const {patchThisTx} = await node._processTx(new factory.PatchDB(), false, tx);
@@ -2092,7 +2682,7 @@ describe('Node tests', async () => {
 
             node._storage.getContract = sinon.fake.returns(new factory.Contract({conciliumId}, strContractAddr));
 
-            node._app.processTxInputs = sinon.fake.returns({totalHas: nTotalHas, patch: new factory.PatchDB()});
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(nTotalHas), patch: new factory.PatchDB()});
 
             return assert.isRejected(node._processTx(undefined, false, tx), /Require fee at least/);
         });
@@ -2113,8 +2703,8 @@ describe('Node tests', async () => {
                 conciliumId,
                 contractCode: '{"_default": "() {}"}'
             }, strContractAddr));
-            node._app.processTxInputs = sinon.fake.returns({totalHas: nTotalHas, patch: new factory.PatchDB()});
-            node._app.coinsSpent = sinon.fake.returns(nFakeCoinsUsed);
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(nTotalHas), patch: new factory.PatchDB()});
+            node._app.coinsSpent = sinon.fake.returns(BigInt(nFakeCoinsUsed));
             node._app.getDataDelta = sinon.fake.returns(0);
 
             const {patchThisTx} = await node._processTx(new factory.PatchDB(), false, tx);
@@ -2126,7 +2716,7 @@ describe('Node tests', async () => {
                 nAmountSecondOutput +
                 nMoneysToContract +
                 nFakeCoinsUsed +
-                await node._calculateSizeFee(tx, false)
+                Number(await node._calculateSizeFee(tx, false))
             ;
             assert.equal(cCoinsChange.getAmount(), nTotalHas - totalSpent);
         });
@@ -2145,8 +2735,8 @@ describe('Node tests', async () => {
                 conciliumId,
                 contractCode: '{"_default": "() {}"}'
             }, strContractAddr));
-            node._app.processTxInputs = sinon.fake.returns({totalHas: nTotalHas, patch: new factory.PatchDB()});
-            node._app.coinsSpent = sinon.fake.returns(nFakeCoinsUsed);
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(nTotalHas), patch: new factory.PatchDB()});
+            node._app.coinsSpent = sinon.fake.returns(BigInt(nFakeCoinsUsed));
             node._app.getDataDelta = sinon.fake.returns(
                 1 + (nTotalHas - nFakeCoinsUsed) / factory.Constants.fees.STORAGE_PER_BYTE_FEE);
 
@@ -2172,8 +2762,8 @@ describe('Node tests', async () => {
 
                 node._storage.getContract =
                     sinon.fake.returns(new factory.Contract({conciliumId, contractCode: '{}'}, strContractAddr));
-                node._app.processTxInputs = sinon.fake.returns({totalHas: nTotalHas, patch: new factory.PatchDB()});
-                node._app.coinsSpent = sinon.fake.returns(nFakeCoinsUsed);
+                node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(nTotalHas), patch: new factory.PatchDB()});
+                node._app.coinsSpent = sinon.fake.returns(BigInt(nFakeCoinsUsed));
                 node._app.getDataDelta = sinon.fake.returns(0);
                 factory.Constants.forks = {HEIGHT_FORK_SERIALIZER: 1};
                 node._processedBlock = {
@@ -2186,7 +2776,7 @@ describe('Node tests', async () => {
                 const cReceipt = patchThisTx.getReceipt(tx.getHash());
                 const cCoinsChange = cReceipt.getCoinsForTx(cReceipt.getInternalTxns()[0]);
 
-                const totalSpent = nFakeCoinsUsed + await node._calculateSizeFee(tx, false);
+                const totalSpent = nFakeCoinsUsed + Number(await node._calculateSizeFee(tx, false));
                 const nMoneysAvailForContract = nTotalHas - nAmountSecondOutput;
 
                 assert.equal(cCoinsChange.getAmount(), nMoneysAvailForContract - totalSpent);
@@ -2205,7 +2795,7 @@ describe('Node tests', async () => {
 
             node._storage.getContract = sinon.fake.returns(new factory.Contract({conciliumId}, strContractAddr));
 
-            node._app.processTxInputs = sinon.fake.returns({totalHas: nTotalHas, patch: new factory.PatchDB()});
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(nTotalHas), patch: new factory.PatchDB()});
             node._app.runContract = sinon.fake.returns();
 
             await node._processTx(new factory.PatchDB(), false, tx);
@@ -2230,13 +2820,13 @@ describe('Node tests', async () => {
 
             node._storage.getContract = sinon.fake.returns(new factory.Contract({conciliumId}, strContractAddr));
 
-            node._app.processTxInputs = sinon.fake.returns({totalHas: nTotalHas, patch: new factory.PatchDB()});
-            node._app.coinsSpent = sinon.fake.returns(coinsUsed);
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(nTotalHas), patch: new factory.PatchDB()});
+            node._app.coinsSpent = sinon.fake.returns(BigInt(coinsUsed));
             node._app.runContract = sinon.fake.returns();
 
             const {fee, patchThisTx} = await node._processTx(new factory.PatchDB(), false, tx);
 
-            assert.equal(fee, coinsUsed + await node._calculateSizeFee(tx, false));
+            assert.equal(fee, coinsUsed + Number(await node._calculateSizeFee(tx, false)));
             assert.isOk(patchThisTx.getContract(strContractAddr));
             const receipt = patchThisTx.getReceipt(tx.hash());
             assert.isOk(receipt);
@@ -2252,13 +2842,13 @@ describe('Node tests', async () => {
 
             node._storage.getContract = sinon.fake.returns(new factory.Contract({conciliumId}, strContractAddr));
 
-            node._app.processTxInputs = sinon.fake.returns({totalHas: nTotalHas, patch: new factory.PatchDB()});
-            node._app.coinsSpent = sinon.fake.returns(coinsUsed);
+            node._app.processTxInputs = sinon.fake.returns({totalHas: BigInt(nTotalHas), patch: new factory.PatchDB()});
+            node._app.coinsSpent = sinon.fake.returns(BigInt(coinsUsed));
             node._app.runContract = sinon.fake.returns();
 
             const {fee, patchThisTx} = await node._processTx(new factory.PatchDB(), false, tx);
 
-            assert.equal(fee, nTotalHas - (coinsUsed + await node._calculateSizeFee(tx, false)));
+            assert.equal(fee, nTotalHas - (coinsUsed + Number(await node._calculateSizeFee(tx, false))));
             assert.isOk(patchThisTx.getContract(strContractAddr));
             assert.isOk(patchThisTx.getReceipt(tx.hash()));
         });
@@ -2475,7 +3065,7 @@ describe('Node tests', async () => {
             node = new factory.Node();
             await node.ensureLoaded();
 
-            node._objCurrentBestParents = {patchMerged: new factory.PatchDB()};
+            node._objCurrentBestParents = {arrParents: [], patchMerged: new factory.PatchDB()};
         });
 
         describe('_validateTxLight', async () => {
@@ -2484,7 +3074,10 @@ describe('Node tests', async () => {
                 node._storage.getUtxosPatch = sinon.fake.resolves(new factory.PatchDB());
 
                 fakeTx = {
-                    verify: () => {}
+                    verify: () => {},
+                    utxos: [],
+                    isContractCreation: () => false,
+                    getContractAddr: () => generateAddress()
                 };
             });
 
@@ -2509,11 +3102,57 @@ describe('Node tests', async () => {
                 node._app.processTxInputs = sinon.fake.returns({totalHas: nTotalHas + 1});
                 node._calculateSizeFee = sinon.fake.resolves(1);
 
-                await node._validateTxLight(fakeTx);
+                const nFee = await node._validateTxLight(fakeTx);
+                assert.equal(nFee, 1);
             });
-        });
 
-        it('should accept TX', async () => {
+            it('should offer only size & invocation fee for contract (rest is coins limit)', async () => {
+                fakeTx.amountOut = () => 1000n;
+                node._app.processTxInputs = sinon.fake.returns({totalHas: 1000000n});
+                node._calculateSizeFee = sinon.fake.resolves(100n);
+                node._getContractByAddr = sinon.fake.resolves(new factory.Contract({}));
+
+                const nFee = await node._validateTxLight(fakeTx);
+                assert.equal(nFee, 100n + BigInt(factory.Constants.fees.CONTRACT_INVOCATION_FEE));
+            });
+
+            it('should offer only size & creation fee for contract creation', async () => {
+                fakeTx.amountOut = () => 0n;
+                fakeTx.isContractCreation = () => true;
+                node._app.processTxInputs = sinon.fake.returns({totalHas: 10000000n});
+                node._calculateSizeFee = sinon.fake.resolves(100n);
+
+                const nFee = await node._validateTxLight(fakeTx);
+                assert.equal(nFee, 100n + BigInt(factory.Constants.fees.CONTRACT_CREATION_FEE));
+            });
+
+            it('should offer all coins for contract if they are less than estimation', async () => {
+                fakeTx.amountOut = () => 0n;
+                node._app.processTxInputs = sinon.fake.returns({totalHas: 150n});
+                node._calculateSizeFee = sinon.fake.resolves(100n);
+                node._getContractByAddr = sinon.fake.resolves(new factory.Contract({}));
+
+                const nFee = await node._validateTxLight(fakeTx);
+                assert.equal(nFee, 150n);
+            });
+
+            it('should use outputs of mempool parent (CPFP)', async () => {
+                const txParent = new factory.Transaction(createDummyTx());
+                node._mempool.addTx(txParent, 100n);
+
+                const txChild = new factory.Transaction();
+                txChild.addInput(txParent.getHash(), 0);
+                txChild.addReceiver(1, generateAddress());
+
+                const patch = await node._createPatchOfMempoolParents(txChild);
+
+                const utxo = patch.getUtxo(txParent.getHash());
+                assert.isOk(utxo);
+                assert.equal(utxo.coinsAtIndex(0).getAmount(), txParent.getOutCoins()[0].getAmount());
+            });
+        });
+
+        it('should accept TX', async () => {
             const {tx} = createTxAddCoinsToNode(node);
 
             await node._processReceivedTx(tx);
@@ -2531,6 +3170,20 @@ describe('Node tests', async () => {
             assert.isOk(node._mempool.addTx.calledOnce);
         });
 
+        it('should inform WS subscribers about mempool TX', async function() {
+            node._validateTxLight = sinon.fake.resolves();
+            node._mempool.addTx = sinon.fake();
+            node._rpc = {informWsSubscribersMempoolTx: sinon.fake()};
+
+            const {tx} = createTxAddCoinsToNode(node);
+
+            await node._processReceivedTx(tx);
+
+            assert.isOk(node._rpc.informWsSubscribersMempoolTx.calledOnce);
+            const [txNotified] = node._rpc.informWsSubscribersMempoolTx.args[0];
+            assert.equal(txNotified.getHash(), tx.getHash());
+        });
+
         it('should throw while _processReceivedTx (no UTXO for tx)', async () => {
             const txHash = pseudoRandomBuffer().toString('hex');
             const keyPair = factory.Crypto.createKeyPair();
@@ -2723,5 +3376,905 @@ describe('Node tests', async () => {
 
         });
     });
-});
 
+    describe('Compact blocks', async () => {
+        let node;
+        let fakePeer;
+        let block;
+        let arrTxns;
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            fakePeer = {
+                address: 'fake',
+                pushMessage: sinon.fake(),
+                misbehave: sinon.fake(),
+                supportsCompactBlocks: true,
+                isGetBlocksSent: sinon.fake.returns(false)
+            };
+
+            block = new factory.Block(0);
+            arrTxns = [new factory.Transaction(createDummyTx()), new factory.Transaction(createDummyTx())];
+            arrTxns.forEach(tx => block.addTx(tx));
+            block.parentHashes = [pseudoRandomBuffer().toString('hex')];
+            block.finish(factory.Constants.fees.TX_FEE, generateAddress());
+
+            node._handleReceivedBlock = sinon.fake.resolves();
+        });
+
+        const toWire = msg => new factory.Messages.MsgCommon(msg.encode());
+
+        it('should request announced block as compact', async () => {
+            const inv = new factory.Inventory();
+            inv.addBlock(block);
+
+            await node._handleInvMessage(fakePeer, new factory.Messages.MsgInv(inv));
+
+            const [msg] = fakePeer.pushMessage.args[0];
+            assert.isOk(msg.isGetData());
+            assert.equal(msg.inventory.vector[0].type, factory.Constants.INV_COMPACT_BLOCK);
+        });
+
+        it('should request full block if peer does not support compact ones', async () => {
+            fakePeer.supportsCompactBlocks = false;
+            const inv = new factory.Inventory();
+            inv.addBlock(block);
+
+            await node._handleInvMessage(fakePeer, new factory.Messages.MsgInv(inv));
+
+            const [msg] = fakePeer.pushMessage.args[0];
+            assert.equal(msg.inventory.vector[0].type, factory.Constants.INV_BLOCK);
+        });
+
+        it('should send compact block', async () => {
+            node._storage.getBlock = sinon.fake.resolves(block);
+            const inv = new factory.Inventory();
+            inv.addVector({type: factory.Constants.INV_COMPACT_BLOCK, hash: Buffer.from(block.getHash(), 'hex')});
+
+            await node._handleGetDataMessage(fakePeer, new factory.Messages.MsgGetData(inv));
+
+            const [msg] = fakePeer.pushMessage.args[0];
+            assert.isOk(msg.isCompactBlock());
+            assert.equal(msg.blockHash, block.getHash());
+        });
+
+        it('should reconstruct block from mempool', async () => {
+            arrTxns.forEach(tx => node._mempool.addTx(tx));
+            node._requestCache.request(block.getHash());
+
+            await node._handleCompactBlockMessage(fakePeer, toWire(new factory.Messages.MsgCompactBlock(block)));
+
+            assert.isOk(node._handleReceivedBlock.calledOnce);
+            const [peerArg, blockArg] = node._handleReceivedBlock.args[0];
+            assert.equal(peerArg, fakePeer);
+            assert.equal(blockArg.getHash(), block.getHash());
+            assert.isNotOk(fakePeer.pushMessage.called);
+        });
+
+        it('should request missing txns and complete block', async () => {
+            node._mempool.addTx(arrTxns[0]);
+            node._requestCache.request(block.getHash());
+
+            await node._handleCompactBlockMessage(fakePeer, toWire(new factory.Messages.MsgCompactBlock(block)));
+
+            assert.isNotOk(node._handleReceivedBlock.called);
+            const [msg] = fakePeer.pushMessage.args[0];
+            assert.isOk(msg.isGetBlockTxn());
+            assert.deepEqual(msg.indexes, [2]);
+
+            await node._handleBlockTxnMessage(
+                fakePeer,
+                toWire(new factory.Messages.MsgBlockTxn({blockHash: block.getHash(), txns: [arrTxns[1]]}))
+            );
+
+            assert.isOk(node._handleReceivedBlock.calledOnce);
+            const [, blockArg] = node._handleReceivedBlock.args[0];
+            assert.equal(blockArg.getHash(), block.getHash());
+            assert.equal(node._mapPartialBlocks.size, 0);
+        });
+
+        it('should request full block if received txns mismatch', async () => {
+            node._requestCache.request(block.getHash());
+            await node._handleCompactBlockMessage(fakePeer, toWire(new factory.Messages.MsgCompactBlock(block)));
+
+            await node._handleBlockTxnMessage(
+                fakePeer,
+                toWire(new factory.Messages.MsgBlockTxn({blockHash: block.getHash(), txns: [arrTxns[1]]}))
+            );
+
+            assert.isNotOk(node._handleReceivedBlock.called);
+            assert.isOk(fakePeer.misbehave.calledOnce);
+            const [msg] = fakePeer.pushMessage.args[1];
+            assert.isOk(msg.isGetData());
+            assert.equal(msg.inventory.vector[0].type, factory.Constants.INV_BLOCK);
+        });
+
+        it('should send requested txns of block', async () => {
+            node._storage.getBlock = sinon.fake.resolves(block);
+
+            await node._handleGetBlockTxnMessage(
+                fakePeer,
+                toWire(new factory.Messages.MsgGetBlockTxn({blockHash: block.getHash(), indexes: [2]}))
+            );
+
+            const [msg] = fakePeer.pushMessage.args[0];
+            assert.isOk(msg.isBlockTxn());
+            assert.deepEqual(msg.txns.map(tx => tx.getHash()), [arrTxns[1].getHash()]);
+        });
+
+        it('should misbehave for unrequested compact block', async () => {
+            await node._handleCompactBlockMessage(fakePeer, toWire(new factory.Messages.MsgCompactBlock(block)));
+
+            assert.isOk(fakePeer.misbehave.calledOnce);
+            assert.isNotOk(node._handleReceivedBlock.called);
+        });
+    });
+
+    describe('Headers first sync', async () => {
+        let node;
+        let fakePeer;
+        let block1;
+        let block2;
+        let strPeerKey;
+
+        const createChainedBlock = (strParentHash, nHeight) => {
+            const block = new factory.Block(0);
+            block.parentHashes = [strParentHash];
+            block.finish(factory.Constants.fees.TX_FEE, generateAddress());
+            block.setHeight(nHeight);
+            return block;
+        };
+
+        const toWire = msg => new factory.Messages.MsgCommon(msg.encode());
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            fakePeer = {
+                address: 'fake',
+                port: 1234,
+                supportsHeadersFirst: true,
+                pushMessage: sinon.fake(),
+                misbehave: sinon.fake(),
+                markAsPossiblyAhead: sinon.fake(),
+                markAsEven: sinon.fake(),
+                singleBlockRequested: sinon.fake(),
+                doneGetBlocks: sinon.fake(),
+                isAhead: sinon.fake.returns(true),
+                isGetBlocksSent: sinon.fake.returns(true)
+            };
+            strPeerKey = fakePeer.address + fakePeer.port;
+            node._peerManager.getConnectedPeers = sinon.fake.returns([fakePeer]);
+
+            block1 = createChainedBlock(pseudoRandomBuffer().toString('hex'), 10);
+            block2 = createChainedBlock(block1.getHash(), 11);
+        });
+
+        it('should create MSG_GET_HEADERS for capable peer', async () => {
+            const msg = await node._createSyncMsg(fakePeer);
+            assert.isOk(msg.isGetHeaders());
+        });
+
+        it('should create MSG_GET_BLOCKS for old peer', async () => {
+            fakePeer.supportsHeadersFirst = false;
+
+            const msg = await node._createSyncMsg(fakePeer);
+            assert.isOk(msg.isGetBlocks());
+        });
+
+        it('should send headers', async () => {
+            await node._mainDag.addBlock(new factory.BlockInfo(block1.header));
+            await node._mainDag.addBlock(new factory.BlockInfo(block2.header));
+            node._getBlocksFromLastKnown = sinon.fake.returns(new Set([block1.getHash(), block2.getHash()]));
+
+            const msgGetHeaders = new factory.Messages.MsgGetHeaders();
+            msgGetHeaders.arrHashes = [pseudoRandomBuffer().toString('hex')];
+            await node._handleGetHeadersMessage(fakePeer, toWire(msgGetHeaders));
+
+            const [msg] = fakePeer.pushMessage.args[0];
+            assert.isOk(msg.isHeaders());
+            assert.deepEqual(
+                msg.headers.map(header => new factory.BlockInfo(header).getHash()),
+                [block1.getHash(), block2.getHash()]
+            );
+        });
+
+        it('should build skeleton and continue with headers', async () => {
+            node._requestBlockBodies = sinon.fake.resolves();
+
+            const msgHeaders = new factory.Messages.MsgHeaders([block2.header, block1.header]);
+            await node._handleHeadersMessage(fakePeer, toWire(msgHeaders));
+
+            assert.isOk(node._headersDag.getBlockInfo(block1.getHash()));
+            assert.isOk(node._headersDag.getBlockInfo(block2.getHash()));
+            assert.deepEqual([...node._mapHeadersToDownload.keys()], [block1.getHash(), block2.getHash()]);
+            assert.isOk(fakePeer.markAsPossiblyAhead.calledOnce);
+            assert.isOk(fakePeer.doneGetBlocks.calledOnce);
+
+            const [msg] = fakePeer.pushMessage.args[0];
+            assert.isOk(msg.isGetHeaders());
+            assert.deepEqual(msg.arrHashes, [block1.getHash(), block2.getHash()]);
+            assert.isOk(node._requestBlockBodies.calledOnce);
+        });
+
+        it('should limit skeleton size', async () => {
+            node._requestBlockBodies = sinon.fake.resolves();
+            const nPrevLimit = factory.Constants.MAX_HEADERS_TO_DOWNLOAD;
+            factory.Constants.MAX_HEADERS_TO_DOWNLOAD = 1;
+
+            try {
+                const msgHeaders = new factory.Messages.MsgHeaders([block1.header, block2.header]);
+                await node._handleHeadersMessage(fakePeer, toWire(msgHeaders));
+            } finally {
+                factory.Constants.MAX_HEADERS_TO_DOWNLOAD = nPrevLimit;
+            }
+
+            assert.deepEqual([...node._mapHeadersToDownload.keys()], [block1.getHash()]);
+            assert.isNotOk(node._headersDag.getBlockInfo(block2.getHash()));
+
+            // skeleton is full - no more headers
+            assert.isOk(fakePeer.pushMessage.args.every(([msg]) => !msg.isGetHeaders()));
+        });
+
+        it('should stop requesting headers from peer that sends nothing new', async () => {
+            node._requestBlockBodies = sinon.fake.resolves();
+            const msgHeaders = new factory.Messages.MsgHeaders([block1.header, block2.header]);
+
+            for (let i = 0; i <= factory.Constants.MAX_HEADERS_IDLE_ROUNDS; i++) {
+                await node._handleHeadersMessage(fakePeer, toWire(msgHeaders));
+            }
+
+            const arrGetHeaders = fakePeer.pushMessage.args.filter(([msg]) => msg.isGetHeaders());
+            assert.equal(arrGetHeaders.length, factory.Constants.MAX_HEADERS_IDLE_ROUNDS);
+
+            // regular sync for this peer
+            const msg = await node._createSyncMsg(fakePeer);
+            assert.isOk(msg.isGetBlocks());
+        });
+
+        it('should reassign headers of disconnected peer', async () => {
+            const otherPeer = {address: 'other', port: 1234};
+            node._peerManager.getConnectedPeers = sinon.fake.returns([fakePeer, otherPeer]);
+            node._mapHeadersToDownload.set(block1.getHash(), strPeerKey);
+
+            node._reassignHeadersToDownload(fakePeer);
+
+            assert.equal(node._mapHeadersToDownload.get(block1.getHash()), 'other1234');
+        });
+
+        it('should drop headers of disconnected peer (no other peers)', async () => {
+            node._headersDag.addBlock(new factory.BlockInfo(block1.header));
+            node._mapHeadersToDownload.set(block1.getHash(), strPeerKey);
+            node._nHeadersReceived = 1;
+
+            node._reassignHeadersToDownload(fakePeer);
+
+            assert.equal(node._mapHeadersToDownload.size, 0);
+            assert.isNotOk(node._headersDag.getBlockInfo(block1.getHash()));
+            assert.equal(node._nHeadersReceived, 0);
+        });
+
+        it('should mark peer as even (no unknown headers)', async () => {
+            node._requestBlockBodies = sinon.fake.resolves();
+            node._isBlockKnown = sinon.fake.resolves(true);
+            fakePeer.isAhead = sinon.fake.returns(false);
+
+            await node._handleHeadersMessage(fakePeer, toWire(new factory.Messages.MsgHeaders([block1.header])));
+
+            assert.isOk(fakePeer.markAsEven.calledOnce);
+            assert.equal(node._mapHeadersToDownload.size, 0);
+            assert.isOk(fakePeer.pushMessage.args.every(([msg]) => !msg.isGetHeaders()));
+        });
+
+        it('should misbehave for header with wrong height', async () => {
+            const badBlock = createChainedBlock(block1.getHash(), 5);
+            await node._mainDag.addBlock(new factory.BlockInfo(block1.header));
+
+            await node._handleHeadersMessage(fakePeer, toWire(new factory.Messages.MsgHeaders([badBlock.header])));
+
+            assert.isOk(fakePeer.misbehave.calledOnce);
+            assert.isNotOk(node._headersDag.getBlockInfo(badBlock.getHash()));
+        });
+
+        it('should misbehave for unrequested headers', async () => {
+            fakePeer.isGetBlocksSent = sinon.fake.returns(false);
+
+            await node._handleHeadersMessage(fakePeer, toWire(new factory.Messages.MsgHeaders([block1.header])));
+
+            assert.isOk(fakePeer.misbehave.calledOnce);
+            assert.equal(node._mapHeadersToDownload.size, 0);
+        });
+
+        it('should request bodies (lower first)', async () => {
+            node._headersDag.addBlock(new factory.BlockInfo(block2.header));
+            node._headersDag.addBlock(new factory.BlockInfo(block1.header));
+            node._mapHeadersToDownload.set(block2.getHash(), strPeerKey);
+            node._mapHeadersToDownload.set(block1.getHash(), strPeerKey);
+
+            await node._requestBlockBodies();
+
+            const [msg] = fakePeer.pushMessage.args[0];
+            assert.isOk(msg.isGetData());
+            assert.deepEqual(
+                msg.inventory.vector.map(v => v.hash.toString('hex')),
+                [block1.getHash(), block2.getHash()]
+            );
+            assert.isOk(node._requestCache.isRequested(block1.getHash()));
+            assert.isOk(node._requestCache.isRequested(block2.getHash()));
+        });
+
+        it('should drop skeleton when all bodies downloaded', async () => {
+            node._headersDag.addBlock(new factory.BlockInfo(block1.header));
+            node._mapHeadersToDownload.set(block1.getHash(), strPeerKey);
+            node._nHeadersReceived = 1;
+            node._isBlockKnown = sinon.fake.resolves(true);
+
+            await node._requestBlockBodies();
+
+            assert.equal(node._mapHeadersToDownload.size, 0);
+            assert.isNotOk(node._headersDag.getBlockInfo(block1.getHash()));
+            assert.isNotOk(fakePeer.pushMessage.called);
+        });
+
+        it('should report sync status', async () => {
+            node._nHeadersReceived = 5;
+            node._mapHeadersToDownload.set(block1.getHash(), strPeerKey);
+
+            assert.deepEqual(node._getSyncStatus(), {
+                isSyncing: true,
+                headers: 5,
+                blocksDownloaded: 4,
+                blocksPending: 1
+            });
+        });
+    });
+
+    describe('Pruning', async () => {
+        let node;
+        let fakePeer;
+
+        beforeEach(async () => {
+            node = new factory.Node({pruneBlocks: 10});
+            await node.ensureLoaded();
+
+            fakePeer = {
+                address: 'fake',
+                port: 1234,
+                isPruned: true,
+                pushMessage: sinon.fake(),
+                isAhead: sinon.fake.returns(true),
+                isGetBlocksSent: sinon.fake.returns(false)
+            };
+            node._peerManager.getConnectedPeers = sinon.fake.returns([fakePeer]);
+        });
+
+        it('should advertise pruned status', async () => {
+            assert.isOk(node._myPeerInfo.capabilities.find(cap => cap.service === factory.Constants.PRUNED));
+        });
+
+        it('should NOT advertise pruned status for archival node', async () => {
+            const archivalNode = new factory.Node();
+            await archivalNode.ensureLoaded();
+
+            assert.isNotOk(
+                archivalNode._myPeerInfo.capabilities.find(cap => cap.service === factory.Constants.PRUNED)
+            );
+        });
+
+        it('should NOT query pruned peer for old blocks', async () => {
+            node._isInitialBlockLoading = sinon.fake.returns(true);
+
+            await node._queryPeerForRestOfBlocks();
+
+            assert.isNotOk(fakePeer.pushMessage.called);
+        });
+
+        it('should query archival peer for old blocks', async () => {
+            node._isInitialBlockLoading = sinon.fake.returns(true);
+            fakePeer.isPruned = false;
+            fakePeer.supportsHeadersFirst = true;
+
+            await node._queryPeerForRestOfBlocks();
+
+            assert.isOk(fakePeer.pushMessage.calledOnce);
+        });
+
+        it('should refuse pruned block via RPC', async () => {
+            const strHash = pseudoRandomBuffer().toString('hex');
+            node._getBlockAndState = sinon.fake.rejects(new Error(`Storage: Block ${strHash} is pruned`));
+            node._storage.isBlockPruned = sinon.fake.resolves(true);
+
+            return assert.isRejected(node.rpcHandler({event: 'getBlock', content: strHash}), /is pruned/);
+        });
+
+        it('should NOT advertise pruned blocks (INV & HEADERS)', async () => {
+            const strPruned = pseudoRandomBuffer().toString('hex');
+            const block = createDummyBlock(factory);
+            await node._mainDag.addBlock(new factory.BlockInfo(block.header));
+            node._getBlocksFromLastKnown = sinon.fake.returns(new Set([strPruned, block.getHash()]));
+            node._storage.isBlockPruned = sinon.fake(async hash => hash === strPruned);
+
+            const msgGetBlocks = new factory.Messages.MsgGetBlocks();
+            msgGetBlocks.arrHashes = [pseudoRandomBuffer().toString('hex')];
+            await node._handleGetBlocksMessage(fakePeer, new factory.Messages.MsgCommon(msgGetBlocks.encode()));
+
+            const msgGetHeaders = new factory.Messages.MsgGetHeaders();
+            msgGetHeaders.arrHashes = [pseudoRandomBuffer().toString('hex')];
+            await node._handleGetHeadersMessage(fakePeer, new factory.Messages.MsgCommon(msgGetHeaders.encode()));
+
+            const [msgInv] = fakePeer.pushMessage.args[0];
+            assert.deepEqual(
+                msgInv.inventory.vector.map(objVector => objVector.hash.toString('hex')),
+                [block.getHash()]
+            );
+            const [msgHeaders] = fakePeer.pushMessage.args[1];
+            assert.deepEqual(
+                msgHeaders.headers.map(header => new factory.BlockInfo(header).getHash()),
+                [block.getHash()]
+            );
+        });
+
+        it('should refuse to rebuild DB', async () => {
+            return assert.isRejected(node.rebuildDb(), /impossible for pruned node/);
+        });
+
+        it('should refuse TX from pruned block via RPC', async () => {
+            const strTxHash = pseudoRandomBuffer().toString('hex');
+            node._storage.findInternalTx = sinon.fake.resolves(undefined);
+            node._storage.getTxBlock = sinon.fake.resolves(pseudoRandomBuffer());
+            node._storage.isBlockPruned = sinon.fake.resolves(true);
+
+            return assert.isRejected(node.rpcHandler({event: 'getTx', content: strTxHash}), /is pruned/);
+        });
+
+        it('should return nothing for unknown block via RPC', async () => {
+            const strHash = pseudoRandomBuffer().toString('hex');
+            node._getBlockAndState = sinon.fake.rejects(new Error(`Storage: No block found by hash ${strHash}`));
+
+            assert.isNotOk(await node.rpcHandler({event: 'getBlock', content: strHash}));
+        });
+    });
+
+    describe('Checkpoints', async () => {
+        let node;
+        let block;
+
+        const createBlockAtHeight = (nHeight, nConciliumId = 0, strParentHash) => {
+            const newBlock = new factory.Block(nConciliumId);
+            newBlock.parentHashes = [strParentHash || pseudoRandomBuffer().toString('hex')];
+            newBlock.finish(factory.Constants.fees.TX_FEE, generateAddress());
+            newBlock.setHeight(nHeight);
+            return newBlock;
+        };
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            block = createBlockAtHeight(10);
+            factory.Constants.CHECKPOINTS = [{hash: block.getHash(), height: 10}];
+        });
+
+        afterEach(async () => {
+            factory.Constants.CHECKPOINTS = [];
+            factory.Constants.ASSUMED_VALID_BLOCK = undefined;
+        });
+
+        it('should accept checkpoint block', async () => {
+            node._checkCheckpoints(block);
+        });
+
+        it('should reject checkpoint block with wrong height', async () => {
+            factory.Constants.CHECKPOINTS = [{hash: block.getHash(), height: 11}];
+
+            assert.throws(() => node._checkCheckpoints(block), /should have height 11/);
+        });
+
+        it('should reject conflicting block of same concilium', async () => {
+            await node._mainDag.addBlock(new factory.BlockInfo(block.header));
+
+            assert.throws(() => node._checkCheckpoints(createBlockAtHeight(10)), /conflicts with checkpoint/);
+        });
+
+        it('should accept block of other concilium at checkpoint height', async () => {
+            await node._mainDag.addBlock(new factory.BlockInfo(block.header));
+
+            node._checkCheckpoints(createBlockAtHeight(10, 1));
+        });
+
+        it('should accept block at other height', async () => {
+            await node._mainDag.addBlock(new factory.BlockInfo(block.header));
+
+            node._checkCheckpoints(createBlockAtHeight(9));
+        });
+
+        it('should reject conflicting block in _verifyBlock', async () => {
+            await node._headersDag.addBlock(new factory.BlockInfo(block.header));
+            node._storage.checkTxCollision = sinon.fake.resolves();
+
+            await assert.isRejected(node._verifyBlock(createBlockAtHeight(10), false), /conflicts with checkpoint/);
+        });
+
+        it('should treat ancestors of assumed valid as valid', async () => {
+            const blockAncestor = createBlockAtHeight(9);
+            const blockAssumed = createBlockAtHeight(10, 0, blockAncestor.getHash());
+            factory.Constants.ASSUMED_VALID_BLOCK = blockAssumed.getHash();
+            await node._headersDag.addBlock(new factory.BlockInfo(blockAncestor.header));
+            await node._mainDag.addBlock(new factory.BlockInfo(blockAssumed.header));
+
+            assert.isOk(node._isAssumedValid(blockAncestor));
+            assert.isNotOk(node._isAssumedValid(createBlockAtHeight(9)));
+            assert.isNotOk(node._isAssumedValid(createBlockAtHeight(10)));
+        });
+
+        it('should NOT treat blocks as assumed valid if it is unknown', async () => {
+            factory.Constants.ASSUMED_VALID_BLOCK = block.getHash();
+
+            assert.isNotOk(node._isAssumedValid(createBlockAtHeight(9, 0, block.parentHashes[0])));
+        });
+
+        it('should recollect ancestors when skeleton grows', async () => {
+            const blockAncestor = createBlockAtHeight(8);
+            const blockParent = createBlockAtHeight(9, 0, blockAncestor.getHash());
+            const blockAssumed = createBlockAtHeight(10, 0, blockParent.getHash());
+            factory.Constants.ASSUMED_VALID_BLOCK = blockAssumed.getHash();
+            await node._headersDag.addBlock(new factory.BlockInfo(blockAssumed.header));
+
+            assert.isNotOk(node._isAssumedValid(blockParent));
+
+            await node._headersDag.addBlock(new factory.BlockInfo(blockParent.header));
+            await node._headersDag.addBlock(new factory.BlockInfo(blockAncestor.header));
+
+            assert.isOk(node._isAssumedValid(blockParent));
+            assert.isOk(node._isAssumedValid(blockAncestor));
+        });
+
+        describe('Signatures', async () => {
+            let blockAncestor;
+
+            beforeEach(async () => {
+                blockAncestor = createBlockAtHeight(9);
+                const blockAssumed = createBlockAtHeight(10, 0, blockAncestor.getHash());
+                factory.Constants.ASSUMED_VALID_BLOCK = blockAssumed.getHash();
+                await node._mainDag.addBlock(new factory.BlockInfo(blockAncestor.header));
+                await node._mainDag.addBlock(new factory.BlockInfo(blockAssumed.header));
+
+                node._storage.checkTxCollision = sinon.fake.resolves();
+                node._verifyBlockSignatures = sinon.fake.rejects(new Error('Bad signature'));
+            });
+
+            it('should skip signatures check for assumed valid block', async () => {
+                blockAncestor.addWitnessSignatures([pseudoRandomBuffer(65)]);
+                await node._verifyBlock(blockAncestor);
+
+                assert.isNotOk(node._verifyBlockSignatures.called);
+            });
+
+            it('should reject side branch block below assumed valid', async () => {
+                const blockSideBranch = createBlockAtHeight(9);
+                blockSideBranch.addWitnessSignatures([pseudoRandomBuffer(65)]);
+
+                await assert.isRejected(node._verifyBlock(blockSideBranch), /Bad signature/);
+                assert.isOk(node._verifyBlockSignatures.calledOnce);
+            });
+        });
+    });
+
+    describe('Slashing', async () => {
+        const nSlashConciliumId = 1;
+        let node;
+        let keyPair;
+        let arrOtherKeyPairs;
+        let strPrevConciliumContract;
+        let arrParentHashes;
+
+        // concilium of 4 equal members: quorum is 3 signatures
+        const getQuorumKeys = () => [keyPair.privateKey, ...arrOtherKeyPairs.slice(0, 2).map(kp => kp.privateKey)];
+
+        const createSignedBlockInfo = (nHeight, nConcilium = nSlashConciliumId, arrPrivateKeys = getQuorumKeys(),
+                                       arrParents = arrParentHashes) => {
+            const block = createDummyBlock(factory, nConcilium);
+            block.parentHashes = arrParents;
+            block.setHeight(nHeight);
+            const buffBlockHash = Buffer.from(block.getHash(), 'hex');
+            return {
+                buffBlockInfo: new factory.BlockInfo(block.header).encode(),
+                arrSignatures: arrPrivateKeys.map(privateKey => factory.Crypto.sign(buffBlockHash, privateKey))
+            };
+        };
+
+        const createSlashTx = (arrEvidence, strOffender = keyPair.address) =>
+            factory.Transaction.slashWitness(
+                nSlashConciliumId,
+                strOffender,
+                arrEvidence.map(({buffBlockInfo}) => buffBlockInfo),
+                arrEvidence.map(({arrSignatures}) => arrSignatures),
+                generateAddress()
+            );
+
+        beforeEach(async () => {
+            strPrevConciliumContract = factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS;
+            factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS = generateAddress().toString('hex');
+
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            arrParentHashes = [pseudoRandomBuffer().toString('hex'), pseudoRandomBuffer().toString('hex')];
+            keyPair = factory.Crypto.createKeyPair();
+            arrOtherKeyPairs = [1, 2, 3].map(() => factory.Crypto.createKeyPair());
+            const concilium = factory.ConciliumPos.create(
+                nSlashConciliumId, 1e5, 10,
+                [keyPair, ...arrOtherKeyPairs].map(({address}) => ({address, amount: 1e5}))
+            );
+            node._storage.getConciliumById = sinon.fake.resolves(concilium);
+        });
+
+        afterEach(async () => {
+            factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS = strPrevConciliumContract;
+        });
+
+        it('should pass valid evidence', async () => {
+            await node._validateSlashEvidence(createSlashTx([createSignedBlockInfo(20), createSignedBlockInfo(20)]));
+        });
+
+        it('should ignore other contracts & methods', async () => {
+            await node._validateSlashEvidence(createContractInvocationTx({method: 'slashWitness'}).tx);
+            await node._validateSlashEvidence(factory.Transaction.invokeContract(
+                factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS,
+                {method: 'joinConcilium', arrArguments: [nSlashConciliumId]},
+                0
+            ));
+        });
+
+        it('should reject same block', async () => {
+            const objEvidence = createSignedBlockInfo(20);
+            const tx = createSlashTx([objEvidence, objEvidence]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /same block/);
+        });
+
+        it('should reject blocks at different heights', async () => {
+            const tx = createSlashTx([createSignedBlockInfo(20), createSignedBlockInfo(21)]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /blocks are not conflicting/);
+        });
+
+        it('should pass evidence with same parents in other order', async () => {
+            const tx = createSlashTx([
+                createSignedBlockInfo(20),
+                createSignedBlockInfo(20, nSlashConciliumId, getQuorumKeys(), arrParentHashes.slice().reverse())
+            ]);
+
+            await node._validateSlashEvidence(tx);
+        });
+
+        it('should reject blocks with different parents (other round)', async () => {
+            const tx = createSlashTx([
+                createSignedBlockInfo(20),
+                createSignedBlockInfo(20, nSlashConciliumId, getQuorumKeys(), [pseudoRandomBuffer().toString('hex')])
+            ]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /blocks are not conflicting/);
+        });
+
+        it('should reject too old evidence', async () => {
+            node._processedBlock = createDummyBlock(factory);
+            node._processedBlock.setHeight(20 + factory.Constants.concilium.HEIGHT_TO_RELEASE_ADD_ON + 1);
+            const tx = createSlashTx([createSignedBlockInfo(20), createSignedBlockInfo(20)]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /too old/);
+        });
+
+        it('should pass recent evidence', async () => {
+            node._processedBlock = createDummyBlock(factory);
+            node._processedBlock.setHeight(20 + factory.Constants.concilium.HEIGHT_TO_RELEASE_ADD_ON);
+
+            await node._validateSlashEvidence(createSlashTx([createSignedBlockInfo(20), createSignedBlockInfo(20)]));
+        });
+
+        it('should reject evidence from future', async () => {
+            node._processedBlock = createDummyBlock(factory);
+            node._processedBlock.setHeight(19);
+            const tx = createSlashTx([createSignedBlockInfo(20), createSignedBlockInfo(20)]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /from future/);
+        });
+
+        it('should reject blocks of other concilium', async () => {
+            const tx = createSlashTx([createSignedBlockInfo(20), createSignedBlockInfo(20, 2)]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /blocks of other concilium/);
+        });
+
+        it('should reject block committed without offender', async () => {
+            const tx = createSlashTx([
+                createSignedBlockInfo(20),
+                createSignedBlockInfo(20, nSlashConciliumId, arrOtherKeyPairs.map(kp => kp.privateKey))
+            ]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /signed not by offender/);
+        });
+
+        it('should reject signature of non member', async () => {
+            const {privateKey} = factory.Crypto.createKeyPair();
+            const tx = createSlashTx([
+                createSignedBlockInfo(20),
+                createSignedBlockInfo(20, nSlashConciliumId, [...getQuorumKeys(), privateKey])
+            ]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /Bad signature for block/);
+        });
+
+        it('should NOT slash for normal round change (vote for failed round & committed block)', async () => {
+
+            // honest witness voted for block of failed round, then for block of next proposer (same parents)
+            const tx = createSlashTx([
+                createSignedBlockInfo(20, nSlashConciliumId, [keyPair.privateKey]),
+                createSignedBlockInfo(20)
+            ]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /Not enough signatures/);
+        });
+
+        it('should reject duplicate signatures (to gather quorum)', async () => {
+            const {buffBlockInfo, arrSignatures: [signature]} =
+                createSignedBlockInfo(20, nSlashConciliumId, [keyPair.privateKey]);
+            const tx = createSlashTx([
+                {buffBlockInfo, arrSignatures: [signature, signature, signature]},
+                createSignedBlockInfo(20)
+            ]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /duplicate signatures/);
+        });
+
+        it('should reject offender that is not a member', async () => {
+            keyPair = factory.Crypto.createKeyPair();
+            const tx = createSlashTx([createSignedBlockInfo(20), createSignedBlockInfo(20)]);
+
+            await assert.isRejected(node._validateSlashEvidence(tx), /isn't member of PoS concilium/);
+        });
+    });
+
+    describe('Reward policy', async () => {
+        let node;
+        let block;
+        let coinbase;
+        let patch;
+
+        const getCreatedCoins = () => {
+            const utxo = patch.getUtxo(coinbase.hash());
+            return utxo.getIndexes().map(idx => utxo.coinsAtIndex(idx));
+        };
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            block = createDummyBlock(factory, 1);
+            coinbase = new factory.Transaction(block.txns[0]);
+            patch = new factory.PatchDB();
+        });
+
+        it('should send reward to proposer (default policy)', async () => {
+            node._storage.getConciliumById = sinon.fake.resolves(createConciliumDefAndSignBlock(block, 3));
+
+            await node._processBlockCoinbaseTX(block, factory.Constants.fees.TX_FEE, patch);
+
+            const arrOutCoins = coinbase.getOutCoins().filter(coins => coins.getAmount());
+            assert.deepEqual(getCreatedCoins(), arrOutCoins);
+        });
+
+        it('should split reward equally among signers', async () => {
+            const concilium = createConciliumDefAndSignBlock(block, 3);
+            concilium.toObject().parameters.rewardPolicy = factory.BaseConciliumDefinition.REWARD_POLICY_SIGNERS;
+            node._storage.getConciliumById = sinon.fake.resolves(concilium);
+
+            await node._processBlockCoinbaseTX(block, factory.Constants.fees.TX_FEE, patch);
+
+            const arrCoins = getCreatedCoins();
+            const [coinsDevFoundation, ...arrShares] = arrCoins;
+            assert.equal(
+                coinsDevFoundation.getReceiverAddr().toString('hex'),
+                factory.Constants.DEV_FOUNDATION_ADDRESS
+            );
+            assert.deepEqual(
+                arrShares.map(coins => coins.getReceiverAddr().toString('hex')).sort(),
+                concilium.getAddresses(false).sort()
+            );
+            assert.isOk(arrShares.every(coins => coins.getAmount() === arrShares[0].getAmount()));
+            assert.equal(arrCoins.reduce((accum, coins) => accum + coins.getAmount(), 0n), coinbase.amountOut());
+        });
+
+        it('should split reward pro-rata by stake (remainder to proposer)', async () => {
+            const arrMembers = [1e5, 2e5, 4e5].map(amount => ({amount, address: generateAddress().toString('hex')}));
+            const concilium = factory.ConciliumPos.create(1, 1e5, 100, arrMembers);
+            concilium.toObject().parameters.rewardPolicy = factory.BaseConciliumDefinition.REWARD_POLICY_STAKE;
+            node._storage.getConciliumById = sinon.fake.resolves(concilium);
+
+            await node._processBlockCoinbaseTX(block, factory.Constants.fees.TX_FEE, patch);
+
+            const [coinsDevFoundation, coinsProposer, ...arrShares] = getCreatedCoins();
+            const nReward = coinbase.amountOut() - coinsDevFoundation.getAmount();
+            assert.deepEqual(
+                arrShares.map(coins => coins.getAmount()),
+                [1n, 2n, 4n].map(nShare => nReward * nShare / 7n)
+            );
+            assert.deepEqual(
+                arrShares.map(coins => coins.getReceiverAddr().toString('hex')),
+                arrMembers.map(({address}) => address)
+            );
+            assert.equal(
+                coinsProposer.getAmount(),
+                arrShares.reduce((accum, coins) => accum - coins.getAmount(), nReward)
+            );
+            assert.isOk(coinsProposer.getReceiverAddr().equals(coinbase.getOutCoins()[1].getReceiverAddr()));
+        });
+
+        it('should share reward with delegators', async () => {
+            const strProposer = coinbase.getOutCoins()[1].getReceiverAddr().toString('hex');
+            const strDelegator = generateAddress().toString('hex');
+            const concilium = factory.ConciliumPos.create(1, 1e5, 100, [{amount: 1e5, address: strProposer}]);
+            concilium.toObject().arrMembers[0].arrDelegations = [{address: strDelegator, amount: 3e5}];
+            node._storage.getConciliumById = sinon.fake.resolves(new factory.ConciliumPos(concilium.toObject()));
+
+            await node._processBlockCoinbaseTX(block, factory.Constants.fees.TX_FEE, patch);
+
+            const [, coinsProposer, coinsDelegator] = getCreatedCoins();
+            const nReward = coinbase.getOutCoins()[1].getAmount();
+            assert.equal(coinsProposer.getReceiverAddr().toString('hex'), strProposer);
+            assert.equal(coinsProposer.getAmount(), nReward - nReward * 3n / 4n);
+            assert.equal(coinsDelegator.getReceiverAddr().toString('hex'), strDelegator);
+            assert.equal(coinsDelegator.getAmount(), nReward * 3n / 4n);
+        });
+
+        it('should reject stake delegation before fork', async () => {
+            const strPrevConciliumContract = factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS;
+            factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS = generateAddress().toString('hex');
+            try {
+                const tx = factory.Transaction.invokeContract(
+                    factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS,
+                    {method: 'delegateStake', arrArguments: [1, generateAddress().toString('hex')]},
+                    1e5
+                );
+
+                assert.throws(() => node._rejectDelegationBeforeFork(tx), /stake delegation isn't enabled yet/);
+
+                node._rejectDelegationBeforeFork(factory.Transaction.invokeContract(
+                    factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS,
+                    {method: 'joinConcilium', arrArguments: [1]},
+                    1e5
+                ));
+            } finally {
+                factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS = strPrevConciliumContract;
+            }
+        });
+
+        it('should NOT process stake delegation before fork', async () => {
+            node._isTimeToForkDelegation = () => false;
+            node._isTimeToForkContractAbi = () => false;
+            node._rejectDelegationBeforeFork = sinon.fake.throws(new Error('stake delegation isn\'t enabled yet'));
+            const {tx} = createContractInvocationTx({method: 'delegateStake'});
+            const contract = new factory.Contract({contractCode: '{}', conciliumId});
+            contract.storeAddress(tx.getContractAddr());
+
+            await assert.isRejected(
+                node._processContract(false, contract, tx, new factory.PatchDB(), new factory.PatchDB(), 1e6, 100),
+                /stake delegation isn't enabled yet/
+            );
+        });
+
+        it('should send reward to proposer before fork', async () => {
+            const concilium = createConciliumDefAndSignBlock(block, 3);
+            concilium.toObject().parameters.rewardPolicy = factory.BaseConciliumDefinition.REWARD_POLICY_SIGNERS;
+            node._storage.getConciliumById = sinon.fake.resolves(concilium);
+            node._isTimeToForkRewardPolicy = () => false;
+
+            await node._processBlockCoinbaseTX(block, factory.Constants.fees.TX_FEE, patch);
+
+            assert.equal(getCreatedCoins().length, 2);
+        });
+    });
+});
@@ -99,7 +99,7 @@ describe('Peer tests', () => {
             }
         });
         for (let i = 0; i < 5; i++) {
-            newPeer.pushMessage({message: `testMessage${i}`, isGetBlocks: () => false});
+            newPeer.pushMessage({message: `testMessage${i}`, isGetBlocks: () => false, isGetHeaders: () => false});
         }
         await sleep(delay * 6);
         assert.equal(nSendMessages, 5);
@@ -114,6 +114,118 @@ describe('RPC', () => {
         assert.isOk(fake.calledOnce);
     });
 
+    describe('Subscriptions', () => {
+        const createWsConnection = () => ({conn: {send: sinon.fake()}});
+
+        it('should FAIL to subscribe (not WS connection)', async () => {
+            const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+
+            return assert.isRejected(rpc.subscribe({strTopic: 'newBlock'}, {}), /only for WebSocket/);
+        });
+
+        it('should FAIL to subscribe (unknown topic)', async () => {
+            const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+
+            return assert.isRejected(rpc.subscribe({strTopic: 'unknown'}, createWsConnection()), /Unknown topic/);
+        });
+
+        it('should FAIL to subscribe (limit reached)', async () => {
+            const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+            const connection = createWsConnection();
+
+            for (let i = 0; i < factory.Constants.WS_MAX_SUBSCRIPTIONS; i++) {
+                await rpc.subscribe({strTopic: 'newBlock'}, connection);
+            }
+
+            return assert.isRejected(rpc.subscribe({strTopic: 'newBlock'}, connection), /Too many subscriptions/);
+        });
+
+        it('should notify about new block and stop after unsubscribe', async () => {
+            const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+            const connection = createWsConnection();
+            const block = createDummyBlock(factory);
+
+            const strSubscriptionId = await rpc.subscribe({strTopic: 'newBlock'}, connection);
+            rpc.informWsSubscribersNewBlock({block, state: 'stable'});
+
+            assert.isOk(connection.conn.send.calledOnce);
+            const {method, params} = JSON.parse(connection.conn.send.args[0][0]);
+            assert.equal(method, 'subscription');
+            assert.equal(params.strSubscriptionId, strSubscriptionId);
+            assert.equal(params.strTopic, 'newBlock');
+            assert.equal(params.result.hash, block.getHash());
+
+            assert.isOk(await rpc.unsubscribe({strSubscriptionId}, connection));
+            assert.isNotOk(await rpc.unsubscribe({strSubscriptionId}, connection));
+
+            rpc.informWsSubscribersNewBlock({block, state: 'stable'});
+            assert.isOk(connection.conn.send.calledOnce);
+        });
+
+        it('should notify about stable blocks', async () => {
+            const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+            const connection = createWsConnection();
+            const arrHashes = [pseudoRandomBuffer().toString('hex')];
+
+            await rpc.subscribe({strTopic: 'blockStable'}, connection);
+            rpc.informWsSubscribersStableBlocks(arrHashes);
+
+            assert.isOk(connection.conn.send.calledOnce);
+            const {params} = JSON.parse(connection.conn.send.args[0][0]);
+            assert.deepEqual(params.result, {arrHashes});
+        });
+
+        it('should FAIL to subscribe for unwatched address', async () => {
+            node.storage = {getWalletsAddresses: sinon.fake.resolves([])};
+            const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+
+            return assert.isRejected(
+                rpc.subscribe({strTopic: 'address', strAddress: generateAddress().toString('hex')},
+                    createWsConnection()
+                ),
+                /isn't watched/
+            );
+        });
+
+        it('should notify about mempool tx for watched address', async () => {
+            const strAddress = generateAddress().toString('hex');
+            node.storage = {getWalletsAddresses: sinon.fake.resolves([strAddress])};
+            const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+            const connMempool = createWsConnection();
+            const connAddress = createWsConnection();
+
+            await rpc.subscribe({strTopic: 'mempoolTx'}, connMempool);
+            await rpc.subscribe({strTopic: 'address', strAddress}, connAddress);
+
+            const txOther = new factory.Transaction(createDummyTx());
+            rpc.informWsSubscribersMempoolTx(txOther);
+            assert.isOk(connMempool.conn.send.calledOnce);
+            assert.isNotOk(connAddress.conn.send.called);
+
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addReceiver(1e3, Buffer.from(strAddress, 'hex'));
+            rpc.informWsSubscribersMempoolTx(tx);
+
+            assert.isOk(connMempool.conn.send.calledTwice);
+            assert.isOk(connAddress.conn.send.calledOnce);
+            const {params} = JSON.parse(connAddress.conn.send.args[0][0]);
+            assert.equal(params.result.hash, tx.getHash());
+        });
+
+        it('should drop subscriptions of closed connection', async () => {
+            const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+            const connection = createWsConnection();
+
+            await rpc.subscribe({strTopic: 'blockStable'}, connection);
+            connection.ended = true;
+            rpc.informWsSubscribersStableBlocks([]);
+
+            assert.isNotOk(connection.conn.send.called);
+            assert.equal(rpc._mapSubscriptions.size, 0);
+        });
+    });
+
     it('should get block', async () => {
         const state = 12;
         const block = createDummyBlock(factory);
@@ -140,6 +252,17 @@ describe('RPC', () => {
         );
     });
 
+    it('should report pruned block', async () => {
+        const strBlockHash = pseudoRandomBuffer().toString('hex');
+        node = {
+            rpcHandler: sinon.fake.rejects(new Error(`Storage: Block ${strBlockHash} is pruned`)),
+            storage: {}
+        };
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+
+        return assert.isRejected(rpc.getBlock({strBlockHash}), /is pruned/);
+    });
+
     it('should get prev block', async () => {
         const state = 'stable';
         const block = createDummyBlock(factory);
@@ -295,6 +418,216 @@ describe('RPC', () => {
         assert.deepEqual(resp, objExpected);
     });
 
+    it('should pass getAddressHistory', async () => {
+        const strAddress = generateAddress().toString('hex');
+        const strBlockHash = pseudoRandomBuffer().toString('hex');
+        const node = {
+            rpcHandler: sinon.fake.resolves({
+                arrRecords: [{direction: 'in', amount: 10n, blockHash: strBlockHash, height: 1}],
+                strCursor: undefined
+            }),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.getAddressHistory({strAddress, nFromHeight: 1, nLimit: 10});
+
+        assert.deepEqual(resp.arrRecords, [{direction: 'in', amount: 10, blockHash: strBlockHash, height: 1}]);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'getAddressHistory');
+        assert.deepEqual(content, {strAddress, nFromHeight: 1, nLimit: 10, strCursor: undefined});
+    });
+
+    it('should pass getContractData with height', async () => {
+        const strAddress = generateAddress().toString('hex');
+        const objResult = {data: {value: 1}, codeVersion: {codeHash: pseudoRandomBuffer().toString('hex'), height: 0}};
+        const node = {
+            rpcHandler: sinon.fake.resolves(objResult),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.getContractData({strAddress, nHeight: 10});
+
+        assert.deepEqual(resp, objResult);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'getContractData');
+        assert.deepEqual(content, {strAddress, nHeight: 10});
+    });
+
+    it('should pass estimateTx', async () => {
+        const tx = new factory.Transaction(createDummyTx());
+        const receipt = new factory.TxReceipt({coinsUsed: 1000, status: factory.Constants.TX_STATUS_OK});
+        const node = {
+            rpcHandler: sinon.fake.resolves(
+                {fee: 1000n, objCosts: {size: 1000n}, nDataDelta: 0, receipt, arrInternalTxns: []}),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.estimateTx({strTx: tx.encode().toString('hex')});
+
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'estimateTx');
+        assert.equal(content.getHash(), tx.getHash());
+        assert.deepEqual(resp, prepareForStringifyObject(
+            {fee: 1000n, objCosts: {size: 1000n}, nDataDelta: 0, receipt: receipt.toObject(), arrInternalTxns: []}
+        ));
+    });
+
+    it('should pass simulateContractCall', async () => {
+        const strAddress = generateAddress().toString('hex');
+        const strSender = generateAddress().toString('hex');
+        const node = {
+            rpcHandler: sinon.fake.resolves({fee: 1000n, objCosts: {size: 1000n}, nDataDelta: 0, arrInternalTxns: []}),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        await rpc.simulateContractCall({
+            contractAddress: factory.Constants.ADDRESS_PREFIX + strAddress,
+            method: 'add',
+            arrArguments: [1],
+            amount: '100',
+            sender: strSender
+        });
+
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'simulateContractCall');
+        assert.deepEqual(content,
+            {contractAddress: strAddress, method: 'add', arrArguments: [1], amount: 100n, sender: strSender}
+        );
+    });
+
+    it('should pass estimateFee', async () => {
+        const node = {
+            rpcHandler: sinon.fake.resolves({feePerKb: 5000n, isEstimated: true}),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.estimateFee({conciliumId: 1});
+
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'estimateFee');
+        assert.deepEqual(content, {conciliumId: 1, targetBlocks: 1});
+        assert.deepEqual(resp, {feePerKb: 5000, isEstimated: true});
+    });
+
+    it('should pass saveMempool & loadMempool', async () => {
+        const node = {
+            rpcHandler: sinon.fake.resolves(3),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+
+        assert.deepEqual(await rpc.saveMempool(), {saved: 3});
+        assert.equal(node.rpcHandler.args[0][0].event, 'saveMempool');
+
+        assert.deepEqual(await rpc.loadMempool(), {restored: 3});
+        assert.equal(node.rpcHandler.args[1][0].event, 'loadMempool');
+    });
+
+    it('should pass exportSnapshot', async () => {
+        const strHash = pseudoRandomBuffer().toString('hex');
+        const strBlockHash = pseudoRandomBuffer().toString('hex');
+        const node = {
+            rpcHandler: sinon.fake.resolves({hash: strHash, arrLastAppliedHashes: [strBlockHash], nRecords: 10}),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.exportSnapshot({fileName: 'snapshot.bin'});
+
+        assert.deepEqual(resp, {hash: strHash, lastAppliedBlocks: [strBlockHash], records: 10});
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'exportSnapshot');
+        assert.equal(content, 'snapshot.bin');
+    });
+
+    it('should pass getContractAbi', async () => {
+        const strAddress = generateAddress().toString('hex');
+        const arrAbi = [{name: 'add', args: ['a'], nRequiredArgs: 1, isConstant: false, isPayable: false}];
+        const node = {
+            rpcHandler: sinon.fake.resolves(arrAbi),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.getContractAbi({strAddress});
+
+        assert.deepEqual(resp, arrAbi);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'getContractAbi');
+        assert.equal(content, strAddress);
+    });
+
+    it('should pass getLogs', async () => {
+        const strAddress = generateAddress().toString('hex');
+        const arrLogs = [{contractAddress: strAddress, name: 'Transfer', data: {amount: 10}, height: 1}];
+        const node = {
+            rpcHandler: sinon.fake.resolves(arrLogs),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.getLogs({address: strAddress, topic: 'Transfer', fromBlock: 5, toBlock: 10});
+
+        assert.deepEqual(resp, arrLogs);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'getLogs');
+        assert.deepEqual(content, {strAddress, strTopic: 'Transfer', nFromHeight: 5, nToHeight: 10});
+    });
+
+    it('should pass getProposals', async () => {
+        const arrProposals = [{nProposalId: 0, objChanges: {document: 'hash'}, nHeightToApply: 100, arrVotes: []}];
+        const node = {
+            rpcHandler: sinon.fake.resolves(arrProposals),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.getProposals({nConciliumId: 1});
+
+        assert.deepEqual(resp, arrProposals);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'getProposals');
+        assert.equal(content, 1);
+    });
+
+    it('should pass getProposal', async () => {
+        const objProposal = {nProposalId: 2, objChanges: {document: 'hash'}, nHeightToApply: 100, arrVotes: []};
+        const node = {
+            rpcHandler: sinon.fake.resolves(objProposal),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.getProposal({nConciliumId: 1, nProposalId: 2});
+
+        assert.deepEqual(resp, objProposal);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'getProposal');
+        assert.deepEqual(content, {nConciliumId: 1, nProposalId: 2});
+    });
+
+    it('should pass getConsensusStats', async () => {
+        const objStats = {conciliumId: 1, state: 'BLOCK', arrHistory: [], objWitnesses: {}};
+        const node = {
+            rpcHandler: sinon.fake.resolves(objStats),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.getConsensusStats({nConciliumId: 1});
+
+        assert.deepEqual(resp, objStats);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'getConsensusStats');
+        assert.equal(content, 1);
+    });
+
     it('should pass walletListUnspent', async () => {
         const hash1 = pseudoRandomBuffer().toString('hex');
         const hash2 = pseudoRandomBuffer().toString('hex');
@@ -6,6 +6,9 @@ chai.use(require('chai-as-promised'));
 const {assert} = chai;
 
 const sinon = require('sinon').createSandbox();
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
 
 const debugChannel = 'storage:*';
 process.env['DEBUG'] = `${debugChannel},` + process.env['DEBUG'];
@@ -388,6 +391,146 @@ describe('Storage tests', () => {
         assert.deepEqual(contract.getCode(), JSON.parse(contractCode));
     });
 
+    it('should store code versions of upgraded contract', async () => {
+        const contractAddress = generateAddress();
+        const objInitialCode = {add: '(a){this.value+=a;}'};
+        const storage = new factory.Storage();
+
+        {
+            const patch = new factory.PatchDB();
+            const contract = new factory.Contract({
+                contractData: {value: 1},
+                contractCode: objInitialCode,
+                conciliumId: 0
+            });
+            contract.storeAddress(contractAddress);
+            patch.setContract(contract);
+            await storage.applyPatch(patch);
+        }
+
+        const contract = await storage.getContract(contractAddress);
+        const strInitialHash = contract.getCodeHash();
+        contract.upgradeCode({add: '(a){this.value+=2*a;}'}, 10);
+        {
+            const patch = new factory.PatchDB();
+            patch.setContract(contract);
+            await storage.applyPatch(patch);
+        }
+
+        const contractUpgraded = await storage.getContract(contractAddress);
+        assert.deepEqual(contractUpgraded.getCode(), {add: '(a){this.value+=2*a;}'});
+        assert.deepEqual(contractUpgraded.getData(), {value: 1});
+        assert.deepEqual(await storage.getContractCode(strInitialHash), objInitialCode);
+        assert.deepEqual(
+            await storage.getContractCode(contractUpgraded.getCodeHash()),
+            {add: '(a){this.value+=2*a;}'}
+        );
+    });
+
+    it('should store every code version of contract upgraded twice in one patch', async () => {
+        const contractAddress = generateAddress();
+        const storage = new factory.Storage();
+        const arrCodes = [{add: '(a){this.value+=a;}'}, {add: '(a){this.value+=2*a;}'}, {add: '(a){this.value+=3*a;}'}];
+
+        {
+            const patch = new factory.PatchDB();
+            const contract = new factory.Contract({
+                contractData: {value: 1},
+                contractCode: arrCodes[0],
+                conciliumId: 0
+            });
+            contract.storeAddress(contractAddress);
+            patch.setContract(contract);
+            await storage.applyPatch(patch);
+        }
+
+        const contract = await storage.getContract(contractAddress);
+        contract.upgradeCode(arrCodes[1], 10);
+        const patchFirst = new factory.PatchDB();
+        patchFirst.setContract(contract);
+
+        // second upgrade in next block (its patch is based on merged patch of parent, so contract is cloned)
+        const patchSecond = patchFirst.merge(new factory.PatchDB());
+        patchSecond.getContract(contractAddress).upgradeCode(arrCodes[2], 11);
+
+        await storage.applyPatch(patchSecond);
+
+        const arrHistory = (await storage.getContract(contractAddress)).getCodeHistory();
+        assert.equal(arrHistory.length, 3);
+        for (let i = 0; i < arrHistory.length; i++) {
+            assert.deepEqual(await storage.getContractCode(arrHistory[i].codeHash), arrCodes[i]);
+        }
+    });
+
+    it('should count delegated stakes in concilium definitions only after fork', async () => {
+        const contractAddress = generateAddress().toString('hex');
+        factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS = contractAddress;
+
+        const [strWitness1, strWitness2] = [generateAddress().toString('hex'), generateAddress().toString('hex')];
+        const def = factory.ConciliumPos.create(0, 1e3, 100, [
+            {amount: 1e3, address: strWitness1},
+            {amount: 1e5, address: strWitness2}
+        ]);
+        def.toObject().arrMembers[0].arrDelegations = [{address: generateAddress().toString('hex'), amount: 99e3}];
+
+        const contract = new factory.Contract({
+            contractData: {_arrConciliums: [def.toObject()]},
+            contractCode: '',
+            conciliumId: 0
+        });
+        contract.storeAddress(contractAddress);
+        const patch = new factory.PatchDB();
+        patch.setContract(contract);
+
+        const objPrevForks = factory.Constants.forks;
+        factory.Constants.forks = {...objPrevForks, HEIGHT_FORK_DELEGATION: 100};
+        try {
+            const storage = new factory.Storage();
+            await storage.applyPatch(patch, 99);
+            assert.isBelow((await storage.getConciliumById(0)).getWitnessWeight(strWitness1), 0.01);
+
+            await storage.applyPatch(new factory.PatchDB(), 100);
+            assert.equal((await storage.getConciliumById(0)).getWitnessWeight(strWitness1), 0.5);
+        } finally {
+            factory.Constants.forks = objPrevForks;
+        }
+    });
+
+    it('should apply accepted proposals to concilium definitions', async () => {
+        const contractAddress = generateAddress().toString('hex');
+        factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS = contractAddress;
+
+        const def = factory.ConciliumRr.create(0, [generateAddress().toString('hex')]);
+        def.toObject().arrProposals = [{
+            nProposalId: 0,
+            objChanges: {fees: {feeTxSize: 222}},
+            nHeightToApply: 100,
+            arrVotes: [],
+            isAccepted: true,
+            isApplied: false
+        }];
+
+        const contract = new factory.Contract({
+            contractData: {_arrConciliums: [def.toObject()]},
+            contractCode: '',
+            conciliumId: 0
+        });
+        contract.storeAddress(contractAddress);
+        const patch = new factory.PatchDB();
+        patch.setContract(contract);
+
+        const storage = new factory.Storage();
+        await storage.applyPatch(patch, 99);
+        assert.isNotOk((await storage.getConciliumById(0)).getFeeTxSize());
+
+        await storage.applyPatch(new factory.PatchDB(), 100);
+        assert.equal((await storage.getConciliumById(0)).getFeeTxSize(), 222);
+
+        // contract itself is unchanged (till next call)
+        const {_arrConciliums: [objStored]} = (await storage.getContract(contractAddress)).getData();
+        assert.isNotOk(objStored.arrProposals[0].isApplied);
+    });
+
     it('should read concilium definitions', async () => {
         const contractAddress = generateAddress();
         factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS = contractAddress;
@@ -552,6 +695,225 @@ describe('Storage tests', () => {
                 (rec, i) => rec.key.equals(factory.Storage.createInternalTxKey(arrInternalTxnsHashes[i])) &&
                             rec.value.equals(buffTxSourceHash)));
         });
+
+        describe('Address history', () => {
+            let storage;
+            let buffBlockHash;
+            beforeEach(async () => {
+                storage = new factory.Storage({buildTxIndex: true});
+                buffBlockHash = pseudoRandomBuffer();
+                storage.getTxBlock = sinon.fake.resolves(buffBlockHash);
+                storage.getBlockInfo = sinon.fake.resolves({getHeight: () => 10});
+            });
+
+            it('should throw. No txIndex enabled', async () => {
+                const storage = new factory.Storage();
+
+                return assert.isRejected(storage.getAddressHistory(generateAddress()), /TxIndex disabled/);
+            });
+
+            it('should throw. Bad limit or height', async () => {
+                const address = generateAddress();
+                const nMaxLimit = factory.Constants.ADDRESS_HISTORY_MAX_LIMIT;
+
+                // negative limit is unlimited for leveldb
+                await assert.isRejected(storage.getAddressHistory(address, 0, -1), /"2" of type UInt32/);
+                await assert.isRejected(storage.getAddressHistory(address, 0, 0), /Limit should be/);
+                await assert.isRejected(storage.getAddressHistory(address, 0, nMaxLimit + 1), /Limit should be/);
+                await assert.isRejected(storage.getAddressHistory(address, -1, 10), /"1" of type UInt32/);
+                await assert.isRejected(storage.getAddressHistory(address, 0.5, 10), /"1" of type UInt32/);
+            });
+
+            it('should index incoming & outgoing coins', async () => {
+                const address = generateAddress();
+                const txHash = pseudoRandomBuffer().toString('hex');
+                const spendingTx = pseudoRandomBuffer();
+
+                const patch = new factory.PatchDB(0);
+                patch.createCoins(txHash, 0, new factory.Coins(100, address));
+                patch.createCoins(txHash, 1, new factory.Coins(200, address));
+                patch.createCoins(txHash, 2, new factory.Coins(300, generateAddress()));
+                await storage.applyPatch(patch);
+
+                storage.getBlockInfo = sinon.fake.resolves({getHeight: () => 11});
+                const spendPatch = new factory.PatchDB(0);
+                spendPatch.spendCoins(await storage.getUtxo(txHash), 1, spendingTx);
+                await storage.applyPatch(spendPatch);
+
+                const {arrRecords, strCursor} = await storage.getAddressHistory(address);
+
+                assert.isNotOk(strCursor);
+                assert.equal(arrRecords.length, 2);
+                assert.deepEqual(arrRecords[0], {
+                    txHash, direction: 'in', amount: 300n, blockHash: buffBlockHash.toString('hex'), height: 10
+                });
+                assert.deepEqual(arrRecords[1], {
+                    txHash: spendingTx.toString('hex'), direction: 'out', amount: 200n,
+                    blockHash: buffBlockHash.toString('hex'), height: 11
+                });
+            });
+
+            it('should NOT write index if state batch failed', async () => {
+                const address = generateAddress();
+                const patch = new factory.PatchDB(0);
+                patch.createCoins(pseudoRandomBuffer().toString('hex'), 0, new factory.Coins(100, address));
+                storage._db.batch = sinon.fake.rejects(new Error('Disk full'));
+
+                await assert.isRejected(storage.applyPatch(patch), /Disk full/);
+
+                const {arrRecords} = await storage.getAddressHistory(address);
+                assert.equal(arrRecords.length, 0);
+            });
+
+            it('should index coins created & spent in same patch', async () => {
+                const address = generateAddress();
+                const txHash = pseudoRandomBuffer().toString('hex');
+                const spendingTx = pseudoRandomBuffer();
+                const coins = new factory.Coins(100, address);
+
+                const patch = new factory.PatchDB(0);
+                patch.createCoins(txHash, 0, coins);
+                patch.spendCoins(patch.getUtxo(txHash), 0, spendingTx);
+                storage._getCreatedCoins = sinon.fake.resolves(coins);
+
+                await storage.applyPatch(patch);
+
+                const {arrRecords} = await storage.getAddressHistory(address);
+                assert.deepEqual(arrRecords.map(({txHash, direction}) => [txHash, direction]).sort(), [
+                    [txHash, 'in'],
+                    [spendingTx.toString('hex'), 'out']
+                ].sort());
+            });
+
+            it('should index internal TX with block of source TX', async () => {
+                const strSourceTxHash = pseudoRandomBuffer().toString('hex');
+                const utxo = createInternalUtxo(pseudoRandomBuffer().toString('hex'));
+                const address = utxo.coinsAtIndex(0).getReceiverAddr();
+
+                const receipt = new factory.TxReceipt({status: factory.Constants.TX_STATUS_OK});
+                receipt.addInternalUtxo(utxo);
+
+                const patch = new factory.PatchDB(0);
+                patch.setUtxo(utxo);
+                patch.setReceipt(strSourceTxHash, receipt);
+
+                await storage.applyPatch(patch);
+
+                assert.equal(storage.getTxBlock.args[0][0], strSourceTxHash);
+                const {arrRecords} = await storage.getAddressHistory(address);
+                assert.equal(arrRecords.length, 1);
+                assert.equal(arrRecords[0].txHash, utxo.getTxHash());
+                assert.equal(arrRecords[0].amount, 100n);
+            });
+
+            it('should index logs by contract & topic', async () => {
+                const contractAddress = generateAddress();
+                const arrTxHashes = [];
+
+                for (let nHeight of [5, 6]) {
+                    storage.getBlockInfo = sinon.fake.resolves({getHeight: () => nHeight});
+                    const receipt = new factory.TxReceipt({
+                        status: factory.Constants.TX_STATUS_OK,
+                        logs: [
+                            {contractAddress, name: 'Transfer', data: JSON.stringify({nHeight})},
+                            {contractAddress, name: 'Approve', data: JSON.stringify({nHeight})}
+                        ]
+                    });
+                    const strTxHash = pseudoRandomBuffer().toString('hex');
+                    arrTxHashes.push(strTxHash);
+
+                    const patch = new factory.PatchDB(0);
+                    patch.setReceipt(strTxHash, receipt);
+                    await storage.applyPatch(patch);
+                }
+
+                const arrTransfers = await storage.getLogs(contractAddress, 'Transfer');
+                assert.deepEqual(arrTransfers, [5, 6].map((nHeight, i) => ({
+                    contractAddress: contractAddress.toString('hex'),
+                    name: 'Transfer',
+                    data: {nHeight},
+                    txHash: arrTxHashes[i],
+                    blockHash: buffBlockHash.toString('hex'),
+                    height: nHeight
+                })));
+
+                const arrAll = await storage.getLogs(contractAddress);
+                assert.equal(arrAll.length, 4);
+                assert.deepEqual(arrAll.map(objLog => objLog.height), [5, 5, 6, 6]);
+
+                const arrFiltered = await storage.getLogs(contractAddress, undefined, 6, 6);
+                assert.deepEqual(arrFiltered.map(objLog => objLog.name).sort(), ['Approve', 'Transfer']);
+
+                assert.isEmpty(await storage.getLogs(generateAddress(), 'Transfer'));
+            });
+
+            it('should index receipt with more than 65535 logs', async function() {
+                this.timeout(30000);
+                const contractAddress = generateAddress();
+                const nLogs = 0x10000 + 1;
+                const arrLogs = [];
+                for (let i = 0; i < nLogs; i++) arrLogs.push({contractAddress, name: 'Tick', data: 'null'});
+                const receipt = new factory.TxReceipt({status: factory.Constants.TX_STATUS_OK, logs: arrLogs});
+
+                const patch = new factory.PatchDB(0);
+                patch.setReceipt(pseudoRandomBuffer().toString('hex'), receipt);
+                await storage.applyPatch(patch);
+
+                const nPrevMaxLimit = factory.Constants.LOGS_MAX_LIMIT;
+                factory.Constants.LOGS_MAX_LIMIT = nLogs;
+                try {
+                    assert.equal((await storage.getLogs(contractAddress, 'Tick')).length, nLogs);
+                } finally {
+                    factory.Constants.LOGS_MAX_LIMIT = nPrevMaxLimit;
+                }
+            });
+
+            it('should reject getLogs with too many logs', async () => {
+                const contractAddress = generateAddress();
+                const receipt = new factory.TxReceipt({
+                    status: factory.Constants.TX_STATUS_OK,
+                    logs: [
+                        {contractAddress, name: 'Transfer', data: 'null'},
+                        {contractAddress, name: 'Transfer', data: 'null'}
+                    ]
+                });
+                const patch = new factory.PatchDB(0);
+                patch.setReceipt(pseudoRandomBuffer().toString('hex'), receipt);
+                await storage.applyPatch(patch);
+
+                const nPrevLimit = factory.Constants.LOGS_MAX_LIMIT;
+                factory.Constants.LOGS_MAX_LIMIT = 1;
+                try {
+                    await assert.isRejected(storage.getLogs(contractAddress), /More than 1 logs found/);
+                    await assert.isRejected(storage.getLogs(contractAddress, 'Transfer'), /More than 1 logs found/);
+                } finally {
+                    factory.Constants.LOGS_MAX_LIMIT = nPrevLimit;
+                }
+            });
+
+            it('should paginate history', async () => {
+                const address = generateAddress();
+
+                for (let nHeight of [5, 6, 7]) {
+                    storage.getBlockInfo = sinon.fake.resolves({getHeight: () => nHeight});
+                    const patch = new factory.PatchDB(0);
+                    patch.createCoins(pseudoRandomBuffer(), 0, new factory.Coins(nHeight, address));
+                    await storage.applyPatch(patch);
+                }
+
+                const {arrRecords, strCursor} = await storage.getAddressHistory(address, 0, 2);
+                assert.deepEqual(arrRecords.map(objRecord => objRecord.height), [5, 6]);
+                assert.isOk(strCursor);
+
+                const {arrRecords: arrNextPage, strCursor: strNextCursor} =
+                    await storage.getAddressHistory(address, 0, 2, strCursor);
+                assert.deepEqual(arrNextPage.map(objRecord => objRecord.height), [7]);
+                assert.isNotOk(strNextCursor);
+
+                const {arrRecords: arrFromHeight} = await storage.getAddressHistory(address, 6);
+                assert.deepEqual(arrFromHeight.map(objRecord => objRecord.height), [6, 7]);
+            });
+        });
     });
 
     describe('Wallet support', async () => {
@@ -767,6 +1129,45 @@ describe('Storage tests', () => {
                 assert.equal(arrUtxo3.length, 0);
             }
         });
+
+        it('should discover used HD addresses while reindexing (gap limit)', async () => {
+            const hdAccountKey = factory.Crypto.hdKeyFromSeed(pseudoRandomBuffer(64));
+            const objHdAccount = {xpub: hdAccountKey.toExtendedKey(true), arrNextIndexes: [1, 0]};
+            const nGap = factory.Constants.HD_GAP_LIMIT;
+
+            // external chain: second one is within gap from first, third one is too far
+            const arrUsedAddresses = [3, 3 + nGap, 4 + 3 * nGap].map(i => hdAccountKey.derivePath(`0/${i}`).address);
+            const patch = new factory.PatchDB();
+            for (let strAddress of [...arrUsedAddresses, hdAccountKey.derivePath('1/0').address]) {
+                const utxo = new factory.UTXO({txHash: pseudoRandomBuffer().toString('hex')});
+                utxo.addCoins(0, new factory.Coins(1e5, strAddress));
+                patch.setUtxo(utxo);
+            }
+            await storage.applyPatch(patch);
+
+            await storage._ensureWalletInitialized();
+            storage._mapHdAccounts.set('hdAcc', {objHdAccount, mapHdAddresses: new Map()});
+            storage.writeHdAccount = sinon.fake(async (strAccountName, objHdAccount) => {
+                storage._mapHdAccounts.set(
+                    strAccountName,
+                    {objHdAccount, mapHdAddresses: storage._deriveHdAddresses(objHdAccount)}
+                );
+            });
+
+            await storage.walletReIndex();
+
+            assert.isOk(storage.writeHdAccount.calledOnce);
+            const [strAccountName, {arrNextIndexes}] = storage.writeHdAccount.args[0];
+            assert.equal(strAccountName, 'hdAcc');
+            assert.deepEqual(arrNextIndexes, [4 + nGap, 1]);
+
+            const arrWalletAddresses = await storage.getWalletsAddresses();
+            assert.equal(arrWalletAddresses.length, 4 + nGap + 1);
+            assert.isNotOk(arrWalletAddresses.includes(arrUsedAddresses[2]));
+
+            const arrUtxos = await storage.walletListUnspent(arrUsedAddresses[1]);
+            assert.equal(arrUtxos.length, 1);
+        });
     });
 
     describe('readBlocks', function() {
@@ -826,4 +1227,188 @@ describe('Storage tests', () => {
             assert.equal(await storage.countWallets(), 0);
         });
     });
+
+    describe('Snapshot', async () => {
+        const strDbPath = path.join(os.tmpdir(), `snapshotDb_${Date.now()}`);
+        const strFileName = 'snapshot.bin';
+        const strFilePath = path.join(strDbPath, factory.Constants.DB_SNAPSHOT_DIR, strFileName);
+        let storage;
+        let utxo;
+        let biFinal;
+        let biPending;
+        let arrLastApplied;
+
+        beforeEach(async () => {
+            storage = new factory.Storage({dbPath: strDbPath});
+
+            utxo = createInternalUtxo(pseudoRandomBuffer().toString('hex'));
+            const patch = new factory.PatchDB();
+            patch.setUtxo(utxo);
+            await storage.applyPatch(patch);
+
+            biFinal = createBlockInfo();
+            biFinal.markAsFinal();
+            await storage.saveBlockInfo(biFinal);
+
+            biPending = createBlockInfo();
+            await storage.saveBlockInfo(biPending);
+
+            arrLastApplied = [biFinal.getHash()];
+            await storage.updateLastAppliedBlocks(arrLastApplied);
+            await storage.updatePendingBlocks([biPending.getHash()]);
+        });
+
+        after(async () => {
+            await fs.promises.unlink(strFilePath).catch(() => {});
+            await fs.promises.rmdir(path.dirname(strFilePath)).catch(() => {});
+            await fs.promises.rmdir(strDbPath).catch(() => {});
+        });
+
+        it('should export only stable state', async () => {
+            const {hash, arrLastAppliedHashes, nRecords, strFilePath: strWritten} =
+                await storage.exportSnapshot(strFileName);
+
+            assert.match(hash, /^[0-9a-f]{64}$/);
+            assert.deepEqual(arrLastAppliedHashes, arrLastApplied);
+            assert.equal(strWritten, strFilePath);
+
+            // utxo, final block info & last applied blocks
+            assert.equal(nRecords, 3);
+        });
+
+        it('should NOT export outside snapshot dir', async () => {
+            for (let strName of ['../snapshot.bin', '/tmp/snapshot.bin', 'dir\\snapshot.bin', '..', '']) {
+                await assert.isRejected(storage.exportSnapshot(strName), /path is not allowed/);
+            }
+        });
+
+        it('should have same hash for same state', async () => {
+            const {hash} = await storage.exportSnapshot(strFileName);
+            const {hash: hashAgain} = await storage.exportSnapshot(strFileName);
+
+            assert.equal(hash, hashAgain);
+        });
+
+        it('should import snapshot', async () => {
+            const {hash} = await storage.exportSnapshot(strFileName);
+
+            const newStorage = new factory.Storage();
+            await newStorage.updatePendingBlocks([pseudoRandomBuffer().toString('hex')]);
+            const {nRecords, arrLastAppliedHashes} = await newStorage.importSnapshot(strFilePath, hash);
+
+            assert.equal(nRecords, 3);
+            assert.deepEqual(arrLastAppliedHashes, arrLastApplied);
+            assert.deepEqual(await newStorage.getPendingBlockHashes(), []);
+            assert.isOk(await newStorage.getUtxo(utxo.getTxHash()));
+            assert.isOk((await newStorage.getBlockInfo(biFinal.getHash())).isFinal());
+            await assert.isRejected(newStorage.getBlockInfo(biPending.getHash()), /No blockInfo found/);
+        });
+
+        it('should NOT import snapshot with wrong hash', async () => {
+            await storage.exportSnapshot(strFileName);
+
+            const newStorage = new factory.Storage();
+            const strPendingHash = pseudoRandomBuffer().toString('hex');
+            await newStorage.updatePendingBlocks([strPendingHash]);
+
+            return assert.isRejected(
+                newStorage.importSnapshot(strFilePath, pseudoRandomBuffer().toString('hex')),
+                /doesn't match checkpoint/
+            ).then(async () => {
+                assert.deepEqual(await newStorage.getPendingBlockHashes(), [strPendingHash]);
+                assert.deepEqual(await newStorage.getLastAppliedBlockHashes(), []);
+            });
+        });
+    });
+
+    describe('Pruning', async () => {
+        const saveStableBlock = async (storage, nHeight) => {
+            const block = createDummyBlock(factory);
+            block.setHeight(nHeight);
+            const blockInfo = new factory.BlockInfo(block.header);
+            blockInfo.markAsFinal();
+            await storage.saveBlock(block, blockInfo);
+
+            return block;
+        };
+
+        it('should prune blocks below height', async () => {
+            const storage = new factory.Storage({pruneBlocks: 10});
+            const arrBlocks = [];
+            for (let nHeight of [1, 2, 3]) arrBlocks.push(await saveStableBlock(storage, nHeight));
+
+            assert.equal(await storage.pruneBlocks(3), 2);
+
+            await assert.isRejected(storage.getBlock(arrBlocks[0].getHash()), /is pruned/);
+            await assert.isRejected(storage.getBlock(arrBlocks[1].getHash()), /is pruned/);
+            assert.isOk(await storage.getBlock(arrBlocks[2].getHash()));
+
+            // headers are kept
+            assert.isOk(await storage.hasBlock(arrBlocks[0].getHash()));
+            assert.isOk(await storage.isBlockPruned(arrBlocks[0].getHash()));
+            assert.isNotOk(await storage.isBlockPruned(arrBlocks[2].getHash()));
+
+            // nothing left to prune
+            assert.equal(await storage.pruneBlocks(3), 0);
+        });
+
+        it('should prune after applyPatch', async () => {
+            const storage = new factory.Storage({pruneBlocks: 2});
+            const block = await saveStableBlock(storage, 1);
+            const blockRecent = await saveStableBlock(storage, 2);
+
+            await storage.applyPatch(new factory.PatchDB(), 4);
+
+            assert.isOk(await storage.isBlockPruned(block.getHash()));
+            assert.isOk(await storage.getBlock(blockRecent.getHash()));
+        });
+
+        it('should NOT prune non stable blocks', async () => {
+            const storage = new factory.Storage({pruneBlocks: 1});
+            const block = createDummyBlock(factory);
+            block.setHeight(1);
+            await storage.saveBlock(block);
+
+            await storage.applyPatch(new factory.PatchDB(), 10);
+
+            assert.isOk(await storage.getBlock(block.getHash()));
+        });
+
+        it('should NOT prune without option', async () => {
+            const storage = new factory.Storage();
+            const block = await saveStableBlock(storage, 1);
+
+            await storage.applyPatch(new factory.PatchDB(), 10);
+
+            assert.isOk(await storage.getBlock(block.getHash()));
+            assert.isNotOk(await storage.isBlockPruned(block.getHash()));
+        });
+
+        it('should refuse to find TX in pruned block', async () => {
+            const storage = new factory.Storage({pruneBlocks: 10, buildTxIndex: true});
+            const block = await saveStableBlock(storage, 1);
+            await storage.pruneBlocks(2);
+
+            const [strTxHash] = block.getTxHashes();
+            return assert.isRejected(storage.findBlockByTxHash(strTxHash), /is pruned/);
+        });
+
+        it('should detect pruned blocks (even with pruning disabled)', async () => {
+            const strOrigGenesis = factory.Constants.GENESIS_BLOCK;
+            try {
+                const storage = new factory.Storage({pruneBlocks: 10});
+                const genesis = await saveStableBlock(storage, 0);
+                factory.Constants.GENESIS_BLOCK = genesis.getHash();
+                assert.isNotOk(await storage.hasPrunedBlocks());
+
+                await storage.pruneBlocks(1);
+
+                assert.isOk(await storage.hasPrunedBlocks());
+                storage._nPruneBlocks = undefined;
+                assert.isOk(await storage.hasPrunedBlocks());
+            } finally {
+                factory.Constants.GENESIS_BLOCK = strOrigGenesis;
+            }
+        });
+    });
 });
@@ -86,7 +86,7 @@ describe('Stored wallets', async () => {
             });
 
             it('should get two (but not enough)', async () => {
-                const nFeeSize = 2 * sw._nFeePerInput;
+                const nFeeSize = 2 * Number(sw._nFeePerInput);
                 const arrObjUnspent = [
                     {hash: pseudoRandomBuffer().toString('hex'), nOut: 0, amount: 1e6},
                     {hash: pseudoRandomBuffer().toString('hex'), nOut: 0, amount: 1 + nFeeSize}
@@ -230,7 +230,7 @@ describe('Stored wallets', async () => {
                 sw._formTxInputs = async (tx) => {
                     tx.addInput(pseudoRandomBuffer(), 0);
                     tx.addInput(pseudoRandomBuffer(), 0);
-                    return [1e5, arrFakeAddresses.slice(0, 2)];
+                    return [BigInt(1e5), arrFakeAddresses.slice(0, 2)];
                 };
 
                 return assert.isRejected(
@@ -248,7 +248,7 @@ describe('Stored wallets', async () => {
                 sw._formTxInputs = async (tx) => {
                     tx.addInput(pseudoRandomBuffer(), 0);
                     tx.addInput(pseudoRandomBuffer(), 0);
-                    return [1e6, arrFakeAddresses.slice(0, 2)];
+                    return [BigInt(1e6), arrFakeAddresses.slice(0, 2)];
                 };
                 sw._claimFundsAndSignTx = sinon.fake();
                 sw._storage.getKeystoresForAccount = sinon.fake();
@@ -287,7 +287,7 @@ describe('Stored wallets', async () => {
                 sw._formTxInputs = async (tx) => {
                     tx.addInput(pseudoRandomBuffer(), 0);
                     tx.addInput(pseudoRandomBuffer(), 0);
-                    return [1e5, arrFakeAddresses.slice(0, 2)];
+                    return [BigInt(1e5), arrFakeAddresses.slice(0, 2)];
                 };
 
                 return assert.isRejected(
@@ -309,7 +309,7 @@ describe('Stored wallets', async () => {
                 sw._formTxInputs = async (tx) => {
                     tx.addInput(pseudoRandomBuffer(), 0);
                     tx.addInput(pseudoRandomBuffer(), 0);
-                    return [1e6, arrFakeAddresses.slice(0, 2)];
+                    return [BigInt(1e6), arrFakeAddresses.slice(0, 2)];
                 };
                 sw._claimFundsAndSignTx = sinon.fake();
 
@@ -331,7 +331,7 @@ describe('Stored wallets', async () => {
                 sw._formTxInputs = async (tx) => {
                     tx.addInput(pseudoRandomBuffer(), 0);
                     tx.addInput(pseudoRandomBuffer(), 0);
-                    return [1e6, arrFakeAddresses.slice(0, 2)];
+                    return [BigInt(1e6), arrFakeAddresses.slice(0, 2)];
                 };
                 sw._claimFundsAndSignTx = sinon.fake();
 
@@ -350,5 +350,244 @@ describe('Stored wallets', async () => {
             });
         });
 
+        describe('multisig', async () => {
+            let arrKeyPairs;
+            let utxo;
+            beforeEach(async () => {
+                arrKeyPairs = [
+                    factory.Crypto.createKeyPair(),
+                    factory.Crypto.createKeyPair(),
+                    factory.Crypto.createKeyPair()
+                ];
+
+                utxo = new factory.UTXO({txHash: pseudoRandomBuffer().toString('hex')});
+                utxo.addCoins(0, factory.Coins.createMultisig(1e6, 2, arrKeyPairs.map(kp => kp.address)));
+
+                sw._storage.getUtxo = sinon.fake.resolves(utxo);
+                sw._storage.getKeystoresForAccount = sinon.fake();
+                sw._mapAccountPasswords.set('fakeAcc', 'fakePass');
+            });
+
+            afterEach(async () => {
+                sinon.restore();
+            });
+
+            it('should create multisig address & watch it', async () => {
+                sw.walletWatchAddress = sinon.fake();
+
+                const strAddress = await sw.createMultisigAddress(2, arrKeyPairs.map(kp => kp.address));
+
+                assert.equal(strAddress, utxo.coinsAtIndex(0).getReceiverAddr().toString('hex'));
+                assert.isOk(sw.walletWatchAddress.calledOnceWith(strAddress));
+            });
+
+            it('should sign only required count of signatures', async () => {
+                const tx = new factory.Transaction();
+                tx.addInput(utxo.getTxHash(), 0);
+                tx.addReceiver(1e5, generateAddress());
+
+                sw.getAccountAddresses = sinon.fake.resolves(arrKeyPairs.map(kp => kp.address));
+                sw._ensurePk = sinon.fake.returns(new Map(arrKeyPairs.map(kp => [kp.address, kp.privateKey])));
+
+                const nSigned = await sw._cosignMultisigInputs(tx, 'fakeAcc');
+
+                assert.equal(nSigned, 2);
+                assert.equal(factory.Transaction.parseClaimProof(tx.claimProofs[0]).arrSignatures.length, 2);
+            });
+
+            it('should cosign TX', async () => {
+                const tx = new factory.Transaction();
+                tx.addInput(utxo.getTxHash(), 0);
+                tx.addReceiver(1e5, generateAddress());
+                tx.claimMultisig(0, arrKeyPairs[0].privateKey);
+
+                sw.getAccountAddresses = sinon.fake.resolves([arrKeyPairs[0].address, arrKeyPairs[1].address]);
+                sw._ensurePk = sinon.fake.returns(new Map([[arrKeyPairs[1].address, arrKeyPairs[1].privateKey]]));
+
+                const txCosigned = await sw.cosignTx({strAccountName: 'fakeAcc', strTx: tx.encode().toString('hex')});
+
+                assert.deepEqual(
+                    sw._getMultisigSigners(txCosigned, 0),
+                    [arrKeyPairs[0].address, arrKeyPairs[1].address]
+                );
+            });
+
+            it('should fail to cosign TX (nothing to sign)', async () => {
+                const tx = new factory.Transaction();
+                tx.addInput(utxo.getTxHash(), 0);
+                tx.addReceiver(1e5, generateAddress());
+                tx.claimMultisig(0, arrKeyPairs[0].privateKey);
+
+                sw.getAccountAddresses = sinon.fake.resolves([arrKeyPairs[0].address]);
+
+                return assert.isRejected(
+                    sw.cosignTx({strAccountName: 'fakeAcc', strTx: tx.encode().toString('hex')}),
+                    'Nothing to sign with this account'
+                );
+            });
+
+            it('should send from multisig (change to multisig address)', async () => {
+                const strMultisigAddress = utxo.coinsAtIndex(0).getReceiverAddr().toString('hex');
+                sw._storage.walletListUnspent = sinon.fake.resolves([utxo]);
+                sw._formTxInputs = async (tx) => {
+                    tx.addInput(utxo.getTxHash(), 0);
+                    return [BigInt(1e6), [strMultisigAddress]];
+                };
+                sw._cosignMultisigInputs = sinon.fake.resolves(1);
+
+                const tx = await sw.sendFromMultisig({
+                    strAccountName: 'fakeAcc',
+                    strMultisigAddress,
+                    strAddressTo: generateAddress().toString('hex'),
+                    nAmount: 1e5
+                });
+
+                assert.equal(tx.outputs.length, 2);
+                assert.equal(tx.outputs[1].receiverAddr.toString('hex'), strMultisigAddress);
+                assert.isOk(sw._cosignMultisigInputs.calledOnce);
+            });
+
+            it('should fail to send from multisig (not enough coins)', async () => {
+                const strMultisigAddress = utxo.coinsAtIndex(0).getReceiverAddr().toString('hex');
+                sw._storage.walletListUnspent = sinon.fake.resolves([utxo]);
+                sw._formTxInputs = async (tx) => {
+                    tx.addInput(utxo.getTxHash(), 0);
+                    return [BigInt(1e5), [strMultisigAddress]];
+                };
+
+                return assert.isRejected(
+                    sw.sendFromMultisig({
+                        strAccountName: 'fakeAcc',
+                        strMultisigAddress,
+                        strAddressTo: generateAddress().toString('hex'),
+                        nAmount: 1e5
+                    }),
+                    /Not enough coins to send/
+                );
+            });
+        });
+
+        describe('HD accounts', async () => {
+            const strMnemonic =
+                'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+            let buffSeed;
+            let hdAccountKey;
+
+            beforeEach(async () => {
+                buffSeed = factory.Crypto.mnemonicToSeed(strMnemonic);
+                hdAccountKey = factory.Crypto.hdKeyFromSeed(buffSeed)
+                    .derivePath(`m/44'/${factory.Constants.HD_COIN_TYPE}'/0'`);
+
+                sinon.stub(factory.Crypto, 'encrypt').resolves({encrypted: 'fakeEncrypted'});
+                sw._storage.getHdAccount = sinon.fake.resolves(undefined);
+                sw._storage.writeHdAccount = sinon.fake.resolves();
+                sw._storage.walletReIndex = sinon.fake.resolves();
+                sw._mapAccountPasswords.set('fakeAcc', 'fakePass');
+            });
+
+            afterEach(async () => {
+                sinon.restore();
+            });
+
+            it('should create HD account with new mnemonic', async () => {
+                const {strMnemonic: strNewMnemonic, strXpub} = await sw.createHdAccount('fakeAcc');
+
+                assert.isOk(factory.Crypto.validateMnemonic(strNewMnemonic));
+                assert.isOk(sw._storage.writeHdAccount.calledOnce);
+                const [strAccountName, objHdAccount] = sw._storage.writeHdAccount.args[0];
+                assert.equal(strAccountName, 'fakeAcc');
+                assert.equal(objHdAccount.xpub, strXpub);
+                assert.deepEqual(objHdAccount.arrNextIndexes, [0, 0]);
+                assert.deepEqual(objHdAccount.encryptedSeed, {encrypted: 'fakeEncrypted'});
+                assert.isNotOk(sw._storage.walletReIndex.called);
+            });
+
+            it('should restore HD account from mnemonic & rescan', async () => {
+                const {strXpub} = await sw.createHdAccount('fakeAcc', strMnemonic, '', true);
+
+                assert.equal(strXpub, hdAccountKey.toExtendedKey(true));
+                assert.isOk(factory.Crypto.encrypt.calledOnceWith('fakePass', buffSeed));
+                assert.isOk(sw._storage.walletReIndex.calledOnce);
+            });
+
+            it('should FAIL to create HD account (locked)', async () => {
+                return assert.isRejected(sw.createHdAccount('anotherAcc'), 'unlockAccount first');
+            });
+
+            it('should FAIL to create HD account (invalid mnemonic)', async () => {
+                return assert.isRejected(
+                    sw.createHdAccount('fakeAcc', strMnemonic.replace('about', 'abandon')),
+                    'Invalid mnemonic'
+                );
+            });
+
+            it('should FAIL to create HD account (already HD)', async () => {
+                sw._storage.getHdAccount = sinon.fake.resolves({xpub: 'fake'});
+
+                return assert.isRejected(sw.createHdAccount('fakeAcc'), /already an HD account/);
+            });
+
+            it('should import xpub (watch-only)', async () => {
+                await sw.importXpub('watchOnlyAcc', hdAccountKey.toExtendedKey());
+
+                const [, objHdAccount] = sw._storage.writeHdAccount.args[0];
+                assert.equal(objHdAccount.xpub, hdAccountKey.toExtendedKey(true));
+                assert.isNotOk(objHdAccount.encryptedSeed);
+            });
+
+            it('should issue new HD addresses', async () => {
+                sw._storage.getHdAccount = sinon.fake.resolves({
+                    xpub: hdAccountKey.toExtendedKey(true),
+                    arrNextIndexes: [5, 2]
+                });
+                sw._storage.walletWatchAddress = sinon.fake.resolves();
+
+                const strAddress = await sw.getNewHdAddress('fakeAcc');
+                const strChangeAddress = await sw.getNewHdAddress('fakeAcc', true);
+
+                assert.equal(strAddress, hdAccountKey.derivePath('0/5').address);
+                assert.equal(strChangeAddress, hdAccountKey.derivePath('1/2').address);
+                assert.deepEqual(sw._storage.writeHdAccount.args[0][1].arrNextIndexes, [6, 2]);
+                assert.deepEqual(sw._storage.writeHdAccount.args[1][1].arrNextIndexes, [5, 3]);
+                assert.isOk(sw._storage.walletWatchAddress.calledWith(strAddress));
+                assert.isOk(sw._storage.walletWatchAddress.calledWith(strChangeAddress));
+            });
+
+            it('should FAIL to issue HD address (not an HD account)', async () => {
+                return assert.isRejected(sw.getNewHdAddress('fakeAcc'), /isn't an HD account/);
+            });
+
+            it('should export xpub', async () => {
+                sw._storage.getHdAccount = sinon.fake.resolves({
+                    xpub: hdAccountKey.toExtendedKey(true),
+                    arrNextIndexes: [0, 0]
+                });
+
+                assert.equal(await sw.getAccountXpub('fakeAcc'), hdAccountKey.toExtendedKey(true));
+            });
+
+            it('should derive HD keys decrypting seed once (_ensurePk)', async () => {
+                factory.Crypto.decrypt.callsFake(() => buffSeed);
+                const strHdAddress1 = hdAccountKey.derivePath('0/0').address;
+                const strHdAddress2 = hdAccountKey.derivePath('1/3').address;
+                const strPath = `m/44'/${factory.Constants.HD_COIN_TYPE}'/0'`;
+                const mapKeystores = new Map([
+                    [strHdAddress1, {encrypted: 'fakeEncrypted', strHdPath: `${strPath}/0/0`}],
+                    [strHdAddress2, {encrypted: 'fakeEncrypted', strHdPath: `${strPath}/1/3`}],
+                    ['plainAddress', 'fakeKeystore']
+                ]);
+
+                const mapResult = sw._ensurePk(
+                    'fakePass',
+                    [strHdAddress1, strHdAddress2, 'plainAddress'],
+                    mapKeystores
+                );
+
+                assert.equal(mapResult.get(strHdAddress1), hdAccountKey.derivePath('0/0').privateKey);
+                assert.equal(mapResult.get(strHdAddress2), hdAccountKey.derivePath('1/3').privateKey);
+                assert.equal(mapResult.get('plainAddress'), buffSeed);
+                assert.equal(factory.Crypto.decrypt.callCount, 2);
+            });
+        });
     });
 });
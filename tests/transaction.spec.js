@@ -106,6 +106,333 @@ describe('Transaction tests', () => {
         assert.throws(wrapper);
     });
 
+    describe('Claim hash methods', async () => {
+        const createTx = () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addInput(pseudoRandomBuffer(), 2);
+            tx.addReceiver(100, generateAddress());
+            tx.addReceiver(200, generateAddress());
+            return tx;
+        };
+
+        it('should be same hash for SIGHASH_ALL', async () => {
+            const tx = createTx();
+            assert.equal(tx.hash(0, factory.Constants.SIGHASH_ALL), tx.getHash());
+        });
+
+        it('should be different hashes for different methods', async () => {
+            const tx = createTx();
+            const arrHashes = [
+                tx.hash(0),
+                tx.hash(0, factory.Constants.SIGHASH_NONE),
+                tx.hash(0, factory.Constants.SIGHASH_SINGLE),
+                tx.hash(0, factory.Constants.SIGHASH_ANYONECANPAY)
+            ];
+
+            assert.equal(new Set(arrHashes).size, arrHashes.length);
+        });
+
+        it('should NOT change SIGHASH_NONE hash upon adding output', async () => {
+            const tx = createTx();
+            const hash = tx.hash(0, factory.Constants.SIGHASH_NONE);
+
+            tx.addReceiver(300, generateAddress());
+            assert.equal(hash, tx.hash(0, factory.Constants.SIGHASH_NONE));
+        });
+
+        it('should change SIGHASH_SINGLE hash only upon change of output with same index', async () => {
+            const tx = createTx();
+            const hash0 = tx.hash(0, factory.Constants.SIGHASH_SINGLE);
+            const hash1 = tx.hash(1, factory.Constants.SIGHASH_SINGLE);
+
+            tx._data.payload.outs[1].amount = 300;
+            assert.equal(hash0, tx.hash(0, factory.Constants.SIGHASH_SINGLE));
+            assert.notEqual(hash1, tx.hash(1, factory.Constants.SIGHASH_SINGLE));
+        });
+
+        it('should FAIL SIGHASH_SINGLE for input without output', async () => {
+            const tx = createTx();
+            tx.addInput(pseudoRandomBuffer(), 3);
+
+            assert.throws(() => tx.hash(2, factory.Constants.SIGHASH_SINGLE));
+        });
+
+        it('should NOT change SIGHASH_ANYONECANPAY hash upon adding input', async () => {
+            const tx = createTx();
+            const hash = tx.hash(1, factory.Constants.SIGHASH_ANYONECANPAY);
+
+            tx.addInput(pseudoRandomBuffer(), 3);
+            assert.equal(hash, tx.hash(1, factory.Constants.SIGHASH_ANYONECANPAY));
+        });
+
+        it('should create & parse claimProof', async () => {
+            const buffSignature = pseudoRandomBuffer(65);
+
+            const buffProofAll = factory.Transaction.createClaimProof(buffSignature);
+            assert.isOk(buffProofAll.equals(buffSignature));
+            assert.equal(factory.Transaction.parseClaimProof(buffProofAll).nHashMethod,
+                factory.Constants.SIGHASH_ALL
+            );
+
+            const buffProofNone = factory.Transaction.createClaimProof(buffSignature,
+                factory.Constants.SIGHASH_NONE
+            );
+            const {signature, nHashMethod} = factory.Transaction.parseClaimProof(buffProofNone);
+            assert.isOk(signature.equals(buffSignature));
+            assert.equal(nHashMethod, factory.Constants.SIGHASH_NONE);
+        });
+
+        it('should FAIL to parse claimProof with unknown method', async () => {
+            assert.throws(() => factory.Transaction.parseClaimProof(
+                Buffer.concat([pseudoRandomBuffer(65), Buffer.from([17])])));
+        });
+
+        it('should add input after SIGHASH_ANYONECANPAY claim', async () => {
+            const tx = createTx();
+            tx.claim(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_ANYONECANPAY);
+
+            assert.doesNotThrow(() => tx.addInput(pseudoRandomBuffer(), 3));
+            assert.throws(() => tx.addReceiver(300, generateAddress()));
+        });
+
+        it('should add output after SIGHASH_NONE claim', async () => {
+            const tx = createTx();
+            tx.claim(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_NONE);
+
+            assert.doesNotThrow(() => tx.addReceiver(300, generateAddress()));
+            assert.throws(() => tx.addInput(pseudoRandomBuffer(), 3));
+        });
+
+        it('should add output after SIGHASH_SINGLE claim', async () => {
+            const tx = createTx();
+            tx.claim(1, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+
+            assert.doesNotThrow(() => tx.addReceiver(300, generateAddress()));
+        });
+
+        it('should encode/decode with SIGHASH_SINGLE claim', async () => {
+            const tx = createTx();
+            tx.claim(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+            tx.claim(1, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+
+            const recoveredTx = new factory.Transaction(tx.encode());
+            assert.isOk(recoveredTx.equals(tx));
+            assert.doesNotThrow(() => recoveredTx.verify());
+        });
+
+        it('should detect claim hash methods usage', async () => {
+            const tx = createTx();
+            tx.claim(0, keyPair.privateKey);
+            assert.isNotOk(tx.usesSighashModes());
+
+            tx.claim(1, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+            assert.isOk(tx.usesSighashModes());
+        });
+
+        it('should fail to verify: SIGHASH_SINGLE claim without output', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addInput(pseudoRandomBuffer(), 2);
+            tx.addReceiver(100, generateAddress());
+            tx.claim(0, keyPair.privateKey);
+            tx._data.claimProofs[1] = factory.Transaction.createClaimProof(pseudoRandomBuffer(65),
+                factory.Constants.SIGHASH_SINGLE
+            );
+
+            assert.throws(() => tx.verify(), 'Errors in clamProofs');
+        });
+    });
+
+    describe('Multisig', async () => {
+        it('should add multisig receiver', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addMultisigReceiver(100, 2, [generateAddress(), generateAddress(), generateAddress()]);
+
+            const [coins] = tx.getOutCoins();
+            assert.isOk(coins.isMultisig());
+            assert.equal(coins.getAmount(), 100);
+        });
+
+        it('should encode/decode & VERIFY multisig output', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addMultisigReceiver(100, 2, [generateAddress(), generateAddress(), generateAddress()]);
+            tx.claim(0, keyPair.privateKey);
+
+            const recoveredTx = new factory.Transaction(tx.encode());
+            assert.isOk(recoveredTx.getOutCoins()[0].equals(tx.getOutCoins()[0]));
+            assert.doesNotThrow(() => recoveredTx.verify());
+        });
+
+        it('should fail to verify: receiverAddr not matches multisig definition', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addMultisigReceiver(100, 2, [generateAddress(), generateAddress(), generateAddress()]);
+            tx.claim(0, keyPair.privateKey);
+            tx._data.payload.outs[0].receiverAddr = generateAddress();
+
+            assert.throws(() => tx.verify(), 'Errors in outputs');
+        });
+
+        it('should fail to verify: bad multisig definition', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addMultisigReceiver(100, 2, [generateAddress(), generateAddress(), generateAddress()]);
+            tx.claim(0, keyPair.privateKey);
+
+            const {multisig} = tx._data.payload.outs[0];
+            multisig.nRequired = 4;
+            tx._data.payload.outs[0].receiverAddr =
+                factory.Coins.createMultisigAddress(multisig.nRequired, multisig.arrAddresses);
+
+            assert.throws(() => tx.verify(), 'Errors in outputs');
+        });
+
+        it('should append signatures with claimMultisig', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(100, generateAddress());
+
+            const kp2 = factory.Crypto.createKeyPair();
+            tx.claimMultisig(0, keyPair.privateKey);
+            tx.claimMultisig(0, kp2.privateKey);
+
+            const {arrSignatures, nHashMethod} = factory.Transaction.parseClaimProof(tx.claimProofs[0]);
+            assert.equal(arrSignatures.length, 2);
+            assert.equal(nHashMethod, factory.Constants.SIGHASH_ALL);
+            assert.equal(factory.Crypto.recoverPubKey(tx.hash(0), arrSignatures[1]), kp2.publicKey);
+        });
+
+        it('should keep hash method of first signer', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(100, generateAddress());
+
+            tx.claimMultisig(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+            tx.claimMultisig(0, factory.Crypto.createKeyPair().privateKey);
+
+            const {arrSignatures, nHashMethod} = factory.Transaction.parseClaimProof(tx.claimProofs[0]);
+            assert.equal(arrSignatures.length, 2);
+            assert.equal(nHashMethod, factory.Constants.SIGHASH_SINGLE);
+        });
+
+        it('should FAIL to claimMultisig (wrong index)', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+
+            assert.throws(() => tx.claimMultisig(1, keyPair.privateKey));
+        });
+
+        it('should detect multisig usage', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(100, generateAddress());
+            tx.claim(0, keyPair.privateKey);
+            assert.isNotOk(tx.usesMultisig());
+
+            const txMultisigOut = new factory.Transaction();
+            txMultisigOut.addInput(pseudoRandomBuffer(), 1);
+            txMultisigOut.addMultisigReceiver(100, 2, [generateAddress(), generateAddress()]);
+            assert.isOk(txMultisigOut.usesMultisig());
+
+            const txMultisigClaim = new factory.Transaction();
+            txMultisigClaim.addInput(pseudoRandomBuffer(), 1);
+            txMultisigClaim.addReceiver(100, generateAddress());
+            txMultisigClaim.claimMultisig(0, keyPair.privateKey);
+            txMultisigClaim.claimMultisig(0, factory.Crypto.createKeyPair().privateKey);
+            assert.isOk(txMultisigClaim.usesMultisig());
+        });
+    });
+
+    describe('Timelocks', async () => {
+        it('should be final (no lock time)', async () => {
+            const tx = new factory.Transaction(createDummyTx());
+
+            assert.equal(tx.lockTime, 0);
+            assert.isOk(tx.isFinal(0, 0));
+        });
+
+        it('should be final depending on height', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.setLockTime(100);
+
+            assert.isNotOk(tx.isFinal(99, Number.MAX_SAFE_INTEGER));
+            assert.isOk(tx.isFinal(100, 0));
+        });
+
+        it('should be final depending on timestamp', async () => {
+            const nLockTime = factory.Constants.LOCKTIME_THRESHOLD + 1000;
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.setLockTime(nLockTime);
+
+            assert.isNotOk(tx.isFinal(Number.MAX_SAFE_INTEGER, nLockTime - 1));
+            assert.isOk(tx.isFinal(0, nLockTime));
+        });
+
+        it('should change hash with lock time', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(100, generateAddress());
+            const hash = tx.getHash();
+            const hashNone = tx.hash(0, factory.Constants.SIGHASH_NONE);
+
+            tx.setLockTime(100);
+            assert.notEqual(hash, tx.getHash());
+            assert.notEqual(hashNone, tx.hash(0, factory.Constants.SIGHASH_NONE));
+        });
+
+        it('should detect timelocks usage', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(100, generateAddress());
+            assert.isNotOk(tx.usesTimelocks());
+
+            tx.lockOutput(0, 10, true);
+            assert.isOk(tx.usesTimelocks());
+
+            const txLockTime = new factory.Transaction();
+            txLockTime.addInput(pseudoRandomBuffer(), 1);
+            txLockTime.setLockTime(100);
+            assert.isOk(txLockTime.usesTimelocks());
+        });
+
+        it('should FAIL to set lock time after signing', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.claim(0, keyPair.privateKey);
+
+            assert.throws(() => tx.setLockTime(100));
+        });
+
+        it('should lock outputs', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(100, generateAddress());
+            tx.addReceiver(200, generateAddress());
+            tx.lockOutput(0, 1000);
+            tx.lockOutput(1, 10, true);
+            tx.claim(0, keyPair.privateKey);
+
+            const recoveredTx = new factory.Transaction(tx.encode());
+            const [coins0, coins1] = recoveredTx.getOutCoins();
+            assert.equal(coins0.getLockHeight(), 1000);
+            assert.equal(coins1.getLockHeight(), 0);
+            assert.equal(coins1.getRelativeLockHeight(), 10);
+            assert.doesNotThrow(() => recoveredTx.verify());
+        });
+
+        it('should FAIL to lock output (wrong index)', async () => {
+            const tx = new factory.Transaction();
+            tx.addReceiver(100, generateAddress());
+
+            assert.throws(() => tx.lockOutput(1, 1000));
+        });
+    });
+
     it('should encode/decode', async () => {
         const tx = new factory.Transaction();
         tx.addInput(pseudoRandomBuffer(), 15);
@@ -331,6 +658,65 @@ describe('Transaction tests', () => {
         tx.verify();
     });
 
+    it('should create contract upgrade TX', async () => {
+        const kp = factory.Crypto.createKeyPair();
+        const strCode = 'class A extends Base {}; exports=new A();';
+        const tx = factory.Transaction.upgradeContract(generateAddress().toString('hex'), strCode, generateAddress());
+        tx.addInput(pseudoRandomBuffer(), 0);
+        tx.claim(0, kp.privateKey);
+
+        const restoredTx = new factory.Transaction(tx.encode());
+        restoredTx.verify();
+
+        assert.isOk(restoredTx.isContractUpgrade());
+        assert.isNotOk(restoredTx.isContractCreation());
+        assert.equal(restoredTx.getContractCode(), strCode);
+    });
+
+    it('should create slash witness TX', async () => {
+        const strPrevConciliumContract = factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS;
+        factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS = generateAddress().toString('hex');
+        const strOffender = generateAddress().toString('hex');
+        const arrBuffBlockInfos = [pseudoRandomBuffer(), pseudoRandomBuffer()];
+        const arrBlockSignatures = [[pseudoRandomBuffer(65)], [pseudoRandomBuffer(65), pseudoRandomBuffer(65)]];
+
+        try {
+            const tx = factory.Transaction.slashWitness(1, strOffender, arrBuffBlockInfos, arrBlockSignatures,
+                generateAddress()
+            );
+
+            assert.equal(tx.getContractAddr().toString('hex'), factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS);
+            const {method, arrArguments} = JSON.parse(tx.getContractCode());
+            assert.equal(method, 'slashWitness');
+            assert.deepEqual(arrArguments, [
+                1,
+                strOffender,
+                {
+                    arrBlockInfos: arrBuffBlockInfos.map(buff => buff.toString('hex')),
+                    arrBlockSignatures: arrBlockSignatures.map(arrSigs => arrSigs.map(buff => buff.toString('hex')))
+                }
+            ]);
+        } finally {
+            factory.Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS = strPrevConciliumContract;
+        }
+    });
+
+    it('should FAIL to verify (upgradeCode not in contract output)', async () => {
+        const kp = factory.Crypto.createKeyPair();
+        const tx = factory.Transaction.invokeContract(generateAddress().toString('hex'), {}, 0);
+        tx._data.payload.outs.push({
+            amount: 1,
+            receiverAddr: generateAddress(),
+            contractCode: 'class A extends Base {}; exports=new A();',
+            upgradeCode: true
+        });
+        tx.addInput(pseudoRandomBuffer(), 0);
+        tx.claim(0, kp.privateKey);
+
+        assert.isNotOk(tx.isContractUpgrade());
+        assert.throws(() => tx.verify(), 'Errors in outputs');
+    });
+
     it('should get amount sent to contract', async () => {
         const tx = factory.Transaction.invokeContract(
             generateAddress().toString('hex'),
@@ -414,7 +800,7 @@ describe('Transaction tests', () => {
         it('should fail to verifyCoinbase (bad amount)', async () => {
             const coinbase = factory.Transaction.createCoinbase();
             coinbase.addReceiver(100, generateAddress());
-            assert.throws(() => coinbase.verifyCoinbase(tx.amountOut() - 1));
+            assert.throws(() => coinbase.verifyCoinbase(tx.amountOut() - 1n));
         });
 
         it('should pass verifyCoinbase', async () => {
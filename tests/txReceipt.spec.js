@@ -188,12 +188,30 @@ describe('TX Receipt tests', () => {
         assert.deepEqual({
                 ...objReceipt,
                 contractAddress: objReceipt.contractAddress.toString('hex'),
-                internalTxns: objReceipt.internalTxns.map(buffHash => buffHash.toString('hex'))
+                coinsUsed: 1000n,
+                internalTxns: objReceipt.internalTxns.map(buffHash => buffHash.toString('hex')),
+                logs: []
             },
             receipt2.toObject()
         );
     });
 
+    it('should encode/decode logs', async () => {
+        const contractAddress = generateAddress();
+        const receipt = new factory.TxReceipt({
+            status: factory.Constants.TX_STATUS_OK,
+            logs: [{contractAddress, name: 'Transfer', data: JSON.stringify({to: 'addr', amount: 10})}]
+        });
+
+        const restored = new factory.TxReceipt(receipt.encode());
+
+        assert.equal(restored.getLogs().length, 1);
+        assert.isOk(restored.getLogs()[0].contractAddress.equals(contractAddress));
+        assert.deepEqual(restored.toObject().logs, [
+            {contractAddress: contractAddress.toString('hex'), name: 'Transfer', data: {to: 'addr', amount: 10}}
+        ]);
+    });
+
     describe('Merge receipts', async () => {
         const nCoinUsed1 = 1000;
         const nCoinUsed2 = 2000;
@@ -246,6 +264,7 @@ describe('TX Receipt tests', () => {
 
             assert.equal(receipt1.getCoinsUsed(), nCoinUsed2);
             assert.equal(receipt1.getInternalTxns().length, 4);
+            assert.equal(receipt1.getLogs().length, 0);
 
             for (let buffTxHash of arrInternalTxns) {
                 assert.isOk(receipt1.getCoinsForTx(buffTxHash));
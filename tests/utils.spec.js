@@ -6,7 +6,7 @@ const nock = require('nock');
 
 const factory = require('./testFactory');
 const {
-    getBoolEnvParameter,
+    getBoolEnvParameter, toBigInt,
     deStringifyObject, prepareForStringifyObject, arrayIntersection,
     mergeSets, decryptPkFileContent, queryRpc, getHttpData
 } = require('../utils');
@@ -55,6 +55,34 @@ describe('Utils', () => {
             const result = prepareForStringifyObject(expected);
             assert.deepEqual(expected, result);
         });
+        it('should transform BigInt (safe as Number, rest as String)', async () => {
+            const result = prepareForStringifyObject({
+                small: 10n,
+                big: BigInt(Number.MAX_SAFE_INTEGER) + 2n
+            });
+            assert.deepEqual({small: 10, big: '9007199254740993'}, result);
+        });
+    });
+
+    describe('toBigInt', () => {
+        it('should convert integer Number & String', async () => {
+            assert.strictEqual(toBigInt(10), 10n);
+            assert.strictEqual(toBigInt('9007199254740993'), 9007199254740993n);
+        });
+        it('should convert Long', async () => {
+            const Long = require('long');
+            assert.strictEqual(toBigInt(Long.fromString('18446744073709551615', true)), (1n << 64n) - 1n);
+        });
+        it('should FAIL to convert fractional Number', async () => {
+            assert.throws(() => toBigInt(1.5));
+        });
+        it('should truncate fractional Number', async () => {
+            assert.strictEqual(toBigInt(1.5, true), 1n);
+        });
+        it('should FAIL to convert garbage', async () => {
+            assert.throws(() => toBigInt('abc'));
+            assert.throws(() => toBigInt(undefined));
+        });
     });
     describe('deStringifyObject', () => {
         it('should leave primitives unchanged', async () => {
@@ -136,14 +136,29 @@ describe('UTXO', () => {
         assert.isOk(restoredUtxo.equals(utxo));
     });
 
+    it('should encode/decode multisig coins', async () => {
+        const utxo = new factory.UTXO({txHash: pseudoRandomBuffer().toString('hex')});
+        utxo.addCoins(0, new factory.Coins(10, generateAddress()));
+        utxo.addCoins(1, factory.Coins.createMultisig(10, 2, [generateAddress(), generateAddress()]));
+
+        const restoredUtxo = new factory.UTXO({txHash: utxo.getTxHash(), data: utxo.encode()});
+        assert.isOk(restoredUtxo.equals(utxo));
+        assert.isNotOk(restoredUtxo.coinsAtIndex(0).isMultisig());
+        assert.isOk(restoredUtxo.coinsAtIndex(1).isMultisig());
+
+        const objResult = restoredUtxo.toObject();
+        assert.equal(objResult[1].multisig.nRequired, 2);
+        assert.isNotOk(objResult[0].multisig);
+    });
+
     it('should count coins in UTXO', async () => {
         const {utxo, coins} = createDummyUtxo([12, 0, 431]);
 
-        assert.equal(utxo.amountOut(), coins.getAmount() * utxo.getIndexes().length);
+        assert.equal(utxo.amountOut(), coins.getAmount() * BigInt(utxo.getIndexes().length));
 
         // spend and check again!
         utxo.spendCoins(0);
-        assert.equal(utxo.amountOut(), coins.getAmount() * utxo.getIndexes().length);
+        assert.equal(utxo.amountOut(), coins.getAmount() * BigInt(utxo.getIndexes().length));
     });
 
     it('should convert to Object', async () => {
@@ -151,7 +166,7 @@ describe('UTXO', () => {
 
         const objResult = utxo.toObject();
         assert.isOk(arrayEquals(Object.keys(objResult).map(key => parseInt(key)), [12, 0, 431]));
-        assert.isOk(Object.keys(objResult).every(key => typeof objResult[key].amount === 'number' &&
+        assert.isOk(Object.keys(objResult).every(key => typeof objResult[key].amount === 'bigint' &&
                                                         typeof objResult[key].receiverAddr === 'string'));
     });
 
@@ -188,6 +188,25 @@ describe('Witness tests', () => {
         assert.equal(tx.outputs.length, 1);
     });
 
+    it('should get consensus stats', async () => {
+        const {witness} = createDummyWitness();
+        const objStats = {conciliumId: 0, arrHistory: []};
+        witness._consensuses.set(0, {getStats: sinon.fake.returns(objStats)});
+
+        assert.deepEqual(await witness.rpcHandler({event: 'getConsensusStats', content: 0}), objStats);
+    });
+
+    it('should fail to get consensus stats of foreign concilium', async () => {
+        const {witness} = createDummyWitness();
+
+        try {
+            await witness.rpcHandler({event: 'getConsensusStats', content: 1});
+        } catch (e) {
+            return;
+        }
+        throw new Error('Unexpected success');
+    });
+
     describe('Create block', async () => {
         let clock;
         let witness;
@@ -204,13 +223,13 @@ describe('Witness tests', () => {
         });
 
         it('should limit time for block creation of 1,5 sec', async () => {
-            const nFakeFee = 101;
+            const nFakeFee = 101n;
             const nFakeTimePerTx = 100;
             witness._processTx = async () => {
                 clock.tick(nFakeTimePerTx);
                 return {fee: nFakeFee, patchThisTx: new factory.PatchDB()};
             };
-            witness._mempool.getFinalTxns =
+            witness._mempool.getFinalTxnsByFeeRate =
                 () => new Array(1000).fill(1).map(() => new factory.Transaction(createDummyTx()));
             witness._calcHeight = () => 1;
             witness._pendingBlocks.getBestParents = () => ({
@@ -265,11 +284,11 @@ describe('Witness tests', () => {
         });
 
         it('should join outputs into single one', async () => {
-            const nFakeFee = 101;
+            const nFakeFee = 101n;
             witness._processTx = async () => {
                 return {fee: nFakeFee, patchThisTx: new factory.PatchDB()};
             };
-            witness._mempool.getFinalTxns =
+            witness._mempool.getFinalTxnsByFeeRate =
                 () => new Array(10).fill(1).map(() => new factory.Transaction(createDummyTx()));
             witness._calcHeight = () => 1;
             witness._nLowestConciliumId = 0;
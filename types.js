@@ -37,17 +37,19 @@ function Str40(value) {
     return typeof value === 'string' && value.length === 40;
 }
 
+// Number (legacy) or BigInt (uint64)
 function Amount(value) {
-    return typeof value === 'number';
+    return typeof value === 'number' || typeof value === 'bigint';
 }
 
 const Hash256bit = typeforce.oneOf(typeforce.BufferN(32), Str64);
+const Address = typeforce.oneOf(typeforce.BufferN(20), Str40);
 
 module.exports = {
     Str64,
     Buf32: typeforce.BufferN(32),
     Hash256bit,
-    Address: typeforce.oneOf(typeforce.BufferN(20), Str40),
+    Address,
     StrAddress: Str40,
     PrivateKey,
     PublicKey,
@@ -62,5 +64,6 @@ module.exports = {
     UTXO: typeforce.quacksLike('UTXO'),
     Amount,
     Signature: typeforce.BufferN(65),
+    MultisigDefinition: typeforce.compile({nRequired: 'Number', arrAddresses: typeforce.arrayOf(Address)}),
     Input: typeforce.compile({nTxOutput: 'Number', txHash: Hash256bit})
 };
@@ -115,8 +115,62 @@ const getHttpData = async (url) => {
     return result;
 };
 
+const MAX_UINT64 = (1n << 64n) - 1n;
+
+/**
+ * Amounts are uint64. Long (decoded fixed64), Number & decimal string are converted to BigInt
+ * Long could lose its prototype (v8.serialize of PatchDB), so we accept {low, high, unsigned} too
+ *
+ * @param {BigInt | Number | Long | String} value
+ * @param {Boolean} bTruncate - drop fractional part of Number (legacy behavior) instead of throwing
+ * @return {BigInt}
+ */
+const toBigInt = (value, bTruncate = false) => {
+    if (typeof value === 'bigint') return value;
+    if (Long.isLong(value)) return BigInt(value.toString());
+    if (value instanceof Object && Number.isInteger(value.low) && Number.isInteger(value.high)) {
+        return BigInt(Long.fromBits(value.low, value.high, value.unsigned).toString());
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) throw new Error(`Bad amount: ${value}`);
+        if (!Number.isInteger(value)) {
+            if (!bTruncate) throw new Error(`Amount should be integer: ${value}`);
+            value = Math.trunc(value);
+        }
+        return BigInt(value);
+    }
+    if (typeof value === 'string' && /^-?\d+$/.test(value)) return BigInt(value);
+
+    throw new Error(`Bad amount: ${value}`);
+};
+
+/**
+ * Protobuf (fixed64/uint64) can't encode BigInt
+ *
+ * @param {BigInt} value
+ * @return {Long}
+ */
+const bigIntToLong = (value) => {
+    return Long.fromString(value.toString(), true);
+};
+
+/**
+ * JSON has no uint64, so amounts beyond Number.MAX_SAFE_INTEGER are sent as decimal strings
+ *
+ * @param {BigInt | Long} value
+ * @return {Number | String}
+ */
+const amountToJson = (value) => {
+    const bnValue = toBigInt(value);
+    return bnValue <= BigInt(Number.MAX_SAFE_INTEGER) && bnValue >= BigInt(Number.MIN_SAFE_INTEGER)
+        ? Number(bnValue)
+        : bnValue.toString();
+};
+
 const prepareForStringifyObject = (obj) => {
+    if (typeof obj === 'bigint') return amountToJson(obj);
     if (!(obj instanceof Object)) return obj;
+    if (Long.isLong(obj)) return amountToJson(obj);
 
     if (Buffer.isBuffer(obj)) return obj.toString('hex');
     if (Array.isArray(obj)) return obj.map(elem => prepareForStringifyObject(elem));
@@ -129,8 +183,8 @@ const prepareForStringifyObject = (obj) => {
             resultObject[key] = obj[key].toString('hex');
         } else if (Array.isArray(obj[key])) {
             resultObject[key] = prepareForStringifyObject(obj[key]);
-        } else if (Long.isLong(obj[key])) {
-            resultObject[key] = obj[key].toNumber();
+        } else if (Long.isLong(obj[key]) || typeof obj[key] === 'bigint') {
+            resultObject[key] = amountToJson(obj[key]);
         } else if (obj[key] instanceof Object) {
             resultObject[key] = prepareForStringifyObject(obj[key]);
         } else {
@@ -264,7 +318,7 @@ function mapEnvToOptions() {
         TRUST_ANNOUNCE, ANNOUNCE_ADDRESS, LISTEN_ADDR,
         SEED_ADDRESS, RPC_ADDRESS, RPC_USER, RPC_PASS,
         GENESIS_HASH, CONCILIUM_CONTRACT,
-        WITNESS_NODE, SEED_NODE, BUILD_TX_INDEX, WALLET_SUPPORT, SUPPRESS_JOIN_TX
+        WITNESS_NODE, SEED_NODE, BUILD_TX_INDEX, WALLET_SUPPORT, SUPPRESS_JOIN_TX, PRUNE_BLOCKS
     } = process.env;
 
     return {
@@ -281,6 +335,9 @@ function mapEnvToOptions() {
         txIndex: (BUILD_TX_INDEX),
         walletSupport: getBoolEnvParameter(WALLET_SUPPORT),
 
+        // non archival node: keep bodies only for that number of stable heights
+        pruneBlocks: PRUNE_BLOCKS ? parseInt(PRUNE_BLOCKS) : undefined,
+
         // WITNESS_NODE is a Boolean variable, indicating witness node.
         // Just mount your real file name into container /app/private
         privateKey: WITNESS_NODE ? './private' : undefined,
@@ -377,9 +434,13 @@ module.exports = {
             {name: "watchAddress", type: String, multiple: true},
             {name: "reIndexWallet", type: Boolean, multiple: false},
             {name: "walletSupport", type: Boolean, multiple: false},
+            {name: "pruneBlocks", type: Number, multiple: false},
             {name: "listWallets", type: Boolean, multiple: false},
             {name: "localDevNode", type: Boolean, multiple: false},
             {name: "rebuildDb", type: Boolean, multiple: false},
+            {name: "exportSnapshot", type: String, multiple: false},
+            {name: "importSnapshot", type: String, multiple: false},
+            {name: "snapshotHash", type: String, multiple: false},
             {name: "whitelistedAddr", type: String, multiple: true},
             {name: "suppressJoinTx", type: Boolean, multiple: false, defaultOption: false}
         ];
@@ -434,5 +495,10 @@ module.exports = {
     GCD,
     createPeerTag,
     finePrintUtxos,
-    getBoolEnvParameter
+    getBoolEnvParameter,
+
+    MAX_UINT64,
+    toBigInt,
+    bigIntToLong,
+    amountToJson
 };